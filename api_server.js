@@ -0,0 +1,375 @@
+// api_server.js
+// HTTP API for web front ends. Never loads a keypair: read endpoints query the
+// program directly, and write endpoints return unsigned base64 transactions
+// for the user's wallet to sign and hand back to POST /transactions.
+//
+//   GET  /tickets?owner=&organizer=&mint=&event=&listed=&limit=&after=
+//   GET  /tickets/:mint?organizer=&collection=
+//   GET  /events/:pda
+//   GET  /listings?organizer=&limit=&after=
+//   POST /tickets/:mint/list   { owner, price, organizer? }
+//   POST /tickets/:mint/price  { owner, price, organizer? }
+//   POST /tickets/:mint/delist { owner, organizer? }
+//   POST /tickets/:mint/buy    { buyer, maxPrice?, organizer?, collection? }
+//
+// maxPrice (decimal SOL) is the most the buyer agreed to pay; it defaults to
+// the listing price when the transaction is built, so a reprice before the
+// wallet signs makes the buy fail on-chain instead of charging more.
+//
+// With a collection (per request, else the server default) a ticket whose
+// NFT is not a verified member of it is rejected with CollectionMismatchError.
+//   POST /transactions         { transaction, lastValidBlockHeight? }
+import http from 'http';
+import dotenv from 'dotenv';
+import { PublicKey } from '@solana/web3.js';
+import {
+  TicketMarketClient,
+  readOnlyWallet,
+  TicketMarketError,
+  toTicketMarketError,
+  NotTicketOwnerError,
+  TicketNotListedError,
+  ListingNotApprovedError,
+  CollectionMismatchError,
+  PriceAboveMaxError,
+  RpcUnavailableError,
+  StorageUploadError,
+} from './client/ticket_market_client.js';
+import { resolveProfile, parseCliArgs } from './utils/config.js';
+import { createRpcPool } from './utils/rpc-pool.js';
+import { bigintReplacer } from './utils/price.js';
+import { silentLogger, createLoggerFromFlags } from './utils/logger.js';
+
+dotenv.config();
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_PAGE_SIZE = 200;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Typed ticket errors keep their class in the response (`type`) so front
+// ends can branch on it; these get a more specific status than 400
+function errorStatus(error) {
+  if (error.status) return error.status;
+  if (error instanceof NotTicketOwnerError) return 403;
+  if (error instanceof TicketNotListedError) return 409;
+  if (error instanceof ListingNotApprovedError) return 409;
+  if (error instanceof CollectionMismatchError) return 409;
+  if (error instanceof PriceAboveMaxError) return 409;
+  if (error instanceof RpcUnavailableError) return 503;
+  if (error instanceof StorageUploadError) return 502;
+  if (error instanceof TicketMarketError) return 400;
+  return 500;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    ...headers,
+  });
+  res.end(JSON.stringify(body, bigintReplacer));
+}
+
+// Stops reading at MAX_BODY_BYTES; the rest of the body is left unread and
+// the connection is closed once the 413 has been sent (see createApiServer)
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.off('data', onData);
+        req.pause();
+        reject(httpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(httpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function parseKey(value, field) {
+  if (!value) throw httpError(400, `${field} is required`);
+  try {
+    return new PublicKey(value);
+  } catch {
+    throw httpError(400, `${field} "${value}" is not a valid public key`);
+  }
+}
+
+function parseOptionalKey(value, field) {
+  return value ? parseKey(value, field) : null;
+}
+
+function parseListed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw httpError(400, `listed must be "true" or "false", got "${value}"`);
+}
+
+function parseLimit(value) {
+  if (value === null || value === undefined || value === '') return 50;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+// connection: any web3.js Connection (e.g. one pointed at solana-test-validator)
+// organizer: default organizer for PDA derivation when a request omits it
+// collection: default event collection tickets must belong to (none: no check)
+// sendOptions: priority fee settings applied to built transactions
+// logger: request failures are logged at error level; silent by default
+export function createApiServer({
+  connection,
+  programId,
+  organizer = null,
+  collection = null,
+  commitment = 'confirmed',
+  sendOptions = {},
+  logger = silentLogger,
+}) {
+  const client = new TicketMarketClient({
+    connection,
+    signer: readOnlyWallet(),
+    programId,
+    commitment,
+    sendOptions,
+    logger,
+    collection,
+  });
+
+  function resolveOrganizer(value) {
+    const key = parseOptionalKey(value, 'organizer') || organizer;
+    if (!key) throw httpError(400, 'organizer is required (no default organizer configured)');
+    return key;
+  }
+
+  async function listTickets(query, overrides = {}) {
+    return client.findTickets({
+      owner: parseOptionalKey(query.get('owner'), 'owner'),
+      organizer: parseOptionalKey(query.get('organizer'), 'organizer'),
+      mint: parseOptionalKey(query.get('mint'), 'mint'),
+      event: parseOptionalKey(query.get('event'), 'event'),
+      listed: parseListed(query.get('listed')),
+      limit: parseLimit(query.get('limit')),
+      after: query.get('after') || null,
+      ...overrides,
+    });
+  }
+
+  async function getTicket(mint, query) {
+    const ticket = await client.fetchTicket({
+      mint: parseKey(mint, 'mint'),
+      organizer: resolveOrganizer(query.get('organizer')),
+      collection: parseOptionalKey(query.get('collection'), 'collection') || client.collection,
+    });
+    if (!ticket) throw httpError(404, `No ticket found for mint ${mint}`);
+    return ticket;
+  }
+
+  async function getEvent(pda) {
+    const event = await client.fetchEvent({ pda: parseKey(pda, 'event') });
+    if (!event) throw httpError(404, `No event found at ${pda}`);
+    return event;
+  }
+
+  // Preflight failures (not listed, over the markup cap, ...) are client errors
+  async function build(fn) {
+    try {
+      return await fn();
+    } catch (caught) {
+      const error = toTicketMarketError(caught);
+      if (error.status || error instanceof TicketMarketError) throw error;
+      if (error.message.startsWith('No ticket account found')) throw httpError(404, error.message);
+      throw httpError(400, error.message);
+    }
+  }
+
+  async function buildList(mint, body) {
+    if (body.price === undefined || body.price === null || body.price === '') {
+      throw httpError(400, 'price is required (decimal SOL string)');
+    }
+    return build(() => client.buildListTicket({
+      mint: parseKey(mint, 'mint'),
+      owner: parseKey(body.owner, 'owner'),
+      price: String(body.price),
+      organizer: resolveOrganizer(body.organizer),
+    }));
+  }
+
+  async function buildReprice(mint, body) {
+    if (body.price === undefined || body.price === null || body.price === '') {
+      throw httpError(400, 'price is required (decimal SOL string)');
+    }
+    return build(() => client.buildUpdateListingPrice({
+      mint: parseKey(mint, 'mint'),
+      owner: parseKey(body.owner, 'owner'),
+      price: String(body.price),
+      organizer: resolveOrganizer(body.organizer),
+    }));
+  }
+
+  async function buildDelist(mint, body) {
+    return build(() => client.buildDelistTicket({
+      mint: parseKey(mint, 'mint'),
+      owner: parseKey(body.owner, 'owner'),
+      organizer: resolveOrganizer(body.organizer),
+    }));
+  }
+
+  async function buildBuy(mint, body) {
+    return build(() => client.buildBuyTicket({
+      mint: parseKey(mint, 'mint'),
+      buyer: parseKey(body.buyer, 'buyer'),
+      organizer: resolveOrganizer(body.organizer),
+      collection: parseOptionalKey(body.collection, 'collection') || client.collection,
+      maxPrice: body.maxPrice === undefined || body.maxPrice === null ? null : String(body.maxPrice),
+    }));
+  }
+
+  async function submit(body) {
+    if (!body.transaction) throw httpError(400, 'transaction is required (base64)');
+    try {
+      const signature = await client.submitTransaction(body.transaction, {
+        lastValidBlockHeight: body.lastValidBlockHeight ?? null,
+      });
+      return { signature };
+    } catch (caught) {
+      const error = toTicketMarketError(caught);
+      if (error instanceof TicketMarketError) throw error;
+      throw httpError(400, error.message);
+    }
+  }
+
+  async function route(req, url) {
+    const { pathname, searchParams } = url;
+
+    if (req.method === 'GET') {
+      if (pathname === '/health') return { ok: true, programId: client.programId.toBase58() };
+      if (pathname === '/tickets') return listTickets(searchParams);
+      if (pathname === '/listings') return listTickets(searchParams, { listed: true });
+
+      const ticketMatch = pathname.match(/^\/tickets\/([^/]+)$/);
+      if (ticketMatch) return getTicket(ticketMatch[1], searchParams);
+
+      const eventMatch = pathname.match(/^\/events\/([^/]+)$/);
+      if (eventMatch) return getEvent(eventMatch[1]);
+    }
+
+    if (req.method === 'POST') {
+      const actionMatch = pathname.match(/^\/tickets\/([^/]+)\/(list|price|delist|buy)$/);
+      if (actionMatch) {
+        const body = await readJsonBody(req);
+        const actions = { list: buildList, price: buildReprice, delist: buildDelist, buy: buildBuy };
+        return actions[actionMatch[2]](actionMatch[1], body);
+      }
+
+      if (pathname === '/transactions') return submit(await readJsonBody(req));
+    }
+
+    throw httpError(404, `${req.method} ${pathname} not found`);
+  }
+
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    route(req, url)
+      .then(body => sendJson(res, 200, body))
+      .catch(caught => {
+        const error = toTicketMarketError(caught);
+        const status = errorStatus(error);
+        if (status === 500) {
+          logger.error(`❌ ${req.method} ${url.pathname}: ${error.message}`, { method: req.method, path: url.pathname, error });
+        }
+        // A request whose body was not read to the end can't share its
+        // connection with the next one
+        sendJson(res, status, error instanceof TicketMarketError
+          ? { error: error.message, type: error.name }
+          : { error: error.message }, req.complete ? {} : { Connection: 'close' });
+      });
+  });
+}
+
+// Resolves once listening; port 0 picks a free port (handy in tests)
+export function startApiServer({ port = 3000, host = '127.0.0.1', ...options }) {
+  const server = createApiServer(options);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://${host}:${boundPort}`,
+        server,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { flags } = parseCliArgs(process.argv.slice(2));
+
+  let config;
+  let logger;
+  try {
+    logger = createLoggerFromFlags(flags);
+    config = resolveProfile(flags);
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+
+  const port = parseInt(flags.port || process.env.API_PORT || '3000', 10);
+  const host = flags.host || process.env.API_HOST || '127.0.0.1';
+
+  startApiServer({
+    port,
+    host,
+    connection: createRpcPool(config.rpcUrls).connection('confirmed'),
+    programId: config.programId,
+    organizer: config.organizer,
+    collection: config.collection,
+    sendOptions: { priorityFee: config.priorityFee, maxPriorityFee: config.maxPriorityFee },
+    logger,
+  }).then(({ url }) => {
+    logger.info([
+      "🌐 Ticket API server running",
+      `  🔗 ${url}`,
+      `  🧭 Profile: ${config.name} | RPC: ${config.rpcUrls.join(', ')}`,
+      `  📋 Program ID: ${config.programId.toBase58()}`,
+    ].join('\n'), { url, profile: config.name, programId: config.programId });
+  }).catch(error => {
+    logger.error(`❌ Failed to start API server: ${error.message}`, { error });
+    process.exit(1);
+  });
+}
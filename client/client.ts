@@ -1,72 +1,7 @@
 import * as anchor from "@project-serum/anchor";
 import { Connection, PublicKey } from "@solana/web3.js";
 import fs from "fs";
-
-// Your deployed program ID
-const PROGRAM_ID = new PublicKey("GRb8e96kJJvofUenMx6QM7mRu9mwKCdzY6KC4PGTD3KL");
-
-// Inline IDL JSON
-const idl = {
-  version: "0.1.0",
-  name: "ticket_market",
-  instructions: [
-    {
-      name: "createTicket",
-      accounts: [
-        { name: "ticket", isMut: true, isSigner: false },
-        { name: "organizer", isMut: true, isSigner: true },
-        { name: "systemProgram", isMut: false, isSigner: false },
-      ],
-      args: [
-        { name: "price", type: "u64" },
-        { name: "resaleAllowed", type: "bool" },
-        { name: "maxMarkup", type: "u8" },
-        { name: "mint", type: "publicKey" },
-      ],
-    },
-    {
-      name: "listTicket",
-      accounts: [
-        { name: "ticket", isMut: true, isSigner: false },
-        { name: "owner", isMut: false, isSigner: true },
-      ],
-      args: [{ name: "newPrice", type: "u64" }],
-    },
-    {
-      name: "buyTicket",
-      accounts: [
-        { name: "ticket", isMut: true, isSigner: false },
-        { name: "owner", isMut: true, isSigner: true },
-        { name: "buyer", isMut: true, isSigner: true },
-        { name: "systemProgram", isMut: false, isSigner: false },
-      ],
-      args: [],
-    },
-  ],
-  accounts: [
-    {
-      name: "Ticket",
-      type: {
-        kind: "struct",
-        fields: [
-          { name: "owner", type: "publicKey" },
-          { name: "price", type: "u64" },
-          { name: "resaleAllowed", type: "bool" },
-          { name: "maxMarkup", type: "u8" },
-          { name: "originalPrice", type: "u64" },
-          { name: "isListed", type: "bool" },
-          { name: "mint", type: "publicKey" },
-        ],
-      },
-    },
-  ],
-  errors: [
-    { code: 6000, name: "ResaleNotAllowed", msg: "Ticket resale is not allowed." },
-    { code: 6001, name: "NotTicketOwner", msg: "You are not the ticket owner." },
-    { code: 6002, name: "ExceedsMaxMarkup", msg: "Price exceeds allowed markup." },
-    { code: 6003, name: "TicketNotListed", msg: "Ticket is not listed for sale." },
-  ],
-};
+import { TicketMarketClient } from "./ticket_market_client.js";
 
 (async () => {
   // Playground provider
@@ -89,8 +24,8 @@ const idl = {
 
   console.log("Wallet:", provider.wallet.publicKey.toBase58());
 
-  // Load program
-  const program = new anchor.Program(idl as anchor.Idl, PROGRAM_ID, provider);
+  // Load program through the shared SDK (IDL + program ID from ticket_market.json)
+  const client = new TicketMarketClient({ connection: provider.connection, signer: provider.wallet });
 
   // Determine mint: CLI arg overrides last_mint.json
   let mintString: string | undefined = undefined;
@@ -123,27 +58,19 @@ const idl = {
     process.exit(1);
   }
 
-  const [ticketPda] = PublicKey.findProgramAddressSync(
-    [Buffer.from("ticket"), provider.wallet.publicKey.toBuffer(), mintPubkey.toBuffer()],
-    PROGRAM_ID
-  );
+  const ticketPda = client.derivePda(mintPubkey);
 
   console.log("Ticket PDA:", ticketPda.toBase58());
 
   // Fetch account info (read-only)
   try {
-    const accountInfo = await provider.connection.getAccountInfo(ticketPda);
-    if (!accountInfo) {
+    const ticketData = await client.fetchTicket({ pda: ticketPda });
+    if (!ticketData) {
       console.log("ℹ Ticket PDA does not exist yet.");
       process.exit(0);
     } else {
       console.log("🎫 Ticket account exists!");
-      try {
-        const ticketData = await program.account.ticket.fetch(ticketPda);
-        console.log("Ticket data:", ticketData);
-      } catch (err) {
-        console.error("❌ Failed to fetch ticket data from account:", err);
-      }
+      console.log("Ticket data:", ticketData);
     }
   } catch (err) {
     console.error("❌ Error while fetching account info:", err);
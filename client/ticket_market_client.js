@@ -0,0 +1,1246 @@
+// client/ticket_market_client.js
+// Shared SDK for the ticket_market program: one IDL, one provider/program,
+// one PDA derivation. Scripts and apps should go through this instead of
+// building their own AnchorProvider / Program.
+import fs from "fs";
+import {
+  PublicKey,
+  SystemProgram,
+  SYSVAR_INSTRUCTIONS_PUBKEY,
+} from "@solana/web3.js";
+import * as anchor from "@project-serum/anchor";
+import { unwrapOption } from "@metaplex-foundation/umi";
+import {
+  getMetadataAccountDataSerializer,
+  getTokenRecordAccountDataSerializer,
+  TokenStandard,
+  TokenState,
+  MPL_TOKEN_METADATA_PROGRAM_ID,
+} from "@metaplex-foundation/mpl-token-metadata";
+import { parseSol, formatSol, toBN, fromBN, maxResalePrice, royaltySplit, MAX_ROYALTY_BPS } from "../utils/price.js";
+import { encodeTransaction } from "../utils/transactions.js";
+import { sendTransaction, buildTransaction, submitSigned } from "../utils/send.js";
+import { simulateTransaction } from "../utils/simulate.js";
+import { silentLogger } from "../utils/logger.js";
+import {
+  ResaleNotAllowedError,
+  NotTicketOwnerError,
+  ExceedsMaxMarkupError,
+  TicketNotListedError,
+  ListingNotApprovedError,
+  InvalidRoyaltyError,
+  InsufficientBalanceError,
+  CollectionMismatchError,
+  EventSoldOutError,
+  InvalidEventError,
+  InvalidTicketHolderError,
+  InvalidTicketMintError,
+  ResaleClosedError,
+  PriceAboveMaxError,
+} from "../utils/errors.js";
+
+// Error classes are part of the SDK surface so callers can `instanceof` them
+export * from "../utils/errors.js";
+
+export const IDL = JSON.parse(
+  fs.readFileSync(new URL("./ticket_market.json", import.meta.url), "utf8")
+);
+
+export const DEFAULT_PROGRAM_ID = new PublicKey(IDL.metadata.address);
+
+const TICKET_SEED = Buffer.from("ticket");
+const LISTING_SEED = Buffer.from("listing");
+const EVENT_SEED = Buffer.from("event");
+const MAX_EVENT_NAME_BYTES = 32;
+const MAX_U32 = 0xffffffff;
+const { TOKEN_PROGRAM_ID, ASSOCIATED_PROGRAM_ID } = anchor.utils.token;
+const TOKEN_METADATA_PROGRAM_ID = new PublicKey(MPL_TOKEN_METADATA_PROGRAM_ID);
+export const TOKEN_AUTH_RULES_PROGRAM_ID = new PublicKey("auth9SigNpDKz4sJJ1DfCTuZrZNSAgh9sFD3rboVmgg");
+const DISCRIMINATOR_SIZE = 8;
+const MAX_MULTIPLE_ACCOUNTS = 100;
+
+const FIXED_TYPE_SIZES = {
+  publicKey: 32, pubkey: 32,
+  u8: 1, i8: 1, bool: 1,
+  u16: 2, i16: 2,
+  u32: 4, i32: 4,
+  u64: 8, i64: 8,
+  u128: 16, i128: 16,
+};
+
+// Byte offset/size of each fixed-size Ticket field, derived from the IDL so
+// memcmp filters follow the account layout instead of hardcoded numbers
+function ticketFieldLayout() {
+  const ticket = IDL.accounts.find(account => account.name === "Ticket");
+  const layout = {};
+  let offset = DISCRIMINATOR_SIZE;
+
+  for (const field of ticket.type.fields) {
+    const size = FIXED_TYPE_SIZES[field.type];
+    if (!size) break; // offsets after a variable-size field are not static
+    layout[field.name] = { offset, size };
+    offset += size;
+  }
+  return layout;
+}
+
+export const TICKET_LAYOUT = ticketFieldLayout();
+
+function toPublicKey(value) {
+  return value instanceof PublicKey ? value : new PublicKey(value);
+}
+
+// Unix seconds from a Date, an ISO date string or a number of seconds
+function toUnixSeconds(value, field = "startTime") {
+  const seconds = value instanceof Date ? Math.floor(value.getTime() / 1000)
+    : typeof value === "string" && !/^\d+$/.test(value) ? Math.floor(Date.parse(value) / 1000)
+      : Number(value);
+  if (!Number.isSafeInteger(seconds)) {
+    throw new InvalidEventError(`${field} must be a date or unix timestamp, got ${value}`);
+  }
+  return seconds;
+}
+
+// Resale cutoff in whole seconds before the event start
+function checkResaleCutoff(resaleCutoff) {
+  if (!Number.isSafeInteger(resaleCutoff) || resaleCutoff < 0) {
+    throw new InvalidEventError(`Resale cutoff must be a whole number of seconds before the start, got ${resaleCutoff}`);
+  }
+  return resaleCutoff;
+}
+
+// Associated token account holding `owner`'s copy of `mint`
+export function associatedTokenAddress(mint, owner) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [toPublicKey(owner).toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), toPublicKey(mint).toBuffer()],
+    ASSOCIATED_PROGRAM_ID
+  );
+  return address;
+}
+
+// The fields of an SPL token account the listing checks need, or null when
+// the account does not exist. Layout: mint 0, owner 32, amount 64,
+// delegate COption 72 (u32 tag + key), delegated_amount 121.
+async function fetchTokenAccount(connection, address, commitment) {
+  const info = await connection.getAccountInfo(address, commitment);
+  if (!info || !info.owner.equals(TOKEN_PROGRAM_ID)) return null;
+
+  const data = info.data;
+  const hasDelegate = data.readUInt32LE(72) === 1;
+  return {
+    mint: new PublicKey(data.subarray(0, 32)),
+    owner: new PublicKey(data.subarray(32, 64)),
+    amount: data.readBigUInt64LE(64),
+    delegate: hasDelegate ? new PublicKey(data.subarray(76, 108)) : null,
+    delegatedAmount: data.readBigUInt64LE(121),
+  };
+}
+
+// { supply, decimals } of an SPL mint, or null when the account is not one.
+// Layout: mint_authority COption 0, supply 36, decimals 44.
+async function fetchMint(connection, address, commitment) {
+  const info = await connection.getAccountInfo(toPublicKey(address), commitment);
+  if (!info || !info.owner.equals(TOKEN_PROGRAM_ID)) return null;
+  return { supply: info.data.readBigUInt64LE(36), decimals: info.data.readUInt8(44) };
+}
+
+// Token Metadata PDA ["metadata", program, mint, ...seeds]
+function tokenMetadataPda(mint, ...seeds) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from("metadata"), TOKEN_METADATA_PROGRAM_ID.toBuffer(), toPublicKey(mint).toBuffer(), ...seeds],
+    TOKEN_METADATA_PROGRAM_ID
+  );
+  return address;
+}
+
+// Per-token-account state of a programmable NFT (lock state, delegate)
+function tokenRecordAddress(mint, tokenAccount) {
+  return tokenMetadataPda(mint, Buffer.from("token_record"), toPublicKey(tokenAccount).toBuffer());
+}
+
+// Decoded Token Metadata account of `mint`, or null when it has none
+async function fetchMetadata(connection, mint, commitment) {
+  const info = await connection.getAccountInfo(tokenMetadataPda(mint), commitment);
+  if (!info || !info.owner.equals(TOKEN_METADATA_PROGRAM_ID)) return null;
+  return getMetadataAccountDataSerializer().deserialize(info.data)[0];
+}
+
+// Token Metadata accounts the *_programmable_ticket instructions need, or
+// null when `mint` is not a programmable NFT (plain NFTs, and bare SPL mints
+// without metadata, use the SPL delegate path)
+async function fetchProgrammableAccounts(connection, mint, commitment) {
+  const data = await fetchMetadata(connection, mint, commitment);
+  if (!data || unwrapOption(data.tokenStandard) !== TokenStandard.ProgrammableNonFungible) return null;
+
+  const ruleSet = unwrapOption(data.programmableConfig)?.ruleSet;
+  if (!ruleSet || !unwrapOption(ruleSet)) {
+    throw new Error(`Programmable NFT ${toPublicKey(mint).toBase58()} has no rule set; create tickets with --pnft and a configured rule set`);
+  }
+
+  return {
+    metadata: tokenMetadataPda(mint),
+    edition: tokenMetadataPda(mint, Buffer.from("edition")),
+    authorizationRules: new PublicKey(unwrapOption(ruleSet)),
+    authorizationRulesProgram: TOKEN_AUTH_RULES_PROGRAM_ID,
+    tokenMetadataProgram: TOKEN_METADATA_PROGRAM_ID,
+  };
+}
+
+// { state, delegate } of a token record, or null when it does not exist
+async function fetchTokenRecord(connection, address, commitment) {
+  const info = await connection.getAccountInfo(address, commitment);
+  if (!info) return null;
+
+  const [record] = getTokenRecordAccountDataSerializer().deserialize(info.data);
+  const delegate = unwrapOption(record.delegate);
+  return { state: record.state, delegate: delegate ? new PublicKey(delegate) : null };
+}
+
+// Preflight checks shared by list / reprice / delist, mirroring the program
+function assertTicketOwner(ticketData, ownerKey) {
+  if (!ticketData.owner.equals(ownerKey)) {
+    throw new NotTicketOwnerError(`Ticket is owned by ${ticketData.owner.toBase58()}, not ${ownerKey.toBase58()}`, {
+      owner: ticketData.owner,
+    });
+  }
+}
+
+function assertWithinMarkup(ticketData, newPrice) {
+  const maxAllowedPrice = maxResalePrice(fromBN(ticketData.originalPrice), ticketData.maxMarkup);
+  if (newPrice > maxAllowedPrice) {
+    throw new ExceedsMaxMarkupError(
+      `Price ${formatSol(newPrice)} SOL exceeds maximum allowed price of ${formatSol(maxAllowedPrice)} SOL (${ticketData.maxMarkup}% markup)`,
+      { priceLamports: newPrice, maxPriceLamports: maxAllowedPrice }
+    );
+  }
+}
+
+// Wallet for read-only / transaction-building clients that never sign locally
+export function readOnlyWallet(publicKey = PublicKey.default) {
+  const refuse = async () => {
+    throw new Error("Read-only client cannot sign transactions");
+  };
+  return { publicKey: toPublicKey(publicKey), signTransaction: refuse, signAllTransactions: refuse };
+}
+
+// Accept either a Keypair or an Anchor-style wallet (publicKey + signTransaction)
+function toWallet(signer) {
+  if (signer.secretKey) return new anchor.Wallet(signer);
+  return signer;
+}
+
+export class TicketMarketClient {
+  // sendOptions: priorityFee ("auto" | microLamports), maxPriorityFee,
+  // computeUnitLimit and maxResigns for the send pipeline (utils/send.js)
+  // logger: utils/logger.js logger for send retries; silent by default
+  // collection: the event's collection mint; when set, fetchTicket and the
+  // buy preflight reject NFTs that are not verified members of it
+  constructor({
+    connection,
+    signer,
+    programId = DEFAULT_PROGRAM_ID,
+    commitment = "confirmed",
+    sendOptions = {},
+    logger = silentLogger,
+    collection = null,
+  }) {
+    if (!connection) throw new Error("TicketMarketClient requires a connection");
+    if (!signer) throw new Error("TicketMarketClient requires a signer");
+
+    this.connection = connection;
+    this.programId = toPublicKey(programId);
+    this.commitment = commitment;
+    this.sendOptions = sendOptions;
+    this.logger = logger;
+    this.collection = collection ? toPublicKey(collection) : null;
+    this.wallet = toWallet(signer);
+    this.provider = new anchor.AnchorProvider(connection, this.wallet, {
+      commitment,
+      preflightCommitment: commitment,
+      skipPreflight: false,
+    });
+    this.program = new anchor.Program(IDL, this.programId, this.provider);
+  }
+
+  get publicKey() {
+    return this.wallet.publicKey;
+  }
+
+  static derivePda(organizer, mint, programId = DEFAULT_PROGRAM_ID) {
+    const [ticketPda] = PublicKey.findProgramAddressSync(
+      [TICKET_SEED, toPublicKey(organizer).toBuffer(), toPublicKey(mint).toBuffer()],
+      toPublicKey(programId)
+    );
+    return ticketPda;
+  }
+
+  derivePda(mint, organizer = this.publicKey) {
+    return TicketMarketClient.derivePda(organizer, mint, this.programId);
+  }
+
+  // PDA that list_ticket approves as delegate for the ticket's NFT, and that
+  // signs the NFT transfer in buy_ticket
+  static deriveListingAuthority(ticketPda, programId = DEFAULT_PROGRAM_ID) {
+    const [listingAuthority] = PublicKey.findProgramAddressSync(
+      [LISTING_SEED, toPublicKey(ticketPda).toBuffer()],
+      toPublicKey(programId)
+    );
+    return listingAuthority;
+  }
+
+  deriveListingAuthority(ticketPda) {
+    return TicketMarketClient.deriveListingAuthority(ticketPda, this.programId);
+  }
+
+  // Event PDA: ["event", organizer, name]
+  static deriveEventPda(organizer, name, programId = DEFAULT_PROGRAM_ID) {
+    const [eventPda] = PublicKey.findProgramAddressSync(
+      [EVENT_SEED, toPublicKey(organizer).toBuffer(), Buffer.from(name, "utf8")],
+      toPublicKey(programId)
+    );
+    return eventPda;
+  }
+
+  deriveEventPda(name, organizer = this.publicKey) {
+    return TicketMarketClient.deriveEventPda(organizer, name, this.programId);
+  }
+
+  // Ticket PDA of `mint` under `organizer`. Without an organizer the Ticket
+  // account is looked up by mint, since the caller (e.g. a buyer) usually
+  // does not know who created it
+  async resolveTicketPda({ mint, organizer = null }) {
+    if (organizer) return this.derivePda(mint, organizer);
+    const { tickets } = await this.findTickets({ mint, limit: 2 });
+    if (tickets.length === 0) {
+      throw new Error(`No ticket account found for mint ${toPublicKey(mint).toBase58()}`);
+    }
+    if (tickets.length > 1) {
+      throw new Error(`Mint ${toPublicKey(mint).toBase58()} has tickets from several organizers; pass the organizer`);
+    }
+    return new PublicKey(tickets[0].pda);
+  }
+
+  // Sign with this client's wallet (fee payer) plus `signers`, then send
+  // through the shared pipeline: priority fee, compute limit, rebroadcast
+  async send(builder, signers = []) {
+    const instruction = await builder.instruction();
+    return sendTransaction(this.connection, [instruction], {
+      ...this.sendOptions,
+      payer: this.wallet,
+      signers,
+      commitment: this.commitment,
+      errors: IDL.errors,
+      logger: this.logger,
+    });
+  }
+
+  // Raw decoded account (BN fields) or null when the PDA does not exist
+  async fetchTicketAccount(pda) {
+    const accountInfo = await this.connection.getAccountInfo(pda);
+    if (!accountInfo) return null;
+    return this.program.account.ticket.fetch(pda);
+  }
+
+  async fetchTicket({ mint, organizer = this.publicKey, pda = null, collection = this.collection }) {
+    const ticketPda = pda ? toPublicKey(pda) : this.derivePda(mint, organizer);
+    const ticketData = await this.fetchTicketAccount(ticketPda);
+    if (!ticketData) return null;
+
+    await this.verifyCollection(ticketData.mint, collection);
+    return TicketMarketClient.formatTicket(ticketPda, ticketData);
+  }
+
+  // Throws CollectionMismatchError unless `mint`'s metadata names
+  // `collection` as its verified collection, else returns the metadata;
+  // no-op without a collection
+  async verifyCollection(mint, collection = this.collection) {
+    if (!collection) return null;
+    const expected = toPublicKey(collection);
+    const metadata = await fetchMetadata(this.connection, mint, this.commitment);
+    const member = metadata ? unwrapOption(metadata.collection) : null;
+
+    if (!member || !member.verified || member.key !== expected.toBase58()) {
+      const actual = member ? `${member.key}${member.verified ? "" : " (unverified)"}` : "none";
+      throw new CollectionMismatchError(
+        `Ticket NFT ${toPublicKey(mint).toBase58()} is not a verified member of collection ${expected.toBase58()} (collection: ${actual})`,
+        { mint: toPublicKey(mint), expected, actual: member ? new PublicKey(member.key) : null }
+      );
+    }
+    return metadata;
+  }
+
+  // Prices as bigint lamports (*Lamports) plus decimal SOL strings for display.
+  // royalty / sellerProceeds are what a sale at the current price pays out.
+  static formatTicket(pda, ticketData) {
+    const priceLamports = fromBN(ticketData.price);
+    const originalPriceLamports = fromBN(ticketData.originalPrice);
+    const maxResalePriceLamports = maxResalePrice(originalPriceLamports, ticketData.maxMarkup);
+    const owner = ticketData.owner.toBase58();
+    const organizer = ticketData.organizer.toBase58();
+    const { royaltyLamports, sellerProceedsLamports } = TicketMarketClient.saleProceeds(
+      { owner, organizer, royaltyBps: ticketData.royaltyBps },
+      priceLamports
+    );
+
+    return {
+      pda: toPublicKey(pda).toBase58(),
+      owner,
+      organizer,
+      price: formatSol(priceLamports),
+      priceLamports,
+      originalPrice: formatSol(originalPriceLamports),
+      originalPriceLamports,
+      maxResalePrice: formatSol(maxResalePriceLamports),
+      maxResalePriceLamports,
+      resaleAllowed: ticketData.resaleAllowed,
+      maxMarkup: ticketData.maxMarkup,
+      isListed: ticketData.isListed,
+      mint: ticketData.mint.toBase58(),
+      event: ticketData.event.toBase58(),
+      royaltyBps: ticketData.royaltyBps,
+      royalty: formatSol(royaltyLamports),
+      royaltyLamports,
+      sellerProceeds: formatSol(sellerProceedsLamports),
+      sellerProceedsLamports,
+    };
+  }
+
+  // How buy_ticket splits `priceLamports` for a formatted ticket. When the
+  // organizer is the seller the royalty lands in the same wallet, so they
+  // keep the whole price.
+  static saleProceeds({ owner, organizer, royaltyBps }, priceLamports) {
+    if (owner === organizer) {
+      return { royaltyLamports: 0n, sellerProceedsLamports: BigInt(priceLamports) };
+    }
+    return royaltySplit(priceLamports, royaltyBps);
+  }
+
+  // --- Events ---
+
+  // Event PDA from `pda`, else from `name` and `organizer`
+  resolveEventPda({ name = null, organizer = this.publicKey, pda = null }) {
+    if (pda) return toPublicKey(pda);
+    if (!name) throw new Error("An event name or PDA is required");
+    return this.deriveEventPda(name, organizer);
+  }
+
+  async fetchEventAccount(pda) {
+    const accountInfo = await this.connection.getAccountInfo(pda);
+    if (!accountInfo) return null;
+    return this.program.account.event.fetch(pda);
+  }
+
+  async fetchEvent(options) {
+    const eventPda = this.resolveEventPda(options);
+    const eventData = await this.fetchEventAccount(eventPda);
+    if (!eventData) return null;
+    return TicketMarketClient.formatEvent(eventPda, eventData);
+  }
+
+  // startTime / resaleClosesAt as ISO strings plus the raw unix timestamps;
+  // resaleCutoff is in seconds before the start
+  static formatEvent(pda, eventData) {
+    const startTimestamp = Number(fromBN(eventData.startTime));
+    const resaleCutoff = Number(fromBN(eventData.resaleCutoff));
+    return {
+      pda: toPublicKey(pda).toBase58(),
+      organizer: eventData.organizer.toBase58(),
+      name: eventData.name,
+      startTime: new Date(startTimestamp * 1000).toISOString(),
+      startTimestamp,
+      capacity: eventData.capacity,
+      ticketsMinted: eventData.ticketsMinted,
+      remaining: eventData.capacity - eventData.ticketsMinted,
+      resaleCutoff,
+      resaleClosesAt: new Date((startTimestamp - resaleCutoff) * 1000).toISOString(),
+      resaleClosesTimestamp: startTimestamp - resaleCutoff,
+    };
+  }
+
+  // Whether tickets of a formatted `event` can still be listed or bought at
+  // `now`, and for how many more seconds
+  static resaleStatus(event, now = Date.now()) {
+    const secondsUntilCutoff = Math.max(0, event.resaleClosesTimestamp - Math.floor(now / 1000));
+    return { resaleClosesAt: event.resaleClosesAt, secondsUntilCutoff, resaleOpen: secondsUntilCutoff > 0 };
+  }
+
+  // Mirrors check_resale_open: listing and buying stop at the resale cutoff
+  async assertResaleOpen(eventPda) {
+    const eventData = await this.fetchEventAccount(eventPda);
+    if (!eventData) {
+      throw new Error(`No event account found at PDA: ${eventPda.toBase58()}`);
+    }
+    const event = TicketMarketClient.formatEvent(eventPda, eventData);
+    if (!TicketMarketClient.resaleStatus(event).resaleOpen) {
+      throw new ResaleClosedError(`Resale for "${event.name}" closed at ${event.resaleClosesAt}`, {
+        closesAt: new Date(event.resaleClosesAt),
+      });
+    }
+  }
+
+  // startTime: Date, ISO string or unix seconds. The name is part of the
+  // PDA, so it is limited to 32 bytes and can't change later. Resale closes
+  // `resaleCutoff` seconds before the start (at the start by default).
+  async prepareCreateEvent({ name, startTime, capacity, resaleCutoff = 0, organizer = this.publicKey }) {
+    if (!name || Buffer.byteLength(name, "utf8") > MAX_EVENT_NAME_BYTES) {
+      throw new InvalidEventError(`Event name must be 1-${MAX_EVENT_NAME_BYTES} bytes, got "${name ?? ""}"`);
+    }
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_U32) {
+      throw new InvalidEventError(`Event capacity must be a positive integer, got ${capacity}`);
+    }
+    checkResaleCutoff(resaleCutoff);
+    const organizerKey = toPublicKey(organizer);
+    const eventPda = this.deriveEventPda(name, organizerKey);
+
+    const existing = await this.fetchEventAccount(eventPda);
+    if (existing) return { builder: null, eventPda, alreadyExists: true };
+
+    const builder = this.program.methods
+      .createEvent(name, toBN(toUnixSeconds(startTime)), capacity, toBN(resaleCutoff))
+      .accounts({
+        event: eventPda,
+        organizer: organizerKey,
+        systemProgram: SystemProgram.programId,
+      });
+
+    return { builder, eventPda, alreadyExists: false };
+  }
+
+  async createEvent(options) {
+    const { builder, eventPda, alreadyExists } = await this.prepareCreateEvent({ ...options, organizer: this.publicKey });
+    if (alreadyExists) {
+      return { eventPda: eventPda.toBase58(), signature: null, alreadyExists: true };
+    }
+
+    const signature = await this.send(builder);
+    return { eventPda: eventPda.toBase58(), signature, alreadyExists: false };
+  }
+
+  // Unsigned create_event transaction for an external `organizer` wallet;
+  // `transaction` is null when the event already exists
+  async buildCreateEvent({ organizer, ...options }) {
+    const { builder, eventPda, alreadyExists } = await this.prepareCreateEvent({ ...options, organizer });
+    if (alreadyExists) {
+      return { eventPda: eventPda.toBase58(), transaction: null, alreadyExists: true };
+    }
+
+    const built = await this.buildTransaction(builder, organizer);
+    return { ...built, eventPda: eventPda.toBase58(), alreadyExists: false };
+  }
+
+  // Reschedule, resize or move the resale cutoff of an event; omitted values
+  // stay as they are
+  async prepareUpdateEvent({ name = null, pda = null, startTime = null, capacity = null, resaleCutoff = null, organizer = this.publicKey }) {
+    const organizerKey = toPublicKey(organizer);
+    const eventPda = this.resolveEventPda({ name, organizer: organizerKey, pda });
+    const eventData = await this.fetchEventAccount(eventPda);
+    if (!eventData) {
+      throw new Error(`No event account found at PDA: ${eventPda.toBase58()}`);
+    }
+
+    if (!eventData.organizer.equals(organizerKey)) {
+      throw new InvalidEventError(`Event ${eventPda.toBase58()} belongs to organizer ${eventData.organizer.toBase58()}`);
+    }
+    const newCapacity = capacity ?? eventData.capacity;
+    if (!Number.isInteger(newCapacity) || newCapacity < Math.max(1, eventData.ticketsMinted) || newCapacity > MAX_U32) {
+      throw new InvalidEventError(
+        `Event capacity must be an integer of at least ${Math.max(1, eventData.ticketsMinted)} (tickets already created), got ${newCapacity}`
+      );
+    }
+    const newStartTime = startTime === null ? eventData.startTime : toBN(toUnixSeconds(startTime));
+    const newResaleCutoff = resaleCutoff === null ? eventData.resaleCutoff : toBN(checkResaleCutoff(resaleCutoff));
+
+    const builder = this.program.methods
+      .updateEvent(newStartTime, newCapacity, newResaleCutoff)
+      .accounts({
+        event: eventPda,
+        organizer: organizerKey,
+      });
+
+    return { builder, eventPda };
+  }
+
+  async updateEvent(options) {
+    const { builder, eventPda } = await this.prepareUpdateEvent({ ...options, organizer: this.publicKey });
+    const signature = await this.send(builder);
+    return { eventPda: eventPda.toBase58(), signature };
+  }
+
+  // Unsigned update_event transaction for an external `organizer` wallet
+  async buildUpdateEvent({ organizer, ...options }) {
+    const { builder, eventPda } = await this.prepareUpdateEvent({ ...options, organizer });
+    const built = await this.buildTransaction(builder, organizer);
+    return { ...built, eventPda: eventPda.toBase58() };
+  }
+
+  // Query Ticket accounts by owner / organizer / mint / listing status, all
+  // as getProgramAccounts memcmp filters. Results are ordered by PDA and
+  // paged with `after` (the last PDA of the previous page) and `limit`.
+  async findTickets({ owner = null, organizer = null, mint = null, event = null, listed = null, limit = 50, after = null } = {}) {
+    const { bs58 } = anchor.utils.bytes;
+    const filters = [
+      { memcmp: { offset: 0, bytes: bs58.encode(anchor.BorshAccountsCoder.accountDiscriminator("Ticket")) } },
+    ];
+
+    if (owner) {
+      filters.push({ memcmp: { offset: TICKET_LAYOUT.owner.offset, bytes: toPublicKey(owner).toBase58() } });
+    }
+    if (organizer) {
+      filters.push({ memcmp: { offset: TICKET_LAYOUT.organizer.offset, bytes: toPublicKey(organizer).toBase58() } });
+    }
+    if (mint) {
+      filters.push({ memcmp: { offset: TICKET_LAYOUT.mint.offset, bytes: toPublicKey(mint).toBase58() } });
+    }
+    if (event) {
+      filters.push({ memcmp: { offset: TICKET_LAYOUT.event.offset, bytes: toPublicKey(event).toBase58() } });
+    }
+    if (listed !== null && listed !== undefined) {
+      filters.push({ memcmp: { offset: TICKET_LAYOUT.isListed.offset, bytes: bs58.encode(Buffer.from([listed ? 1 : 0])) } });
+    }
+
+    // First pass: addresses only, enough to page
+    const candidates = await this.connection.getProgramAccounts(this.programId, {
+      commitment: this.commitment,
+      filters,
+      dataSlice: { offset: 0, length: 0 },
+    });
+
+    const pdas = candidates.map(({ pubkey }) => pubkey.toBase58()).sort();
+    const start = after ? pdas.findIndex(pda => pda > after) : 0;
+    const page = start === -1 ? [] : pdas.slice(start, start + limit);
+
+    // Second pass: full account data for just this page
+    const tickets = [];
+    for (let i = 0; i < page.length; i += MAX_MULTIPLE_ACCOUNTS) {
+      const keys = page.slice(i, i + MAX_MULTIPLE_ACCOUNTS).map(pda => new PublicKey(pda));
+      const infos = await this.connection.getMultipleAccountsInfo(keys, this.commitment);
+      infos.forEach((info, idx) => {
+        if (!info) return; // closed between the two passes
+        const ticketData = this.program.coder.accounts.decode("Ticket", info.data);
+        tickets.push(TicketMarketClient.formatTicket(keys[idx], ticketData));
+      });
+    }
+
+    const lastIndex = start === -1 ? pdas.length : start + page.length;
+    return {
+      tickets,
+      total: pdas.length,
+      nextCursor: lastIndex < pdas.length ? page[page.length - 1] : null,
+    };
+  }
+
+  // `price` is a decimal SOL string/number; `priceLamports` (bigint) wins if given.
+  // royaltyBps: organizer's cut of every sale, normally the NFT's sellerFeeBasisPoints
+  // event: PDA of the organizer's event the ticket counts against
+  // preflight: false skips the event checks (organizer, capacity)
+  async prepareCreateTicket({
+    mint,
+    event,
+    price,
+    priceLamports = null,
+    resaleAllowed = true,
+    maxMarkup = 20,
+    royaltyBps = 0,
+    organizer = this.publicKey,
+    preflight = true,
+  }) {
+    const lamports = priceLamports ?? parseSol(price);
+    if (!Number.isInteger(royaltyBps) || royaltyBps < 0 || royaltyBps > MAX_ROYALTY_BPS) {
+      throw new InvalidRoyaltyError(`Royalty must be an integer between 0 and ${MAX_ROYALTY_BPS} basis points, got ${royaltyBps}`);
+    }
+    const mintPubkey = toPublicKey(mint);
+    const organizerKey = toPublicKey(organizer);
+    const ticketPda = this.derivePda(mintPubkey, organizerKey);
+
+    const existing = await this.fetchTicketAccount(ticketPda);
+    if (existing) return { builder: null, ticketPda, alreadyExists: true };
+
+    if (!event) throw new Error("create_ticket requires the event PDA (see createEvent)");
+    const eventPda = toPublicKey(event);
+    if (preflight) await this.assertEventOpen(eventPda, organizerKey);
+
+    const builder = this.program.methods
+      .createTicket(
+        toBN(lamports),
+        resaleAllowed,
+        maxMarkup,
+        mintPubkey,
+        royaltyBps
+      )
+      .accounts({
+        ticket: ticketPda,
+        event: eventPda,
+        organizer: organizerKey,
+        systemProgram: SystemProgram.programId,
+      });
+
+    return { builder, ticketPda, alreadyExists: false };
+  }
+
+  // The event exists, belongs to `organizerKey` and has capacity left
+  async assertEventOpen(eventPda, organizerKey) {
+    const eventData = await this.fetchEventAccount(eventPda);
+    if (!eventData) {
+      throw new Error(`No event account found at PDA: ${eventPda.toBase58()}`);
+    }
+    if (!eventData.organizer.equals(organizerKey)) {
+      throw new InvalidEventError(`Event ${eventPda.toBase58()} belongs to organizer ${eventData.organizer.toBase58()}`);
+    }
+    if (eventData.ticketsMinted >= eventData.capacity) {
+      throw new EventSoldOutError(`Event "${eventData.name}" is sold out (${eventData.capacity} tickets)`, {
+        capacity: eventData.capacity,
+      });
+    }
+  }
+
+  async createTicket(options) {
+    const { builder, ticketPda, alreadyExists } = await this.prepareCreateTicket({ ...options, organizer: this.publicKey });
+    if (alreadyExists) {
+      return { ticketPda: ticketPda.toBase58(), signature: null, alreadyExists: true };
+    }
+
+    const signature = await this.send(builder);
+    return { ticketPda: ticketPda.toBase58(), signature, alreadyExists: false };
+  }
+
+  // Unsigned create_ticket transaction for an external `organizer` wallet;
+  // `transaction` is null when the PDA already exists. createEvent: options
+  // for an event that does not exist yet, created in the same transaction
+  // (batch dry runs simulate seats before the real run creates the event)
+  async buildCreateTicket({ organizer, createEvent = null, ...options }) {
+    const { builder, ticketPda, alreadyExists } = await this.prepareCreateTicket({
+      ...options,
+      organizer,
+      preflight: createEvent ? false : options.preflight,
+    });
+    if (alreadyExists) {
+      return { ticketPda: ticketPda.toBase58(), transaction: null, alreadyExists: true };
+    }
+
+    const eventSetup = createEvent ? await this.prepareCreateEvent({ ...createEvent, organizer }) : null;
+    const built = await this.buildTransaction(eventSetup?.builder ? [eventSetup.builder, builder] : builder, organizer);
+    return { ...built, ticketPda: ticketPda.toBase58(), alreadyExists: false };
+  }
+
+  // Token account holding `mint` (amount 1), or null when nobody holds it
+  async findHolderTokenAccount(mint) {
+    const { value } = await this.connection.getTokenLargestAccounts(toPublicKey(mint), this.commitment);
+    const holder = value.find(account => account.amount === "1");
+    return holder ? holder.address : null;
+  }
+
+  // register_ticket: a Ticket PDA for an NFT that is already in a buyer's
+  // wallet (a Candy Machine drop). The holder of `holderTokenAccount`
+  // (found from the mint when omitted) becomes the ticket owner; pricing and
+  // `event` work as in prepareCreateTicket. The NFT must be a verified
+  // member of `collection` (the client's collection, else the one its
+  // metadata names), whose update authority is the organizer.
+  async prepareRegisterTicket({
+    mint,
+    event,
+    holderTokenAccount = null,
+    collection = this.collection,
+    price,
+    priceLamports = null,
+    resaleAllowed = true,
+    maxMarkup = 20,
+    royaltyBps = 0,
+    organizer = this.publicKey,
+    preflight = true,
+  }) {
+    const lamports = priceLamports ?? parseSol(price);
+    if (!Number.isInteger(royaltyBps) || royaltyBps < 0 || royaltyBps > MAX_ROYALTY_BPS) {
+      throw new InvalidRoyaltyError(`Royalty must be an integer between 0 and ${MAX_ROYALTY_BPS} basis points, got ${royaltyBps}`);
+    }
+    const mintPubkey = toPublicKey(mint);
+    const organizerKey = toPublicKey(organizer);
+    const ticketPda = this.derivePda(mintPubkey, organizerKey);
+
+    const existing = await this.fetchTicketAccount(ticketPda);
+    if (existing) return { builder: null, ticketPda, owner: existing.owner, alreadyExists: true };
+
+    if (!event) throw new Error("register_ticket requires the event PDA (see createEvent)");
+    const eventPda = toPublicKey(event);
+    const holderAccount = holderTokenAccount
+      ? toPublicKey(holderTokenAccount)
+      : await this.findHolderTokenAccount(mintPubkey);
+    if (!holderAccount) {
+      throw new InvalidTicketHolderError(`No token account holds the NFT ${mintPubkey.toBase58()}`);
+    }
+
+    const tokens = await fetchTokenAccount(this.connection, holderAccount, this.commitment);
+    const metadata = await fetchMetadata(this.connection, mintPubkey, this.commitment);
+    const member = metadata ? unwrapOption(metadata.collection) : null;
+    const collectionMint = collection ? toPublicKey(collection) : member && new PublicKey(member.key);
+    if (!collectionMint) {
+      throw new CollectionMismatchError(`Ticket NFT ${mintPubkey.toBase58()} is not in a collection; register_ticket only accepts collection NFTs`, { mint: mintPubkey });
+    }
+
+    if (preflight) {
+      await this.assertEventOpen(eventPda, organizerKey);
+      const mintInfo = await fetchMint(this.connection, mintPubkey, this.commitment);
+      if (!mintInfo || mintInfo.decimals !== 0 || mintInfo.supply !== 1n) {
+        throw new InvalidTicketMintError(`${mintPubkey.toBase58()} is not an NFT mint (0 decimals, supply 1)`);
+      }
+      if (!tokens || !tokens.mint.equals(mintPubkey) || tokens.amount !== 1n) {
+        throw new InvalidTicketHolderError(`${holderAccount.toBase58()} does not hold the NFT ${mintPubkey.toBase58()}`);
+      }
+      await this.verifyCollection(mintPubkey, collectionMint);
+      const collectionMetadata = await fetchMetadata(this.connection, collectionMint, this.commitment);
+      if (!collectionMetadata || collectionMetadata.updateAuthority !== organizerKey.toBase58()) {
+        throw new CollectionMismatchError(
+          `Collection ${collectionMint.toBase58()} is not controlled by the organizer ${organizerKey.toBase58()}`,
+          { mint: mintPubkey, expected: collectionMint, actual: collectionMint }
+        );
+      }
+    }
+
+    const builder = this.program.methods
+      .registerTicket(toBN(lamports), resaleAllowed, maxMarkup, royaltyBps)
+      .accounts({
+        ticket: ticketPda,
+        event: eventPda,
+        organizer: organizerKey,
+        mint: mintPubkey,
+        holderTokenAccount: holderAccount,
+        metadata: tokenMetadataPda(mintPubkey),
+        collectionMint,
+        collectionMetadata: tokenMetadataPda(collectionMint),
+        tokenMetadataProgram: TOKEN_METADATA_PROGRAM_ID,
+        systemProgram: SystemProgram.programId,
+      });
+
+    return { builder, ticketPda, owner: tokens?.owner ?? null, alreadyExists: false };
+  }
+
+  async registerTicket(options) {
+    const { builder, ticketPda, owner, alreadyExists } = await this.prepareRegisterTicket({ ...options, organizer: this.publicKey });
+    const result = { ticketPda: ticketPda.toBase58(), owner: owner?.toBase58() ?? null };
+    if (alreadyExists) return { ...result, signature: null, alreadyExists: true };
+
+    const signature = await this.send(builder);
+    return { ...result, signature, alreadyExists: false };
+  }
+
+  // Unsigned register_ticket transaction for an external `organizer` wallet;
+  // `transaction` is null when the PDA already exists
+  async buildRegisterTicket({ organizer, ...options }) {
+    const { builder, ticketPda, owner, alreadyExists } = await this.prepareRegisterTicket({ ...options, organizer });
+    const result = { ticketPda: ticketPda.toBase58(), owner: owner?.toBase58() ?? null };
+    if (alreadyExists) return { ...result, transaction: null, alreadyExists: true };
+
+    const built = await this.buildTransaction(builder, organizer);
+    return { ...built, ...result, alreadyExists: false };
+  }
+
+  // Preflight for list_ticket, shared by listTicket and buildListTicket.
+  // Listing approves the listing PDA as delegate for the NFT held in
+  // `ownerTokenAccount` (the owner's associated token account by default).
+  // Programmable NFTs go through list_programmable_ticket instead, which
+  // makes the ticket PDA their sale delegate.
+  // preflight: false skips the client-side checks so a simulation surfaces
+  // the program's own error instead (dry runs)
+  async prepareListTicket({
+    mint,
+    price,
+    priceLamports = null,
+    organizer = this.publicKey,
+    owner = this.publicKey,
+    ownerTokenAccount = null,
+    preflight = true,
+  }) {
+    const newPrice = priceLamports ?? parseSol(price);
+    const ownerKey = toPublicKey(owner);
+    const mintKey = toPublicKey(mint);
+    const ticketPda = this.derivePda(mintKey, organizer);
+    const tokenAccount = ownerTokenAccount ? toPublicKey(ownerTokenAccount) : associatedTokenAddress(mintKey, ownerKey);
+    const ticketData = await this.fetchTicketAccount(ticketPda);
+    if (!ticketData) {
+      throw new Error(`No ticket account found at PDA: ${ticketPda.toBase58()}`);
+    }
+
+    // Mirror the on-chain checks so callers get a readable error before sending
+    if (preflight) {
+      if (!ticketData.resaleAllowed) {
+        throw new ResaleNotAllowedError();
+      }
+
+      await this.assertResaleOpen(ticketData.event);
+      assertTicketOwner(ticketData, ownerKey);
+      assertWithinMarkup(ticketData, newPrice);
+
+      const tokens = await fetchTokenAccount(this.connection, tokenAccount, this.commitment);
+      if (!tokens || tokens.amount !== 1n) {
+        throw new NotTicketOwnerError(`${ownerKey.toBase58()} does not hold the ticket NFT in ${tokenAccount.toBase58()}`, {
+          owner: ticketData.owner,
+        });
+      }
+    }
+
+    const programmable = await fetchProgrammableAccounts(this.connection, mintKey, this.commitment);
+    const builder = programmable
+      ? this.program.methods
+        .listProgrammableTicket(toBN(newPrice))
+        .accounts({
+          ticket: ticketPda,
+          event: ticketData.event,
+          owner: ownerKey,
+          mint: mintKey,
+          ownerTokenAccount: tokenAccount,
+          ...programmable,
+          ownerTokenRecord: tokenRecordAddress(mintKey, tokenAccount),
+          tokenProgram: TOKEN_PROGRAM_ID,
+          systemProgram: SystemProgram.programId,
+          sysvarInstructions: SYSVAR_INSTRUCTIONS_PUBKEY,
+        })
+      : this.program.methods
+        .listTicket(toBN(newPrice))
+        .accounts({
+          ticket: ticketPda,
+          event: ticketData.event,
+          owner: ownerKey,
+          mint: mintKey,
+          ownerTokenAccount: tokenAccount,
+          listingAuthority: this.deriveListingAuthority(ticketPda),
+          tokenProgram: TOKEN_PROGRAM_ID,
+        });
+
+    return { builder, ticketPda, priceLamports: newPrice, programmable: Boolean(programmable) };
+  }
+
+  async listTicket(options) {
+    const { builder } = await this.prepareListTicket({ ...options, owner: this.publicKey });
+    return this.send(builder);
+  }
+
+  // Unsigned list_ticket transaction for an external wallet (`owner`) to sign
+  async buildListTicket({ owner, ...options }) {
+    const { builder, ticketPda, priceLamports } = await this.prepareListTicket({ ...options, owner });
+    const built = await this.buildTransaction(builder, owner);
+    return { ...built, pda: ticketPda.toBase58(), price: formatSol(priceLamports), priceLamports };
+  }
+
+  // Preflight for update_listing_price: same ownership and markup checks as
+  // listing, on a ticket that is already listed
+  async prepareUpdateListingPrice({ mint, price, priceLamports = null, organizer = this.publicKey, owner = this.publicKey, preflight = true }) {
+    const newPrice = priceLamports ?? parseSol(price);
+    const ownerKey = toPublicKey(owner);
+    const ticketPda = this.derivePda(mint, organizer);
+    const ticketData = await this.fetchTicketAccount(ticketPda);
+    if (!ticketData) {
+      throw new Error(`No ticket account found at PDA: ${ticketPda.toBase58()}`);
+    }
+
+    if (preflight) {
+      assertTicketOwner(ticketData, ownerKey);
+      if (!ticketData.isListed) {
+        throw new TicketNotListedError("Ticket is not listed; list it before changing its price");
+      }
+      assertWithinMarkup(ticketData, newPrice);
+      await this.assertResaleOpen(ticketData.event);
+    }
+
+    const builder = this.program.methods
+      .updateListingPrice(toBN(newPrice))
+      .accounts({
+        ticket: ticketPda,
+        event: ticketData.event,
+        owner: ownerKey,
+      });
+
+    return { builder, ticketPda, priceLamports: newPrice };
+  }
+
+  async updateListingPrice(options) {
+    const { builder } = await this.prepareUpdateListingPrice({ ...options, owner: this.publicKey });
+    return this.send(builder);
+  }
+
+  // Unsigned update_listing_price transaction for an external `owner` wallet
+  async buildUpdateListingPrice({ owner, ...options }) {
+    const { builder, ticketPda, priceLamports } = await this.prepareUpdateListingPrice({ ...options, owner });
+    const built = await this.buildTransaction(builder, owner);
+    return { ...built, pda: ticketPda.toBase58(), price: formatSol(priceLamports), priceLamports };
+  }
+
+  // Preflight for delist_ticket, which also revokes the listing PDA's
+  // delegation on `ownerTokenAccount` (the owner's associated token account
+  // by default); delist_programmable_ticket revokes the sale delegate
+  async prepareDelistTicket({ mint, organizer = this.publicKey, owner = this.publicKey, ownerTokenAccount = null, preflight = true }) {
+    const ownerKey = toPublicKey(owner);
+    const mintKey = toPublicKey(mint);
+    const ticketPda = this.derivePda(mintKey, organizer);
+    const ticketData = await this.fetchTicketAccount(ticketPda);
+    if (!ticketData) {
+      throw new Error(`No ticket account found at PDA: ${ticketPda.toBase58()}`);
+    }
+
+    if (preflight) {
+      assertTicketOwner(ticketData, ownerKey);
+      if (!ticketData.isListed) {
+        throw new TicketNotListedError();
+      }
+    }
+
+    const tokenAccount = ownerTokenAccount ? toPublicKey(ownerTokenAccount) : associatedTokenAddress(mintKey, ownerKey);
+    const programmable = await fetchProgrammableAccounts(this.connection, mintKey, this.commitment);
+    const builder = programmable
+      ? this.program.methods
+        .delistProgrammableTicket()
+        .accounts({
+          ticket: ticketPda,
+          owner: ownerKey,
+          mint: mintKey,
+          ownerTokenAccount: tokenAccount,
+          ...programmable,
+          ownerTokenRecord: tokenRecordAddress(mintKey, tokenAccount),
+          tokenProgram: TOKEN_PROGRAM_ID,
+          systemProgram: SystemProgram.programId,
+          sysvarInstructions: SYSVAR_INSTRUCTIONS_PUBKEY,
+        })
+      : this.program.methods
+        .delistTicket()
+        .accounts({
+          ticket: ticketPda,
+          owner: ownerKey,
+          mint: mintKey,
+          ownerTokenAccount: tokenAccount,
+          tokenProgram: TOKEN_PROGRAM_ID,
+        });
+
+    return { builder, ticketPda };
+  }
+
+  async delistTicket(options) {
+    const { builder } = await this.prepareDelistTicket({ ...options, owner: this.publicKey });
+    return this.send(builder);
+  }
+
+  // Unsigned delist_ticket transaction for an external `owner` wallet
+  async buildDelistTicket({ owner, ...options }) {
+    const { builder, ticketPda } = await this.prepareDelistTicket({ ...options, owner });
+    const built = await this.buildTransaction(builder, owner);
+    return { ...built, pda: ticketPda.toBase58() };
+  }
+
+  // Preflight for buy_ticket, shared by buyTicket and buildBuyTicket. The
+  // NFT moves from the seller's associated token account (or
+  // `sellerTokenAccount`) to the buyer's, created on the way if needed.
+  // Programmable NFTs use buy_programmable_ticket, where the ticket PDA (their
+  // sale delegate) signs a Token Metadata transfer checked by the rule set.
+  // maxPrice / maxPriceLamports caps what the buyer pays on-chain; it
+  // defaults to the price read here, so a reprice in between fails the buy.
+  // Without `organizer` the ticket is looked up by mint (resolveTicketPda).
+  async prepareBuyTicket({
+    mint,
+    buyer,
+    organizer = null,
+    sellerTokenAccount = null,
+    collection = this.collection,
+    maxPrice = null,
+    maxPriceLamports = null,
+    preflight = true,
+  }) {
+    const buyerKey = toPublicKey(buyer);
+    const mintKey = toPublicKey(mint);
+    const ticketPda = await this.resolveTicketPda({ mint: mintKey, organizer });
+    const ticketData = await this.fetchTicketAccount(ticketPda);
+    if (!ticketData) {
+      throw new Error(`No ticket account found at PDA: ${ticketPda.toBase58()}`);
+    }
+
+    const priceLamports = fromBN(ticketData.price);
+    const maxLamports = maxPriceLamports ?? (maxPrice === null ? priceLamports : parseSol(maxPrice));
+    const listingAuthority = this.deriveListingAuthority(ticketPda);
+    const sellerTokens = sellerTokenAccount
+      ? toPublicKey(sellerTokenAccount)
+      : associatedTokenAddress(mintKey, ticketData.owner);
+    const buyerTokens = associatedTokenAddress(mintKey, buyerKey);
+    const programmable = await fetchProgrammableAccounts(this.connection, mintKey, this.commitment);
+
+    if (preflight) {
+      // Verify the ticket is actually for sale
+      if (!ticketData.isListed) {
+        throw new TicketNotListedError();
+      }
+      if (priceLamports > maxLamports) {
+        throw new PriceAboveMaxError(
+          `Ticket costs ${formatSol(priceLamports)} SOL, above the max price of ${formatSol(maxLamports)} SOL`,
+          { priceLamports, maxPriceLamports: maxLamports }
+        );
+      }
+      await this.assertResaleOpen(ticketData.event);
+
+      if (ticketData.owner.equals(buyerKey)) {
+        throw new Error("Buyer already owns this ticket");
+      }
+
+      // Don't pay for a look-alike NFT that is not part of the event
+      await this.verifyCollection(mintKey, collection);
+
+      const buyerBalance = BigInt(await this.connection.getBalance(buyerKey));
+      if (buyerBalance < priceLamports) {
+        throw new InsufficientBalanceError(
+          `Insufficient balance: buyer has ${formatSol(buyerBalance)} SOL, ticket costs ${formatSol(priceLamports)} SOL`,
+          { address: buyerKey, balanceLamports: buyerBalance, requiredLamports: priceLamports }
+        );
+      }
+
+      const tokens = await fetchTokenAccount(this.connection, sellerTokens, this.commitment);
+      const approved = programmable
+        ? await this.isSaleDelegated(mintKey, sellerTokens, ticketPda)
+        : Boolean(tokens?.delegate?.equals(listingAuthority) && tokens.delegatedAmount >= 1n);
+      if (!tokens || tokens.amount !== 1n || !approved) {
+        throw new ListingNotApprovedError(
+          `Ticket NFT in ${sellerTokens.toBase58()} is not approved for sale; the owner needs to list it again`
+        );
+      }
+    }
+
+    const builder = programmable
+      ? this.program.methods
+        .buyProgrammableTicket(toBN(maxLamports))
+        .accounts({
+          ticket: ticketPda,
+          event: ticketData.event,
+          seller: ticketData.owner,
+          organizer: ticketData.organizer,
+          buyer: buyerKey,
+          mint: mintKey,
+          sellerTokenAccount: sellerTokens,
+          buyerTokenAccount: buyerTokens,
+          ...programmable,
+          sellerTokenRecord: tokenRecordAddress(mintKey, sellerTokens),
+          buyerTokenRecord: tokenRecordAddress(mintKey, buyerTokens),
+          tokenProgram: TOKEN_PROGRAM_ID,
+          associatedTokenProgram: ASSOCIATED_PROGRAM_ID,
+          systemProgram: SystemProgram.programId,
+          sysvarInstructions: SYSVAR_INSTRUCTIONS_PUBKEY,
+        })
+      : this.program.methods
+        .buyTicket(toBN(maxLamports))
+        .accounts({
+          ticket: ticketPda,
+          event: ticketData.event,
+          seller: ticketData.owner,
+          organizer: ticketData.organizer,
+          buyer: buyerKey,
+          mint: mintKey,
+          sellerTokenAccount: sellerTokens,
+          buyerTokenAccount: buyerTokens,
+          listingAuthority,
+          tokenProgram: TOKEN_PROGRAM_ID,
+          associatedTokenProgram: ASSOCIATED_PROGRAM_ID,
+          systemProgram: SystemProgram.programId,
+        });
+
+    const { royaltyLamports } = TicketMarketClient.saleProceeds({
+      owner: ticketData.owner.toBase58(),
+      organizer: ticketData.organizer.toBase58(),
+      royaltyBps: ticketData.royaltyBps,
+    }, priceLamports);
+
+    return { builder, ticketPda, seller: ticketData.owner, priceLamports, maxPriceLamports: maxLamports, royaltyLamports };
+  }
+
+  // A listed programmable NFT is locked in the Listed state with the ticket
+  // PDA as its sale delegate
+  async isSaleDelegated(mint, tokenAccount, ticketPda) {
+    const record = await fetchTokenRecord(this.connection, tokenRecordAddress(mint, tokenAccount), this.commitment);
+    return Boolean(record && record.state === TokenState.Listed && record.delegate?.equals(ticketPda));
+  }
+
+  // Buy a listed ticket with this client's wallet, which pays and is the
+  // only signer; the seller approved the sale when listing.
+  async buyTicket({ mint, organizer = null, collection = this.collection, maxPrice = null, maxPriceLamports = null }) {
+    const { builder, ticketPda, priceLamports, royaltyLamports } = await this.prepareBuyTicket({
+      mint,
+      buyer: this.publicKey,
+      organizer,
+      collection,
+      maxPrice,
+      maxPriceLamports,
+    });
+
+    const signature = await this.send(builder);
+
+    // Read back the new owner from the account
+    const updated = await this.program.account.ticket.fetch(ticketPda);
+
+    return {
+      signature,
+      newOwner: updated.owner.toBase58(),
+      price: formatSol(priceLamports),
+      priceLamports,
+      royalty: formatSol(royaltyLamports),
+      royaltyLamports,
+      pda: ticketPda.toBase58(),
+    };
+  }
+
+  // Unsigned buy_ticket transaction paid and signed by `buyer` alone
+  // Wallets sign later, so the on-chain max price matters most here
+  async buildBuyTicket({
+    mint,
+    buyer,
+    organizer = null,
+    collection = this.collection,
+    maxPrice = null,
+    maxPriceLamports = null,
+    preflight = true,
+  }) {
+    const { builder, ticketPda, seller, priceLamports, maxPriceLamports: maxLamports, royaltyLamports } = await this.prepareBuyTicket({
+      mint,
+      buyer,
+      organizer,
+      collection,
+      maxPrice,
+      maxPriceLamports,
+      preflight,
+    });
+    const built = await this.buildTransaction(builder, buyer);
+    return {
+      ...built,
+      pda: ticketPda.toBase58(),
+      seller: seller.toBase58(),
+      price: formatSol(priceLamports),
+      priceLamports,
+      maxPrice: formatSol(maxLamports),
+      maxPriceLamports: maxLamports,
+      royalty: formatSol(royaltyLamports),
+      royaltyLamports,
+    };
+  }
+
+  // Turn an Anchor method builder (or several, run in order) into a base64
+  // transaction with the compute budget applied and a fresh blockhash, ready
+  // for a wallet to sign
+  async buildTransaction(builder, feePayer) {
+    const instructions = await Promise.all([builder].flat().map(methods => methods.instruction()));
+    const { transaction, blockhash, lastValidBlockHeight } = await buildTransaction(this.connection, instructions, {
+      ...this.sendOptions,
+      payer: toPublicKey(feePayer),
+      commitment: this.commitment,
+    });
+
+    return { ...encodeTransaction(transaction), blockhash, lastValidBlockHeight };
+  }
+
+  // Dry run of a built (unsigned) transaction; program errors are decoded
+  // against this program's IDL
+  async simulateTransaction(transaction) {
+    return simulateTransaction(this.connection, transaction?.transaction ?? transaction, {
+      errors: IDL.errors,
+      commitment: this.commitment,
+    });
+  }
+
+  // Send a wallet-signed transaction (base64, bytes or object) and confirm it
+  async submitTransaction(transaction, { lastValidBlockHeight = null } = {}) {
+    return submitSigned(this.connection, transaction, {
+      commitment: this.commitment,
+      lastValidBlockHeight,
+      errors: IDL.errors,
+    });
+  }
+}
@@ -1,20 +1,38 @@
-import { listTicketForResale, getTicketInfo } from './mint_ticket.js';
+import {
+  listTicketForResale,
+  updateListingPrice,
+  delistTicket,
+  getTicketInfo,
+  buyTicket,
+  findTickets,
+  getWalletPublicKey,
+  configure,
+  setLogger,
+  resolveMintAddress,
+} from './mint_ticket.js';
+import { ExceedsMaxMarkupError, TicketMarketClient } from './client/ticket_market_client.js';
+import { readKeypairFromFile } from './utils/keypair.js';
+import { parseCliArgs } from './utils/config.js';
+import { createLoggerFromFlags } from './utils/logger.js';
+import { parseSol, formatSol, maxResalePrice, markupBasisPoints, bigintReplacer } from './utils/price.js';
 import dotenv from "dotenv";
 dotenv.config();
 
-// Your ticket details from the successful minting
-const TICKET_PDA = 'ACknp2DPs43LCFwDkECAvx7CpJemLGhZqYma3AwBysL5';
-const MINT_ADDRESS = '7w5wbaKNXa1UGp6RHmnGYKDibBs7RyUK1p5t4jHzeZks';
-const OWNER_PUBKEY = 'EwJ3knEKtjhEhoNRZ2NFjxMHEo7ceJKPGkqgL3jBSnjC';
+// Ticket to operate on: --mint (else last_mint.json) and --organizer (else profile default)
+let MINT_ADDRESS = null;
+let ORGANIZER = null;
+
+// --dry-run: simulate list/reprice/delist/buy instead of sending them
+let DRY_RUN = false;
 
 async function testMarketplace() {
-  console.log("🎪 Testing Ticket Marketplace Features");
+  console.log(DRY_RUN ? "🎪 Testing Ticket Marketplace Features (dry run)" : "🎪 Testing Ticket Marketplace Features");
   console.log("=====================================");
   
   try {
     // 1. Check current ticket status
     console.log("\n1️⃣ Checking current ticket status...");
-    const initialInfo = await getTicketInfo();
+    const initialInfo = await getTicketInfo(MINT_ADDRESS, { organizer: ORGANIZER });
     console.log("Initial Ticket Info:", {
       owner: initialInfo.owner,
       price: `${initialInfo.price} SOL`,
@@ -27,35 +45,57 @@ async function testMarketplace() {
 
     // 2. Test listing ticket for resale (within markup limit)
     console.log("\n2️⃣ Testing ticket listing for resale...");
-    const maxAllowedPrice = initialInfo.originalPrice * (1 + initialInfo.maxMarkup / 100);
-    const newPrice = maxAllowedPrice - 0.01; // Just under the limit
+    // Same integer math as the program: original + original * maxMarkup / 100
+    const maxAllowedPrice = maxResalePrice(initialInfo.originalPriceLamports, initialInfo.maxMarkup);
+    const newPrice = formatSol(maxAllowedPrice - parseSol("0.01")); // Just under the limit
     
     console.log(`   Original price: ${initialInfo.originalPrice} SOL`);
-    console.log(`   Max allowed price: ${maxAllowedPrice.toFixed(3)} SOL`);
-    console.log(`   Listing price: ${newPrice.toFixed(3)} SOL`);
+    console.log(`   Max allowed price: ${formatSol(maxAllowedPrice)} SOL`);
+    console.log(`   Listing price: ${newPrice} SOL`);
     
-    const listTx = await listTicketForResale(MINT_ADDRESS, newPrice);
+    if (DRY_RUN) {
+      const report = await listTicketForResale(MINT_ADDRESS, newPrice, { organizer: ORGANIZER, dryRun: true });
+      console.log(report.success ? "   ✅ Listing would succeed" : "   ❌ Listing would fail");
+
+      // 4. Over the cap the program itself must reject the listing
+      console.log("\n4️⃣ Simulating invalid listing (exceeding markup limit)...");
+      const invalidPrice = formatSol(maxAllowedPrice + 1n); // One lamport over the limit
+      const rejected = await listTicketForResale(MINT_ADDRESS, invalidPrice, { organizer: ORGANIZER, dryRun: true });
+      if (rejected.steps[0].programError?.name === "ExceedsMaxMarkup") {
+        console.log("   ✅ Program would reject it with ExceedsMaxMarkup");
+      } else {
+        console.log("   ❌ ERROR: Expected ExceedsMaxMarkup, got", rejected.steps[0].programError || "success");
+        process.exitCode = 1;
+      }
+
+      console.log("\n🧪 Dry run completed; nothing was sent");
+      return;
+    }
+
+    const listTx = await listTicketForResale(MINT_ADDRESS, newPrice, { organizer: ORGANIZER });
     console.log(`   ✅ Ticket listed successfully! Transaction: ${listTx}`);
 
     // 3. Verify the listing
     console.log("\n3️⃣ Verifying ticket listing...");
-    const listedInfo = await getTicketInfo();
+    const listedInfo = await getTicketInfo(MINT_ADDRESS, { organizer: ORGANIZER });
     console.log("Updated Ticket Info:", {
       owner: listedInfo.owner,
       currentPrice: `${listedInfo.price} SOL`,
       originalPrice: `${listedInfo.originalPrice} SOL`,
       isListed: listedInfo.isListed,
-      priceIncrease: `${((listedInfo.price / listedInfo.originalPrice - 1) * 100).toFixed(1)}%`
+      priceIncrease: `${(markupBasisPoints(listedInfo.priceLamports, listedInfo.originalPriceLamports) / 100).toFixed(2)}%`
     });
 
     // 4. Test invalid listing (exceeding markup limit)
     console.log("\n4️⃣ Testing invalid listing (exceeding markup limit)...");
     try {
-      const invalidPrice = maxAllowedPrice + 0.05; // Exceeds limit
-      console.log(`   Attempting to list at ${invalidPrice.toFixed(3)} SOL (exceeds limit)`);
-      await listTicketForResale(MINT_ADDRESS, invalidPrice);
+      const invalidPrice = formatSol(maxAllowedPrice + 1n); // One lamport over the limit
+      console.log(`   Attempting to list at ${invalidPrice} SOL (exceeds limit)`);
+      await listTicketForResale(MINT_ADDRESS, invalidPrice, { organizer: ORGANIZER });
       console.log("   ❌ ERROR: Should have failed!");
+      process.exitCode = 1;
     } catch (error) {
+      if (!(error instanceof ExceedsMaxMarkupError)) throw error;
       console.log(`   ✅ Correctly rejected: ${error.message}`);
     }
 
@@ -66,88 +106,294 @@ async function testMarketplace() {
     console.log("✅ Ticket ownership and listing status tracked");
     
   } catch (error) {
-    console.error("❌ Marketplace test failed:", error.message);
-    console.error("Error details:", error);
+    console.error(`❌ Marketplace test failed (${error.name}):`, error.message);
     if (error.logs) {
       console.error("Transaction logs:", error.logs);
     }
+    process.exitCode = 1;
   }
 }
 
 // Additional utility functions for marketplace operations
-async function checkAllTickets() {
-  console.log("🔍 Checking all tickets for this wallet...");
+function printTicketTable(tickets) {
+  for (const ticket of tickets) {
+    console.log(`  🎫 ${ticket.pda}`);
+    console.log(`     Mint: ${ticket.mint}`);
+    console.log(`     Owner: ${ticket.owner}`);
+    console.log(`     Price: ${ticket.price} SOL (original ${ticket.originalPrice} SOL, max ${ticket.maxResalePrice} SOL)`);
+    console.log(`     Status: ${ticket.isListed ? '🟢 For Sale' : '🔴 Not Listed'}`);
+  }
+}
+
+function printNextPage(result, command) {
+  if (result.nextCursor) {
+    console.log(`\n➡️ More results: node marketplace-test.js ${command} --after ${result.nextCursor}`);
+  }
+}
+
+async function checkAllTickets(flags) {
+  const owner = flags.owner || getWalletPublicKey().toBase58();
+  console.log(`🔍 Checking all tickets owned by ${owner}...`);
+  try {
+    const result = await findTickets({
+      owner,
+      organizer: ORGANIZER,
+      limit: flags.limit ? parseInt(flags.limit, 10) : 50,
+      after: flags.after || null,
+    });
+
+    if (result.total === 0) {
+      console.log("No tickets found for this wallet");
+      return;
+    }
+    printTicketTable(result.tickets);
+    printNextPage(result, 'check');
+  } catch (error) {
+    console.error("Failed to check tickets:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function showListings(flags) {
+  console.log("🏪 Live Listings Board");
+  console.log("======================");
   try {
-    const info = await getTicketInfo();
-    console.log("Ticket found:", {
-      pda: info.pda,
-      owner: info.owner,
-      price: `${info.price} SOL`,
-      listed: info.isListed ? '🟢 For Sale' : '🔴 Not Listed'
+    const result = await findTickets({
+      listed: true,
+      organizer: ORGANIZER,
+      mint: flags.mint || null,
+      limit: flags.limit ? parseInt(flags.limit, 10) : 50,
+      after: flags.after || null,
     });
+
+    if (result.total === 0) {
+      console.log("No tickets are listed for sale");
+      return;
+    }
+    printTicketTable(result.tickets);
+    printNextPage(result, 'listings');
   } catch (error) {
-    console.log("No tickets found for this wallet");
-    console.error("Debug error:", error);
+    console.error("Failed to load listings:", error.message);
+    process.exitCode = 1;
   }
 }
 
-async function getTicketMarketSummary() {
+// price: listing price to show the seller's net proceeds for (default: current)
+async function getTicketMarketSummary(price = null) {
   console.log("📊 Ticket Market Summary");
   console.log("========================");
   
   try {
-    const info = await getTicketInfo();
-    const markup = ((info.price / info.originalPrice - 1) * 100);
+    const info = await getTicketInfo(MINT_ADDRESS, { organizer: ORGANIZER, price });
+    const markup = markupBasisPoints(info.priceLamports, info.originalPriceLamports) / 100;
     
     console.log(`🎫 Ticket PDA: ${info.pda}`);
     console.log(`👤 Owner: ${info.owner}`);
     console.log(`💰 Current Price: ${info.price} SOL`);
-    console.log(`📈 Markup: ${markup.toFixed(1)}% (Max: ${info.maxMarkup}%)`);
+    console.log(`📈 Markup: ${markup.toFixed(2)}% (Max: ${info.maxMarkup}%)`);
     console.log(`🏪 Status: ${info.isListed ? 'Listed for Sale' : 'Not for Sale'}`);
     console.log(`🔄 Resale: ${info.resaleAllowed ? 'Allowed' : 'Restricted'}`);
     
     // Calculate remaining markup room
     const remainingMarkup = info.maxMarkup - markup;
-    const maxPossiblePrice = info.originalPrice * (1 + info.maxMarkup / 100);
     
     console.log("\n📊 Market Analysis:");
-    console.log(`   Max possible price: ${maxPossiblePrice.toFixed(3)} SOL`);
-    console.log(`   Remaining markup room: ${remainingMarkup.toFixed(1)}%`);
-    console.log(`   Price appreciation potential: ${(maxPossiblePrice - info.price).toFixed(3)} SOL`);
+    console.log(`   Max possible price: ${info.maxResalePrice} SOL`);
+    console.log(`   Remaining markup room: ${remainingMarkup.toFixed(2)}%`);
+    console.log(`   Price appreciation potential: ${formatSol(info.maxResalePriceLamports - info.priceLamports)} SOL`);
+
+    const atPrice = info.proceedsPrice ?? info.price;
+    const atMax = TicketMarketClient.saleProceeds(info, info.maxResalePriceLamports);
+    console.log("\n💵 Seller Proceeds:");
+    console.log(`   Organizer royalty: ${info.royaltyBps / 100}% (${info.organizer})`);
+    console.log(`   At ${atPrice} SOL: seller nets ${info.sellerProceeds} SOL, organizer gets ${info.royalty} SOL`);
+    console.log(`   At max price ${info.maxResalePrice} SOL: seller nets ${formatSol(atMax.sellerProceedsLamports)} SOL`);
     
   } catch (error) {
     console.error("Failed to get market summary:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function buyListedTicket(buyerKeypairPath, maxPrice = null) {
+  console.log("🛒 Buying Listed Ticket");
+  console.log("======================");
+
+  if (!buyerKeypairPath) {
+    console.error("❌ Usage: node marketplace-test.js buy <buyer-keypair.json> [--max-price SOL] [--mint address]");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const buyerKeypair = readKeypairFromFile(buyerKeypairPath);
+
+    if (DRY_RUN) {
+      const report = await buyTicket(MINT_ADDRESS, buyerKeypair, { organizer: ORGANIZER, maxPrice, dryRun: true });
+      if (!report.success || !report.sufficientBalance) process.exitCode = 1;
+      return;
+    }
+
+    const result = await buyTicket(MINT_ADDRESS, buyerKeypair, { organizer: ORGANIZER, maxPrice });
+
+    console.log("\n🎉 Purchase completed!");
+    console.log(`🔗 Transaction: ${result.signature}`);
+    console.log(`💰 Paid: ${result.price} SOL`);
+    console.log(`👤 New Owner: ${result.newOwner}`);
+  } catch (error) {
+    console.error("❌ Purchase failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function listOwnedTicket(price) {
+  console.log("🏷️ List Ticket For Resale");
+  console.log("========================");
+
+  if (!price) {
+    console.error("❌ Usage: node marketplace-test.js list <price-in-SOL> [--mint address] [--dry-run]");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const result = await listTicketForResale(MINT_ADDRESS, price, { organizer: ORGANIZER, dryRun: DRY_RUN });
+    if (DRY_RUN) {
+      if (!result.success || !result.sufficientBalance) process.exitCode = 1;
+      return;
+    }
+    console.log(`\n🎉 Listed at ${price} SOL`);
+    console.log(`🔗 Transaction: ${result}`);
+  } catch (error) {
+    console.error("❌ Listing failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function repriceListedTicket(price) {
+  console.log("💱 Update Listing Price");
+  console.log("======================");
+
+  if (!price) {
+    console.error("❌ Usage: node marketplace-test.js reprice <price-in-SOL> [--mint address] [--dry-run]");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const result = await updateListingPrice(MINT_ADDRESS, price, { organizer: ORGANIZER, dryRun: DRY_RUN });
+    if (DRY_RUN) {
+      if (!result.success || !result.sufficientBalance) process.exitCode = 1;
+      return;
+    }
+    console.log(`\n🎉 Now listed at ${price} SOL`);
+    console.log(`🔗 Transaction: ${result}`);
+  } catch (error) {
+    console.error("❌ Price update failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function delistOwnedTicket() {
+  console.log("🚫 Delist Ticket");
+  console.log("================");
+
+  try {
+    const result = await delistTicket(MINT_ADDRESS, { organizer: ORGANIZER, dryRun: DRY_RUN });
+    if (DRY_RUN) {
+      if (!result.success || !result.sufficientBalance) process.exitCode = 1;
+      return;
+    }
+    console.log("\n🎉 Ticket is no longer for sale");
+    console.log(`🔗 Transaction: ${result}`);
+  } catch (error) {
+    console.error("❌ Delisting failed:", error.message);
+    process.exitCode = 1;
   }
 }
 
 // Main execution
 async function main() {
-  const command = process.argv[2];
+  const { positional, flags } = parseCliArgs(process.argv.slice(2));
+  const command = positional[0];
+
+  if (['test', 'check', 'listings', 'summary', 'list', 'reprice', 'delist', 'buy', 'info'].includes(command)) {
+    try {
+      // Show the library's progress output (--log-level / --log-format)
+      setLogger(createLoggerFromFlags(flags));
+      configure(flags);
+      ORGANIZER = flags.organizer || null;
+      DRY_RUN = !!flags.dryRun;
+      // Search commands treat --mint as an optional filter instead
+      if (!['check', 'listings'].includes(command)) {
+        MINT_ADDRESS = resolveMintAddress(flags.mint || null);
+      }
+    } catch (error) {
+      console.error("❌", error.message);
+      process.exitCode = 1;
+      return;
+    }
+  }
   
   switch (command) {
     case 'test':
       await testMarketplace();
       break;
     case 'check':
-      await checkAllTickets();
+      await checkAllTickets(flags);
+      break;
+    case 'listings':
+      await showListings(flags);
       break;
     case 'summary':
-      await getTicketMarketSummary();
+      await getTicketMarketSummary(flags.price || positional[1] || null);
+      break;
+    case 'list':
+      await listOwnedTicket(flags.price || positional[1]);
+      break;
+    case 'reprice':
+      await repriceListedTicket(flags.price || positional[1]);
+      break;
+    case 'delist':
+      await delistOwnedTicket();
+      break;
+    case 'buy':
+      await buyListedTicket(flags.buyer || positional[1], flags.maxPrice ?? null);
       break;
     case 'info':
-      const info = await getTicketInfo();
-      console.log("Detailed Ticket Info:", JSON.stringify(info, null, 2));
+      try {
+        const info = await getTicketInfo(MINT_ADDRESS, { organizer: ORGANIZER, price: flags.price || null });
+        console.log("Detailed Ticket Info:", JSON.stringify(info, bigintReplacer, 2));
+      } catch (error) {
+        console.error("❌ Failed to get ticket info:", error.message);
+        process.exitCode = 1;
+      }
       break;
     default:
       console.log("🎫 Ticket Marketplace Tester");
       console.log("Usage:");
       console.log("  node marketplace-test.js test     - Run full marketplace test");
-      console.log("  node marketplace-test.js check    - Check ticket status");
-      console.log("  node marketplace-test.js summary  - Market summary");
+      console.log("  node marketplace-test.js check    - List all tickets owned by this wallet (--owner to override)");
+      console.log("  node marketplace-test.js listings - Live board of tickets listed for sale");
+      console.log("  node marketplace-test.js summary [price] - Market summary and seller proceeds (at price)");
       console.log("  node marketplace-test.js info     - Raw ticket info");
+      console.log("  node marketplace-test.js list <price> - List this wallet's ticket for resale");
+      console.log("  node marketplace-test.js reprice <price> - Change the price of this wallet's listing");
+      console.log("  node marketplace-test.js delist   - Take this wallet's ticket off the market");
+      console.log("  node marketplace-test.js buy <buyer-keypair.json> [--max-price SOL] - Buy a listed ticket, paying at most max-price (default: the price shown)");
+      console.log("");
+      console.log("Options (all commands):");
+      console.log("  --profile <localnet|devnet|mainnet>  Cluster profile from config/profiles.json");
+      console.log("  --mint <address>                     Ticket mint (default: last_mint.json)");
+      console.log("  --organizer <address>                Organizer that created the ticket PDA");
+      console.log("  --limit <n> / --after <pda>          Page through check/listings results");
+      console.log("  --dry-run                            Simulate test/list/reprice/delist/buy and report fees; send nothing");
   }
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
-}
\ No newline at end of file
+  main().catch(error => {
+    console.error("❌", error.message || error);
+    process.exitCode = 1;
+  });
+}
@@ -1,42 +1,128 @@
 import { setGlobalDispatcher, Agent } from "undici";
 import fs from "fs";
 import fsp from "fs/promises";
-import axios from "axios";
-import FormData from "form-data";
+import path from "path";
 import {
   Connection,
   LAMPORTS_PER_SOL,
   Keypair,
   PublicKey,
-  SystemProgram,
 } from "@solana/web3.js";
 
 // Umi + adapters
 import { createUmi } from "@metaplex-foundation/umi-bundle-defaults";
-import { keypairIdentity, generateSigner } from "@metaplex-foundation/umi";
-import { fromWeb3JsKeypair } from "@metaplex-foundation/umi-web3js-adapters";
+import {
+  keypairIdentity,
+  signerIdentity,
+  createNoopSigner,
+  generateSigner,
+  percentAmount,
+  publicKey as umiPublicKey,
+} from "@metaplex-foundation/umi";
+import {
+  fromWeb3JsKeypair,
+  toWeb3JsKeypair,
+  toWeb3JsInstruction,
+} from "@metaplex-foundation/umi-web3js-adapters";
 
 // Metaplex Token Metadata
 import {
   mplTokenMetadata,
   createNft,
+  createProgrammableNft,
+  verifyCollectionV1,
+  findMetadataPda,
+  fetchMetadataFromSeeds,
+  updateV1,
   TokenStandard,
 } from "@metaplex-foundation/mpl-token-metadata";
+import { mplTokenAuthRules } from "@metaplex-foundation/mpl-token-auth-rules";
+import { mplCandyMachine } from "@metaplex-foundation/mpl-candy-machine";
 
-// Anchor for smart contract interaction - FIXED IMPORT
-import * as anchor from "@project-serum/anchor";
-const { BN } = anchor.default;  // Extract BN from anchor.default
+// Shared ticket_market SDK (IDL, provider, PDA derivation)
+import {
+  TicketMarketClient,
+  IDL,
+  readOnlyWallet,
+  InsufficientBalanceError,
+  EventSoldOutError,
+  InvalidEventError,
+} from "./client/ticket_market_client.js";
 
 // Utils + env
+import { loadSeatManifest } from "./utils/manifest.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+import { createStorageFromEnv } from "./utils/storage.js";
+import { resolveProfile, parseCliArgs } from "./utils/config.js";
+import { runDoctor, hasFailures } from "./utils/doctor.js";
+import {
+  DEFAULT_RULE_SET_NAME,
+  fetchTicketRuleSet,
+  writeTicketRuleSet,
+} from "./utils/rule-set.js";
+import {
+  MAX_NAME_BYTES,
+  ticketDropGuards,
+  configLineSettings,
+  createDropBuilder,
+  configLineBuilders,
+  fetchTicketDrop,
+  dropMintBuilders,
+} from "./utils/candy-machine.js";
+import { createRpcPool } from "./utils/rpc-pool.js";
+import { parseSol, formatSol, bigintReplacer } from "./utils/price.js";
+import { silentLogger, forwardingLogger, createLoggerFromFlags } from "./utils/logger.js";
+import { encodeTransaction } from "./utils/transactions.js";
+import {
+  sendTransaction,
+  buildTransaction,
+  submitSigned as sendSignedTransaction,
+} from "./utils/send.js";
+import {
+  openJournal,
+  createJournalId,
+  getJournalEntry,
+  recordStage,
+  recordFailure,
+  stageReached,
+  listIncompleteEntries,
+} from "./utils/journal.js";
 import dotenv from "dotenv";
 dotenv.config();
 
-const CLUSTER = process.env.CLUSTER;
-const RPC_URL = process.env.RPC_URL;
-const PINATA_JWT = process.env.PINATA_JWT;
-const PINATA_GATEWAY = process.env.PINATA_GATEWAY;
-const KEYPAIR_PATH = process.env.KEYPAIR_PATH;
-const PROGRAM_ID = new PublicKey("GRb8e96kJJvofUenMx6QM7mRu9mwKCdzY6KC4PGTD3KL");
+const MINT_JOURNAL_PATH = process.env.MINT_JOURNAL_PATH || "mint_journal.json";
+
+// Active cluster profile (see utils/config.js); resolved lazily for library use
+let activeConfig = null;
+
+// Select and validate a profile; CLI entry points call this with parsed flags
+export function configure(options = {}) {
+  activeConfig = resolveProfile(options);
+  rpcPool = null;
+  poolConnection = null;
+  return activeConfig;
+}
+
+export function getConfig() {
+  if (!activeConfig) configure();
+  return activeConfig;
+}
+
+// Silent when imported as a library; the CLI (or an app that wants progress
+// output) installs a logger from utils/logger.js with setLogger
+let logger = silentLogger;
+const log = forwardingLogger(() => logger);
+
+export function setLogger(next) {
+  logger = next || silentLogger;
+}
+
+// Program logs attached to a failed send or simulation
+function logErrorLogs(error) {
+  if (error?.logs?.length) {
+    log.error(`  📋 Transaction logs:\n${error.logs.map(line => `    ${line}`).join("\n")}`, { logs: error.logs });
+  }
+}
 
 // Enhanced undici configuration for better reliability
 setGlobalDispatcher(
@@ -75,76 +161,52 @@ function readKeypairFromFile(filePath) {
   }
 }
 
-// Enhanced connection function with retry logic
-async function createRobustConnection(rpcUrl, maxRetries = 3) {
-  console.log("🔗 Creating connection to:", rpcUrl);
-  
-  // Try multiple RPC endpoints if the main one fails
-  const rpcEndpoints = [
-    rpcUrl,
-    "https://api.devnet.solana.com",
-    "https://devnet.helius-rpc.com/?api-key=75376d66-68db-40ef-8746-5fe60eadeb8d", // Free backup
-    "https://rpc-devnet.helius.xyz/?api-key=75376d66-68db-40ef-8746-5fe60eadeb8d"
-  ];
-
-  for (const endpoint of rpcEndpoints) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`  📡 Trying ${endpoint} (attempt ${attempt}/${maxRetries})`);
-        
-        const connection = new Connection(endpoint, {
-          commitment: "confirmed",
-          confirmTransactionInitialTimeout: 120000,
-          wsEndpoint: undefined, // Disable WebSocket to avoid connection issues
-          httpHeaders: {
-            "User-Agent": "solana-ticket-minter/1.0.0"
-          }
-        });
-
-        // Test the connection
-        const slot = await connection.getSlot();
-        console.log(`  ✅ Connected successfully! Current slot: ${slot}`);
-        return connection;
-
-      } catch (error) {
-        console.log(`  ❌ Connection failed: ${error.message}`);
-        
-        if (attempt === maxRetries && endpoint === rpcEndpoints[rpcEndpoints.length - 1]) {
-          throw new Error(`All RPC endpoints failed. Last error: ${error.message}`);
-        }
-        
-        // Wait before retry
-        if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
-        }
-      }
-    }
+// One health-scored RPC pool per active profile (see utils/rpc-pool.js); the
+// web3.js Connection and every Umi instance share it
+let rpcPool = null;
+let poolConnection = null;
+
+function getConnection() {
+  if (!poolConnection) {
+    const { rpcUrls } = getConfig();
+    rpcPool = createRpcPool(rpcUrls);
+    poolConnection = rpcPool.connection("confirmed", {
+      httpHeaders: { "User-Agent": "solana-ticket-minter/1.0.0" },
+    });
+    log.info(`🔗 RPC pool: ${rpcUrls.join(", ")}`, { rpcUrls });
   }
+  return poolConnection;
+}
+
+// Per-endpoint health (latency, error rate, rate limiting) of the active pool
+export function getRpcStats() {
+  return rpcPool ? rpcPool.stats() : [];
 }
 
-async function ensureSufficientBalance(connection, publicKey, minBalance = 0.01) {
-  console.log("💰 Checking balance...");
+// minBalance is a SOL amount (decimal string or number)
+async function ensureSufficientBalance(connection, publicKey, minBalance = "0.01") {
+  log.info("💰 Checking balance...");
   
+  const minLamports = parseSol(minBalance);
   let lamports;
   let retries = 3;
   
   while (retries > 0) {
     try {
-      lamports = await connection.getBalance(publicKey);
+      lamports = BigInt(await connection.getBalance(publicKey));
       break;
     } catch (error) {
-      console.log(`  ⚠️ Balance check failed, retrying... (${retries} attempts left)`);
+      log.warn(`  ⚠️ Balance check failed, retrying... (${retries} attempts left)`);
       retries--;
       if (retries === 0) throw error;
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
   }
   
-  const sol = lamports / LAMPORTS_PER_SOL;
-  console.log(`  📊 Current balance: ${sol.toFixed(4)} SOL`);
+  log.info(`  📊 Current balance: ${formatSol(lamports)} SOL`);
   
-  if (sol < minBalance && RPC_URL && (RPC_URL.includes("127.0.0.1") || RPC_URL.includes("localhost"))) {
-    console.log("🪂 Requesting localnet airdrop...");
+  if (lamports < minLamports && getConfig().isLocal) {
+    log.info("🪂 Requesting localnet airdrop...");
     try {
       const sig = await connection.requestAirdrop(publicKey, 2 * LAMPORTS_PER_SOL);
       const latest = await connection.getLatestBlockhash();
@@ -154,590 +216,2456 @@ async function ensureSufficientBalance(connection, publicKey, minBalance = 0.01)
         lastValidBlockHeight: latest.lastValidBlockHeight,
       });
       const newBal = await connection.getBalance(publicKey);
-      console.log(`  ✅ Airdrop completed. New balance: ${(newBal / LAMPORTS_PER_SOL).toFixed(4)} SOL`);
+      log.info(`  ✅ Airdrop completed. New balance: ${formatSol(newBal)} SOL`);
       return;
     } catch (e) {
-      console.warn("  ⚠️ Airdrop failed (continuing):", e.message || e);
+      log.warn(`  ⚠️ Airdrop failed (continuing): ${e.message || e}`);
     }
   }
   
-  if (sol < minBalance) {
-    throw new Error(`Insufficient balance: ${sol.toFixed(4)} SOL (minimum: ${minBalance} SOL)`);
+  if (lamports < minLamports) {
+    throw new InsufficientBalanceError(`Insufficient balance: ${formatSol(lamports)} SOL (minimum: ${formatSol(minLamports)} SOL)`, {
+      address: publicKey,
+      balanceLamports: lamports,
+      requiredLamports: minLamports,
+    });
   }
 }
 
-// --- IPFS Upload functions (enhanced with retry logic) ---
-export async function uploadToIPFS(filePath, fileName = "ticket.png", network = "public") {
-  if (!PINATA_JWT) throw new Error("PINATA_JWT not set in environment.");
-  console.log("🌐 Uploading file to Pinata:", filePath);
-
-  const formData = new FormData();
-  formData.append("file", fs.createReadStream(filePath));
-  formData.append("network", network);
-  formData.append("name", fileName);
-  formData.append(
-    "keyvalues",
-    JSON.stringify({ purpose: "ticket", uploadedBy: "myApp" })
-  );
+// --- IPFS Upload functions (backed by a pluggable storage backend) ---
+let storage = null;
 
-  let retries = 3;
-  while (retries > 0) {
-    try {
-      const res = await axios.post("https://uploads.pinata.cloud/v3/files", formData, {
-        headers: {
-          ...formData.getHeaders(),
-          Authorization: `Bearer ${PINATA_JWT}`,
-        },
-        maxBodyLength: Infinity,
-        timeout: 60000,
-      });
+// Swap the storage backend (e.g. createLocalStorage() for offline runs)
+export function setStorage(backend) {
+  storage = backend;
+}
 
-      const cid = res?.data?.data?.cid;
-      if (!cid) throw new Error(`Pinata response missing CID: ${JSON.stringify(res?.data)}`);
+export function getStorage() {
+  if (!storage) storage = createStorageFromEnv(process.env, { logger: log });
+  return storage;
+}
 
-      const url = `https://${PINATA_GATEWAY}/ipfs/${cid}`;
-      console.log("  ✅ Pinata file upload successful:", url);
-      return url;
-    } catch (err) {
-      retries--;
-      console.log(`  ⚠️ Upload failed, retrying... (${retries} attempts left)`);
-      
-      if (retries === 0) {
-        const msg = err?.response?.data ? JSON.stringify(err.response.data) : err.message || err;
-        throw new Error(`Pinata file upload failed: ${msg}`);
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 3000));
-    }
-  }
+export async function uploadToIPFS(filePath, fileName = "ticket.png", network = "public") {
+  return getStorage().uploadFile(filePath, fileName, network);
 }
 
 export async function uploadJSONToIPFS(metadata, fileName = "metadata.json", network = "public") {
-  if (!PINATA_JWT) throw new Error("PINATA_JWT not set in environment.");
-
-  console.log("📄 Uploading JSON metadata to Pinata...");
-  const formData = new FormData();
-  const blob = Buffer.from(JSON.stringify(metadata));
-  formData.append("file", blob, { filename: fileName, contentType: "application/json" });
-  formData.append("network", network);
-
-  let retries = 3;
-  while (retries > 0) {
-    try {
-      const res = await axios.post("https://uploads.pinata.cloud/v3/files", formData, {
-        headers: {
-          ...formData.getHeaders(),
-          Authorization: `Bearer ${PINATA_JWT}`,
-        },
-        maxBodyLength: Infinity,
-        timeout: 60000,
-      });
-
-      const cid = res?.data?.data?.cid;
-      if (!cid) throw new Error(`Pinata response missing CID: ${JSON.stringify(res?.data)}`);
+  return getStorage().uploadJSON(metadata, fileName, network);
+}
 
-      const url = `https://${PINATA_GATEWAY}/ipfs/${cid}`;
-      console.log("  ✅ Pinata metadata upload successful:", url);
-      return url;
-    } catch (err) {
-      retries--;
-      console.log(`  ⚠️ Metadata upload failed, retrying... (${retries} attempts left)`);
-      
-      if (retries === 0) {
-        const msg = err?.response?.data ? JSON.stringify(err.response.data) : err.message || err;
-        throw new Error(`Pinata metadata upload failed: ${msg}`);
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 3000));
-    }
-  }
+export async function readJSONFromIPFS(uri) {
+  return getStorage().readJSON(uri);
 }
 
 // --- Smart Contract Integration ---
 
-// Updated IDL matching your Rust program exactly
-const IDL = {
-  version: "0.1.0",
-  name: "ticket_market",
-  instructions: [
-    {
-      name: "createTicket",
-      accounts: [
-        { name: "ticket", isMut: true, isSigner: false },
-        { name: "organizer", isMut: true, isSigner: true },
-        { name: "systemProgram", isMut: false, isSigner: false }
-      ],
-      args: [
-        { name: "price", type: "u64" },
-        { name: "resaleAllowed", type: "bool" },
-        { name: "maxMarkup", type: "u8" },
-        { name: "mint", type: "publicKey" }
-      ]
-    },
-    {
-      name: "listTicket",
-      accounts: [
-        { name: "ticket", isMut: true, isSigner: false },
-        { name: "owner", isMut: false, isSigner: true }
-      ],
-      args: [{ name: "newPrice", type: "u64" }]
-    },
-    {
-      name: "buyTicket",
-      accounts: [
-        { name: "ticket", isMut: true, isSigner: false },
-        { name: "owner", isMut: true, isSigner: true },
-        { name: "buyer", isMut: true, isSigner: true },
-        { name: "systemProgram", isMut: false, isSigner: false }
-      ],
-      args: []
-    }
-  ],
-  accounts: [
-    {
-      name: "Ticket",
-      type: {
-        kind: "struct",
-        fields: [
-          { name: "owner", type: "publicKey" },
-          { name: "price", type: "u64" },
-          { name: "resaleAllowed", type: "bool" },
-          { name: "maxMarkup", type: "u8" },
-          { name: "originalPrice", type: "u64" },
-          { name: "isListed", type: "bool" },
-          { name: "mint", type: "publicKey" }
-        ]
-      }
-    }
-  ],
-  errors: [
-    { code: 6000, name: "ResaleNotAllowed", msg: "Ticket resale is not allowed." },
-    { code: 6001, name: "NotTicketOwner", msg: "You are not the ticket owner." },
-    { code: 6002, name: "ExceedsMaxMarkup", msg: "Price exceeds allowed markup." },
-    { code: 6003, name: "TicketNotListed", msg: "Ticket is not listed for sale." }
-  ]
-};
+// Priority fee settings from the active profile for the send pipeline
+function sendOptions() {
+  const { priorityFee, maxPriorityFee } = getConfig();
+  return { priorityFee, maxPriorityFee };
+}
+
+// Build the shared SDK client for a wallet/connection pair
+function createTicketClient(connection, wallet) {
+  return new TicketMarketClient({
+    connection,
+    signer: wallet,
+    programId: getConfig().programId,
+    sendOptions: sendOptions(),
+    logger: log,
+    collection: getConfig().collection,
+  });
+}
 
 // Fixed function to create ticket in smart contract
 async function createSmartContractTicket(
   connection,
   wallet,
   mintAddress,
+  eventPda,
   price,
   resaleAllowed = true,
-  maxMarkup = 20
+  maxMarkup = 20,
+  royaltyBps = 0
 ) {
-  console.log("🔗 Creating smart contract ticket...");
-  
-  const provider = new anchor.AnchorProvider(
-    connection,
-    new anchor.Wallet(wallet),
-    { 
-      commitment: "confirmed",
-      preflightCommitment: "confirmed",
-      skipPreflight: false
-    }
-  );
+  log.info("🔗 Creating smart contract ticket...");
   
-  const program = new anchor.Program(IDL, PROGRAM_ID, provider);
-  const mintPubkey = new PublicKey(mintAddress);
-  const [ticketPda] = PublicKey.findProgramAddressSync(
-    [
-      Buffer.from("ticket"), 
-      wallet.publicKey.toBuffer(),
-      mintPubkey.toBuffer()
-    ],
-    PROGRAM_ID
-  );
+  const client = createTicketClient(connection, wallet);
+  const ticketPda = client.derivePda(mintAddress);
   
-  console.log("  📍 Ticket PDA:", ticketPda.toBase58());
-  console.log("  🏷️ Using mint:", mintPubkey.toBase58());
+  log.info(`  📍 Ticket PDA: ${ticketPda.toBase58()}`);
+  log.info(`  🏷️ Using mint: ${mintAddress}`);
   
   try {
-    const accountInfo = await connection.getAccountInfo(ticketPda);
-    if (accountInfo) {
-      console.log("  ⚠️ Ticket PDA already exists, fetching existing data...");
-      try {
-        const ticketData = await program.account.ticket.fetch(ticketPda);
-        console.log("  📋 Existing ticket data:", {
-          owner: ticketData.owner.toBase58(),
-          price: ticketData.price.toNumber() / LAMPORTS_PER_SOL,
-          mint: ticketData.mint.toBase58()
-        });
-        return {
-          ticketPda: ticketPda.toBase58(),
-          signature: null,
-          alreadyExists: true
-        };
-      } catch (e) {
-        console.log("  ⚠️ Could not fetch existing ticket data");
-      }
-    }
-    
-    // Create new ticket with mint parameter
-    const tx = await program.methods
-      .createTicket(
-        new BN(price * LAMPORTS_PER_SOL),
-        resaleAllowed,
-        maxMarkup,
-        mintPubkey
-      )
-      .accounts({
-        ticket: ticketPda,
-        organizer: wallet.publicKey,
-        systemProgram: SystemProgram.programId,
-      })
-      .rpc({
-        commitment: "confirmed",
-        preflightCommitment: "confirmed",
-        skipPreflight: false
+    const result = await client.createTicket({
+      mint: mintAddress,
+      event: eventPda,
+      price,
+      resaleAllowed,
+      maxMarkup,
+      royaltyBps,
+    });
+
+    if (result.alreadyExists) {
+      log.info("  ⚠️ Ticket PDA already exists, fetching existing data...");
+      const existing = await client.fetchTicket({ pda: ticketPda });
+      log.info(`  📋 Existing ticket data: owner ${existing.owner}, price ${existing.price} SOL, mint ${existing.mint}`, {
+        pda: ticketPda,
+        owner: existing.owner,
+        mint: existing.mint,
       });
+    } else {
+      log.progress("pda_created", `  ✅ Smart contract ticket created: ${result.signature}`, {
+        mint: mintAddress,
+        pda: result.ticketPda,
+        signature: result.signature,
+      });
+    }
     
-    console.log("  ✅ Smart contract ticket created:", tx);
-    
-    return {
-      ticketPda: ticketPda.toBase58(),
-      signature: tx,
-      alreadyExists: false
-    };
+    return result;
   } catch (error) {
-    console.error("  ❌ Smart contract ticket creation failed:", error);
-    if (error.logs) {
-      console.error("  📋 Transaction logs:", error.logs);
-    }
+    log.error(`  ❌ Smart contract ticket creation failed: ${error.message || error}`);
+    logErrorLogs(error);
     throw error;
   }
 }
 
-// --- Enhanced mint function with smart contract integration ---
-async function mintTicketWithSmartContract({
-  imagePath,
+// NFT metadata JSON for a ticket; `event` is the on-chain event (as returned
+// by fetchEvent), `seat` an optional label, `creator` the organizer's address
+function createTicketMetadata({
   name,
   description,
-  eventDate,
-  seat,
-  price, // Price in SOL
+  event,
+  seat = null,
+  priceSol,
   resaleAllowed = true,
   maxMarkup = 20,
-  sellerFeeBasisPoints = 0,
+  extraAttributes = [],
+  imageUri,
+  creator,
 }) {
-  console.log("🎫 Starting integrated NFT ticket minting process...");
+  return {
+    name,
+    symbol: "TICKET",
+    description: `${description}\nEvent: ${event.name} (${event.startTime})${seat ? `\nSeat: ${seat}` : ""}\nPrice: ${priceSol} SOL`,
+    image: imageUri,
+    external_url: "https://your-event-website.com",
+    attributes: [
+      { trait_type: "Event", value: event.name },
+      { trait_type: "Event Date", value: event.startTime },
+      ...(seat ? [{ trait_type: "Seat", value: seat }] : []),
+      { trait_type: "Ticket Type", value: "Event Ticket" },
+      { trait_type: "Price", value: `${priceSol} SOL` },
+      { trait_type: "Resale Allowed", value: resaleAllowed ? "Yes" : "No" },
+      { trait_type: "Max Markup", value: `${maxMarkup}%` },
+      ...extraAttributes,
+    ],
+    properties: {
+      files: [{ uri: imageUri, type: "image/png" }],
+      creators: [{ address: creator, share: 100 }],
+      category: "ticket",
+    },
+  };
+}
 
-  // Basic param checks
-  if (!imagePath || !name || !description || !price) {
-    throw new Error("Missing required parameters: imagePath, name, description, price");
+// createNft builder with the Umi identity as creator, authority and payer.
+// With a `ruleSet` the ticket is a programmable NFT bound to that rule set
+// (see utils/rule-set.js), so it can only be resold through ticket_market.
+// The ticket joins the event `collection`; the Umi identity is also the
+// collection's authority, so membership is verified in the same transaction.
+function createTicketNft(umi, mint, { name, uri, sellerFeeBasisPoints = 0, ruleSet = null, collection }) {
+  const collectionMint = umiPublicKey(collection.toBase58());
+  const params = {
+    mint,
+    name,
+    symbol: "TICKET",
+    uri,
+    sellerFeeBasisPoints: percentAmount(sellerFeeBasisPoints / 100, 2),
+    creators: [
+      { address: umi.identity.publicKey, verified: true, share: 100 },
+    ],
+    primarySaleHappened: false,
+    isMutable: true,
+    collection: { key: collectionMint, verified: false },
+  };
+
+  const create = ruleSet
+    ? createProgrammableNft(umi, { ...params, ruleSet: umiPublicKey(ruleSet.toBase58()) })
+    : createNft(umi, { ...params, tokenStandard: TokenStandard.NonFungible });
+  return create.add(verifyCollectionV1(umi, {
+    metadata: findMetadataPda(umi, { mint: mint.publicKey }),
+    collectionMint,
+    authority: umi.identity,
+  }));
+}
+
+// Event collection for a mint: the explicit one, else the active profile's
+function requireCollection(collection = null) {
+  if (collection) return new PublicKey(collection);
+  const configured = getConfig().collection;
+  if (!configured) {
+    throw new Error("Tickets are minted into an event collection: run `node mint_ticket.js collection create`, then set collection in the profile (or COLLECTION / --collection)");
+  }
+  return configured;
+}
+
+// Event PDA from an address, else from an event name of `organizer`
+function resolveEventPda(client, event, organizer) {
+  if (!event) {
+    throw new Error("Tickets are minted for an on-chain event: pass its name or PDA (see `node mint_ticket.js event create`)");
+  }
+  if (event instanceof PublicKey) return event;
+  try {
+    return new PublicKey(event);
+  } catch {
+    return client.deriveEventPda(event, new PublicKey(organizer));
+  }
+}
+
+// The on-chain event a ticket is minted for. Checked before anything is
+// uploaded, so a missing, foreign or sold-out event costs nothing.
+// checkCapacity: false for a resumed mint whose NFT already exists
+async function requireEvent(client, event, organizer, { checkCapacity = true } = {}) {
+  const eventPda = resolveEventPda(client, event, organizer);
+  const eventInfo = await client.fetchEvent({ pda: eventPda });
+  if (!eventInfo) {
+    throw new Error(`No event account at ${eventPda.toBase58()}; run \`node mint_ticket.js event create --name <name> --start <date> --capacity <n>\` first`);
   }
+  if (eventInfo.organizer !== new PublicKey(organizer).toBase58()) {
+    throw new InvalidEventError(`Event "${eventInfo.name}" belongs to organizer ${eventInfo.organizer}`);
+  }
+  if (checkCapacity && eventInfo.remaining <= 0) {
+    throw new EventSoldOutError(`Event "${eventInfo.name}" is sold out (${eventInfo.capacity} tickets)`, {
+      capacity: eventInfo.capacity,
+    });
+  }
+  return eventInfo;
+}
+
+// A batch refuses to start unless the event has a seat for every ticket
+function requireSeats(eventInfo, count) {
+  if (eventInfo.remaining < count) {
+    throw new EventSoldOutError(`Event "${eventInfo.name}" has ${eventInfo.remaining} tickets left; the manifest has ${count}`, {
+      capacity: eventInfo.capacity,
+    });
+  }
+}
+
+// Batch workers take a seat from context.seats before minting the NFT, so
+// concurrent workers can't all pass the check for the last seat and leave
+// NFTs without a ticket. Returns a release for failures before the NFT mint.
+function holdSeat(context, eventInfo) {
+  const seats = context?.seats;
+  if (!seats || seats.event !== eventInfo.pda) return () => {};
+  if (seats.available <= 0) {
+    throw new EventSoldOutError(`Event "${eventInfo.name}" is sold out (${eventInfo.capacity} tickets)`, {
+      capacity: eventInfo.capacity,
+    });
+  }
+  seats.available--;
+  let released = false;
+  return () => {
+    if (!released) seats.available++;
+    released = true;
+  };
+}
+
+// A journal entry whose NFT is minted (or whose Ticket PDA exists) already
+// has its seat: create_ticket only needs to count it
+async function entryHasNft(client, entry) {
+  if (stageReached(entry, "nft_minted")) return true;
+  if (!entry?.mintAddress) return false;
+  return !!(await client.fetchTicketAccount(client.derivePda(entry.mintAddress)));
+}
+
+// The fields of a formatted event that minting reads, for an event that is
+// not on chain yet (see buildMintTicket's plannedEvent)
+function plannedEventInfo(client, { name, startTime, capacity }, organizer) {
+  return {
+    pda: client.deriveEventPda(name, new PublicKey(organizer)).toBase58(),
+    organizer: new PublicKey(organizer).toBase58(),
+    name,
+    startTime: new Date(startTime).toISOString(),
+    capacity,
+    ticketsMinted: 0,
+    remaining: capacity,
+  };
+}
+
+// Rule set for programmable tickets from the active profile
+function requireRuleSet() {
+  const { ruleSet } = getConfig();
+  if (!ruleSet) {
+    throw new Error("Programmable tickets need a rule set: run `node mint_ticket.js ruleset create`, then set ruleSet in the profile (or RULE_SET / --rule-set)");
+  }
+  return ruleSet;
+}
+
+// Batches share one upload per distinct image file (context.imageUploads)
+function uploadImageOnce(imagePath, context = null) {
+  let imageUpload = context?.imageUploads?.get(imagePath);
+  if (!imageUpload) {
+    imageUpload = uploadToIPFS(imagePath, path.basename(imagePath)).catch(err => {
+      context?.imageUploads?.delete(imagePath);
+      throw err;
+    });
+    context?.imageUploads?.set(imagePath, imageUpload);
+  }
+  return imageUpload;
+}
+
+// Umi builds the createNft instructions; they are sent as web3.js
+// instructions so they share the send pipeline with the Anchor calls
+function nftInstructions(umi, mint, nftParams) {
+  return createTicketNft(umi, mint, nftParams).getInstructions().map(toWeb3JsInstruction);
+}
 
+// --- Shared minting context (wallet, connection, Umi) ---
+export async function createMintContext({ minBalance = "0.05" } = {}) {
   // Keypair
-  validateKeypairFile(KEYPAIR_PATH);
-  const solKeypair = readKeypairFromFile(KEYPAIR_PATH);
-  console.log("👤 Wallet loaded. Public key:", solKeypair.publicKey.toBase58());
+  const config = getConfig();
+  validateKeypairFile(config.keypairPath);
+  const solKeypair = readKeypairFromFile(config.keypairPath);
+  log.info(`👤 Wallet loaded. Public key: ${solKeypair.publicKey.toBase58()}`, { wallet: solKeypair.publicKey });
 
-  // Enhanced connection
-  const connection = await createRobustConnection(RPC_URL);
+  const connection = getConnection();
 
   // Balance check
-  await ensureSufficientBalance(connection, solKeypair.publicKey, 0.05); // Increased minimum
+  await ensureSufficientBalance(connection, solKeypair.publicKey, minBalance);
 
   // UMI setup for NFT minting
-  console.log("⚙️ Setting up UMI for NFT minting...");
-  const umi = createUmi(RPC_URL).use(mplTokenMetadata());
+  log.info("⚙️ Setting up UMI for NFT minting...");
+  const umi = createUmi(connection).use(mplTokenMetadata()).use(mplTokenAuthRules()).use(mplCandyMachine());
   const umiKeypair = fromWeb3JsKeypair(solKeypair);
   umi.use(keypairIdentity(umiKeypair));
 
-  // Image check
+  return { solKeypair, connection, umi };
+}
+
+// --- On-chain events ---
+// Event account of the configured wallet. create_ticket counts every ticket
+// against its capacity; the name is part of the PDA (max 32 bytes).
+
+// "3d 4h", "2h 5m", "40s": the two largest units of a duration in seconds
+function formatDuration(seconds) {
+  const units = [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]];
+  const parts = [];
+  let rest = Math.max(0, Math.floor(seconds));
+  for (const [unit, size] of units) {
+    if (rest >= size || (unit === "s" && parts.length === 0)) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.slice(0, 2).join(" ");
+}
+
+function logEvent(eventInfo) {
+  log.info("  📋 Event data:");
+  log.info(`    Name: ${eventInfo.name}`);
+  log.info(`    Starts: ${eventInfo.startTime}`);
+  log.info(`    Resale closes: ${eventInfo.resaleClosesAt}${eventInfo.resaleCutoff ? ` (${formatDuration(eventInfo.resaleCutoff)} before the start)` : " (at the start)"}`);
+  log.info(`    Tickets: ${eventInfo.ticketsMinted}/${eventInfo.capacity} (${eventInfo.remaining} left)`);
+  log.info(`    Organizer: ${eventInfo.organizer}`);
+}
+
+// startTime: Date, ISO string or unix seconds; resaleCutoff: seconds before
+// the start at which listing and buying stop
+export async function createEvent({ name, startTime, capacity, resaleCutoff = 0 }, context = null) {
+  log.info(`🎪 Creating event "${name}"...`);
+
+  const { client } = context
+    ? { client: createTicketClient(context.connection, context.solKeypair) }
+    : await connectTicketClient();
+
+  try {
+    const result = await client.createEvent({ name, startTime, capacity, resaleCutoff });
+    if (result.alreadyExists) {
+      log.info(`  ⚠️ Event already exists: ${result.eventPda}`);
+    } else {
+      log.progress("event_created", `  ✅ Event created: ${result.eventPda}\n  🔗 Transaction: ${result.signature}`, {
+        event: result.eventPda,
+        signature: result.signature,
+      });
+    }
+    return result;
+  } catch (error) {
+    log.error(`  ❌ Event creation failed: ${error.message || error}`);
+    logErrorLogs(error);
+    throw error;
+  }
+}
+
+// Reschedule, resize or move the resale cutoff of one of the wallet's events
+// (name or PDA); capacity can't drop below the tickets already created
+export async function updateEvent(event, { startTime = null, capacity = null, resaleCutoff = null } = {}) {
+  log.info("🛠️ Updating event...");
+
+  try {
+    const { client } = await connectTicketClient();
+    const result = await client.updateEvent({
+      pda: resolveEventPda(client, event, client.publicKey),
+      startTime,
+      capacity,
+      resaleCutoff,
+    });
+    log.progress("event_updated", `  ✅ Event updated: ${result.eventPda}\n  🔗 Transaction: ${result.signature}`, {
+      event: result.eventPda,
+      signature: result.signature,
+    });
+    return result;
+  } catch (error) {
+    log.error(`  ❌ Event update failed: ${error.message || error}`);
+    logErrorLogs(error);
+    throw error;
+  }
+}
+
+// Event by PDA, or by name for `organizer` (default: profile organizer, else wallet)
+export async function getEvent(event, { organizer = null } = {}) {
+  log.info("🔍 Getting event information...");
+
+  try {
+    const { client } = await connectTicketClient();
+    const eventPda = resolveEventPda(client, event, resolveOrganizer(client, organizer));
+    log.info(`  📍 Looking up event PDA: ${eventPda.toBase58()}`);
+
+    const eventInfo = await client.fetchEvent({ pda: eventPda });
+    if (!eventInfo) throw new Error(`No event account found at PDA: ${eventPda.toBase58()}`);
+
+    logEvent(eventInfo);
+    return eventInfo;
+  } catch (error) {
+    log.error(`  ❌ Error in getEvent: ${error.message || error}`);
+    throw error;
+  }
+}
+
+// --- Event collection ---
+// Collection NFT for one event. Every ticket is minted into it and verified,
+// so a look-alike "TICKET" NFT minted by anyone else is not a member.
+export async function createEventCollection(params, context = null) {
+  const {
+    imagePath,
+    name,
+    description = "",
+    eventDate = "TBA",
+    sellerFeeBasisPoints = 0,
+  } = params;
+
+  if (!imagePath || !name) throw new Error("Missing required parameters: imagePath, name");
   if (!fs.existsSync(imagePath)) throw new Error(`Image file not found: ${imagePath}`);
 
-  // Upload image to IPFS
-  const imageUri = await uploadToIPFS(imagePath);
+  const { solKeypair, connection, umi } = context || await createMintContext();
+  log.info(`🗂️ Creating event collection "${name}"...`);
 
-  // Create enhanced metadata including smart contract info
-  const metadata = {
+  const imageUri = await uploadToIPFS(imagePath, path.basename(imagePath));
+  const metadataUri = await uploadJSONToIPFS({
     name,
     symbol: "TICKET",
-    description: `${description}\nEvent: ${eventDate}\nSeat: ${seat}\nPrice: ${price} SOL`,
+    description,
     image: imageUri,
-    external_url: "https://your-event-website.com",
-    attributes: [
-      { trait_type: "Event Date", value: eventDate },
-      { trait_type: "Seat", value: seat },
-      { trait_type: "Ticket Type", value: "Event Ticket" },
-      { trait_type: "Price", value: `${price} SOL` },
-      { trait_type: "Resale Allowed", value: resaleAllowed ? "Yes" : "No" },
-      { trait_type: "Max Markup", value: `${maxMarkup}%` },
-    ],
+    attributes: [{ trait_type: "Event Date", value: eventDate }],
     properties: {
       files: [{ uri: imageUri, type: "image/png" }],
       creators: [{ address: solKeypair.publicKey.toBase58(), share: 100 }],
-      category: "ticket",
+      category: "image",
     },
-  };
-
-  // Upload metadata to IPFS
-  const metadataUri = await uploadJSONToIPFS(metadata);
+  }, "collection.json");
 
-  // Generate mint signer
   const mint = generateSigner(umi);
-  console.log("🏷️ Generated mint address:", mint.publicKey.toString());
+  const signature = await sendTransaction(connection, createNft(umi, {
+    mint,
+    name,
+    symbol: "TICKET",
+    uri: metadataUri,
+    sellerFeeBasisPoints: percentAmount(sellerFeeBasisPoints / 100, 2),
+    creators: [
+      { address: umi.identity.publicKey, verified: true, share: 100 },
+    ],
+    isMutable: true,
+    isCollection: true,
+  }).getInstructions().map(toWeb3JsInstruction), {
+    ...sendOptions(),
+    payer: solKeypair,
+    signers: [toWeb3JsKeypair(mint)],
+    logger: log,
+  });
 
-  // Save last mint so client can pick it up automatically
-  try {
-    fs.writeFileSync("last_mint.json", JSON.stringify({ mint: mint.publicKey.toString() }));
-    console.log("  💾 Wrote last_mint.json with mint:", mint.publicKey.toString());
-  } catch (e) {
-    console.warn("  ⚠️ Failed to write last_mint.json:", e.message || e);
+  const collection = mint.publicKey.toString();
+  log.progress("collection_created", `  ✅ Event collection created: ${collection}`, {
+    collection,
+    signature,
+    metadataUri,
+  });
+
+  return { collection, signature, imageUri, metadataUri };
+}
+
+// --- Enhanced mint function with smart contract integration ---
+// Every stage is recorded in the mint journal so an interrupted run can be
+// resumed with `node mint_ticket.js resume` instead of re-uploading or re-minting.
+export async function mintTicketWithSmartContract(params, context = null, journalId = null) {
+  const {
+    imagePath,
+    name,
+    description,
+    event, // on-chain event name (of this wallet) or PDA
+    seat = null,
+    price, // Price in SOL (decimal string, e.g. "0.1")
+    resaleAllowed = true,
+    maxMarkup = 20,
+    sellerFeeBasisPoints = 0,
+    programmable = false,
+    collection = null,
+    extraAttributes = [],
+  } = params;
+
+  log.info("🎫 Starting integrated NFT ticket minting process...");
+
+  // Basic param checks
+  if (!imagePath || !name || !description || !price || !event) {
+    throw new Error("Missing required parameters: imagePath, name, description, price, event");
   }
 
-  try {
-    // Step 1: Create the pNFT
-    console.log("1️⃣ Creating pNFT...");
-    const nftResult = await createNft(umi, {
-      mint,
-      name,
-      symbol: "TICKET",
-      uri: metadataUri,
-      sellerFeeBasisPoints,
-      creators: [
-        { address: umi.identity.publicKey, verified: true, share: 100 },
-      ],
-      primarySaleHappened: false,
-      isMutable: true,
-      tokenStandard: TokenStandard.NonFungible,
-    }).sendAndConfirm(umi, {
-      send: { commitment: "confirmed" },
-      confirm: { commitment: "confirmed" },
+  // Normalize once so metadata, logs and the on-chain price agree to the lamport
+  const priceSol = formatSol(parseSol(price));
+  const ruleSet = programmable ? requireRuleSet() : null;
+  const collectionMint = requireCollection(collection);
+
+  // Reuse the caller's wallet/connection/Umi when minting in bulk
+  const { solKeypair, connection, umi } = context || await createMintContext();
+  const journal = context?.journal || openJournal(MINT_JOURNAL_PATH);
+  const ticketId = journalId || createJournalId();
+  let entry = getJournalEntry(journal, ticketId);
+
+  // `resume` must be able to finish an NFT it minted even if the event has
+  // filled up since; only a new NFT needs a free seat
+  const client = createTicketClient(connection, solKeypair);
+  const needsSeat = !(await entryHasNft(client, entry));
+  const eventInfo = await requireEvent(client, event, solKeypair.publicKey, { checkCapacity: needsSeat });
+  log.info(`  🎪 Event: ${eventInfo.name} (${eventInfo.startTime}), ${eventInfo.remaining}/${eventInfo.capacity} tickets left`);
+  const releaseSeat = needsSeat ? holdSeat(context, eventInfo) : () => {};
+
+  if (!entry) {
+    entry = recordStage(journal, ticketId, "started", {
+      params: {
+        ...params,
+        imagePath: path.resolve(imagePath),
+        collection: collectionMint.toBase58(),
+        event: eventInfo.pda,
+      },
+      organizer: solKeypair.publicKey.toBase58(),
     });
+  }
+  log.progress("started", `📒 Journal entry: ${ticketId} (stage: ${entry.stage})`, {
+    journalId: ticketId,
+    journalStage: entry.stage,
+  });
+
+  try {
+    // Upload image to IPFS
+    let imageUri = entry.imageUri;
+    if (!stageReached(entry, "image_uploaded")) {
+      // Image check
+      if (!fs.existsSync(imagePath)) throw new Error(`Image file not found: ${imagePath}`);
+
+      imageUri = await uploadImageOnce(imagePath, context);
+      entry = recordStage(journal, ticketId, "image_uploaded", { imageUri });
+    } else {
+      log.info(`  ⏭️ Image already uploaded: ${imageUri}`);
+    }
+
+    // Upload metadata to IPFS
+    let metadataUri = entry.metadataUri;
+    if (!stageReached(entry, "metadata_uploaded")) {
+      const metadata = createTicketMetadata({
+        ...params,
+        event: eventInfo,
+        priceSol,
+        imageUri,
+        creator: solKeypair.publicKey.toBase58(),
+      });
+
+      metadataUri = await uploadJSONToIPFS(metadata);
+      entry = recordStage(journal, ticketId, "metadata_uploaded", { metadataUri });
+    } else {
+      log.info(`  ⏭️ Metadata already uploaded: ${metadataUri}`);
+    }
+
+    // A pending mint may have landed before the previous run died
+    if (entry.stage === "nft_pending") {
+      const mintAccount = await connection.getAccountInfo(new PublicKey(entry.mintAddress));
+      if (mintAccount) {
+        log.info(`  🔎 Pending NFT found on-chain: ${entry.mintAddress}`);
+        entry = recordStage(journal, ticketId, "nft_minted", { nftSignature: entry.nftSignature || null });
+      } else {
+        log.info("  🔎 Pending NFT never landed, minting with a fresh signer");
+      }
+    }
+
+    let mintAddress = entry.mintAddress;
+    let nftSignature = entry.nftSignature || null;
+    if (!stageReached(entry, "nft_minted")) {
+      // Generate mint signer
+      const mint = generateSigner(umi);
+      mintAddress = mint.publicKey.toString();
+      log.progress("nft_pending", `🏷️ Generated mint address: ${mintAddress}`, { journalId: ticketId, mint: mintAddress });
+      entry = recordStage(journal, ticketId, "nft_pending", { mintAddress });
+
+      // Step 1: Create the NFT
+      log.info(ruleSet ? `1️⃣ Creating pNFT (rule set ${ruleSet.toBase58()})...` : "1️⃣ Creating NFT...");
+      nftSignature = await sendTransaction(connection, nftInstructions(umi, mint, {
+        name,
+        uri: metadataUri,
+        sellerFeeBasisPoints,
+        ruleSet,
+        collection: collectionMint,
+      }), {
+        ...sendOptions(),
+        payer: solKeypair,
+        signers: [toWeb3JsKeypair(mint)],
+        logger: log,
+      });
 
-    const nftSignature = Array.isArray(nftResult.signature) 
-      ? Buffer.from(nftResult.signature).toString('base64')
-      : nftResult.signature.toString();
+      entry = recordStage(journal, ticketId, "nft_minted", { nftSignature });
+      log.progress("nft_minted", `  ✅ ${ruleSet ? "pNFT" : "NFT"} created successfully!`, {
+        journalId: ticketId,
+        mint: mintAddress,
+        signature: nftSignature,
+      });
 
-    console.log("  ✅ pNFT created successfully!");
+      // Save last mint so client can pick it up automatically
+      try {
+        fs.writeFileSync("last_mint.json", JSON.stringify({ mint: mintAddress }));
+        log.info(`  💾 Wrote last_mint.json with mint: ${mintAddress}`);
+      } catch (e) {
+        log.warn(`  ⚠️ Failed to write last_mint.json: ${e.message || e}`);
+      }
+    } else {
+      log.info(`  ⏭️ NFT already minted: ${mintAddress}`);
+    }
 
     // Step 2: Create smart contract ticket
-    console.log("2️⃣ Creating smart contract ticket...");
+    log.info("2️⃣ Creating smart contract ticket...");
     const smartContractResult = await createSmartContractTicket(
       connection,
       solKeypair,
-      mint.publicKey.toString(),
-      price,
+      mintAddress,
+      eventInfo.pda,
+      priceSol,
       resaleAllowed,
-      maxMarkup
+      maxMarkup,
+      sellerFeeBasisPoints // the same royalty is enforced on resale
     );
 
-    console.log("\n🎉 Ticket minting completed successfully!");
-    console.log("=".repeat(60));
-    console.log("📋 TICKET DETAILS:");
-    console.log("   NFT Mint:", mint.publicKey.toString());
-    console.log("   Smart Contract PDA:", smartContractResult.ticketPda);
-    console.log("   NFT Transaction:", nftSignature);
-    console.log("   Smart Contract Transaction:", smartContractResult.signature);
-    console.log("   Image URI:", imageUri);
-    console.log("   Metadata URI:", metadataUri);
-    console.log("   Price:", `${price} SOL`);
-    console.log("   Resale Allowed:", resaleAllowed);
-    console.log("   Max Markup:", `${maxMarkup}%`);
-    console.log("=".repeat(60));
+    entry = recordStage(journal, ticketId, "pda_created", {
+      ticketPda: smartContractResult.ticketPda,
+      smartContractSignature: smartContractResult.signature,
+    });
+
+    log.progress("completed", [
+      "\n🎉 Ticket minting completed successfully!",
+      "=".repeat(60),
+      "📋 TICKET DETAILS:",
+      `   NFT Mint: ${mintAddress}${ruleSet ? " (programmable)" : ""}`,
+      `   Collection: ${collectionMint.toBase58()}`,
+      `   Event: ${eventInfo.name} (${eventInfo.pda})`,
+      `   Smart Contract PDA: ${smartContractResult.ticketPda}`,
+      `   NFT Transaction: ${nftSignature}`,
+      `   Smart Contract Transaction: ${smartContractResult.signature}`,
+      `   Image URI: ${imageUri}`,
+      `   Metadata URI: ${metadataUri}`,
+      `   Price: ${priceSol} SOL`,
+      `   Resale Allowed: ${resaleAllowed}`,
+      `   Max Markup: ${maxMarkup}%`,
+      `   Organizer Royalty: ${sellerFeeBasisPoints / 100}%`,
+      "=".repeat(60),
+    ].join("\n"), {
+      journalId: ticketId,
+      mint: mintAddress,
+      pda: smartContractResult.ticketPda,
+      nftSignature,
+      signature: smartContractResult.signature,
+      imageUri,
+      metadataUri,
+      price: priceSol,
+    });
 
     return {
-      mintAddress: mint.publicKey.toString(),
+      journalId: ticketId,
+      mintAddress,
       ticketPda: smartContractResult.ticketPda,
       nftSignature,
       smartContractSignature: smartContractResult.signature,
       imageUri,
       metadataUri,
-      price,
+      price: priceSol,
       resaleAllowed,
       maxMarkup,
+      programmable,
+      collection: collectionMint.toBase58(),
+      event: eventInfo.pda,
     };
   } catch (err) {
-    console.error("❌ Minting failed. Full error:", err);
-    if (err.logs) console.error("Transaction logs:", err.logs);
+    // Once an NFT may exist it keeps its seat until create_ticket counts it
+    if (!stageReached(entry, "nft_pending")) releaseSeat();
+    recordFailure(journal, ticketId, err);
+    log.error(`❌ Minting failed: ${err.message || err}`, { stage: "failed", journalId: ticketId, error: err });
+    logErrorLogs(err);
+    log.error(`📒 Progress saved to ${journal.path}; run \`node mint_ticket.js resume\` to finish.`);
     throw err;
   }
 }
 
-// --- Additional marketplace functions ---
+// --- Mint journal reconciliation ---
+// Checks every unfinished journal entry against chain state. With finish=true
+// the remaining stages are completed using the journaled uploads and mint.
+export async function reconcileMintJournal({ finish = true, journalPath = MINT_JOURNAL_PATH } = {}) {
+  log.info(finish ? "🔁 Resuming unfinished mints..." : "🔎 Reconciling mint journal...");
+  log.info(`  📒 Journal: ${journalPath}`);
 
-// List a ticket for resale
-const MINT_ADDRESS = '7w5wbaKNXa1UGp6RHmnGYKDibBs7RyUK1p5t4jHzeZks';
-const OWNER_PUBKEY = 'EwJ3knEKtjhEhoNRZ2NFjxMHEo7ceJKPGkqgL3jBSnjC';
+  const journal = openJournal(journalPath);
+  const pending = listIncompleteEntries(journal);
 
-// Helper function to get ticket PDA
-function getTicketPDA(organizerPublicKey, mintAddress, programId) {
-  const [ticketPDA] = PublicKey.findProgramAddressSync([
-    Buffer.from("ticket"),
-    organizerPublicKey.toBuffer(),
-    new PublicKey(mintAddress).toBuffer()
-  ], programId);
-  return ticketPDA;
-}
+  if (pending.length === 0) {
+    log.info("  ✅ No unfinished mints");
+    return [];
+  }
 
-export async function listTicketForResale(mintAddress, newPrice) {
-  console.log("📝 Listing ticket for resale...");
-  console.log("  🏷️ Mint:", mintAddress);
-  console.log("  💰 New Price:", newPrice, "SOL");
+  const context = await createMintContext({ minBalance: finish ? "0.05" : "0" });
+  context.journal = journal;
+  const wallet = context.solKeypair.publicKey.toBase58();
+  const report = [];
+
+  for (const entry of pending) {
+    const label = entry.params?.seat || entry.params?.name || entry.id;
+    let nftOnChain = false;
+    let pdaOnChain = false;
+
+    if (entry.mintAddress) {
+      nftOnChain = !!(await context.connection.getAccountInfo(new PublicKey(entry.mintAddress)));
+      if (nftOnChain) {
+        const ticketPda = TicketMarketClient.derivePda(entry.organizer, entry.mintAddress, getConfig().programId);
+        pdaOnChain = !!(await context.connection.getAccountInfo(ticketPda));
+      }
+    }
+
+    const status = {
+      id: entry.id,
+      label,
+      stage: entry.stage,
+      mintAddress: entry.mintAddress || null,
+      nftOnChain,
+      pdaOnChain,
+      lastError: entry.lastError || null,
+    };
+
+    log.info(`\n  🎫 ${label} [${entry.id}]`);
+    log.info(`     Stage: ${entry.stage}`);
+    log.info(`     NFT on-chain: ${nftOnChain ? "yes" : "no"} | Ticket PDA on-chain: ${pdaOnChain ? "yes" : "no"}`);
+    if (entry.lastError) log.info(`     Last error: ${entry.lastError}`);
+
+    if (finish) {
+      if (entry.organizer !== wallet) {
+        log.info(`     ⚠️ Skipping: entry belongs to organizer ${entry.organizer}`);
+        status.result = "skipped";
+      } else {
+        try {
+          const result = await mintTicketWithSmartContract(entry.params, context, entry.id);
+          status.result = "completed";
+          status.mintAddress = result.mintAddress;
+          status.ticketPda = result.ticketPda;
+        } catch (error) {
+          status.result = "failed";
+          status.lastError = error.message || String(error);
+        }
+      }
+    }
+
+    report.push(status);
+  }
+
+  return report;
+}
+
+// --- Batch minting from a seat manifest ---
+
+// mintTicketWithSmartContract params for one manifest seat
+function seatMintParams(ticket, event) {
+  const eventName = event.name || "Event";
+  return {
+    imagePath: ticket.image,
+    name: ticket.name || `${eventName} ${ticket.tier} ${ticket.seat}`,
+    description: ticket.description || event.description || `${ticket.tier} admission to ${eventName}`,
+    event: event.pda ?? eventName,
+    seat: ticket.seat,
+    price: ticket.price,
+    resaleAllowed: ticket.resaleAllowed,
+    maxMarkup: ticket.maxMarkup,
+    sellerFeeBasisPoints: event.sellerFeeBasisPoints ?? 0,
+    programmable: event.programmable ?? false,
+    collection: event.collection ?? null,
+    extraAttributes: [{ trait_type: "Tier", value: ticket.tier }],
+  };
+}
+
+// On-chain event and collection for a manifest's `event`, created up front
+// when missing and written back into `event` (pda, collection) so results
+// files record them. A new event's capacity defaults to the number of seats.
+async function prepareManifestEvent(event, tickets, context) {
+  const eventClient = createTicketClient(context.connection, context.solKeypair);
+  const eventPda = resolveEventPda(eventClient, event.pda ?? event.name ?? "Event", context.solKeypair.publicKey);
+  let eventInfo = await eventClient.fetchEvent({ pda: eventPda });
+  if (!eventInfo) {
+    if (!event.eventDate) throw new Error("The manifest event needs an eventDate to create the on-chain event");
+    const capacity = event.capacity ?? tickets.length;
+    requireSeats({ name: event.name || "Event", capacity, remaining: capacity }, tickets.length);
+    await createEvent({
+      name: event.name || "Event",
+      startTime: event.eventDate,
+      capacity,
+      resaleCutoff: Math.round((event.resaleCutoffHours ?? 0) * 3600),
+    }, context);
+    eventInfo = await eventClient.fetchEvent({ pda: eventPda });
+  }
+  event.pda = eventPda.toBase58();
+
+  // Unless the manifest or the profile already names one
+  if (!event.collection && !getConfig().collection) {
+    const created = await createEventCollection({
+      imagePath: event.image || tickets[0]?.image,
+      name: event.name || "Event",
+      description: event.description,
+      eventDate: event.eventDate,
+      sellerFeeBasisPoints: event.sellerFeeBasisPoints ?? 0,
+    }, context);
+    event.collection = created.collection;
+  }
+
+  return eventInfo;
+}
+
+// Dry run of a whole manifest: every seat is simulated, costs are totalled
+async function simulateMintBatch(manifestPath, { concurrency = 3, event: eventOverrides = {} } = {}) {
+  log.info("🧪 Dry run: simulating batch ticket minting...");
+  log.info(`  📄 Manifest: ${manifestPath}`);
+
+  const { event: manifestEvent, tickets } = loadSeatManifest(manifestPath);
+  const event = { ...manifestEvent, ...eventOverrides };
+
+  const organizer = getWalletPublicKey();
+  const context = {
+    solKeypair: { publicKey: organizer },
+    connection: getConnection(),
+  };
+
+  // A real run creates a missing event first (prepareManifestEvent), so
+  // seats are simulated against the manifest's name and capacity instead
+  const { client } = await connectExternalClient(organizer, context.connection);
+  const eventPda = resolveEventPda(client, event.pda ?? event.name ?? "Event", organizer);
+  let plannedEvent = null;
+  if (await client.fetchEvent({ pda: eventPda })) {
+    requireSeats(await requireEvent(client, eventPda, organizer), tickets.length);
+  } else {
+    if (!event.eventDate) throw new Error("The manifest event needs an eventDate to create the on-chain event");
+    plannedEvent = {
+      name: event.name || "Event",
+      startTime: event.eventDate,
+      capacity: event.capacity ?? tickets.length,
+      resaleCutoff: Math.round((event.resaleCutoffHours ?? 0) * 3600),
+    };
+    log.info(`  🎪 Event "${plannedEvent.name}" does not exist yet; a real run creates it for ${plannedEvent.capacity} tickets`);
+    requireSeats({ ...plannedEvent, remaining: plannedEvent.capacity }, tickets.length);
+  }
+
+  const results = await mapWithConcurrency(tickets, concurrency, async ticket => {
+    try {
+      const report = await simulateMintTicket(seatMintParams(ticket, event), context, { quiet: true, plannedEvent });
+      log.info(`  ${report.success ? "✅" : "❌"} Seat ${ticket.seat}: ${formatSol(report.totalLamports)} SOL`);
+      for (const step of report.steps.filter(step => !step.success)) logSimulation(step);
+      return { seat: ticket.seat, ...report };
+    } catch (error) {
+      log.error(`  ❌ Seat ${ticket.seat} failed to simulate: ${error.message || error}`);
+      return { seat: ticket.seat, success: false, error: error.message || String(error), totalLamports: 0n };
+    }
+  });
+
+  // Each seat's simulation creates the planned event; the real run pays its rent once
+  const eventRents = results.map(result => (result.steps ?? [])
+    .flatMap(step => step.rent)
+    .filter(account => account.address === eventPda.toBase58())
+    .reduce((sum, account) => sum + account.lamports, 0n));
+  const duplicateEventRent = eventRents.reduce((sum, rent) => sum + rent, 0n) - (eventRents.find(rent => rent > 0n) ?? 0n);
+  const totalLamports = results.reduce((sum, result) => sum + result.totalLamports, 0n) - duplicateEventRent;
+  const balanceLamports = BigInt(await context.connection.getBalance(organizer));
+  const failed = results.filter(result => !result.success).length;
+
+  log.info("\n🧪 Batch dry run finished; nothing was uploaded or sent");
+  log.info(`   🎫 Seats: ${results.length} (${failed} would fail)`);
+  log.info(`   📊 Estimated total cost: ${formatSol(totalLamports)} SOL`);
+  log.info(`   💰 Wallet balance: ${formatSol(balanceLamports)} SOL ${balanceLamports >= totalLamports ? "✅" : "❌ insufficient"}`);
+
+  return { dryRun: true, results, failed, totalLamports, balanceLamports };
+}
+
+export async function mintTicketBatch(manifestPath, {
+  concurrency = 3,
+  outputPath = null,
+  event: eventOverrides = {},
+  dryRun = false,
+} = {}) {
+  if (dryRun) return simulateMintBatch(manifestPath, { concurrency, event: eventOverrides });
+
+  log.info("📦 Starting batch ticket minting...");
+  log.info(`  📄 Manifest: ${manifestPath}`);
+
+  const { event: manifestEvent, tickets } = loadSeatManifest(manifestPath);
+  const event = { ...manifestEvent, ...eventOverrides };
+  const resultsPath = outputPath || manifestPath.replace(/\.(csv|json)$/i, "") + ".results.json";
+
+  log.info(`  🎫 ${tickets.length} tickets, up to ${concurrency} mints at a time`);
+  log.info(`  💾 Results file: ${resultsPath}`);
+
+  // Rough per-ticket cost: NFT mint + metadata + edition rent, ticket PDA rent and fees
+  const estimated = BigInt(tickets.length) * parseSol("0.02");
+  const floor = parseSol("0.05");
+  const context = await createMintContext({ minBalance: formatSol(estimated > floor ? estimated : floor) });
+  context.imageUploads = new Map();
+  context.journal = openJournal(MINT_JOURNAL_PATH);
+
+  const eventInfo = await prepareManifestEvent(event, tickets, context);
+  requireSeats(eventInfo, tickets.length);
+  context.seats = { event: eventInfo.pda, available: eventInfo.remaining };
+
+  const results = tickets.map((ticket, index) => ({
+    index,
+    seat: ticket.seat,
+    tier: ticket.tier,
+    journalId: createJournalId(),
+    status: "pending",
+  }));
+
+  const writeResults = () => {
+    fs.writeFileSync(resultsPath, JSON.stringify({ manifest: manifestPath, event, results }, null, 2));
+  };
+  writeResults();
+
+  await mapWithConcurrency(tickets, concurrency, async (ticket, index) => {
+    try {
+      const minted = await mintTicketWithSmartContract(seatMintParams(ticket, event), context, results[index].journalId);
+
+      results[index] = {
+        ...results[index],
+        status: "minted",
+        mintAddress: minted.mintAddress,
+        ticketPda: minted.ticketPda,
+        nftSignature: minted.nftSignature,
+        smartContractSignature: minted.smartContractSignature,
+        metadataUri: minted.metadataUri,
+      };
+    } catch (error) {
+      log.error(`  ❌ Seat ${ticket.seat} failed: ${error.message || error}`, { seat: ticket.seat, error });
+      results[index] = {
+        ...results[index],
+        status: "failed",
+        error: error.message || String(error),
+      };
+    }
+    writeResults();
+  });
+
+  const minted = results.filter(r => r.status === "minted").length;
+  const failed = results.length - minted;
+
+  log.progress("batch_finished", [
+    "\n📦 Batch minting finished!",
+    `   ✅ Minted: ${minted}`,
+    `   ❌ Failed: ${failed}`,
+    `   💾 Results written to ${resultsPath}`,
+  ].join("\n"), { minted, failed, resultsPath });
+  if (failed > 0) {
+    log.info("   🔁 Run `node mint_ticket.js resume` to finish failed tickets from the journal");
+  }
+
+  return { resultsPath, minted, failed, results };
+}
+
+// --- Candy Machine drops (primary sales) ---
+// The organizer loads a manifest's seats into a Candy Machine. Fans mint
+// straight from it, paying the organizer through its solPayment guard, and
+// `drop sync` then registers a Ticket PDA for every NFT the drop sold.
+
+// Rough cost of one drop mint on top of its price: NFT accounts rent and fees
+const DROP_MINT_FEE_BUFFER = parseSol("0.02");
+
+// Wallet addresses from a JSON array, or one address per line
+export function loadAllowList(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8").trim();
+  const entries = raw.startsWith("[") ? JSON.parse(raw) : raw.split(/\r?\n/);
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map(entry => new PublicKey(entry).toBase58());
+}
+
+// A drop file written by createTicketDrop, or a bare Candy Machine address
+function readDropRecord(dropOrAddress) {
+  if (!dropOrAddress) throw new Error("A drop file or Candy Machine address is required");
+  if (fs.existsSync(dropOrAddress)) return JSON.parse(fs.readFileSync(dropOrAddress, "utf8"));
+  return { candyMachine: new PublicKey(dropOrAddress).toBase58() };
+}
+
+// A Candy Machine sells every item at one price
+function dropPriceLamports(tickets, price = null) {
+  if (price) return parseSol(String(price));
+  if (new Set(tickets.map(ticket => ticket.price)).size > 1) {
+    throw new Error("A drop sells every seat at one price: pass --price, or split the tiers into separate manifests");
+  }
+  return parseSol(tickets[0].price);
+}
+
+// sale: { price, startDate, endDate, mintLimit, allowList (addresses) }, each
+// falling back to the manifest's event.drop, then to the seat price, no
+// start date, the event's start time as end date and no limits.
+// Every stage is recorded in the drop file, so re-running the same command
+// resumes an interrupted drop instead of uploading or creating it again.
+export async function createTicketDrop(manifestPath, {
+  outputPath = null,
+  programmable = false,
+  event: eventOverrides = {},
+  ...sale
+} = {}) {
+  log.info("🍬 Creating Candy Machine ticket drop...");
+  log.info(`  📄 Manifest: ${manifestPath}`);
+
+  const { event: manifestEvent, tickets } = loadSeatManifest(manifestPath);
+  const event = { ...manifestEvent, ...eventOverrides };
+  const saleOptions = { ...event.drop };
+  for (const [key, value] of Object.entries(sale)) {
+    if (value !== null && value !== undefined) saleOptions[key] = value;
+  }
+  const ruleSet = programmable || event.programmable ? requireRuleSet() : null;
+  const priceLamports = dropPriceLamports(tickets, saleOptions.price);
+
+  // Names are checked before anything is uploaded
+  for (const ticket of tickets) {
+    const { name } = seatMintParams(ticket, event);
+    if (Buffer.byteLength(name) > MAX_NAME_BYTES) {
+      throw new Error(`Seat ${ticket.seat}: name "${name}" is over ${MAX_NAME_BYTES} bytes; set a shorter name in the manifest`);
+    }
+  }
+
+  const dropPath = outputPath || manifestPath.replace(/\.(csv|json)$/i, "") + ".drop.json";
+  let record = fs.existsSync(dropPath) ? JSON.parse(fs.readFileSync(dropPath, "utf8")) : { manifest: manifestPath };
+  const writeRecord = () => fs.writeFileSync(dropPath, JSON.stringify(record, null, 2));
+  log.info(`  💾 Drop file: ${dropPath}${record.stage ? ` (resuming from stage: ${record.stage})` : ""}`);
+
+  // The machine's rent grows with its config lines
+  const estimated = parseSol("0.05") + BigInt(tickets.length) * parseSol("0.002");
+  const context = await createMintContext({ minBalance: formatSol(estimated) });
+  context.imageUploads = new Map();
+  const { solKeypair, connection, umi } = context;
+
+  try {
+    const eventInfo = await prepareManifestEvent(event, tickets, context);
+    const collection = requireCollection(event.collection);
+
+    // 1. Metadata for every seat
+    if (!record.stage) {
+      requireSeats(eventInfo, tickets.length);
+
+      log.info(`  ⬆️ Uploading metadata for ${tickets.length} seats...`);
+      const items = await mapWithConcurrency(tickets, 3, async ticket => {
+        const params = seatMintParams(ticket, event);
+        const imageUri = await uploadImageOnce(params.imagePath, context);
+        const uri = await uploadJSONToIPFS(createTicketMetadata({
+          ...params,
+          event: eventInfo,
+          priceSol: formatSol(priceLamports),
+          imageUri,
+          creator: solKeypair.publicKey.toBase58(),
+        }));
+        return {
+          seat: ticket.seat,
+          tier: ticket.tier,
+          name: params.name,
+          uri,
+          resaleAllowed: ticket.resaleAllowed,
+          maxMarkup: ticket.maxMarkup,
+        };
+      });
+
+      record = {
+        ...record,
+        stage: "metadata_uploaded",
+        event: eventInfo.pda,
+        collection: collection.toBase58(),
+        price: formatSol(priceLamports),
+        sellerFeeBasisPoints: event.sellerFeeBasisPoints ?? 0,
+        sale: {
+          startDate: saleOptions.startDate ?? null,
+          endDate: saleOptions.endDate ?? eventInfo.startTime,
+          mintLimit: saleOptions.mintLimit ? Number(saleOptions.mintLimit) : null,
+          allowList: saleOptions.allowList ?? null,
+        },
+        items,
+      };
+      writeRecord();
+    } else {
+      log.info(`  ⏭️ Metadata already uploaded for ${record.items.length} seats`);
+    }
+
+    // A pending machine may have landed before the previous run died
+    if (record.stage === "machine_pending") {
+      if (await connection.getAccountInfo(new PublicKey(record.candyMachine))) {
+        log.info(`  🔎 Pending Candy Machine found on-chain: ${record.candyMachine}`);
+        record.stage = "machine_created";
+        writeRecord();
+      } else {
+        log.info("  🔎 Pending Candy Machine never landed, creating a new one");
+      }
+    }
+
+    // 2. The Candy Machine and its guards
+    if (["metadata_uploaded", "machine_pending"].includes(record.stage)) {
+      const candyMachine = generateSigner(umi);
+      const settings = configLineSettings(record.items);
+      const guards = ticketDropGuards({
+        destination: solKeypair.publicKey,
+        priceLamports: parseSol(record.price),
+        ...record.sale,
+      });
+      record = { ...record, stage: "machine_pending", candyMachine: candyMachine.publicKey.toString(), configLineSettings: settings };
+      writeRecord();
+
+      log.info(ruleSet ? `  🍬 Creating Candy Machine for pNFTs (rule set ${ruleSet.toBase58()})...` : "  🍬 Creating Candy Machine...");
+      const builder = await createDropBuilder(umi, {
+        candyMachine,
+        collection,
+        items: record.items,
+        settings,
+        guards,
+        sellerFeeBasisPoints: record.sellerFeeBasisPoints,
+        ruleSet,
+      });
+      const signature = await sendTransaction(connection, builder.getInstructions().map(toWeb3JsInstruction), {
+        ...sendOptions(),
+        payer: solKeypair,
+        signers: [toWeb3JsKeypair(candyMachine)],
+        logger: log,
+      });
+
+      record = { ...record, stage: "machine_created", machineSignature: signature };
+      writeRecord();
+      log.progress("drop_machine_created", `  ✅ Candy Machine created: ${record.candyMachine}`, {
+        candyMachine: record.candyMachine,
+        signature,
+      });
+    }
+
+    // 3. Config lines, continuing from what the machine already holds
+    const { itemsLoaded } = await fetchTicketDrop(umi, record.candyMachine);
+    const batches = configLineBuilders(umi, record.candyMachine, record.items, record.configLineSettings, itemsLoaded);
+    for (const { index, count, builder } of batches) {
+      await sendTransaction(connection, builder.getInstructions().map(toWeb3JsInstruction), {
+        ...sendOptions(),
+        payer: solKeypair,
+        logger: log,
+      });
+      log.info(`  📥 Loaded seats ${index + 1}-${index + count} of ${record.items.length}`);
+    }
+    record.stage = "loaded";
+    writeRecord();
+
+    log.progress("drop_created", [
+      "\n🍬 Ticket drop is live!",
+      "=".repeat(60),
+      `   Candy Machine: ${record.candyMachine}`,
+      `   Event: ${eventInfo.name} (${record.event})`,
+      `   Collection: ${record.collection}`,
+      `   Seats: ${record.items.length} at ${record.price} SOL`,
+      `   Sale window: ${record.sale.startDate ?? "now"} - ${record.sale.endDate ?? "open"}`,
+      `   Mint limit: ${record.sale.mintLimit ?? "none"} per wallet`,
+      `   Allow list: ${record.sale.allowList ? `${record.sale.allowList.length} wallets` : "none"}`,
+      `   Drop file: ${dropPath}`,
+      "=".repeat(60),
+    ].join("\n"), { candyMachine: record.candyMachine, event: record.event, dropPath });
+    log.info(`   👉 Run \`node mint_ticket.js drop sync ${dropPath}\` to register the tickets fans buy`);
+
+    return { dropPath, ...record };
+  } catch (error) {
+    log.error(`❌ Drop creation failed: ${error.message || error}`);
+    logErrorLogs(error);
+    log.error(`💾 Progress saved to ${dropPath}; run the same command again to resume.`);
+    throw error;
+  }
+}
+
+// On-chain state of a drop (drop file or Candy Machine address)
+export async function getTicketDrop(dropOrAddress) {
+  log.info("🔍 Getting drop information...");
+  const record = readDropRecord(dropOrAddress);
+  const { umi } = await createMintContext({ minBalance: "0" });
+
+  const { machine, guards, ...drop } = await fetchTicketDrop(umi, record.candyMachine);
+  log.info(`  🍬 Candy Machine: ${drop.candyMachine}${drop.programmable ? " (pNFT)" : ""}`);
+  log.info(`  🗂️ Collection: ${drop.collection}`);
+  log.info(`  💰 Price: ${drop.priceLamports === null ? "free" : `${formatSol(drop.priceLamports)} SOL`} to ${drop.destination}`);
+  log.info(`  🎫 Sold: ${drop.itemsRedeemed}/${drop.itemsAvailable} (${drop.itemsLoaded} loaded)`);
+  log.info(`  🕒 Sale window: ${drop.startDate ?? "now"} - ${drop.endDate ?? "open"}`);
+  log.info(`  🔢 Mint limit: ${drop.mintLimit ?? "none"} per wallet`);
+  log.info(`  📋 Allow list: ${drop.allowListRoot ? `merkle root ${drop.allowListRoot}` : "none"}`);
+  return drop;
+}
+
+// Buy one ticket from a drop with the configured wallet (the fan). The
+// organizer then registers its Ticket PDA with syncTicketDrop.
+export async function mintFromDrop(dropOrAddress, { allowList = null } = {}) {
+  log.info("🎟️ Buying a ticket from the drop...");
+  const record = readDropRecord(dropOrAddress);
+  const { solKeypair, connection, umi } = await createMintContext({ minBalance: "0" });
+
+  try {
+    const drop = await fetchTicketDrop(umi, record.candyMachine);
+    if (drop.itemsRedeemed >= drop.itemsAvailable) {
+      throw new Error(`Drop ${drop.candyMachine} is sold out (${drop.itemsAvailable} tickets)`);
+    }
+    const priceLamports = drop.priceLamports ?? 0n;
+    log.info(`  🍬 Candy Machine: ${drop.candyMachine}`);
+    log.info(`  💰 Price: ${formatSol(priceLamports)} SOL`);
+    await ensureSufficientBalance(connection, solKeypair.publicKey, formatSol(priceLamports + DROP_MINT_FEE_BUFFER));
+
+    const nftMint = generateSigner(umi);
+    const builders = await dropMintBuilders(umi, drop, { nftMint, allowList: allowList ?? record.sale?.allowList ?? null });
+    let signature;
+    for (const [index, builder] of builders.entries()) {
+      const isMint = index === builders.length - 1;
+      signature = await sendTransaction(connection, builder.getInstructions().map(toWeb3JsInstruction), {
+        ...sendOptions(),
+        payer: solKeypair,
+        signers: isMint ? [toWeb3JsKeypair(nftMint)] : [],
+        logger: log,
+      });
+      if (!isMint) log.info(`  ✅ Allow list proof recorded: ${signature}`);
+    }
+
+    const mintAddress = nftMint.publicKey.toString();
+    try {
+      fs.writeFileSync("last_mint.json", JSON.stringify({ mint: mintAddress }));
+    } catch (e) {
+      log.warn(`  ⚠️ Failed to write last_mint.json: ${e.message || e}`);
+    }
+
+    log.progress("drop_minted", `  ✅ Ticket bought: ${mintAddress}\n  🔗 Transaction: ${signature}`, {
+      candyMachine: drop.candyMachine,
+      mint: mintAddress,
+      signature,
+    });
+    return { candyMachine: drop.candyMachine, mintAddress, signature, priceLamports };
+  } catch (error) {
+    log.error(`  ❌ Drop mint failed: ${error.message || error}`);
+    logErrorLogs(error);
+    throw error;
+  }
+}
+
+// NFT mints the Candy Machine sold, from its transaction history. A drop
+// mint leaves exactly one 0-decimal token in the buyer's account.
+async function findDropMints(connection, candyMachine) {
+  const mints = new Set();
+  let before;
+  for (;;) {
+    const page = await connection.getSignaturesForAddress(new PublicKey(candyMachine), { before, limit: 1000 });
+    for (const { signature, err } of page) {
+      if (err) continue;
+      const transaction = await connection.getTransaction(signature, { commitment: "confirmed", maxSupportedTransactionVersion: 0 });
+      for (const balance of transaction?.meta?.postTokenBalances ?? []) {
+        if (balance.uiTokenAmount.decimals === 0 && balance.uiTokenAmount.amount === "1") mints.add(balance.mint);
+      }
+    }
+    if (page.length < 1000) break;
+    before = page[page.length - 1].signature;
+  }
+  return [...mints];
+}
+
+// Register a Ticket PDA, owned by the current holder, for every NFT the drop
+// sold that does not have one yet. Safe to run repeatedly (e.g. from cron).
+export async function syncTicketDrop(dropPath) {
+  log.info("🔁 Registering tickets sold by the drop...");
+  const record = readDropRecord(dropPath);
+  if (!record.items || !record.event) {
+    throw new Error(`${dropPath} is not a drop file written by \`node mint_ticket.js drop create\``);
+  }
+
+  const { solKeypair, connection } = await createMintContext({ minBalance: "0.01" });
+  const client = createTicketClient(connection, solKeypair);
+  const itemsByUri = new Map(record.items.map(item => [item.uri, item]));
+
+  const mints = await findDropMints(connection, record.candyMachine);
+  log.info(`  🎫 ${mints.length} tickets sold so far`);
+
+  const report = { registered: [], existing: [], skipped: [], failed: [] };
+  for (const mint of mints) {
+    try {
+      if (await client.fetchTicketAccount(client.derivePda(mint))) {
+        report.existing.push(mint);
+        continue;
+      }
+
+      // Only NFTs verified into the event collection are tickets of this drop
+      const metadata = await client.verifyCollection(mint, record.collection);
+      // Config line URIs come back padded with NULs
+      const item = itemsByUri.get(metadata.uri.replace(/\0+$/, ""));
+      if (!item) {
+        log.warn(`  ⚠️ ${mint}: metadata ${metadata.uri} is not one of this drop's seats, skipping`);
+        report.skipped.push(mint);
+        continue;
+      }
+
+      const result = await client.registerTicket({
+        mint,
+        event: record.event,
+        collection: record.collection,
+        price: record.price,
+        resaleAllowed: item.resaleAllowed,
+        maxMarkup: item.maxMarkup,
+        royaltyBps: record.sellerFeeBasisPoints,
+      });
+      log.progress("drop_registered", `  ✅ Seat ${item.seat}: ticket ${result.ticketPda} for ${result.owner}`, {
+        mint,
+        seat: item.seat,
+        pda: result.ticketPda,
+        owner: result.owner,
+        signature: result.signature,
+      });
+      report.registered.push(mint);
+    } catch (error) {
+      log.error(`  ❌ ${mint}: ${error.message || error}`, { mint, error });
+      logErrorLogs(error);
+      report.failed.push(mint);
+    }
+  }
+
+  log.info(`\n🔁 Drop sync finished: ${report.registered.length} registered, ${report.existing.length} already registered, `
+    + `${report.skipped.length} skipped, ${report.failed.length} failed`);
+  return report;
+}
+
+// --- Ticket expiry ---
+// Tickets of an event that has started can no longer be resold, so their
+// (mutable) metadata is marked "Status: Expired" for wallets and
+// marketplaces. Only the organizer, as update authority, can do this.
+
+const EXPIRED_STATUS = "Expired";
+
+// Metadata JSON with its Status attribute set to `status`
+function withStatus(metadata, status) {
+  const attributes = (metadata.attributes ?? []).filter(attribute => attribute.trait_type !== "Status");
+  return { ...metadata, attributes: [...attributes, { trait_type: "Status", value: status }] };
+}
+
+// event: name or PDA of one of the wallet's events, else every event of the
+// wallet is checked. Tickets already marked are skipped, so it is safe to
+// re-run (e.g. from cron); dryRun reports what would change. Failed tickets
+// are reported as { mint, reason }.
+export async function expireTickets({ event = null, dryRun = false } = {}) {
+  log.info(`⌛ ${dryRun ? "Dry run: checking" : "Expiring"} tickets of past events...`);
+  const { solKeypair, connection, umi } = await createMintContext({ minBalance: dryRun ? "0" : "0.01" });
+  const client = createTicketClient(connection, solKeypair);
+  const organizer = solKeypair.publicKey;
+
+  const tickets = [];
+  let after = null;
+  do {
+    const page = await client.findTickets({
+      organizer,
+      event: event ? resolveEventPda(client, event, organizer) : null,
+      limit: 100,
+      after,
+    });
+    tickets.push(...page.tickets);
+    after = page.nextCursor;
+  } while (after);
+  log.info(`  🎫 ${tickets.length} tickets found`);
+
+  const events = new Map();
+  const report = { expired: [], alreadyExpired: [], upcoming: [], failed: [] };
+  for (const ticket of tickets) {
+    if (!events.has(ticket.event)) events.set(ticket.event, await client.fetchEvent({ pda: ticket.event }));
+    const eventInfo = events.get(ticket.event);
+    if (!eventInfo) {
+      const reason = `event ${ticket.event} not found`;
+      log.error(`  ❌ ${ticket.mint}: ${reason}`, { mint: ticket.mint, event: ticket.event });
+      report.failed.push({ mint: ticket.mint, reason });
+      continue;
+    }
+    if (eventInfo.startTimestamp * 1000 > Date.now()) {
+      report.upcoming.push(ticket.mint);
+      continue;
+    }
+
+    try {
+      const metadata = await fetchMetadataFromSeeds(umi, { mint: umiPublicKey(ticket.mint) });
+      const json = await readJSONFromIPFS(metadata.uri);
+      if (json.attributes?.some(attribute => attribute.trait_type === "Status" && attribute.value === EXPIRED_STATUS)) {
+        report.alreadyExpired.push(ticket.mint);
+        continue;
+      }
+      if (!metadata.isMutable) {
+        throw new Error("its metadata is immutable");
+      }
+      if (dryRun) {
+        log.info(`  🧪 Would expire ${ticket.mint} (${eventInfo.name}, started ${eventInfo.startTime})`);
+        report.expired.push(ticket.mint);
+        continue;
+      }
+
+      const uri = await uploadJSONToIPFS(withStatus(json, EXPIRED_STATUS));
+      const signature = await sendTransaction(connection, updateV1(umi, {
+        mint: metadata.mint,
+        authority: umi.identity,
+        data: { ...metadata, uri },
+      }).getInstructions().map(toWeb3JsInstruction), {
+        ...sendOptions(),
+        payer: solKeypair,
+        logger: log,
+      });
+      log.progress("ticket_expired", `  ✅ Expired ${ticket.mint} (${eventInfo.name})`, {
+        mint: ticket.mint,
+        event: ticket.event,
+        uri,
+        signature,
+      });
+      report.expired.push(ticket.mint);
+    } catch (error) {
+      log.error(`  ❌ ${ticket.mint}: ${error.message || error}`, { mint: ticket.mint, error });
+      logErrorLogs(error);
+      report.failed.push({ mint: ticket.mint, reason: error.message || String(error) });
+    }
+  }
+
+  log.info(`\n⌛ Expiry finished: ${report.expired.length} ${dryRun ? "to expire" : "expired"}, `
+    + `${report.alreadyExpired.length} already expired, ${report.upcoming.length} upcoming, ${report.failed.length} failed`);
+  return report;
+}
+
+// --- Dry run ---
+// Simulates the same transactions the write paths would send and reports
+// logs, compute units, fees, rent for new accounts and any program error.
+// Nothing is uploaded, signed or sent.
+
+function logSimulation(step) {
+  log.info(`  🧪 ${step.label}: ${step.success ? "✅ would succeed" : "❌ would fail"}`);
+  log.info(`    ⚙️ Compute units: ${step.unitsConsumed ?? "unknown"}`);
+  log.info(`    💸 Network fee: ${step.feeLamports === null ? "unknown" : `${formatSol(step.feeLamports)} SOL`}`);
+  for (const account of step.rent) {
+    log.info(`    🏦 Rent: ${formatSol(account.lamports)} SOL for ${account.address} (${account.space} bytes)`);
+  }
+  if (step.programError) {
+    const { name, code, message } = step.programError;
+    log.info(`    🚫 Program error: ${name || "Custom"} (${code})${message ? ` - ${message}` : ""}`);
+  } else if (step.error) {
+    log.info(`    🚫 Error: ${JSON.stringify(step.error)}`);
+  }
+  if (step.logs.length > 0) {
+    log.info("    📋 Logs:");
+    for (const line of step.logs) log.info(`      ${line}`);
+  }
+}
+
+// Simulate each built transaction, then total the cost against `payer`'s
+// balance. extraLamports covers transfers that are not fees or rent (a purchase price).
+async function runDryRun(client, payer, built, { extraLamports = 0n, quiet = false } = {}) {
+  const steps = [];
+  for (const { label, ...transaction } of built) {
+    const report = await client.simulateTransaction(transaction);
+    steps.push({ label, ...report });
+    if (!quiet) logSimulation(steps[steps.length - 1]);
+  }
+
+  const feeLamports = steps.reduce((sum, step) => sum + (step.feeLamports ?? 0n), 0n);
+  const rentLamports = steps.reduce((sum, step) => sum + step.rentLamports, 0n);
+  const totalLamports = feeLamports + rentLamports + extraLamports;
+  const balanceLamports = BigInt(await client.connection.getBalance(new PublicKey(payer)));
+
+  const summary = {
+    success: steps.every(step => step.success),
+    steps,
+    feeLamports,
+    rentLamports,
+    totalLamports,
+    balanceLamports,
+    sufficientBalance: balanceLamports >= totalLamports,
+  };
+
+  if (!quiet) {
+    log.info(`  📊 Estimated cost: ${formatSol(totalLamports)} SOL `
+      + `(fees ${formatSol(feeLamports)}, rent ${formatSol(rentLamports)}${extraLamports ? `, transfer ${formatSol(extraLamports)}` : ""})`);
+    log.info(`  💰 Payer balance: ${formatSol(balanceLamports)} SOL ${summary.sufficientBalance ? "✅" : "❌ insufficient"}`);
+    log.info(summary.success ? "  ✅ Dry run passed; nothing was sent" : "  ❌ Dry run found errors; nothing was sent");
+  }
+  return summary;
+}
+
+// Dry run of mintTicketWithSmartContract for the configured wallet.
+// URIs are the CIDs the uploads would get; the createNft and create_ticket
+// simulations are independent, so create_ticket does not see the new mint.
+export async function simulateMintTicket(params, context = null, { quiet = false, plannedEvent = null } = {}) {
+  if (!quiet) log.info("🧪 Dry run: simulating ticket mint...");
+
+  const organizer = context?.solKeypair.publicKey || getWalletPublicKey();
+  const { connection, client } = await connectExternalClient(organizer, context?.connection);
+
+  const built = await buildMintTicket(params, {
+    organizer,
+    storage: createStorageFromEnv(process.env, { dryRun: true, logger: log }),
+    connection,
+    quiet,
+    plannedEvent,
+  });
+
+  const summary = await runDryRun(client, organizer, built.transactions, { quiet });
+  return { ...summary, mintAddress: built.mintAddress, ticketPda: built.ticketPda, metadataUri: built.metadataUri };
+}
+
+// --- Additional marketplace functions ---
+
+// Wallet + connection + client for the active profile
+async function connectTicketClient() {
+  const config = getConfig();
+  const solKeypair = readKeypairFromFile(config.keypairPath);
+  const connection = getConnection();
+  const client = createTicketClient(connection, solKeypair);
+  return { solKeypair, connection, client };
+}
+
+// Explicit mint, else the one recorded by the last mint run
+export function resolveMintAddress(mintAddress = null) {
+  if (mintAddress) return mintAddress;
+
+  try {
+    const { mint } = JSON.parse(fs.readFileSync("last_mint.json", "utf8"));
+    if (mint) return mint;
+  } catch {
+    // fall through to the error below
+  }
+  throw new Error("No mint address given. Pass --mint <address> or mint a ticket first (last_mint.json)");
+}
+
+// Ticket PDAs are seeded by the organizer who created them: explicit
+// organizer, else the profile's default organizer, else the loaded wallet
+function resolveOrganizer(client, organizer = null) {
+  if (organizer) return new PublicKey(organizer);
+  return getConfig().organizer || client.publicKey;
+}
+
+// A buyer's wallet did not create the ticket, so buys never fall back to it:
+// explicit organizer, else the profile's default organizer, else null and the
+// client looks the ticket up by mint
+function resolveBuyOrganizer(organizer = null) {
+  if (organizer) return new PublicKey(organizer);
+  return getConfig().organizer || null;
+}
+
+function logTicketData(ticketData) {
+  log.info("  📋 Current ticket data:");
+  log.info(`    Owner: ${ticketData.owner}`);
+  log.info(`    Current price: ${ticketData.price} SOL`);
+  log.info(`    Original price: ${ticketData.originalPrice} SOL`);
+  log.info(`    Resale allowed: ${ticketData.resaleAllowed}`);
+  log.info(`    Max markup: ${ticketData.maxMarkup}%`);
+  log.info(`    Currently listed: ${ticketData.isListed}`);
+  log.info(`    Organizer royalty: ${ticketData.royaltyBps / 100}% (seller nets ${ticketData.sellerProceeds} SOL at this price)`);
+}
+
+// dryRun: simulate instead of sending and return the dry-run report
+export async function listTicketForResale(mintAddress, newPrice, { organizer = null, dryRun = false } = {}) {
+  log.info("📝 Listing ticket for resale...");
+  log.info(`  🏷️ Mint: ${mintAddress}`);
+  log.info(`  💰 New Price: ${newPrice} SOL`);
   
   try {
-    const solKeypair = readKeypairFromFile(KEYPAIR_PATH);
-    const connection = await createRobustConnection(RPC_URL);
-    
-    const provider = new anchor.AnchorProvider(
-      connection,
-      new anchor.Wallet(solKeypair),
-      { commitment: "confirmed" }
-    );
-    
-    const program = new anchor.Program(IDL, PROGRAM_ID, provider);
+    const { client } = await connectTicketClient();
+    const organizerPubkey = resolveOrganizer(client, organizer);
     
-    // Get the correct PDA using the organizer (current wallet) and mint
-    const mintPubkey = new PublicKey(mintAddress);
-    const ticketPda = getTicketPDA(solKeypair.publicKey, mintAddress, PROGRAM_ID);
-    
-    console.log("  📍 Using ticket PDA:", ticketPda.toBase58());
+    // Get the correct PDA using the organizer and mint
+    const ticketPda = client.derivePda(mintAddress, organizerPubkey);
+    log.info(`  📍 Using ticket PDA: ${ticketPda.toBase58()}`);
     
     // First check if the ticket exists and get current data
-    const ticketData = await program.account.ticket.fetch(ticketPda);
-    console.log("  📋 Current ticket data:");
-    console.log("    Owner:", ticketData.owner.toBase58());
-    console.log("    Current price:", ticketData.price.toNumber() / LAMPORTS_PER_SOL, "SOL");
-    console.log("    Original price:", ticketData.originalPrice.toNumber() / LAMPORTS_PER_SOL, "SOL");
-    console.log("    Resale allowed:", ticketData.resaleAllowed);
-    console.log("    Max markup:", ticketData.maxMarkup + "%");
-    console.log("    Currently listed:", ticketData.isListed);
-    
-    // Verify resale is allowed
-    if (!ticketData.resaleAllowed) {
-      throw new Error("Resale is not allowed for this ticket");
+    const ticketData = await client.fetchTicket({ pda: ticketPda });
+    if (!ticketData) {
+      throw new Error(`No ticket account found at PDA: ${ticketPda.toBase58()}`);
     }
-    
-    // Verify markup doesn't exceed maximum
-    const originalPrice = ticketData.originalPrice.toNumber() / LAMPORTS_PER_SOL;
-    const maxAllowedPrice = originalPrice * (1 + ticketData.maxMarkup / 100);
-    
-    if (newPrice > maxAllowedPrice) {
-      throw new Error(`Price ${newPrice} SOL exceeds maximum allowed price of ${maxAllowedPrice.toFixed(4)} SOL (${ticketData.maxMarkup}% markup)`);
+    logTicketData(ticketData);
+
+    if (dryRun) {
+      // Skip the client checks so the program's own error shows up
+      const built = await client.buildListTicket({
+        mint: mintAddress,
+        price: newPrice,
+        owner: client.publicKey,
+        organizer: organizerPubkey,
+        preflight: false,
+      });
+      return runDryRun(client, client.publicKey, [{ label: "listTicket", ...built }]);
     }
     
-    const tx = await program.methods
-      .listTicket(new BN(newPrice * LAMPORTS_PER_SOL))
-      .accounts({
-        ticket: ticketPda,
-        owner: solKeypair.publicKey,
-      })
-      .rpc({
-        commitment: "confirmed",
-        preflightCommitment: "confirmed",
-        skipPreflight: false
-      });
+    // Resale, ownership and markup are verified by the client before sending
+    const tx = await client.listTicket({ mint: mintAddress, price: newPrice, organizer: organizerPubkey });
     
-    console.log("  ✅ Ticket listed for resale successfully!");
-    console.log("  🔗 Transaction:", tx);
+    log.progress("listed", `  ✅ Ticket listed for resale successfully!\n  🔗 Transaction: ${tx}`, {
+      mint: mintAddress,
+      pda: ticketPda,
+      signature: tx,
+      price: newPrice,
+    });
     
     return tx;
   } catch (error) {
-    console.error("  ❌ Failed to list ticket:", error.message || error);
-    if (error.logs) {
-      console.error("  📋 Transaction logs:", error.logs);
+    log.error(`  ❌ Failed to list ticket: ${error.message || error}`);
+    logErrorLogs(error);
+    throw error;
+  }
+}
+
+// Change the price of a listed ticket (dryRun: simulate and return the report)
+export async function updateListingPrice(mintAddress, newPrice, { organizer = null, dryRun = false } = {}) {
+  log.info("💱 Updating listing price...");
+  log.info(`  🏷️ Mint: ${mintAddress}`);
+  log.info(`  💰 New Price: ${newPrice} SOL`);
+
+  try {
+    const { client } = await connectTicketClient();
+    const organizerPubkey = resolveOrganizer(client, organizer);
+
+    if (dryRun) {
+      const built = await client.buildUpdateListingPrice({
+        mint: mintAddress,
+        price: newPrice,
+        owner: client.publicKey,
+        organizer: organizerPubkey,
+        preflight: false,
+      });
+      return runDryRun(client, client.publicKey, [{ label: "updateListingPrice", ...built }]);
+    }
+
+    // Ownership, listing status and markup are verified by the client before sending
+    const tx = await client.updateListingPrice({ mint: mintAddress, price: newPrice, organizer: organizerPubkey });
+
+    log.progress("repriced", `  ✅ Listing price updated!\n  🔗 Transaction: ${tx}`, {
+      mint: mintAddress,
+      pda: client.derivePda(mintAddress, organizerPubkey),
+      signature: tx,
+      price: newPrice,
+    });
+
+    return tx;
+  } catch (error) {
+    log.error(`  ❌ Failed to update listing price: ${error.message || error}`);
+    logErrorLogs(error);
+    throw error;
+  }
+}
+
+// Take a listed ticket off the market (dryRun: simulate and return the report)
+export async function delistTicket(mintAddress, { organizer = null, dryRun = false } = {}) {
+  log.info("🚫 Delisting ticket...");
+  log.info(`  🏷️ Mint: ${mintAddress}`);
+
+  try {
+    const { client } = await connectTicketClient();
+    const organizerPubkey = resolveOrganizer(client, organizer);
+
+    if (dryRun) {
+      const built = await client.buildDelistTicket({
+        mint: mintAddress,
+        owner: client.publicKey,
+        organizer: organizerPubkey,
+        preflight: false,
+      });
+      return runDryRun(client, client.publicKey, [{ label: "delistTicket", ...built }]);
+    }
+
+    const tx = await client.delistTicket({ mint: mintAddress, organizer: organizerPubkey });
+
+    log.progress("delisted", `  ✅ Ticket removed from sale!\n  🔗 Transaction: ${tx}`, {
+      mint: mintAddress,
+      pda: client.derivePda(mintAddress, organizerPubkey),
+      signature: tx,
+    });
+
+    return tx;
+  } catch (error) {
+    log.error(`  ❌ Failed to delist ticket: ${error.message || error}`);
+    logErrorLogs(error);
+    throw error;
+  }
+}
+
+// Headroom on top of the ticket price for the buyer's transaction fee and
+// the rent of their token account for the NFT (~0.00204 SOL if new)
+const BUY_FEE_BUFFER = parseSol("0.003");
+
+// Buy a listed ticket (dryRun: simulate and return the dry-run report).
+// maxPrice (SOL) defaults to the price shown before buying.
+export async function buyTicket(mintAddress, buyerKeypair, { organizer = null, maxPrice = null, dryRun = false } = {}) {
+  log.info("🛒 Buying ticket...");
+  log.info(`  🏷️ Mint: ${mintAddress}`);
+  log.info(`  👤 Buyer: ${buyerKeypair.publicKey.toBase58()}`);
+
+  try {
+    // The buyer signs alone
+    const connection = getConnection();
+    const client = createTicketClient(connection, buyerKeypair);
+
+    const ticketPda = await client.resolveTicketPda({ mint: mintAddress, organizer: resolveBuyOrganizer(organizer) });
+    log.info(`  📍 Using ticket PDA: ${ticketPda.toBase58()}`);
+
+    const ticketData = await client.fetchTicket({ pda: ticketPda });
+    if (!ticketData) {
+      throw new Error(`No ticket account found at PDA: ${ticketPda.toBase58()}`);
     }
+    const organizerPubkey = new PublicKey(ticketData.organizer);
+
+    const maxPriceLamports = maxPrice === null ? ticketData.priceLamports : parseSol(maxPrice);
+    log.info(`  💰 Price to pay: ${ticketData.price} SOL (max ${formatSol(maxPriceLamports)} SOL)`);
+    log.info(`  👤 Seller: ${ticketData.owner} (receives ${ticketData.sellerProceeds} SOL)`);
+    if (ticketData.royaltyLamports > 0n) {
+      log.info(`  🎟️ Organizer royalty: ${ticketData.royalty} SOL`);
+    }
+
+    if (dryRun) {
+      const built = await client.buildBuyTicket({
+        mint: mintAddress,
+        buyer: buyerKeypair.publicKey,
+        organizer: organizerPubkey,
+        maxPriceLamports,
+        preflight: false,
+      });
+      return runDryRun(client, buyerKeypair.publicKey, [{ label: "buyTicket", ...built }], {
+        extraLamports: ticketData.priceLamports,
+      });
+    }
+
+    // Buyer must cover the price plus transaction fees
+    await ensureSufficientBalance(connection, buyerKeypair.publicKey, formatSol(ticketData.priceLamports + BUY_FEE_BUFFER));
+
+    const result = await client.buyTicket({ mint: mintAddress, organizer: organizerPubkey, maxPriceLamports });
+
+    log.progress("purchased", [
+      "  ✅ Ticket purchased successfully!",
+      `  🔗 Transaction: ${result.signature}`,
+      `  👤 New owner: ${result.newOwner}`,
+    ].join("\n"), {
+      mint: mintAddress,
+      pda: result.pda,
+      signature: result.signature,
+      owner: result.newOwner,
+      price: result.price,
+      royalty: result.royalty,
+    });
+
+    return result;
+  } catch (error) {
+    log.error(`  ❌ Failed to buy ticket: ${error.message || error}`);
+    logErrorLogs(error);
     throw error;
   }
 }
 
+// Find tickets by owner / organizer / mint / listing status (paged)
+export async function findTickets(filters = {}) {
+  log.info("🔎 Searching tickets...");
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== null && value !== undefined) log.info(`  🔹 ${key}: ${value.toString()}`);
+  }
+
+  try {
+    const { client } = await connectTicketClient();
+    const result = await client.findTickets(filters);
+
+    log.info(`  ✅ Found ${result.total} matching tickets (showing ${result.tickets.length})`);
+    return result;
+  } catch (error) {
+    log.error(`  ❌ Ticket search failed: ${error.message || error}`);
+    throw error;
+  }
+}
+
+export function getWalletPublicKey() {
+  return readKeypairFromFile(getConfig().keypairPath).publicKey;
+}
+
 // Get ticket information
-export async function getTicketInfo(mintAddress = null) {
-  console.log("🔍 Getting ticket information...");
+// price: listing price (decimal SOL) to compute the seller's net proceeds
+// for; defaults to the ticket's current price
+export async function getTicketInfo(mintAddress = null, { organizer = null, price = null } = {}) {
+  log.info("🔍 Getting ticket information...");
   
   try {
-    // Initialize connection and program within the function
-    const solKeypair = readKeypairFromFile(KEYPAIR_PATH);
-    const connection = await createRobustConnection(RPC_URL);
+    // Initialize connection and client within the function
+    const { client } = await connectTicketClient();
     
-    const provider = new anchor.AnchorProvider(
-      connection,
-      new anchor.Wallet(solKeypair),
-      { commitment: "confirmed" }
-    );
-    
-    const program = new anchor.Program(IDL, PROGRAM_ID, provider);
-    
-    // Use the mint from parameters or fallback to hardcoded
-    const mintToUse = mintAddress || MINT_ADDRESS;
+    // Use the mint from parameters or fall back to last_mint.json
+    const mintToUse = resolveMintAddress(mintAddress);
     
     // Get the correct PDA
-    const organizerPubkey = new PublicKey(OWNER_PUBKEY);
-    const ticketPDA = getTicketPDA(organizerPubkey, mintToUse, PROGRAM_ID);
+    const ticketPDA = client.derivePda(mintToUse, resolveOrganizer(client, organizer));
     
-    console.log("  📍 Looking up PDA:", ticketPDA.toBase58());
+    log.info(`  📍 Looking up PDA: ${ticketPDA.toBase58()}`);
     
-    // Fetch account
-    const accountInfo = await connection.getAccountInfo(ticketPDA);
+    const ticketInfo = await client.fetchTicket({ pda: ticketPDA });
     
-    if (!accountInfo) {
+    if (!ticketInfo) {
       throw new Error(`No ticket account found at PDA: ${ticketPDA.toBase58()}`);
     }
     
-    // Parse the account data
-    const ticketData = await program.account.ticket.fetch(ticketPDA);
-    
-    console.log("  ✅ Ticket data retrieved successfully");
+    log.info("  ✅ Ticket data retrieved successfully");
+
+    // Time left to list or buy it, from its event's resale cutoff
+    const eventInfo = await client.fetchEvent({ pda: ticketInfo.event });
+    const resale = eventInfo
+      ? TicketMarketClient.resaleStatus(eventInfo)
+      : { resaleClosesAt: null, secondsUntilCutoff: 0, resaleOpen: false };
+    log.info(resale.resaleOpen
+      ? `  ⏳ Resale closes in ${formatDuration(resale.secondsUntilCutoff)} (${resale.resaleClosesAt})`
+      : `  🔒 Resale closed${resale.resaleClosesAt ? ` at ${resale.resaleClosesAt}` : ""}`);
+
+    if (price !== null && price !== undefined) {
+      const priceLamports = parseSol(price);
+      const { royaltyLamports, sellerProceedsLamports } = TicketMarketClient.saleProceeds(ticketInfo, priceLamports);
+      return {
+        ...ticketInfo,
+        ...resale,
+        proceedsPrice: formatSol(priceLamports),
+        proceedsPriceLamports: priceLamports,
+        royalty: formatSol(royaltyLamports),
+        royaltyLamports,
+        sellerProceeds: formatSol(sellerProceedsLamports),
+        sellerProceedsLamports,
+      };
+    }
     
-    return {
-      pda: ticketPDA.toBase58(),
-      owner: ticketData.owner.toBase58(),
-      price: ticketData.price.toNumber() / LAMPORTS_PER_SOL,
-      originalPrice: ticketData.originalPrice.toNumber() / LAMPORTS_PER_SOL,
-      resaleAllowed: ticketData.resaleAllowed,
-      maxMarkup: ticketData.maxMarkup,
-      isListed: ticketData.isListed,
-      mint: ticketData.mint.toBase58()
-    };
+    return { ...ticketInfo, ...resale };
   } catch (error) {
-    console.error("  ❌ Error in getTicketInfo:", error.message || error);
+    log.error(`  ❌ Error in getTicketInfo: ${error.message || error}`);
     throw error;
   }
 }
 
+// --- External-signer (build) mode ---
+// These mirror the write paths above without loading KEYPAIR_PATH: each
+// returns base64 transactions plus the wallets that still have to sign
+// ({ transaction, signers, missingSigners, lastValidBlockHeight }). Sign them
+// with a wallet adapter, multisig or offline signer, then pass them to
+// submitSigned in the order given.
+
+// Read-only client acting on behalf of an external wallet
+async function connectExternalClient(signer, connection = null) {
+  connection = connection || getConnection();
+  const client = createTicketClient(connection, readOnlyWallet(new PublicKey(signer)));
+  return { connection, client };
+}
+
+// Umi instance whose identity/payer is an external wallet. Its noop signer
+// leaves that wallet's signature slot empty when transactions are built.
+function createExternalUmi(signer, connection = getConnection()) {
+  return createUmi(connection)
+    .use(mplTokenMetadata())
+    .use(mplTokenAuthRules())
+    .use(signerIdentity(createNoopSigner(umiPublicKey(new PublicKey(signer).toBase58()))));
+}
+
+// createNft partially signed by a freshly generated mint keypair. The mint
+// secret is discarded, so rebuild (new mint) if the blockhash expires.
+async function buildNftTransaction(umi, connection, nftParams) {
+  const mint = generateSigner(umi);
+  const { transaction, blockhash, lastValidBlockHeight } = await buildTransaction(
+    connection,
+    nftInstructions(umi, mint, nftParams),
+    {
+      ...sendOptions(),
+      payer: new PublicKey(umi.identity.publicKey.toString()),
+      signers: [toWeb3JsKeypair(mint)],
+    }
+  );
+
+  return {
+    mintAddress: mint.publicKey.toString(),
+    ...encodeTransaction(transaction),
+    blockhash,
+    lastValidBlockHeight,
+  };
+}
+
+// Upload image + metadata, then build the createNft and create_ticket
+// transactions for `organizer` to sign. Build mode does not use the mint
+// journal: nothing lands on-chain until the signed transactions are submitted.
+// `organizer` must be the update authority of the event collection.
+// plannedEvent: create_event options ({ name, startTime, capacity,
+// resaleCutoff }) for an event a batch run creates before minting; the ticket
+// is built against it and create_ticket creates it in the same transaction.
+// Only batch dry runs use this.
+export async function buildMintTicket(params, { organizer, storage: backend = getStorage(), connection = null, quiet = false, plannedEvent = null }) {
+  const {
+    imagePath,
+    name,
+    description,
+    price,
+    resaleAllowed = true,
+    maxMarkup = 20,
+    sellerFeeBasisPoints = 0,
+    programmable = false,
+    collection = null,
+    event,
+  } = params;
+
+  const out = quiet ? silentLogger : log;
+  out.info("🧱 Building unsigned ticket mint transactions...");
+
+  if (!organizer) throw new Error("Build mode requires the organizer's public key");
+  if (!imagePath || !name || !description || !price || !event) {
+    throw new Error("Missing required parameters: imagePath, name, description, price, event");
+  }
+  if (!fs.existsSync(imagePath)) throw new Error(`Image file not found: ${imagePath}`);
+
+  const priceSol = formatSol(parseSol(price));
+  const ruleSet = programmable ? requireRuleSet() : null;
+  const collectionMint = requireCollection(collection);
+  const organizerKey = new PublicKey(organizer);
+  out.info(`  👤 Organizer (external signer): ${organizerKey.toBase58()}`);
+
+  const { client } = await connectExternalClient(organizerKey, connection);
+  const eventInfo = plannedEvent
+    ? plannedEventInfo(client, plannedEvent, organizerKey)
+    : await requireEvent(client, event, organizerKey);
+  out.info(`  🎪 Event: ${eventInfo.name} (${eventInfo.pda})`, { event: eventInfo.pda });
+
+  const imageUri = await backend.uploadFile(imagePath, path.basename(imagePath));
+  const metadataUri = await backend.uploadJSON(createTicketMetadata({
+    ...params,
+    event: eventInfo,
+    priceSol,
+    imageUri,
+    creator: organizerKey.toBase58(),
+  }));
+
+  const nft = await buildNftTransaction(createExternalUmi(organizerKey, client.connection), client.connection, {
+    name,
+    uri: metadataUri,
+    sellerFeeBasisPoints,
+    ruleSet,
+    collection: collectionMint,
+  });
+  out.info(`  🏷️ Mint address: ${nft.mintAddress}`, { mint: nft.mintAddress });
+
+  const ticket = await client.buildCreateTicket({
+    mint: nft.mintAddress,
+    event: eventInfo.pda,
+    price: priceSol,
+    resaleAllowed,
+    maxMarkup,
+    royaltyBps: sellerFeeBasisPoints,
+    organizer: organizerKey,
+    createEvent: plannedEvent,
+  });
+  out.info(`  📍 Ticket PDA: ${ticket.ticketPda}`, { pda: ticket.ticketPda });
+
+  const { mintAddress, ...nftTransaction } = nft;
+  const { ticketPda, alreadyExists, ...ticketTransaction } = ticket;
+
+  out.progress("built", `  ✅ Built 2 transactions; required signers: ${nftTransaction.missingSigners.join(", ")}`, {
+    mint: mintAddress,
+    pda: ticketPda,
+    signers: nftTransaction.missingSigners,
+  });
+
+  return {
+    mintAddress,
+    ticketPda,
+    imageUri,
+    metadataUri,
+    price: priceSol,
+    resaleAllowed,
+    maxMarkup,
+    programmable,
+    collection: collectionMint.toBase58(),
+    event: eventInfo.pda,
+    transactions: [
+      { label: "createNft", ...nftTransaction },
+      { label: "createTicket", ...ticketTransaction },
+    ],
+  };
+}
+
+// create_ticket for an already-minted NFT, signed by `organizer`;
+// `event` is the organizer's event name or PDA
+export async function buildCreateTicket(mintAddress, price, { organizer, event, resaleAllowed = true, maxMarkup = 20, royaltyBps = 0 }) {
+  if (!organizer) throw new Error("Build mode requires the organizer's public key");
+  const { client } = await connectExternalClient(organizer);
+  return client.buildCreateTicket({
+    mint: mintAddress,
+    event: resolveEventPda(client, event, organizer),
+    price,
+    resaleAllowed,
+    maxMarkup,
+    royaltyBps,
+    organizer: new PublicKey(organizer),
+  });
+}
+
+// list_ticket signed by the ticket `owner`
+export async function buildListTicketForResale(mintAddress, newPrice, { owner, organizer = null }) {
+  if (!owner) throw new Error("Build mode requires the owner's public key");
+  const { client } = await connectExternalClient(owner);
+  return client.buildListTicket({
+    mint: mintAddress,
+    price: newPrice,
+    owner: new PublicKey(owner),
+    organizer: resolveOrganizer(client, organizer),
+  });
+}
+
+// update_listing_price signed by the ticket `owner`
+export async function buildUpdateListingPrice(mintAddress, newPrice, { owner, organizer = null }) {
+  if (!owner) throw new Error("Build mode requires the owner's public key");
+  const { client } = await connectExternalClient(owner);
+  return client.buildUpdateListingPrice({
+    mint: mintAddress,
+    price: newPrice,
+    owner: new PublicKey(owner),
+    organizer: resolveOrganizer(client, organizer),
+  });
+}
+
+// delist_ticket signed by the ticket `owner`
+export async function buildDelistTicket(mintAddress, { owner, organizer = null }) {
+  if (!owner) throw new Error("Build mode requires the owner's public key");
+  const { client } = await connectExternalClient(owner);
+  return client.buildDelistTicket({
+    mint: mintAddress,
+    owner: new PublicKey(owner),
+    organizer: resolveOrganizer(client, organizer),
+  });
+}
+
+// buy_ticket paid and signed by `buyer` alone, for at most maxPrice SOL
+// (default: the listing price now)
+export async function buildBuyTicket(mintAddress, buyer, { organizer = null, maxPrice = null } = {}) {
+  const { client } = await connectExternalClient(buyer);
+  return client.buildBuyTicket({
+    mint: mintAddress,
+    buyer: new PublicKey(buyer),
+    organizer: resolveBuyOrganizer(organizer),
+    maxPrice,
+  });
+}
+
+// Send and confirm a signed transaction: a base64 string / bytes, or one of
+// the objects returned above with its `transaction` field replaced by the
+// signed version (its lastValidBlockHeight is then used for confirmation)
+export async function submitSigned(signed, { lastValidBlockHeight = null } = {}) {
+  const transaction = signed?.transaction ?? signed;
+  const blockHeight = lastValidBlockHeight ?? signed?.lastValidBlockHeight ?? null;
+
+  const connection = getConnection();
+  const signature = await sendSignedTransaction(connection, transaction, {
+    commitment: "confirmed",
+    lastValidBlockHeight: blockHeight,
+    errors: IDL.errors,
+  });
+
+  log.progress("submitted", `  ✅ Submitted: ${signature}`, { signature });
+  return signature;
+}
+
 // --- Main runner function ---
-async function main() {
+const DEMO_TICKET = {
+  name: "VIP Concert Ticket #001",
+  description: "VIP access to the Indie Night Concert with backstage pass",
+  event: "Indie Night Concert",
+  seat: "VIP-001",
+  price: "0.1", // 0.1 SOL
+  resaleAllowed: true,
+  maxMarkup: 25, // 25% max markup
+  sellerFeeBasisPoints: 500, // 5% royalty
+};
+
+const DEMO_EVENT = {
+  name: DEMO_TICKET.event,
+  description: "Tickets for the Indie Night Concert",
+  startTime: "2027-12-25T19:00:00Z",
+  capacity: 100,
+};
+
+async function main({ dryRun = false, programmable = false } = {}) {
   const assetPath = "./assets/ticket.png";
   try {
     await fsp.access(assetPath);
   } catch {
-    console.error("❌ Place a PNG/JPG ticket image at ./assets/ticket.png and re-run");
+    log.error("❌ Place a PNG/JPG ticket image at ./assets/ticket.png and re-run");
     process.exit(1);
   }
 
-  console.log("🎪 Initializing integrated ticket minting...");
-  console.log("Network:", CLUSTER, "| RPC URL:", RPC_URL);
+  log.info("🎪 Initializing integrated ticket minting...");
+  log.info(`Profile: ${getConfig().name} | RPC URL: ${getConfig().rpcUrl}`);
 
-  try {
-    const result = await mintTicketWithSmartContract({
-      imagePath: assetPath,
-      name: "VIP Concert Ticket #001",
-      description: "VIP access to the Indie Night Concert with backstage pass",
-      eventDate: "2025-12-25T19:00:00Z",
-      seat: "VIP-001",
-      price: 0.1, // 0.1 SOL
-      resaleAllowed: true,
-      maxMarkup: 25, // 25% max markup
-      sellerFeeBasisPoints: 500, // 5% royalty
+  if (dryRun) {
+    const report = await simulateMintTicket({ ...DEMO_TICKET, programmable, imagePath: assetPath }).catch(error => {
+      log.error(`\n❌ Dry run failed: ${error.message || error}`);
+      process.exit(1);
     });
+    if (!report.success || !report.sufficientBalance) process.exit(1);
+    return;
+  }
+
+  try {
+    // The demo event gets its own collection unless the profile names one
+    let collection = getConfig().collection;
+    if (!collection) {
+      log.info("🗂️ No event collection configured; creating one for the demo event");
+      ({ collection } = await createEventCollection({
+        imagePath: assetPath,
+        name: DEMO_EVENT.name,
+        description: DEMO_EVENT.description,
+        eventDate: DEMO_EVENT.startTime,
+        sellerFeeBasisPoints: DEMO_TICKET.sellerFeeBasisPoints,
+      }));
+    }
+
+    // No-op when the demo event already exists
+    await createEvent({ name: DEMO_EVENT.name, startTime: DEMO_EVENT.startTime, capacity: DEMO_EVENT.capacity });
+
+    const result = await mintTicketWithSmartContract({ ...DEMO_TICKET, programmable, collection, imagePath: assetPath });
     
-    console.log("\n🎊 Integration completed successfully!");
+    log.info("\n🎊 Integration completed successfully!");
     
     // Test fetching ticket info using minted mint address
-    console.log("\n🔍 Fetching ticket information...");
+    log.info("\n🔍 Fetching ticket information...");
     const ticketInfo = await getTicketInfo(result.mintAddress);
-    console.log("Ticket Info:", ticketInfo);
+    log.info(`Ticket Info: ${JSON.stringify(ticketInfo, bigintReplacer, 2)}`, { ticket: ticketInfo });
     
   } catch (error) {
-    console.error("\n❌ Process failed:", error.message || error);
-    if (error.logs) console.error("Logs:", error.logs);
+    log.error(`\n❌ Process failed: ${error.message || error}`);
+    logErrorLogs(error);
+    process.exit(1);
+  }
+}
+
+// Build the demo mint for an external signer and write it to a file
+async function buildMain(signer, outputPath = "mint.unsigned.json", programmable = false) {
+  log.info("🎪 Building ticket mint for external signing...");
+  log.info(`Profile: ${getConfig().name} | RPC URL: ${getConfig().rpcUrl}`);
+
+  try {
+    const result = await buildMintTicket(
+      { ...DEMO_TICKET, programmable, imagePath: "./assets/ticket.png" },
+      { organizer: signer }
+    );
+    fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
+    log.info(`\n💾 Unsigned transactions written to ${outputPath}`);
+    log.info("   ✍️ Sign each `transaction`, replace it in the file, then run `node mint_ticket.js submit " + outputPath + "`");
+  } catch (error) {
+    log.error(`\n❌ Build failed: ${error.message || error}`);
+    process.exit(1);
+  }
+}
+
+// Submit every signed transaction in a build file, in order
+async function submitMain(filePath) {
+  if (!filePath) {
+    log.error("❌ Usage: node mint_ticket.js submit <signed.json>");
+    process.exit(1);
+  }
+
+  try {
+    const bundle = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const transactions = (bundle.transactions || [bundle]).filter(entry => entry.transaction);
+    log.info(`📨 Submitting ${transactions.length} signed transaction(s) from ${filePath}...`);
+
+    for (const entry of transactions) {
+      log.info(`  ➡️ ${entry.label || "transaction"}`);
+      await submitSigned(entry);
+    }
+    log.info("\n✅ All transactions confirmed");
+  } catch (error) {
+    log.error(`\n❌ Submit failed: ${error.message || error}`);
+    process.exit(1);
+  }
+}
+
+async function batchMain(manifestPath, concurrency, dryRun = false, programmable = false) {
+  if (!manifestPath) {
+    log.error("❌ Usage: node mint_ticket.js batch <manifest.csv|manifest.json> [--concurrency N] [--pnft] [--dry-run] [--profile name]");
+    process.exit(1);
+  }
+
+  // parseInt would accept "2x", and NaN / 0 / negatives would start no workers
+  const workers = concurrency === undefined ? 3 : Number(concurrency);
+  if (!/^\d+$/.test(String(concurrency ?? 3)) || workers < 1) {
+    log.error(`❌ --concurrency must be a positive integer, got "${concurrency}"`);
+    process.exit(1);
+  }
+
+  log.info("🎪 Initializing batch ticket minting...");
+  log.info(`Profile: ${getConfig().name} | RPC URL: ${getConfig().rpcUrl}`);
+
+  try {
+    const { failed } = await mintTicketBatch(manifestPath, {
+      concurrency: workers,
+      dryRun,
+      event: programmable ? { programmable: true } : {},
+    });
+    if (failed > 0) process.exit(1);
+  } catch (error) {
+    log.error(`\n❌ Batch failed: ${error.message || error}`);
+    process.exit(1);
+  }
+}
+
+async function journalMain(finish) {
+  try {
+    const report = await reconcileMintJournal({ finish });
+    const unresolved = report.filter(r => finish ? r.result !== "completed" : true);
+    if (unresolved.length > 0) process.exit(1);
+  } catch (error) {
+    log.error(`\n❌ Journal reconciliation failed: ${error.message || error}`);
+    process.exit(1);
+  }
+}
+
+async function doctorMain({ idl = null, offline = false }) {
+  const config = getConfig();
+  log.info("🩺 Checking program ID and IDL consistency...");
+  log.info(`Profile: ${config.name} | Program: ${config.programId.toBase58()}`);
+
+  try {
+    // Query the profile's primary RPC only, so every check sees the same node
+    const connection = offline ? null : new Connection(config.rpcUrl, "confirmed");
+    const results = await runDoctor({ clientIdl: IDL, config, connection, idlPath: idl });
+
+    const icons = { ok: "✅", warn: "⚠️", fail: "❌" };
+    for (const result of results) {
+      log.info(`  ${icons[result.status]} ${result.check}: ${result.detail}`);
+    }
+
+    if (hasFailures(results)) {
+      log.error("\n❌ Drift detected: the JS client does not match the program. Fix the mismatches above before sending transactions.");
+      process.exit(1);
+    }
+    log.info("\n✅ Client, program ID and IDL are consistent");
+  } catch (error) {
+    log.error(`\n❌ Doctor failed: ${error.message || error}`);
+    process.exit(1);
+  }
+}
+
+// Create, reschedule/resize or show an on-chain event of the active wallet
+async function eventMain(action, { name, pda, start, capacity, resaleCutoffHours } = {}) {
+  const event = pda || name;
+  const usage = "❌ Usage: node mint_ticket.js event create --name \"Event name\" --start <ISO date> --capacity N [--resale-cutoff-hours H]\n"
+    + "       node mint_ticket.js event update (--name name | --pda address) [--start <ISO date>] [--capacity N] [--resale-cutoff-hours H]\n"
+    + "       node mint_ticket.js event show (--name name | --pda address) [--organizer address]";
+  const valid = {
+    create: name && name !== true && start && capacity,
+    update: event && event !== true && (start || capacity || resaleCutoffHours),
+    show: event && event !== true,
+  };
+  if (!valid[action]) {
+    log.error(usage);
+    process.exit(1);
+  }
+
+  log.info(`Profile: ${getConfig().name} | RPC URL: ${getConfig().rpcUrl}`);
+  const parsedCapacity = capacity ? Number(capacity) : null;
+  // Listing and buying stop this many hours before the start
+  const resaleCutoff = resaleCutoffHours ? Math.round(Number(resaleCutoffHours) * 3600) : null;
+
+  try {
+    if (action === "create") {
+      await createEvent({ name, startTime: start, capacity: parsedCapacity, resaleCutoff: resaleCutoff ?? 0 });
+      log.info(`\n👉 Mint tickets for it with event: "${name}"`);
+    } else if (action === "update") {
+      await updateEvent(event, { startTime: start || null, capacity: parsedCapacity, resaleCutoff });
+    } else {
+      await getEvent(event);
+    }
+  } catch (error) {
+    log.error(`\n❌ Event ${action} failed: ${error.message || error}`);
+    process.exit(1);
+  }
+}
+
+// Candy Machine drops: the organizer creates and syncs, fans show and mint
+async function dropMain(action, target, { price, start, end, mintLimit, allowList, pnft, out } = {}) {
+  const usage = "❌ Usage: node mint_ticket.js drop create <manifest.csv|manifest.json> [--price SOL] [--start <ISO date>] [--end <ISO date>]\n"
+    + "                                  [--mint-limit N] [--allow-list wallets.txt] [--pnft] [--out drop.json]\n"
+    + "       node mint_ticket.js drop show <drop.json|candy machine>\n"
+    + "       node mint_ticket.js drop mint <drop.json|candy machine> [--allow-list wallets.txt]\n"
+    + "       node mint_ticket.js drop sync <drop.json>";
+  if (!["create", "show", "mint", "sync"].includes(action) || !target) {
+    log.error(usage);
+    process.exit(1);
+  }
+
+  log.info(`Profile: ${getConfig().name} | RPC URL: ${getConfig().rpcUrl}`);
+  const wallets = allowList && allowList !== true ? loadAllowList(allowList) : null;
+
+  try {
+    if (action === "create") {
+      await createTicketDrop(target, {
+        outputPath: out || null,
+        programmable: !!pnft,
+        price: price || null,
+        startDate: start || null,
+        endDate: end || null,
+        mintLimit: mintLimit ? Number(mintLimit) : null,
+        allowList: wallets,
+      });
+    } else if (action === "show") {
+      await getTicketDrop(target);
+    } else if (action === "mint") {
+      await mintFromDrop(target, { allowList: wallets });
+    } else {
+      const { failed } = await syncTicketDrop(target);
+      if (failed.length > 0) process.exit(1);
+    }
+  } catch (error) {
+    log.error(`\n❌ Drop ${action} failed: ${error.message || error}`);
+    process.exit(1);
+  }
+}
+
+// Mark the tickets of the wallet's started events as expired
+async function expireMain({ event = null, pda = null, dryRun = false } = {}) {
+  log.info(`Profile: ${getConfig().name} | RPC URL: ${getConfig().rpcUrl}`);
+
+  try {
+    const { failed } = await expireTickets({ event: pda || event || null, dryRun });
+    if (failed.length > 0) process.exit(1);
+  } catch (error) {
+    log.error(`\n❌ Expiry failed: ${error.message || error}`);
+    process.exit(1);
+  }
+}
+
+// Create the collection NFT for an event; tickets are then minted into it
+async function collectionMain(action, { name, image = "./assets/ticket.png", description = "", eventDate } = {}) {
+  if (action !== "create" || !name || name === true) {
+    log.error("❌ Usage: node mint_ticket.js collection create --name \"Event name\" [--image path] [--description text] [--event-date date] [--profile name]");
+    process.exit(1);
+  }
+
+  const config = getConfig();
+  log.info(`Profile: ${config.name} | RPC URL: ${config.rpcUrl}`);
+
+  try {
+    const { collection } = await createEventCollection({ imagePath: image, name, description, eventDate });
+    log.info(`\n👉 Set "collection": "${collection}" in the ${config.name} profile (or COLLECTION / --collection) to mint tickets into it`);
+  } catch (error) {
+    log.error(`\n❌ Collection creation failed: ${error.message || error}`);
+    logErrorLogs(error);
+    process.exit(1);
+  }
+}
+
+// Create, update or show the marketplace-only transfer rule set for
+// programmable tickets; the wallet of the active profile owns it
+async function ruleSetMain(action, { name = DEFAULT_RULE_SET_NAME } = {}) {
+  if (!["create", "update", "show"].includes(action)) {
+    log.error("❌ Usage: node mint_ticket.js ruleset <create|update|show> [--name rule-set-name] [--profile name]");
+    process.exit(1);
+  }
+
+  const config = getConfig();
+  log.info(`📜 Rule set "${name}" | Profile: ${config.name} | Program: ${config.programId.toBase58()}`);
+
+  try {
+    const { solKeypair, connection, umi } = await createMintContext({ minBalance: action === "show" ? "0" : "0.05" });
+    const existing = await fetchTicketRuleSet(umi, { name });
+
+    if (action === "show") {
+      if (!existing.revision) throw new Error(`No rule set "${name}" at ${existing.address}; run \`node mint_ticket.js ruleset create\``);
+      log.info(`  📍 Address: ${existing.address}`);
+      log.info(`  📋 Latest revision:\n${JSON.stringify(existing.revision, null, 2)}`, { ruleSet: existing.address, revision: existing.revision });
+      return;
+    }
+
+    if (action === "create" && existing.revision) {
+      throw new Error(`Rule set "${name}" already exists at ${existing.address}; use \`ruleset update\` to add a revision`);
+    }
+    if (action === "update" && !existing.revision) {
+      throw new Error(`No rule set "${name}" at ${existing.address}; use \`ruleset create\` first`);
+    }
+
+    const written = await writeTicketRuleSet(umi, {
+      ...sendOptions(),
+      connection,
+      payer: solKeypair,
+      logger: log,
+      programId: config.programId,
+      name,
+    });
+    log.progress("rule_set_written", [
+      `  ✅ Rule set ${action === "create" ? "created" : "updated"}: ${written.address}`,
+      `  🔏 Only accounts owned by ${config.programId.toBase58()} may be sale delegates or move tickets`,
+      `  👉 Set "ruleSet": "${written.address}" in the ${config.name} profile (or RULE_SET) and mint with --pnft`,
+    ].join("\n"), { ruleSet: written.address, signatures: written.signatures });
+  } catch (error) {
+    log.error(`\n❌ Rule set ${action} failed: ${error.message || error}`);
     process.exit(1);
   }
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  const { positional, flags } = parseCliArgs(process.argv.slice(2));
+
+  // Validate the selected profile and logging flags before doing anything else
+  try {
+    setLogger(createLoggerFromFlags(flags));
+    configure(flags);
+  } catch (error) {
+    // The logger itself may be what failed to configure
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  switch (positional[0]) {
+    case "batch":
+      batchMain(positional[1], flags.concurrency ?? positional[2], !!flags.dryRun, !!flags.pnft);
+      break;
+    case "resume":
+      journalMain(true);
+      break;
+    case "reconcile":
+      journalMain(false);
+      break;
+    case "doctor":
+      doctorMain(flags);
+      break;
+    case "submit":
+      submitMain(positional[1]);
+      break;
+    case "ruleset":
+      ruleSetMain(positional[1], flags);
+      break;
+    case "collection":
+      collectionMain(positional[1], flags);
+      break;
+    case "event":
+      eventMain(positional[1], flags);
+      break;
+    case "drop":
+      dropMain(positional[1], positional[2], flags);
+      break;
+    case "expire":
+      expireMain(flags);
+      break;
+    default:
+      if (flags.signer) buildMain(flags.signer, flags.out, !!flags.pnft);
+      else main({ dryRun: !!flags.dryRun, programmable: !!flags.pnft });
+  }
 }
@@ -1,4 +1,12 @@
 use anchor_lang::prelude::*;
+use anchor_lang::solana_program::{pubkey, sysvar};
+use anchor_lang::system_program;
+use anchor_spl::associated_token::{get_associated_token_address, AssociatedToken};
+use anchor_spl::metadata::mpl_token_metadata::instructions::{
+    DelegateSaleV1CpiBuilder, RevokeSaleV1CpiBuilder, TransferV1CpiBuilder,
+};
+use anchor_spl::metadata::{Metadata, MetadataAccount};
+use anchor_spl::token::{self, Mint, Token, TokenAccount};
 
 // Fix the program ID to match your JSON
 declare_id!("GRb8e96kJJvofUenMx6QM7mRu9mwKCdzY6KC4PGTD3KL");
@@ -7,6 +15,53 @@ declare_id!("GRb8e96kJJvofUenMx6QM7mRu9mwKCdzY6KC4PGTD3KL");
 pub mod ticket_market {
     use super::*;
 
+    // Create an event (by its organizer); tickets are created against it,
+    // at most `capacity` of them, and resold until `resale_cutoff` seconds
+    // before it starts
+    pub fn create_event(
+        ctx: Context<CreateEvent>,
+        name: String,
+        start_time: i64, // unix timestamp
+        capacity: u32,
+        resale_cutoff: i64,
+    ) -> Result<()> {
+        require!(
+            !name.is_empty() && name.len() <= Event::MAX_NAME_LEN,
+            TicketError::InvalidEvent
+        );
+        require!(capacity > 0 && resale_cutoff >= 0, TicketError::InvalidEvent);
+
+        let event = &mut ctx.accounts.event;
+        event.organizer = *ctx.accounts.organizer.key;
+        event.start_time = start_time;
+        event.capacity = capacity;
+        event.tickets_minted = 0;
+        event.resale_cutoff = resale_cutoff;
+        event.name = name;
+        Ok(())
+    }
+
+    // Reschedule the event, change its capacity or move the resale cutoff;
+    // capacity can't drop below the tickets already created
+    pub fn update_event(
+        ctx: Context<UpdateEvent>,
+        start_time: i64,
+        capacity: u32,
+        resale_cutoff: i64,
+    ) -> Result<()> {
+        let event = &mut ctx.accounts.event;
+
+        require!(
+            capacity > 0 && capacity >= event.tickets_minted && resale_cutoff >= 0,
+            TicketError::InvalidEvent
+        );
+
+        event.start_time = start_time;
+        event.capacity = capacity;
+        event.resale_cutoff = resale_cutoff;
+        Ok(())
+    }
+
     // Create a new ticket (by event organizer)
     pub fn create_ticket(
         ctx: Context<CreateTicket>,
@@ -14,60 +69,285 @@ pub mod ticket_market {
         resale_allowed: bool,
         max_markup: u8, // % max markup on resale (e.g., 20 = 20%)
         mint: Pubkey,   // Add mint address parameter
+        royalty_bps: u16, // organizer's cut of every sale (500 = 5%)
     ) -> Result<()> {
+        let organizer = *ctx.accounts.organizer.key;
+        init_ticket(
+            &mut ctx.accounts.ticket,
+            &mut ctx.accounts.event,
+            organizer,
+            organizer,
+            mint,
+            price,
+            resale_allowed,
+            max_markup,
+            royalty_bps,
+        )
+    }
+
+    // Register a ticket for an NFT someone else already holds, e.g. one
+    // bought from a Candy Machine drop; the holder becomes the ticket owner.
+    // The NFT must be verified into a collection the organizer controls.
+    pub fn register_ticket(
+        ctx: Context<RegisterTicket>,
+        price: u64,
+        resale_allowed: bool,
+        max_markup: u8,
+        royalty_bps: u16,
+    ) -> Result<()> {
+        init_ticket(
+            &mut ctx.accounts.ticket,
+            &mut ctx.accounts.event,
+            ctx.accounts.holder_token_account.owner,
+            *ctx.accounts.organizer.key,
+            ctx.accounts.mint.key(),
+            price,
+            resale_allowed,
+            max_markup,
+            royalty_bps,
+        )
+    }
+
+    // List ticket for resale. The owner approves the listing PDA as delegate
+    // for the NFT, so a buyer can later take it without the seller signing.
+    pub fn list_ticket(ctx: Context<ListTicket>, new_price: u64) -> Result<()> {
         let ticket = &mut ctx.accounts.ticket;
-        ticket.owner = *ctx.accounts.organizer.key;
-        ticket.price = price;
-        ticket.resale_allowed = resale_allowed;
-        ticket.max_markup = max_markup;
-        ticket.original_price = price;
-        ticket.is_listed = false;
-        ticket.mint = mint; // Store the mint address
+
+        check_listing(ticket, &ctx.accounts.event, ctx.accounts.owner.key, new_price)?;
+        require!(
+            ctx.accounts.owner_token_account.amount == 1,
+            TicketError::NotTicketOwner
+        );
+
+        ticket.price = new_price;
+        ticket.is_listed = true;
+
+        token::approve(
+            CpiContext::new(
+                ctx.accounts.token_program.to_account_info(),
+                token::Approve {
+                    to: ctx.accounts.owner_token_account.to_account_info(),
+                    delegate: ctx.accounts.listing_authority.to_account_info(),
+                    authority: ctx.accounts.owner.to_account_info(),
+                },
+            ),
+            1,
+        )?;
+
         Ok(())
     }
 
-    // List ticket for resale
-    pub fn list_ticket(ctx: Context<ListTicket>, new_price: u64) -> Result<()> {
+    // Take a listed ticket off the market and revoke the listing PDA's
+    // delegation, so the NFT can no longer be bought
+    pub fn delist_ticket(ctx: Context<DelistTicket>) -> Result<()> {
         let ticket = &mut ctx.accounts.ticket;
 
-        require!(ticket.resale_allowed, TicketError::ResaleNotAllowed);
         require!(
             ticket.owner == *ctx.accounts.owner.key,
             TicketError::NotTicketOwner
         );
+        require!(ticket.is_listed, TicketError::TicketNotListed);
+
+        ticket.is_listed = false;
+
+        token::revoke(CpiContext::new(
+            ctx.accounts.token_program.to_account_info(),
+            token::Revoke {
+                source: ctx.accounts.owner_token_account.to_account_info(),
+                authority: ctx.accounts.owner.to_account_info(),
+            },
+        ))?;
+
+        Ok(())
+    }
 
-        // Enforce max markup % limit
-        let max_allowed_price =
-            ticket.original_price + (ticket.original_price * ticket.max_markup as u64 / 100);
+    // Change the price of a listed ticket; the delegation from list_ticket
+    // stays in place
+    pub fn update_listing_price(ctx: Context<UpdateListingPrice>, new_price: u64) -> Result<()> {
+        let ticket = &mut ctx.accounts.ticket;
+
+        require!(
+            ticket.owner == *ctx.accounts.owner.key,
+            TicketError::NotTicketOwner
+        );
+        require!(ticket.is_listed, TicketError::TicketNotListed);
         require!(
-            new_price <= max_allowed_price,
+            new_price <= ticket.max_resale_price(),
             TicketError::ExceedsMaxMarkup
         );
+        check_resale_open(&ctx.accounts.event)?;
+
+        ticket.price = new_price;
+
+        Ok(())
+    }
+
+    // Buy ticket: payment and NFT move in one instruction, signed by the
+    // buyer alone (the listing PDA signs the NFT transfer as delegate).
+    // max_price is the most the buyer agreed to pay, in case the seller
+    // reprices while the transaction is in flight.
+    pub fn buy_ticket(ctx: Context<BuyTicket>, max_price: u64) -> Result<()> {
+        require!(ctx.accounts.ticket.is_listed, TicketError::TicketNotListed);
+        require!(ctx.accounts.ticket.price <= max_price, TicketError::PriceAboveMax);
+        check_resale_open(&ctx.accounts.event)?;
+
+        let seller_tokens = &ctx.accounts.seller_token_account;
+        require!(
+            seller_tokens.amount == 1
+                && seller_tokens.delegate == Some(ctx.accounts.listing_authority.key()).into()
+                && seller_tokens.delegated_amount >= 1,
+            TicketError::ListingNotApproved
+        );
+
+        pay_for_ticket(
+            &ctx.accounts.ticket,
+            &ctx.accounts.buyer,
+            &ctx.accounts.seller,
+            &ctx.accounts.organizer,
+            &ctx.accounts.system_program,
+        )?;
+
+        let ticket_key = ctx.accounts.ticket.key();
+        let signer_seeds: &[&[&[u8]]] = &[&[
+            LISTING_SEED,
+            ticket_key.as_ref(),
+            &[ctx.bumps.listing_authority],
+        ]];
+        token::transfer_checked(
+            CpiContext::new_with_signer(
+                ctx.accounts.token_program.to_account_info(),
+                token::TransferChecked {
+                    from: ctx.accounts.seller_token_account.to_account_info(),
+                    mint: ctx.accounts.mint.to_account_info(),
+                    to: ctx.accounts.buyer_token_account.to_account_info(),
+                    authority: ctx.accounts.listing_authority.to_account_info(),
+                },
+                signer_seeds,
+            ),
+            1,
+            ctx.accounts.mint.decimals,
+        )?;
+
+        let ticket = &mut ctx.accounts.ticket;
+        ticket.owner = *ctx.accounts.buyer.key;
+        ticket.is_listed = false;
+
+        Ok(())
+    }
+
+    // Programmable NFT (pNFT) variants of list / delist / buy. A pNFT's token
+    // account stays frozen, so instead of SPL approve/transfer these go through
+    // Token Metadata: the ticket PDA becomes the sale delegate, and the NFT's
+    // rule set only lets accounts owned by this program move it.
+
+    pub fn list_programmable_ticket(ctx: Context<ListProgrammableTicket>, new_price: u64) -> Result<()> {
+        let ticket = &mut ctx.accounts.ticket;
+
+        check_listing(ticket, &ctx.accounts.event, ctx.accounts.owner.key, new_price)?;
+        require!(
+            ctx.accounts.owner_token_account.amount == 1,
+            TicketError::NotTicketOwner
+        );
 
         ticket.price = new_price;
         ticket.is_listed = true;
 
+        let accounts = &ctx.accounts;
+        DelegateSaleV1CpiBuilder::new(&accounts.token_metadata_program.to_account_info())
+            .delegate(&accounts.ticket.to_account_info())
+            .metadata(&accounts.metadata.to_account_info())
+            .master_edition(Some(&accounts.edition.to_account_info()))
+            .token_record(Some(&accounts.owner_token_record.to_account_info()))
+            .mint(&accounts.mint.to_account_info())
+            .token(Some(&accounts.owner_token_account.to_account_info()))
+            .authority(&accounts.owner.to_account_info())
+            .payer(&accounts.owner.to_account_info())
+            .system_program(&accounts.system_program.to_account_info())
+            .sysvar_instructions(&accounts.sysvar_instructions.to_account_info())
+            .spl_token_program(Some(&accounts.token_program.to_account_info()))
+            .authorization_rules_program(Some(&accounts.authorization_rules_program.to_account_info()))
+            .authorization_rules(Some(&accounts.authorization_rules.to_account_info()))
+            .amount(1)
+            .invoke()?;
+
         Ok(())
     }
 
-    // Buy ticket
-    pub fn buy_ticket(ctx: Context<BuyTicket>) -> Result<()> {
+    pub fn delist_programmable_ticket(ctx: Context<DelistProgrammableTicket>) -> Result<()> {
         let ticket = &mut ctx.accounts.ticket;
 
+        require!(
+            ticket.owner == *ctx.accounts.owner.key,
+            TicketError::NotTicketOwner
+        );
         require!(ticket.is_listed, TicketError::TicketNotListed);
 
-        // Transfer lamports (simplified for Playground)
-        **ctx
-            .accounts
-            .buyer
-            .to_account_info()
-            .try_borrow_mut_lamports()? -= ticket.price;
-        **ctx
-            .accounts
-            .owner
-            .to_account_info()
-            .try_borrow_mut_lamports()? += ticket.price;
+        ticket.is_listed = false;
+
+        let accounts = &ctx.accounts;
+        RevokeSaleV1CpiBuilder::new(&accounts.token_metadata_program.to_account_info())
+            .delegate(&accounts.ticket.to_account_info())
+            .metadata(&accounts.metadata.to_account_info())
+            .master_edition(Some(&accounts.edition.to_account_info()))
+            .token_record(Some(&accounts.owner_token_record.to_account_info()))
+            .mint(&accounts.mint.to_account_info())
+            .token(Some(&accounts.owner_token_account.to_account_info()))
+            .authority(&accounts.owner.to_account_info())
+            .payer(&accounts.owner.to_account_info())
+            .system_program(&accounts.system_program.to_account_info())
+            .sysvar_instructions(&accounts.sysvar_instructions.to_account_info())
+            .spl_token_program(Some(&accounts.token_program.to_account_info()))
+            .authorization_rules_program(Some(&accounts.authorization_rules_program.to_account_info()))
+            .authorization_rules(Some(&accounts.authorization_rules.to_account_info()))
+            .invoke()?;
 
+        Ok(())
+    }
+
+    // Token Metadata checks the sale delegation itself (ListingNotApproved has
+    // no pNFT equivalent here) and creates the buyer's token account if needed
+    pub fn buy_programmable_ticket(ctx: Context<BuyProgrammableTicket>, max_price: u64) -> Result<()> {
+        require!(ctx.accounts.ticket.is_listed, TicketError::TicketNotListed);
+        require!(ctx.accounts.ticket.price <= max_price, TicketError::PriceAboveMax);
+        check_resale_open(&ctx.accounts.event)?;
+
+        pay_for_ticket(
+            &ctx.accounts.ticket,
+            &ctx.accounts.buyer,
+            &ctx.accounts.seller,
+            &ctx.accounts.organizer,
+            &ctx.accounts.system_program,
+        )?;
+
+        let accounts = &ctx.accounts;
+        let signer_seeds: &[&[&[u8]]] = &[&[
+            TICKET_SEED,
+            accounts.ticket.organizer.as_ref(),
+            accounts.ticket.mint.as_ref(),
+            &[ctx.bumps.ticket],
+        ]];
+        TransferV1CpiBuilder::new(&accounts.token_metadata_program.to_account_info())
+            .token(&accounts.seller_token_account.to_account_info())
+            .token_owner(&accounts.seller.to_account_info())
+            .destination_token(&accounts.buyer_token_account.to_account_info())
+            .destination_owner(&accounts.buyer.to_account_info())
+            .mint(&accounts.mint.to_account_info())
+            .metadata(&accounts.metadata.to_account_info())
+            .edition(Some(&accounts.edition.to_account_info()))
+            .token_record(Some(&accounts.seller_token_record.to_account_info()))
+            .destination_token_record(Some(&accounts.buyer_token_record.to_account_info()))
+            .authority(&accounts.ticket.to_account_info())
+            .payer(&accounts.buyer.to_account_info())
+            .system_program(&accounts.system_program.to_account_info())
+            .sysvar_instructions(&accounts.sysvar_instructions.to_account_info())
+            .spl_token_program(&accounts.token_program.to_account_info())
+            .spl_ata_program(&accounts.associated_token_program.to_account_info())
+            .authorization_rules_program(Some(&accounts.authorization_rules_program.to_account_info()))
+            .authorization_rules(Some(&accounts.authorization_rules.to_account_info()))
+            .amount(1)
+            .invoke_signed(signer_seeds)?;
+
+        let ticket = &mut ctx.accounts.ticket;
         ticket.owner = *ctx.accounts.buyer.key;
         ticket.is_listed = false;
 
@@ -75,6 +355,102 @@ pub mod ticket_market {
     }
 }
 
+// Fill in a new ticket and count it against the event's capacity
+#[allow(clippy::too_many_arguments)]
+fn init_ticket(
+    ticket: &mut Account<Ticket>,
+    event: &mut Account<Event>,
+    owner: Pubkey,
+    organizer: Pubkey,
+    mint: Pubkey,
+    price: u64,
+    resale_allowed: bool,
+    max_markup: u8,
+    royalty_bps: u16,
+) -> Result<()> {
+    require!(royalty_bps <= MAX_ROYALTY_BPS, TicketError::InvalidRoyalty);
+    require!(event.tickets_minted < event.capacity, TicketError::EventSoldOut);
+    event.tickets_minted += 1;
+
+    ticket.owner = owner;
+    ticket.price = price;
+    ticket.resale_allowed = resale_allowed;
+    ticket.max_markup = max_markup;
+    ticket.original_price = price;
+    ticket.is_listed = false;
+    ticket.mint = mint;
+    ticket.organizer = organizer;
+    ticket.royalty_bps = royalty_bps;
+    ticket.event = event.key();
+    Ok(())
+}
+
+// Checks shared by list_ticket and list_programmable_ticket
+fn check_listing(ticket: &Ticket, event: &Event, owner: &Pubkey, new_price: u64) -> Result<()> {
+    require!(ticket.resale_allowed, TicketError::ResaleNotAllowed);
+    check_resale_open(event)?;
+    require!(ticket.owner == *owner, TicketError::NotTicketOwner);
+
+    // Enforce max markup % limit
+    require!(
+        new_price <= ticket.max_resale_price(),
+        TicketError::ExceedsMaxMarkup
+    );
+    Ok(())
+}
+
+// Listing, repricing and buying stop at the event's resale cutoff; delisting never does
+fn check_resale_open(event: &Event) -> Result<()> {
+    require!(
+        Clock::get()?.unix_timestamp < event.resale_closes_at(),
+        TicketError::ResaleClosed
+    );
+    Ok(())
+}
+
+// The buyer is a system account, so only the System Program can debit it.
+// The organizer's royalty comes out of the price; the seller gets the rest.
+fn pay_for_ticket<'info>(
+    ticket: &Ticket,
+    buyer: &Signer<'info>,
+    seller: &UncheckedAccount<'info>,
+    organizer: &UncheckedAccount<'info>,
+    system_program: &Program<'info, System>,
+) -> Result<()> {
+    let royalty = ticket.royalty_for(ticket.price);
+    system_program::transfer(
+        CpiContext::new(
+            system_program.to_account_info(),
+            system_program::Transfer {
+                from: buyer.to_account_info(),
+                to: seller.to_account_info(),
+            },
+        ),
+        ticket.price - royalty,
+    )?;
+    if royalty > 0 {
+        system_program::transfer(
+            CpiContext::new(
+                system_program.to_account_info(),
+                system_program::Transfer {
+                    from: buyer.to_account_info(),
+                    to: organizer.to_account_info(),
+                },
+            ),
+            royalty,
+        )?;
+    }
+    Ok(())
+}
+
+pub const MAX_ROYALTY_BPS: u16 = 10_000;
+
+// Ticket PDAs: ["ticket", organizer, mint]
+pub const TICKET_SEED: &[u8] = b"ticket";
+
+// Metaplex Token Auth Rules, which evaluates a pNFT's rule set
+pub const TOKEN_AUTH_RULES_ID: Pubkey = pubkey!("auth9SigNpDKz4sJJ1DfCTuZrZNSAgh9sFD3rboVmgg");
+
 #[derive(Accounts)]
 #[instruction(price: u64, resale_allowed: bool, max_markup: u8, mint: Pubkey)]
 pub struct CreateTicket<'info> {
@@ -82,33 +458,318 @@ pub struct CreateTicket<'info> {
         init,
         payer = organizer,
         space = 8 + Ticket::LEN,
-        seeds = [b"ticket", organizer.key().as_ref(), mint.as_ref()],
+        seeds = [TICKET_SEED, organizer.key().as_ref(), mint.as_ref()],
+        bump
+    )]
+    pub ticket: Account<'info, Ticket>,
+
+    // Counts the ticket against the event's capacity
+    #[account(mut, has_one = organizer @ TicketError::InvalidEvent)]
+    pub event: Account<'info, Event>,
+
+    #[account(mut)]
+    pub organizer: Signer<'info>,
+
+    pub system_program: Program<'info, System>,
+}
+
+#[derive(Accounts)]
+pub struct RegisterTicket<'info> {
+    #[account(
+        init,
+        payer = organizer,
+        space = 8 + Ticket::LEN,
+        seeds = [TICKET_SEED, organizer.key().as_ref(), mint.key().as_ref()],
         bump
     )]
     pub ticket: Account<'info, Ticket>,
 
+    #[account(mut, has_one = organizer @ TicketError::InvalidEvent)]
+    pub event: Account<'info, Event>,
+
+    #[account(mut)]
+    pub organizer: Signer<'info>,
+
+    // An NFT: one indivisible token
+    #[account(constraint = mint.decimals == 0 && mint.supply == 1 @ TicketError::InvalidTicketMint)]
+    pub mint: Account<'info, Mint>,
+
+    // Its owner becomes the ticket owner
+    #[account(
+        token::mint = mint,
+        constraint = holder_token_account.amount == 1 @ TicketError::InvalidTicketHolder,
+    )]
+    pub holder_token_account: Account<'info, TokenAccount>,
+
+    // The NFT must be a verified member of `collection_mint`
+    #[account(
+        seeds = [METADATA_SEED, token_metadata_program.key().as_ref(), mint.key().as_ref()],
+        seeds::program = token_metadata_program.key(),
+        bump,
+        constraint = metadata.collection.as_ref().is_some_and(|collection| {
+            collection.verified && collection.key == collection_mint.key()
+        }) @ TicketError::CollectionMismatch,
+    )]
+    pub metadata: Account<'info, MetadataAccount>,
+
+    pub collection_mint: Account<'info, Mint>,
+
+    // Only the organizer's own collection counts: they are its update
+    // authority, so nobody else can verify NFTs into it
+    #[account(
+        seeds = [METADATA_SEED, token_metadata_program.key().as_ref(), collection_mint.key().as_ref()],
+        seeds::program = token_metadata_program.key(),
+        bump,
+        constraint = collection_metadata.update_authority == organizer.key() @ TicketError::CollectionMismatch,
+    )]
+    pub collection_metadata: Account<'info, MetadataAccount>,
+
+    pub token_metadata_program: Program<'info, Metadata>,
+    pub system_program: Program<'info, System>,
+}
+
+// Token Metadata accounts: ["metadata", token metadata program, mint]
+pub const METADATA_SEED: &[u8] = b"metadata";
+
+// Events: ["event", organizer, name]
+pub const EVENT_SEED: &[u8] = b"event";
+
+#[derive(Accounts)]
+#[instruction(name: String)]
+pub struct CreateEvent<'info> {
+    #[account(
+        init,
+        payer = organizer,
+        space = 8 + Event::LEN,
+        seeds = [EVENT_SEED, organizer.key().as_ref(), name.as_bytes()],
+        bump
+    )]
+    pub event: Account<'info, Event>,
+
     #[account(mut)]
     pub organizer: Signer<'info>,
 
     pub system_program: Program<'info, System>,
 }
 
+#[derive(Accounts)]
+pub struct UpdateEvent<'info> {
+    #[account(mut, has_one = organizer @ TicketError::InvalidEvent)]
+    pub event: Account<'info, Event>,
+
+    pub organizer: Signer<'info>,
+}
+
+// Delegate for listed NFTs: ["listing", ticket]
+pub const LISTING_SEED: &[u8] = b"listing";
+
 #[derive(Accounts)]
 pub struct ListTicket<'info> {
+    #[account(mut, has_one = mint)]
+    pub ticket: Account<'info, Ticket>,
+    // Its start time and resale cutoff decide whether the ticket can be sold
+    #[account(address = ticket.event @ TicketError::InvalidEvent)]
+    pub event: Account<'info, Event>,
+    pub owner: Signer<'info>,
+    pub mint: Account<'info, Mint>,
+    #[account(
+        mut,
+        token::mint = mint,
+        token::authority = owner,
+    )]
+    pub owner_token_account: Account<'info, TokenAccount>,
+    /// CHECK: PDA approved as the NFT delegate; never read or written
+    #[account(seeds = [LISTING_SEED, ticket.key().as_ref()], bump)]
+    pub listing_authority: UncheckedAccount<'info>,
+    pub token_program: Program<'info, Token>,
+}
+
+#[derive(Accounts)]
+pub struct DelistTicket<'info> {
+    #[account(mut, has_one = mint)]
+    pub ticket: Account<'info, Ticket>,
+    pub owner: Signer<'info>,
+    pub mint: Account<'info, Mint>,
+    #[account(
+        mut,
+        token::mint = mint,
+        token::authority = owner,
+    )]
+    pub owner_token_account: Account<'info, TokenAccount>,
+    pub token_program: Program<'info, Token>,
+}
+
+#[derive(Accounts)]
+pub struct UpdateListingPrice<'info> {
     #[account(mut)]
     pub ticket: Account<'info, Ticket>,
+    #[account(address = ticket.event @ TicketError::InvalidEvent)]
+    pub event: Account<'info, Event>,
     pub owner: Signer<'info>,
 }
 
 #[derive(Accounts)]
 pub struct BuyTicket<'info> {
+    #[account(mut, has_one = mint)]
+    pub ticket: Account<'info, Ticket>,
+    #[account(address = ticket.event @ TicketError::InvalidEvent)]
+    pub event: Account<'info, Event>,
+    /// CHECK: receives the payment; must be the current ticket owner
+    #[account(mut, address = ticket.owner @ TicketError::NotTicketOwner)]
+    pub seller: UncheckedAccount<'info>,
+    /// CHECK: receives the royalty; must be the organizer that created the ticket
+    #[account(mut, address = ticket.organizer)]
+    pub organizer: UncheckedAccount<'info>,
     #[account(mut)]
+    pub buyer: Signer<'info>,
+    pub mint: Account<'info, Mint>,
+    #[account(
+        mut,
+        token::mint = mint,
+        token::authority = seller,
+    )]
+    pub seller_token_account: Account<'info, TokenAccount>,
+    #[account(
+        init_if_needed,
+        payer = buyer,
+        associated_token::mint = mint,
+        associated_token::authority = buyer,
+    )]
+    pub buyer_token_account: Account<'info, TokenAccount>,
+    /// CHECK: PDA delegate that signs the NFT transfer
+    #[account(seeds = [LISTING_SEED, ticket.key().as_ref()], bump)]
+    pub listing_authority: UncheckedAccount<'info>,
+    pub token_program: Program<'info, Token>,
+    pub associated_token_program: Program<'info, AssociatedToken>,
+    pub system_program: Program<'info, System>,
+}
+
+// Token Metadata accounts for a pNFT (metadata, edition, token records, rule
+// set) are validated by Token Metadata itself during the CPI.
+
+#[derive(Accounts)]
+pub struct ListProgrammableTicket<'info> {
+    #[account(mut, has_one = mint)]
     pub ticket: Account<'info, Ticket>,
+    #[account(address = ticket.event @ TicketError::InvalidEvent)]
+    pub event: Account<'info, Event>,
     #[account(mut)]
     pub owner: Signer<'info>,
+    pub mint: Account<'info, Mint>,
+    #[account(
+        mut,
+        token::mint = mint,
+        token::authority = owner,
+    )]
+    pub owner_token_account: Account<'info, TokenAccount>,
+    /// CHECK: checked by Token Metadata
+    #[account(mut)]
+    pub metadata: UncheckedAccount<'info>,
+    /// CHECK: checked by Token Metadata
+    pub edition: UncheckedAccount<'info>,
+    /// CHECK: checked by Token Metadata
+    #[account(mut)]
+    pub owner_token_record: UncheckedAccount<'info>,
+    /// CHECK: the NFT's rule set, checked by Token Metadata
+    pub authorization_rules: UncheckedAccount<'info>,
+    /// CHECK: address constraint
+    #[account(address = TOKEN_AUTH_RULES_ID)]
+    pub authorization_rules_program: UncheckedAccount<'info>,
+    pub token_metadata_program: Program<'info, Metadata>,
+    pub token_program: Program<'info, Token>,
+    pub system_program: Program<'info, System>,
+    /// CHECK: address constraint
+    #[account(address = sysvar::instructions::ID)]
+    pub sysvar_instructions: UncheckedAccount<'info>,
+}
+
+#[derive(Accounts)]
+pub struct DelistProgrammableTicket<'info> {
+    #[account(mut, has_one = mint)]
+    pub ticket: Account<'info, Ticket>,
+    #[account(mut)]
+    pub owner: Signer<'info>,
+    pub mint: Account<'info, Mint>,
+    #[account(
+        mut,
+        token::mint = mint,
+        token::authority = owner,
+    )]
+    pub owner_token_account: Account<'info, TokenAccount>,
+    /// CHECK: checked by Token Metadata
+    #[account(mut)]
+    pub metadata: UncheckedAccount<'info>,
+    /// CHECK: checked by Token Metadata
+    pub edition: UncheckedAccount<'info>,
+    /// CHECK: checked by Token Metadata
+    #[account(mut)]
+    pub owner_token_record: UncheckedAccount<'info>,
+    /// CHECK: the NFT's rule set, checked by Token Metadata
+    pub authorization_rules: UncheckedAccount<'info>,
+    /// CHECK: address constraint
+    #[account(address = TOKEN_AUTH_RULES_ID)]
+    pub authorization_rules_program: UncheckedAccount<'info>,
+    pub token_metadata_program: Program<'info, Metadata>,
+    pub token_program: Program<'info, Token>,
+    pub system_program: Program<'info, System>,
+    /// CHECK: address constraint
+    #[account(address = sysvar::instructions::ID)]
+    pub sysvar_instructions: UncheckedAccount<'info>,
+}
+
+#[derive(Accounts)]
+pub struct BuyProgrammableTicket<'info> {
+    // The ticket PDA is the sale delegate and signs the transfer
+    #[account(
+        mut,
+        has_one = mint,
+        seeds = [TICKET_SEED, ticket.organizer.as_ref(), mint.key().as_ref()],
+        bump
+    )]
+    pub ticket: Account<'info, Ticket>,
+    #[account(address = ticket.event @ TicketError::InvalidEvent)]
+    pub event: Account<'info, Event>,
+    /// CHECK: receives the payment; must be the current ticket owner
+    #[account(mut, address = ticket.owner @ TicketError::NotTicketOwner)]
+    pub seller: UncheckedAccount<'info>,
+    /// CHECK: receives the royalty; must be the organizer that created the ticket
+    #[account(mut, address = ticket.organizer)]
+    pub organizer: UncheckedAccount<'info>,
     #[account(mut)]
     pub buyer: Signer<'info>,
+    pub mint: Account<'info, Mint>,
+    #[account(
+        mut,
+        token::mint = mint,
+        token::authority = seller,
+    )]
+    pub seller_token_account: Account<'info, TokenAccount>,
+    /// CHECK: the buyer's associated token account, created by Token Metadata if missing
+    #[account(mut, address = get_associated_token_address(&buyer.key(), &mint.key()))]
+    pub buyer_token_account: UncheckedAccount<'info>,
+    /// CHECK: checked by Token Metadata
+    #[account(mut)]
+    pub metadata: UncheckedAccount<'info>,
+    /// CHECK: checked by Token Metadata
+    pub edition: UncheckedAccount<'info>,
+    /// CHECK: checked by Token Metadata
+    #[account(mut)]
+    pub seller_token_record: UncheckedAccount<'info>,
+    /// CHECK: checked by Token Metadata
+    #[account(mut)]
+    pub buyer_token_record: UncheckedAccount<'info>,
+    /// CHECK: the NFT's rule set, checked by Token Metadata
+    pub authorization_rules: UncheckedAccount<'info>,
+    /// CHECK: address constraint
+    #[account(address = TOKEN_AUTH_RULES_ID)]
+    pub authorization_rules_program: UncheckedAccount<'info>,
+    pub token_metadata_program: Program<'info, Metadata>,
+    pub token_program: Program<'info, Token>,
+    pub associated_token_program: Program<'info, AssociatedToken>,
     pub system_program: Program<'info, System>,
+    /// CHECK: address constraint
+    #[account(address = sysvar::instructions::ID)]
+    pub sysvar_instructions: UncheckedAccount<'info>,
 }
 
 #[account]
@@ -120,10 +781,45 @@ pub struct Ticket {
     pub original_price: u64,  // 8
     pub is_listed: bool,      // 1
     pub mint: Pubkey,         // 32 - Add mint field
+    pub organizer: Pubkey,    // 32 - royalty recipient
+    pub royalty_bps: u16,     // 2
+    pub event: Pubkey,        // 32
 }
 
 impl Ticket {
-    pub const LEN: usize = 32 + 8 + 1 + 1 + 8 + 1 + 32; // Updated length
+    pub const LEN: usize = 32 + 8 + 1 + 1 + 8 + 1 + 32 + 32 + 2 + 32;
+
+    // Organizer's share of a sale at `price`, rounded down
+    pub fn royalty_for(&self, price: u64) -> u64 {
+        (price as u128 * self.royalty_bps as u128 / MAX_ROYALTY_BPS as u128) as u64
+    }
+
+    // Highest resale price the markup cap allows
+    pub fn max_resale_price(&self) -> u64 {
+        self.original_price + (self.original_price * self.max_markup as u64 / 100)
+    }
+}
+
+// Fixed-size fields first so they keep static offsets for memcmp filters
+#[account]
+pub struct Event {
+    pub organizer: Pubkey,   // 32
+    pub start_time: i64,     // 8 - unix timestamp
+    pub capacity: u32,       // 4
+    pub tickets_minted: u32, // 4
+    pub resale_cutoff: i64,  // 8 - seconds before start_time
+    pub name: String,        // 4 + MAX_NAME_LEN
+}
+
+impl Event {
+    // Also the PDA seed limit
+    pub const MAX_NAME_LEN: usize = 32;
+    pub const LEN: usize = 32 + 8 + 4 + 4 + 8 + 4 + Self::MAX_NAME_LEN;
+
+    // Unix timestamp from which tickets can no longer be listed or bought
+    pub fn resale_closes_at(&self) -> i64 {
+        self.start_time.saturating_sub(self.resale_cutoff)
+    }
 }
 
 #[error_code]
@@ -136,4 +832,22 @@ pub enum TicketError {
     ExceedsMaxMarkup,
     #[msg("Ticket is not listed for sale.")]
     TicketNotListed,
+    #[msg("Ticket NFT is not approved for sale by its holder.")]
+    ListingNotApproved,
+    #[msg("Royalty cannot exceed 10000 basis points.")]
+    InvalidRoyalty,
+    #[msg("Event is sold out.")]
+    EventSoldOut,
+    #[msg("Invalid event: check the organizer, the name (1-32 bytes) and the capacity.")]
+    InvalidEvent,
+    #[msg("The token account does not hold the ticket NFT.")]
+    InvalidTicketHolder,
+    #[msg("Resale has closed for this event.")]
+    ResaleClosed,
+    #[msg("The listing price is above the buyer's maximum price.")]
+    PriceAboveMax,
+    #[msg("The ticket mint is not an NFT (0 decimals, supply 1).")]
+    InvalidTicketMint,
+    #[msg("The ticket NFT is not a verified member of the organizer's collection.")]
+    CollectionMismatch,
 }
\ No newline at end of file
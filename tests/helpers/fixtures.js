@@ -0,0 +1,54 @@
+// tests/helpers/fixtures.js
+// Per-test state for the integration tests: every test gets a freshly funded
+// organizer, its own event and its own ticket, so tests do not depend on the
+// order they run in and can be run alone (--test-name-pattern).
+import { Keypair } from '@solana/web3.js';
+import { TicketMarketClient, DEFAULT_PROGRAM_ID } from '../../client/ticket_market_client.js';
+import { airdrop } from './validator.js';
+import { createNftMint } from './token.js';
+
+export const EVENT_NAME = 'Test Night';
+export const EVENT_START = '2030-06-01T20:00:00.000Z';
+
+export function clientFor(connection, signer, options = {}) {
+  return new TicketMarketClient({
+    connection,
+    signer,
+    programId: DEFAULT_PROGRAM_ID,
+    sendOptions: { priorityFee: 0 },
+    ...options,
+  });
+}
+
+export async function fundedWallet(connection, sol = 10) {
+  const wallet = Keypair.generate();
+  await airdrop(connection, wallet.publicKey, sol);
+  return wallet;
+}
+
+// { organizer, client, eventPda } for a new organizer's event
+export async function createEventFixture(connection, { capacity = 2, startTime = EVENT_START, resaleCutoff = 0 } = {}) {
+  const organizer = await fundedWallet(connection);
+  const client = clientFor(connection, organizer);
+  const { eventPda } = await client.createEvent({ name: EVENT_NAME, startTime, capacity, resaleCutoff });
+  return { organizer, client, eventPda };
+}
+
+// Event fixture plus one ticket held by the organizer, listed when
+// listPriceLamports is given
+export async function createTicketFixture(connection, {
+  capacity,
+  startTime,
+  price = '0.1',
+  maxMarkup = 20,
+  royaltyBps = 0,
+  listPriceLamports = null,
+} = {}) {
+  const fixture = await createEventFixture(connection, { capacity, startTime });
+  const mint = await createNftMint(connection, fixture.organizer);
+  await fixture.client.createTicket({ mint, event: fixture.eventPda, price, resaleAllowed: true, maxMarkup, royaltyBps });
+  if (listPriceLamports !== null) {
+    await fixture.client.listTicket({ mint, priceLamports: listPriceLamports });
+  }
+  return { ...fixture, mint };
+}
@@ -0,0 +1,97 @@
+// tests/helpers/metaplex.js
+// Metaplex programs for the metadata, pNFT and drop tests (Token Metadata,
+// Token Auth Rules, Candy Machine Core and Candy Guard). solana-test-validator
+// loads them from tests/fixtures/programs, which are dumped from mainnet:
+//
+//   npm run test:fixtures            # or: node tests/helpers/metaplex.js [cluster]
+//
+// Anchor.toml lists the same files as [[test.genesis]] for `anchor test`.
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateSigner, keypairIdentity, percentAmount } from '@metaplex-foundation/umi';
+import { createUmi } from '@metaplex-foundation/umi-bundle-defaults';
+import { fromWeb3JsKeypair, fromWeb3JsPublicKey, toWeb3JsPublicKey } from '@metaplex-foundation/umi-web3js-adapters';
+import {
+  MPL_TOKEN_METADATA_PROGRAM_ID,
+  createNft,
+  findMetadataPda,
+  mplTokenMetadata,
+  verifyCollectionV1,
+} from '@metaplex-foundation/mpl-token-metadata';
+import { MPL_TOKEN_AUTH_RULES_PROGRAM_ID } from '@metaplex-foundation/mpl-token-auth-rules';
+import { MPL_CANDY_GUARD_PROGRAM_ID, MPL_CANDY_MACHINE_CORE_PROGRAM_ID } from '@metaplex-foundation/mpl-candy-machine';
+import { validatorSkipReason } from './validator.js';
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'programs');
+
+export const METAPLEX_PROGRAMS = [
+  { name: 'mpl_token_metadata', programId: MPL_TOKEN_METADATA_PROGRAM_ID },
+  { name: 'mpl_token_auth_rules', programId: MPL_TOKEN_AUTH_RULES_PROGRAM_ID },
+  { name: 'mpl_candy_machine_core', programId: MPL_CANDY_MACHINE_CORE_PROGRAM_ID },
+  { name: 'mpl_candy_guard', programId: MPL_CANDY_GUARD_PROGRAM_ID },
+].map(program => ({ ...program, path: path.join(FIXTURES_DIR, `${program.name}.so`) }));
+
+// validatorSkipReason, plus missing program dumps when this file starts the
+// validator itself
+export function metaplexSkipReason() {
+  const reason = validatorSkipReason();
+  if (reason || process.env.ANCHOR_PROVIDER_URL) return reason;
+  const missing = METAPLEX_PROGRAMS.filter(program => !fs.existsSync(program.path));
+  if (missing.length > 0) {
+    return `Metaplex program dumps not found (${missing.map(program => program.name).join(', ')}); run \`npm run test:fixtures\``;
+  }
+  return false;
+}
+
+// Dump every program from `cluster` with the Solana CLI
+export function dumpMetaplexPrograms({ cluster = 'mainnet-beta' } = {}) {
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  for (const program of METAPLEX_PROGRAMS) {
+    const result = spawnSync('solana', ['program', 'dump', '--url', cluster, program.programId, program.path], { stdio: 'inherit' });
+    if (result.error || result.status !== 0) {
+      throw new Error(`Failed to dump ${program.name} (${program.programId}): ${result.error?.message ?? `exit code ${result.status}`}`);
+    }
+  }
+}
+
+// A collection NFT and one verified member, both controlled by `authority`
+// (a funded web3.js Keypair). The member is minted to `owner` (a public key),
+// else to `authority`; returns their web3.js mints
+export async function createCollectionMember(url, authority, { owner = null } = {}) {
+  const umi = createUmi(url, 'confirmed').use(mplTokenMetadata()).use(keypairIdentity(fromWeb3JsKeypair(authority)));
+  const collection = generateSigner(umi);
+  const member = generateSigner(umi);
+
+  await createNft(umi, {
+    mint: collection,
+    name: 'Look-alike Night',
+    uri: 'https://example.com/collection.json',
+    sellerFeeBasisPoints: percentAmount(0),
+    isCollection: true,
+  }).sendAndConfirm(umi);
+  await createNft(umi, {
+    mint: member,
+    name: 'Look-alike Ticket',
+    uri: 'https://example.com/ticket.json',
+    sellerFeeBasisPoints: percentAmount(0),
+    tokenOwner: owner ? fromWeb3JsPublicKey(owner) : umi.identity.publicKey,
+    collection: { key: collection.publicKey, verified: false },
+  }).add(verifyCollectionV1(umi, {
+    metadata: findMetadataPda(umi, { mint: member.publicKey }),
+    collectionMint: collection.publicKey,
+    authority: umi.identity,
+  })).sendAndConfirm(umi);
+
+  return { collection: toWeb3JsPublicKey(collection.publicKey), mint: toWeb3JsPublicKey(member.publicKey) };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    dumpMetaplexPrograms({ cluster: process.argv[2] });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,93 @@
+// tests/helpers/token.js
+// Bare SPL Token instructions for the integration tests: a 0-decimal mint with
+// a single token, i.e. what the ticket NFT looks like to ticket_market.
+// Only register_ticket reads metadata (the collection); the rest of the
+// program does not, so Metaplex is not involved.
+import { Keypair, SystemProgram, Transaction, TransactionInstruction, sendAndConfirmTransaction } from '@solana/web3.js';
+import * as anchor from '@project-serum/anchor';
+import { associatedTokenAddress } from '../../client/ticket_market_client.js';
+
+const { TOKEN_PROGRAM_ID, ASSOCIATED_PROGRAM_ID } = anchor.utils.token;
+
+const MINT_SIZE = 82;
+const INITIALIZE_MINT2 = 20;
+const MINT_TO = 7;
+const CREATE_IDEMPOTENT = 1;
+
+function initializeMintInstruction(mint, authority) {
+  // decimals 0, mint authority, no freeze authority
+  const data = Buffer.alloc(67);
+  data.writeUInt8(INITIALIZE_MINT2, 0);
+  authority.toBuffer().copy(data, 2);
+  return new TransactionInstruction({
+    programId: TOKEN_PROGRAM_ID,
+    keys: [{ pubkey: mint, isSigner: false, isWritable: true }],
+    data,
+  });
+}
+
+function createAssociatedAccountInstruction(payer, mint, owner) {
+  return new TransactionInstruction({
+    programId: ASSOCIATED_PROGRAM_ID,
+    keys: [
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: associatedTokenAddress(mint, owner), isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: false, isWritable: false },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+    ],
+    data: Buffer.from([CREATE_IDEMPOTENT]),
+  });
+}
+
+function mintToInstruction(mint, destination, authority, amount) {
+  const data = Buffer.alloc(9);
+  data.writeUInt8(MINT_TO, 0);
+  data.writeBigUInt64LE(BigInt(amount), 1);
+  return new TransactionInstruction({
+    programId: TOKEN_PROGRAM_ID,
+    keys: [
+      { pubkey: mint, isSigner: false, isWritable: true },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: authority, isSigner: true, isWritable: false },
+    ],
+    data,
+  });
+}
+
+// New mint holding one token (or `amount`, for a mint that is not an NFT)
+// in `owner`'s associated token account; returns the mint address
+export async function createNftMint(connection, owner, { amount = 1 } = {}) {
+  const mint = Keypair.generate();
+  const lamports = await connection.getMinimumBalanceForRentExemption(MINT_SIZE);
+  const transaction = new Transaction().add(
+    SystemProgram.createAccount({
+      fromPubkey: owner.publicKey,
+      newAccountPubkey: mint.publicKey,
+      lamports,
+      space: MINT_SIZE,
+      programId: TOKEN_PROGRAM_ID,
+    }),
+    initializeMintInstruction(mint.publicKey, owner.publicKey),
+    createAssociatedAccountInstruction(owner.publicKey, mint.publicKey, owner.publicKey),
+    mintToInstruction(mint.publicKey, associatedTokenAddress(mint.publicKey, owner.publicKey), owner.publicKey, amount),
+  );
+  await sendAndConfirmTransaction(connection, transaction, [owner, mint], { commitment: 'confirmed' });
+  return mint.publicKey;
+}
+
+// Empty associated token account for `owner` (paid by `owner`)
+export async function createTokenAccount(connection, owner, mint) {
+  const transaction = new Transaction().add(createAssociatedAccountInstruction(owner.publicKey, mint, owner.publicKey));
+  await sendAndConfirmTransaction(connection, transaction, [owner], { commitment: 'confirmed' });
+  return associatedTokenAddress(mint, owner.publicKey);
+}
+
+// { amount (bigint), delegate (base58 or null) } of a token account
+export async function tokenAccountState(connection, address) {
+  const { value } = await connection.getParsedAccountInfo(address, 'confirmed');
+  if (!value) return { amount: 0n, delegate: null };
+  const { tokenAmount, delegate = null } = value.data.parsed.info;
+  return { amount: BigInt(tokenAmount.amount), delegate };
+}
@@ -0,0 +1,137 @@
+// tests/helpers/validator.js
+// Local cluster for the integration tests: either the validator `anchor test`
+// already started (ANCHOR_PROVIDER_URL), or a fresh solana-test-validator with
+// ticket_market preloaded from target/deploy (run `anchor build` first), plus
+// any other `programs` a test file needs (see tests/helpers/metaplex.js).
+// Nothing here touches a public cluster.
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Connection, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const DEFAULT_PROGRAM_PATH = path.join(ROOT, 'target', 'deploy', 'ticket_market.so');
+const STARTUP_TIMEOUT_MS = 60_000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// abort: returns an Error to stop waiting early (e.g. the process died)
+async function waitFor(check, { timeoutMs, what, abort = () => null }) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const failure = abort();
+    if (failure) throw failure;
+    try {
+      if (await check()) return;
+    } catch {
+      // not up yet
+    }
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms waiting for ${what}`);
+    await sleep(250);
+  }
+}
+
+function programPath() {
+  const soPath = process.env.TICKET_MARKET_SO || DEFAULT_PROGRAM_PATH;
+  if (!fs.existsSync(soPath)) {
+    throw new Error(`Program binary not found at ${soPath}. Run \`anchor build\` (or set TICKET_MARKET_SO).`);
+  }
+  return soPath;
+}
+
+function requireValidatorBinary() {
+  const probe = spawnSync('solana-test-validator', ['--version'], { encoding: 'utf8' });
+  if (probe.error) {
+    throw new Error('solana-test-validator not found on PATH. Install the Solana CLI, or run the suite via `anchor test`.');
+  }
+}
+
+// Why the integration tests cannot run here, or false when they can; pass it
+// as `describe(..., { skip })` so a machine without the Solana toolchain
+// reports the suite as skipped instead of cancelled
+export function validatorSkipReason() {
+  if (process.env.ANCHOR_PROVIDER_URL) return false;
+  try {
+    requireValidatorBinary();
+    programPath();
+  } catch (error) {
+    return error.message;
+  }
+  return false;
+}
+
+// Whether every one of `programIds` is deployed and executable
+async function programsDeployed(connection, programIds) {
+  const accounts = await connection.getMultipleAccountsInfo(programIds);
+  return accounts.every(account => account?.executable);
+}
+
+// { url, connection, close() } with `programId` and `programs` ({ programId,
+// path } of other .so files) deployed and executable.
+// node --test runs files in parallel, so each file needs its own ports.
+export async function startTestValidator({ programId, programs = [], rpcPort = 8899, faucetPort = 9900, gossipPort = 8001 }) {
+  const programIds = [programId, ...programs.map(program => new PublicKey(program.programId))];
+
+  if (process.env.ANCHOR_PROVIDER_URL) {
+    const connection = new Connection(process.env.ANCHOR_PROVIDER_URL, 'confirmed');
+    await waitFor(() => programsDeployed(connection, programIds), {
+      timeoutMs: STARTUP_TIMEOUT_MS,
+      what: `programs ${programIds.map(id => id.toBase58()).join(', ')} on ${process.env.ANCHOR_PROVIDER_URL}`,
+    });
+    return { url: process.env.ANCHOR_PROVIDER_URL, connection, close: async () => {} };
+  }
+
+  requireValidatorBinary();
+  const ledger = fs.mkdtempSync(path.join(os.tmpdir(), 'ticket-market-ledger-'));
+  const child = spawn('solana-test-validator', [
+    '--reset',
+    '--quiet',
+    '--ledger', ledger,
+    '--rpc-port', String(rpcPort),
+    '--faucet-port', String(faucetPort),
+    '--gossip-port', String(gossipPort),
+    '--bpf-program', programId.toBase58(), programPath(),
+    ...programs.flatMap(program => ['--bpf-program', String(program.programId), program.path]),
+  ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  let stderr = '';
+  child.stderr.on('data', chunk => {
+    stderr += chunk;
+  });
+  let running = true;
+  const exited = new Promise(resolve => child.once('exit', () => {
+    running = false;
+    resolve();
+  }));
+
+  const close = async () => {
+    if (running) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(ledger, { recursive: true, force: true });
+  };
+
+  const url = `http://127.0.0.1:${rpcPort}`;
+  const connection = new Connection(url, 'confirmed');
+  try {
+    await waitFor(() => programsDeployed(connection, programIds), {
+      timeoutMs: STARTUP_TIMEOUT_MS,
+      what: 'solana-test-validator',
+      abort: () => (!running ? new Error(`solana-test-validator exited: ${stderr.trim()}`) : null),
+    });
+  } catch (error) {
+    await close();
+    throw error;
+  }
+
+  return { url, connection, close };
+}
+
+export async function airdrop(connection, publicKey, sol = 10) {
+  const signature = await connection.requestAirdrop(publicKey, sol * LAMPORTS_PER_SOL);
+  const latest = await connection.getLatestBlockhash('confirmed');
+  await connection.confirmTransaction({ signature, ...latest }, 'confirmed');
+}
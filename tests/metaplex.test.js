@@ -0,0 +1,270 @@
+// tests/metaplex.test.js
+// mint_ticket.js end to end against a local validator with the Metaplex
+// programs loaded (tests/helpers/metaplex.js): tickets minted with real
+// metadata into a verified event collection, programmable tickets sold
+// through the rule set, a Candy Machine drop registered with register_ticket,
+// register_ticket for a collection NFT a fan holds (and its refusal of NFTs
+// of someone else's collection), and expiring the tickets of a started event.
+// Without the Solana CLI, the program binary or the Metaplex program dumps
+// the suite is skipped.
+//
+//   anchor build && npm run test:fixtures && npm test
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Keypair } from '@solana/web3.js';
+import { keypairIdentity, publicKey as umiPublicKey } from '@metaplex-foundation/umi';
+import { createUmi } from '@metaplex-foundation/umi-bundle-defaults';
+import { fromWeb3JsKeypair } from '@metaplex-foundation/umi-web3js-adapters';
+import {
+  mplTokenMetadata,
+  fetchMetadataFromSeeds,
+  transferV1,
+  TokenStandard,
+} from '@metaplex-foundation/mpl-token-metadata';
+import { mplTokenAuthRules } from '@metaplex-foundation/mpl-token-auth-rules';
+import {
+  DEFAULT_PROGRAM_ID,
+  CollectionMismatchError,
+  InvalidTicketHolderError,
+  associatedTokenAddress,
+} from '../client/ticket_market_client.js';
+import {
+  configure,
+  setStorage,
+  createMintContext,
+  createEvent,
+  updateEvent,
+  createEventCollection,
+  mintTicketWithSmartContract,
+  listTicketForResale,
+  buyTicket,
+  createTicketDrop,
+  mintFromDrop,
+  syncTicketDrop,
+  expireTickets,
+  readJSONFromIPFS,
+} from '../mint_ticket.js';
+import { writeTicketRuleSet } from '../utils/rule-set.js';
+import { createLocalStorage } from '../utils/storage.js';
+import { startTestValidator } from './helpers/validator.js';
+import { METAPLEX_PROGRAMS, metaplexSkipReason, createCollectionMember } from './helpers/metaplex.js';
+import { createTokenAccount, tokenAccountState } from './helpers/token.js';
+import { EVENT_START, clientFor, fundedWallet } from './helpers/fixtures.js';
+
+const TICKET_IMAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'ticket.png');
+const ROYALTY_BPS = 500; // 5%
+
+describe('Metaplex tickets', { skip: metaplexSkipReason() }, () => {
+  const originalDir = process.cwd();
+  let validator;
+  let connection;
+  let workDir;
+  let organizer;
+  let collection;
+  let ruleSet;
+
+  // Point mint_ticket.js at the test validator with `wallet` as the
+  // profile's keypair, the event collection and the rule set
+  function useWallet(wallet) {
+    const keypairPath = path.join(workDir, `${wallet.publicKey.toBase58()}.json`);
+    fs.writeFileSync(keypairPath, JSON.stringify([...wallet.secretKey]));
+    configure({
+      profile: 'localnet',
+      rpcUrl: validator.url,
+      programId: DEFAULT_PROGRAM_ID.toBase58(),
+      keypair: keypairPath,
+      collection: collection ?? null,
+      ruleSet: ruleSet ?? null,
+      priorityFee: 0,
+    });
+  }
+
+  function mintTicket(event, params = {}) {
+    return mintTicketWithSmartContract({
+      imagePath: TICKET_IMAGE,
+      name: 'Metaplex Ticket',
+      description: 'Test ticket',
+      event,
+      price: '0.1',
+      sellerFeeBasisPoints: ROYALTY_BPS,
+      ...params,
+    });
+  }
+
+  function createTestEvent(name, options = {}) {
+    return createEvent({ name, startTime: EVENT_START, capacity: 2, ...options });
+  }
+
+  before(async () => {
+    // Separate ports from tests/ticket_market.test.js, which runs alongside
+    validator = await startTestValidator({
+      programId: DEFAULT_PROGRAM_ID,
+      programs: METAPLEX_PROGRAMS,
+      rpcPort: 8999,
+      faucetPort: 9990,
+      gossipPort: 8101,
+    });
+    connection = validator.connection;
+
+    // mint_ticket.js writes last_mint.json and the mint journal to the working directory
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticket-metaplex-'));
+    process.chdir(workDir);
+    setStorage(createLocalStorage({ dir: path.join(workDir, '.storage') }));
+
+    organizer = await fundedWallet(connection, 50);
+    useWallet(organizer);
+    collection = (await createEventCollection({ imagePath: TICKET_IMAGE, name: 'Metaplex Night' })).collection;
+    const { umi } = await createMintContext({ minBalance: '0' });
+    ruleSet = (await writeTicketRuleSet(umi, { connection, payer: organizer, programId: DEFAULT_PROGRAM_ID })).address.toString();
+    useWallet(organizer);
+  });
+
+  after(async () => {
+    process.chdir(originalDir);
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    await validator?.close();
+  });
+
+  it('mints tickets verified into the event collection, with the royalty in their metadata', async () => {
+    const { eventPda } = await createTestEvent('Collection Night');
+    const minted = await mintTicket(eventPda);
+    assert.equal(minted.collection, collection);
+
+    const client = clientFor(connection, organizer, { collection });
+    const metadata = await client.verifyCollection(minted.mintAddress);
+    assert.equal(metadata.sellerFeeBasisPoints.basisPoints, BigInt(ROYALTY_BPS));
+    assert.equal((await client.fetchTicket({ mint: minted.mintAddress })).royaltyBps, ROYALTY_BPS);
+
+    // Verified into a collection, but not this one
+    const lookAlike = await createCollectionMember(validator.url, await fundedWallet(connection));
+    await assert.rejects(client.verifyCollection(lookAlike.mint), CollectionMismatchError);
+  });
+
+  it('sells a programmable ticket through the program and refuses wallet-to-wallet transfers', async () => {
+    const { eventPda } = await createTestEvent('Programmable Night');
+    const { mintAddress } = await mintTicket(eventPda, { programmable: true });
+    const buyer = await fundedWallet(connection);
+
+    await listTicketForResale(mintAddress, '0.12');
+    const result = await buyTicket(mintAddress, buyer);
+    assert.equal(result.newOwner, buyer.publicKey.toBase58());
+
+    const buyerAccount = associatedTokenAddress(mintAddress, buyer.publicKey);
+    assert.equal((await tokenAccountState(connection, buyerAccount)).amount, 1n);
+    const ticket = await clientFor(connection, organizer).fetchTicket({ mint: mintAddress });
+    assert.equal(ticket.owner, buyer.publicKey.toBase58());
+    assert.equal(ticket.isListed, false);
+
+    // The rule set only lets ticket_market move the pNFT
+    const umi = createUmi(validator.url, 'confirmed')
+      .use(mplTokenMetadata())
+      .use(mplTokenAuthRules())
+      .use(keypairIdentity(fromWeb3JsKeypair(buyer)));
+    await assert.rejects(transferV1(umi, {
+      mint: umiPublicKey(mintAddress),
+      authority: umi.identity,
+      tokenOwner: umi.identity.publicKey,
+      destinationOwner: umiPublicKey(Keypair.generate().publicKey.toBase58()),
+      tokenStandard: TokenStandard.ProgrammableNonFungible,
+      authorizationRules: umiPublicKey(ruleSet),
+    }).sendAndConfirm(umi));
+    assert.equal((await tokenAccountState(connection, buyerAccount)).amount, 1n);
+  });
+
+  it('registers the tickets a Candy Machine drop sold to their holders', async () => {
+    const manifestPath = path.join(workDir, 'drop-night.json');
+    fs.writeFileSync(manifestPath, JSON.stringify({
+      event: { name: 'Drop Night', eventDate: EVENT_START, capacity: 2, collection, sellerFeeBasisPoints: ROYALTY_BPS },
+      tickets: [
+        { seat: 'A1', price: '0.1', image: TICKET_IMAGE },
+        { seat: 'A2', price: '0.1', image: TICKET_IMAGE },
+      ],
+    }));
+    const drop = await createTicketDrop(manifestPath);
+
+    const fan = await fundedWallet(connection);
+    useWallet(fan);
+    const bought = await mintFromDrop(drop.dropPath);
+    useWallet(organizer);
+
+    const report = await syncTicketDrop(drop.dropPath);
+    assert.deepEqual(report.registered, [bought.mintAddress]);
+    assert.deepEqual(report.failed, []);
+
+    const ticket = await clientFor(connection, organizer).fetchTicket({ mint: bought.mintAddress });
+    assert.equal(ticket.owner, fan.publicKey.toBase58());
+    assert.equal(ticket.event, drop.event);
+    assert.equal(ticket.royaltyBps, ROYALTY_BPS);
+
+    assert.deepEqual((await syncTicketDrop(drop.dropPath)).existing, [bought.mintAddress]);
+  });
+
+  it('registers a ticket for a collection NFT a fan already holds', async () => {
+    const { eventPda } = await createTestEvent('Fan Night');
+    const fan = await fundedWallet(connection);
+    // Minted straight to the fan and verified into a collection of the organizer
+    const member = await createCollectionMember(validator.url, organizer, { owner: fan.publicKey });
+    const client = clientFor(connection, organizer);
+    const options = { mint: member.mint, event: eventPda, price: '0.1', royaltyBps: ROYALTY_BPS, collection: member.collection };
+
+    // The organizer's wallet holds none of the fan's NFT
+    const emptyAccount = await createTokenAccount(connection, organizer, member.mint);
+    await assert.rejects(client.registerTicket({ ...options, holderTokenAccount: emptyAccount }), InvalidTicketHolderError);
+
+    const registered = await client.registerTicket(options);
+    assert.equal(registered.alreadyExists, false);
+    assert.equal(registered.owner, fan.publicKey.toBase58());
+
+    const ticket = await client.fetchTicket({ mint: member.mint, collection: member.collection });
+    assert.equal(ticket.owner, fan.publicKey.toBase58());
+    assert.equal(ticket.organizer, organizer.publicKey.toBase58());
+    assert.equal(ticket.event, eventPda);
+    assert.equal(ticket.originalPriceLamports, 100_000_000n);
+    assert.equal(ticket.royaltyBps, ROYALTY_BPS);
+    assert.equal((await client.fetchEvent({ pda: eventPda })).ticketsMinted, 1);
+
+    assert.equal((await client.registerTicket(options)).alreadyExists, true);
+  });
+
+  it('refuses to register an NFT of a collection the organizer does not control', async () => {
+    const { eventPda } = await createTestEvent('Register Night');
+    const lookAlike = await createCollectionMember(validator.url, await fundedWallet(connection));
+    const client = clientFor(connection, organizer);
+    const options = { mint: lookAlike.mint, event: eventPda, price: '0.1', collection: lookAlike.collection };
+
+    await assert.rejects(client.registerTicket(options), CollectionMismatchError);
+    const { builder } = await client.prepareRegisterTicket({ ...options, preflight: false });
+    await assert.rejects(client.send(builder), error => {
+      assert.ok(error instanceof CollectionMismatchError, `expected CollectionMismatchError, got ${error.name}: ${error.message}`);
+      assert.equal(error.code, 6012);
+      return true;
+    });
+
+    // Naming the organizer's collection does not help: the NFT is not verified into it
+    const { builder: claimed } = await client.prepareRegisterTicket({ ...options, collection, preflight: false });
+    await assert.rejects(client.send(claimed), CollectionMismatchError);
+    assert.equal(await client.fetchTicket({ mint: lookAlike.mint }), null);
+  });
+
+  it('marks the tickets of a started event as expired, once', async () => {
+    const { eventPda } = await createTestEvent('Expiry Night', { capacity: 1 });
+    const { mintAddress } = await mintTicket(eventPda);
+    assert.deepEqual((await expireTickets({ event: eventPda })).upcoming, [mintAddress]);
+
+    await updateEvent(eventPda, { startTime: new Date(Date.now() - 3_600_000).toISOString() });
+    const report = await expireTickets({ event: eventPda });
+    assert.deepEqual(report.expired, [mintAddress]);
+    assert.deepEqual(report.failed, []);
+
+    const umi = createUmi(validator.url, 'confirmed').use(mplTokenMetadata());
+    const metadata = await fetchMetadataFromSeeds(umi, { mint: umiPublicKey(mintAddress) });
+    const json = await readJSONFromIPFS(metadata.uri);
+    assert.ok(json.attributes.some(attribute => attribute.trait_type === 'Status' && attribute.value === 'Expired'));
+
+    assert.deepEqual((await expireTickets({ event: eventPda })).alreadyExpired, [mintAddress]);
+  });
+});
@@ -0,0 +1,419 @@
+// tests/ticket_market.test.js
+// End-to-end ticket lifecycle against a local validator (tests/helpers/validator.js)
+// and the local storage backend: the event and its capacity, create, list, markup rejection, reprice,
+// delist, buy (payment and NFT in one transaction), the ownership change,
+// the organizer's royalty on a resale, the event collection check,
+// register_ticket's refusals of non-collection NFTs and the resale cutoff.
+// Each test sets up its own organizer, event and ticket (tests/helpers/fixtures.js).
+// Without solana-test-validator or the program binary the validator suite is skipped.
+//
+//   anchor build && npm test
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Keypair, VersionedTransaction } from '@solana/web3.js';
+import {
+  TicketMarketClient,
+  DEFAULT_PROGRAM_ID,
+  ExceedsMaxMarkupError,
+  NotTicketOwnerError,
+  TicketNotListedError,
+  CollectionMismatchError,
+  EventSoldOutError,
+  InvalidEventError,
+  InvalidTicketHolderError,
+  InvalidTicketMintError,
+  ResaleClosedError,
+  PriceAboveMaxError,
+  associatedTokenAddress,
+} from '../client/ticket_market_client.js';
+import { createLocalStorage, readFromLocalStore } from '../utils/storage.js';
+import { startTestValidator, validatorSkipReason } from './helpers/validator.js';
+import { createNftMint, createTokenAccount, tokenAccountState } from './helpers/token.js';
+import {
+  EVENT_NAME,
+  EVENT_START,
+  clientFor,
+  fundedWallet,
+  createEventFixture,
+  createTicketFixture,
+} from './helpers/fixtures.js';
+
+const TICKET_IMAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'assets', 'ticket.png');
+
+const PRICE = 100_000_000n; // 0.1 SOL
+const MAX_PRICE = 120_000_000n; // 20% markup
+const ROYALTY_BPS = 500; // 5%
+const TOKEN_ACCOUNT_SIZE = 165;
+
+function cidOf(uri) {
+  return uri.replace('ipfs://', '');
+}
+
+describe('local storage', () => {
+  let storageDir;
+  before(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticket-storage-'));
+  });
+  after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+  it('stores the ticket image and metadata', async () => {
+    const storage = createLocalStorage({ dir: storageDir });
+    const imageUri = await storage.uploadFile(TICKET_IMAGE, 'ticket.png');
+    const metadataUri = await storage.uploadJSON({ name: 'Test Ticket', image: imageUri });
+
+    assert.deepEqual(readFromLocalStore(storageDir, cidOf(imageUri)), fs.readFileSync(TICKET_IMAGE));
+    const metadata = JSON.parse(readFromLocalStore(storageDir, cidOf(metadataUri)).toString('utf8'));
+    assert.equal(metadata.image, imageUri);
+  });
+});
+
+describe('ticket_market lifecycle', { skip: validatorSkipReason() }, () => {
+  let validator;
+  let connection;
+
+  before(async () => {
+    validator = await startTestValidator({ programId: DEFAULT_PROGRAM_ID });
+    connection = validator.connection;
+  }, { timeout: 120_000 });
+
+  after(async () => {
+    await validator?.close();
+  });
+
+  // Organizer's ticket listed at MAX_PRICE, bought by a new wallet
+  async function soldTicket(options = {}) {
+    const fixture = await createTicketFixture(connection, { listPriceLamports: MAX_PRICE, ...options });
+    const buyer = await fundedWallet(connection);
+    await clientFor(connection, buyer).buyTicket({ mint: fixture.mint, organizer: fixture.organizer.publicKey });
+    return { ...fixture, buyer };
+  }
+
+  it('creates an event for one ticket', async () => {
+    const organizer = await fundedWallet(connection);
+    const client = clientFor(connection, organizer);
+
+    await assert.rejects(client.createEvent({ name: 'x'.repeat(33), startTime: EVENT_START, capacity: 1 }), InvalidEventError);
+    await assert.rejects(client.createEvent({ name: EVENT_NAME, startTime: EVENT_START, capacity: 0 }), InvalidEventError);
+
+    const created = await client.createEvent({ name: EVENT_NAME, startTime: EVENT_START, capacity: 1 });
+    assert.equal(created.alreadyExists, false);
+    assert.equal(created.eventPda, client.deriveEventPda(EVENT_NAME).toBase58());
+
+    const event = await client.fetchEvent({ name: EVENT_NAME });
+    assert.equal(event.organizer, organizer.publicKey.toBase58());
+    assert.equal(event.startTime, EVENT_START);
+    assert.equal(event.capacity, 1);
+    assert.equal(event.ticketsMinted, 0);
+  });
+
+  it('creates a ticket owned by the organizer', async () => {
+    const { organizer, client, eventPda } = await createEventFixture(connection, { capacity: 1 });
+    const mint = await createNftMint(connection, organizer);
+
+    const created = await client.createTicket({ mint, event: eventPda, price: '0.1', resaleAllowed: true, maxMarkup: 20, royaltyBps: ROYALTY_BPS });
+    assert.equal(created.alreadyExists, false);
+    assert.ok(created.signature);
+    assert.equal(created.ticketPda, client.derivePda(mint).toBase58());
+
+    const ticket = await client.fetchTicket({ mint });
+    assert.equal(ticket.owner, organizer.publicKey.toBase58());
+    assert.equal(ticket.organizer, organizer.publicKey.toBase58());
+    assert.equal(ticket.royaltyBps, ROYALTY_BPS);
+    assert.equal(ticket.mint, mint.toBase58());
+    assert.equal(ticket.event, eventPda);
+    assert.equal(ticket.priceLamports, PRICE);
+    assert.equal(ticket.originalPriceLamports, PRICE);
+    assert.equal(ticket.maxResalePriceLamports, MAX_PRICE);
+    assert.equal(ticket.resaleAllowed, true);
+    assert.equal(ticket.isListed, false);
+
+    const again = await client.createTicket({ mint, event: eventPda, price: '0.1' });
+    assert.equal(again.alreadyExists, true);
+    assert.equal(again.signature, null);
+
+    const event = await client.fetchEvent({ pda: eventPda });
+    assert.equal(event.ticketsMinted, 1);
+    assert.equal(event.remaining, 0);
+  });
+
+  it('rejects a ticket past the event capacity, client-side and on-chain', async () => {
+    const { organizer, client, eventPda } = await createTicketFixture(connection, { capacity: 1 });
+    const extraMint = await createNftMint(connection, organizer);
+    await assert.rejects(client.createTicket({ mint: extraMint, event: eventPda, price: '0.1' }), EventSoldOutError);
+
+    const { builder } = await client.prepareCreateTicket({ mint: extraMint, event: eventPda, price: '0.1', preflight: false });
+    await assert.rejects(client.send(builder), error => {
+      assert.ok(error instanceof EventSoldOutError, `expected EventSoldOutError, got ${error.name}: ${error.message}`);
+      assert.equal(error.code, 6006);
+      return true;
+    });
+
+    // Capacity can grow but never drop below the tickets already created
+    await assert.rejects(client.updateEvent({ pda: eventPda, capacity: 0 }), InvalidEventError);
+    await client.updateEvent({ pda: eventPda, capacity: 2 });
+    const event = await client.fetchEvent({ pda: eventPda });
+    assert.equal(event.capacity, 2);
+    assert.equal(event.startTime, EVENT_START);
+  });
+
+  it('lists the ticket at exactly the markup cap, delegating the NFT', async () => {
+    const { organizer, client, mint } = await createTicketFixture(connection);
+    await client.listTicket({ mint, priceLamports: MAX_PRICE });
+
+    const ticket = await client.fetchTicket({ mint });
+    assert.equal(ticket.isListed, true);
+    assert.equal(ticket.priceLamports, MAX_PRICE);
+
+    const tokens = await tokenAccountState(connection, associatedTokenAddress(mint, organizer.publicKey));
+    assert.equal(tokens.amount, 1n);
+    assert.equal(tokens.delegate, client.deriveListingAuthority(client.derivePda(mint)).toBase58());
+  });
+
+  it('rejects a price one lamport over the cap, client-side and on-chain', async () => {
+    const { client, mint } = await createTicketFixture(connection, { listPriceLamports: MAX_PRICE });
+    await assert.rejects(client.listTicket({ mint, priceLamports: MAX_PRICE + 1n }), ExceedsMaxMarkupError);
+
+    const { builder } = await client.prepareListTicket({ mint, priceLamports: MAX_PRICE + 1n, preflight: false });
+    await assert.rejects(client.send(builder), error => {
+      assert.ok(error instanceof ExceedsMaxMarkupError, `expected ExceedsMaxMarkupError, got ${error.name}: ${error.message}`);
+      assert.equal(error.code, 6002);
+      return true;
+    });
+
+    const ticket = await client.fetchTicket({ mint });
+    assert.equal(ticket.priceLamports, MAX_PRICE);
+  });
+
+  it('rejects a listing by someone who does not own the ticket', async () => {
+    const { organizer, mint } = await createTicketFixture(connection);
+    const stranger = await fundedWallet(connection);
+    const strangerClient = clientFor(connection, stranger);
+    const options = { mint, price: '0.11', organizer: organizer.publicKey };
+
+    await assert.rejects(strangerClient.listTicket(options), NotTicketOwnerError);
+
+    // An (empty) token account of their own gets past the account checks
+    await createTokenAccount(connection, stranger, mint);
+    const { builder } = await strangerClient.prepareListTicket({ ...options, preflight: false });
+    await assert.rejects(strangerClient.send(builder), NotTicketOwnerError);
+  });
+
+  it('reprices and delists the listing, then relists it', async () => {
+    const { organizer, client, mint } = await createTicketFixture(connection, { listPriceLamports: MAX_PRICE });
+    const stranger = await fundedWallet(connection);
+
+    await client.updateListingPrice({ mint, priceLamports: PRICE });
+    assert.equal((await client.fetchTicket({ mint })).priceLamports, PRICE);
+    await assert.rejects(client.updateListingPrice({ mint, priceLamports: MAX_PRICE + 1n }), ExceedsMaxMarkupError);
+    await assert.rejects(clientFor(connection, stranger).delistTicket({ mint, organizer: organizer.publicKey }), NotTicketOwnerError);
+
+    await client.delistTicket({ mint });
+    const ticket = await client.fetchTicket({ mint });
+    assert.equal(ticket.isListed, false);
+    const tokens = await tokenAccountState(connection, associatedTokenAddress(mint, organizer.publicKey));
+    assert.equal(tokens.delegate, null);
+
+    await assert.rejects(client.updateListingPrice({ mint, priceLamports: PRICE }), TicketNotListedError);
+    const { builder } = await client.prepareUpdateListingPrice({ mint, priceLamports: PRICE, preflight: false });
+    await assert.rejects(client.send(builder), TicketNotListedError);
+
+    await client.listTicket({ mint, priceLamports: MAX_PRICE });
+    assert.equal((await client.fetchTicket({ mint })).isListed, true);
+  });
+
+  it('sells the listed ticket with only the buyer signing: payment, NFT and ownership move together', async () => {
+    const { organizer, client, mint } = await createTicketFixture(connection, { listPriceLamports: MAX_PRICE, royaltyBps: ROYALTY_BPS });
+    const buyer = await fundedWallet(connection);
+    const buyerBefore = BigInt(await connection.getBalance(buyer.publicKey));
+    const sellerBefore = BigInt(await connection.getBalance(organizer.publicKey));
+
+    const result = await clientFor(connection, buyer).buyTicket({ mint, organizer: organizer.publicKey });
+    assert.equal(result.newOwner, buyer.publicKey.toBase58());
+    assert.equal(result.priceLamports, MAX_PRICE);
+    assert.equal(result.royaltyLamports, 0n); // the organizer is the seller
+
+    const ticket = await client.fetchTicket({ mint });
+    assert.equal(ticket.owner, buyer.publicKey.toBase58());
+    assert.equal(ticket.isListed, false);
+
+    const sellerTokens = await tokenAccountState(connection, associatedTokenAddress(mint, organizer.publicKey));
+    const buyerTokens = await tokenAccountState(connection, associatedTokenAddress(mint, buyer.publicKey));
+    assert.equal(sellerTokens.amount, 0n);
+    assert.equal(buyerTokens.amount, 1n);
+
+    // The seller receives exactly the price; the buyer also pays the fee and
+    // the rent of their new token account
+    const tx = await connection.getTransaction(result.signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+    const fee = BigInt(tx.meta.fee);
+    const rent = BigInt(await connection.getMinimumBalanceForRentExemption(TOKEN_ACCOUNT_SIZE));
+    assert.equal(BigInt(await connection.getBalance(organizer.publicKey)), sellerBefore + MAX_PRICE);
+    assert.equal(BigInt(await connection.getBalance(buyer.publicKey)), buyerBefore - MAX_PRICE - fee - rent);
+  });
+
+  it("never charges more than the buyer's max price, even after a reprice in flight", async () => {
+    const { organizer, client, mint } = await createTicketFixture(connection, { listPriceLamports: PRICE });
+    const buyer = await fundedWallet(connection);
+    const buyerClient = clientFor(connection, buyer);
+    const options = { mint, organizer: organizer.publicKey };
+
+    await assert.rejects(buyerClient.buyTicket({ ...options, maxPriceLamports: PRICE - 1n }), PriceAboveMaxError);
+
+    // Built at the listed price, signed after the seller raised it
+    const built = await buyerClient.buildBuyTicket({ ...options, buyer: buyer.publicKey });
+    assert.equal(built.maxPriceLamports, PRICE);
+    await client.updateListingPrice({ mint, priceLamports: MAX_PRICE });
+
+    const signed = VersionedTransaction.deserialize(Buffer.from(built.transaction, 'base64'));
+    signed.sign([buyer]);
+    await assert.rejects(buyerClient.submitTransaction(signed, { lastValidBlockHeight: built.lastValidBlockHeight }), error => {
+      assert.ok(error instanceof PriceAboveMaxError, `expected PriceAboveMaxError, got ${error.name}: ${error.message}`);
+      assert.equal(error.code, 6010);
+      return true;
+    });
+    assert.equal((await client.fetchTicket({ mint })).owner, organizer.publicKey.toBase58());
+
+    // A max at or above the new price goes through
+    const result = await buyerClient.buyTicket({ ...options, maxPrice: '0.12' });
+    assert.equal(result.priceLamports, MAX_PRICE);
+  });
+
+  it('finds the ticket under its new owner', async () => {
+    const { organizer, client, mint, buyer } = await soldTicket();
+
+    const { tickets } = await client.findTickets({ owner: buyer.publicKey, organizer: organizer.publicKey });
+    assert.deepEqual(tickets.map(ticket => ticket.mint), [mint.toBase58()]);
+
+    const { tickets: listed } = await client.findTickets({ organizer: organizer.publicKey, listed: true });
+    assert.equal(listed.length, 0);
+  });
+
+  it('rejects the ticket for an event collection its NFT is not a verified member of', async () => {
+    const { organizer, mint } = await createTicketFixture(connection);
+    const stranger = await fundedWallet(connection);
+
+    // The test mint has no Token Metadata, so it belongs to no collection
+    const eventCollection = Keypair.generate().publicKey;
+    const eventClient = clientFor(connection, stranger, { collection: eventCollection });
+
+    await assert.rejects(eventClient.fetchTicket({ mint, organizer: organizer.publicKey }), error => {
+      assert.ok(error instanceof CollectionMismatchError, `expected CollectionMismatchError, got ${error.name}: ${error.message}`);
+      assert.equal(error.expected.toBase58(), eventCollection.toBase58());
+      assert.equal(error.actual, null);
+      return true;
+    });
+    await assert.rejects(clientFor(connection, stranger).fetchTicket({ mint, organizer: organizer.publicKey, collection: eventCollection }), CollectionMismatchError);
+
+    // Without an expected collection the lookup is unchanged
+    assert.equal((await clientFor(connection, stranger).fetchTicket({ mint, organizer: organizer.publicKey })).mint, mint.toBase58());
+  });
+
+  it('pays the organizer their royalty on a resale', async () => {
+    const { organizer, mint, buyer } = await soldTicket({ royaltyBps: ROYALTY_BPS });
+    const stranger = await fundedWallet(connection);
+    const resellerClient = clientFor(connection, buyer);
+    await resellerClient.listTicket({ mint, priceLamports: MAX_PRICE, organizer: organizer.publicKey });
+
+    const listed = await resellerClient.fetchTicket({ mint, organizer: organizer.publicKey });
+    const royalty = (MAX_PRICE * BigInt(ROYALTY_BPS)) / 10_000n;
+    assert.equal(listed.royaltyLamports, royalty);
+    assert.equal(listed.sellerProceedsLamports, MAX_PRICE - royalty);
+
+    const sellerBefore = BigInt(await connection.getBalance(buyer.publicKey));
+    const organizerBefore = BigInt(await connection.getBalance(organizer.publicKey));
+
+    // Nobody pays for a ticket outside the event collection they expect
+    const wrongCollection = Keypair.generate().publicKey;
+    await assert.rejects(clientFor(connection, stranger).buyTicket({ mint, organizer: organizer.publicKey, collection: wrongCollection }), CollectionMismatchError);
+
+    const result = await clientFor(connection, stranger).buyTicket({ mint, organizer: organizer.publicKey });
+    assert.equal(result.newOwner, stranger.publicKey.toBase58());
+    assert.equal(result.royaltyLamports, royalty);
+
+    assert.equal(BigInt(await connection.getBalance(buyer.publicKey)), sellerBefore + MAX_PRICE - royalty);
+    assert.equal(BigInt(await connection.getBalance(organizer.publicKey)), organizerBefore + royalty);
+  });
+
+  it('refuses to sell a ticket that is no longer listed', async () => {
+    const { organizer, mint, buyer } = await soldTicket();
+    const buyerClient = clientFor(connection, buyer);
+    const options = { mint, buyer: buyer.publicKey, organizer: organizer.publicKey };
+
+    await assert.rejects(buyerClient.prepareBuyTicket(options), TicketNotListedError);
+
+    const { builder } = await buyerClient.prepareBuyTicket({ ...options, preflight: false });
+    await assert.rejects(buyerClient.send(builder), TicketNotListedError);
+  });
+
+  it('refuses to register an NFT that is not a verified collection ticket', async () => {
+    const { organizer, client, eventPda } = await createEventFixture(connection);
+    const fan = await fundedWallet(connection);
+    const collection = Keypair.generate().publicKey;
+
+    // A bare SPL mint has no metadata, so no collection to check against
+    const fanMint = await createNftMint(connection, fan);
+    const options = { mint: fanMint, event: eventPda, price: '0.1', royaltyBps: ROYALTY_BPS };
+    await assert.rejects(client.registerTicket(options), CollectionMismatchError);
+    await assert.rejects(client.registerTicket({ ...options, collection }), error => {
+      assert.ok(error instanceof CollectionMismatchError, `expected CollectionMismatchError, got ${error.name}: ${error.message}`);
+      assert.equal(error.code, 6012);
+      return true;
+    });
+
+    // The organizer's wallet holds none of the fan's NFT
+    const emptyAccount = await createTokenAccount(connection, organizer, fanMint);
+    await assert.rejects(client.registerTicket({ ...options, collection, holderTokenAccount: emptyAccount }), InvalidTicketHolderError);
+
+    const fungibleMint = await createNftMint(connection, fan, { amount: 2 });
+    const holderTokenAccount = associatedTokenAddress(fungibleMint, fan.publicKey);
+    await assert.rejects(client.registerTicket({ ...options, mint: fungibleMint, collection, holderTokenAccount }), InvalidTicketMintError);
+  });
+
+  it('stops listing, repricing and buying at the resale cutoff, but still lets the owner delist', async () => {
+    const { organizer, client, eventPda, mint, buyer: holder } = await soldTicket();
+    const buyer = await fundedWallet(connection);
+    const holderClient = clientFor(connection, holder);
+    const buyerClient = clientFor(connection, buyer);
+    await holderClient.listTicket({ mint, organizer: organizer.publicKey, price: '0.1' });
+
+    let event = await client.fetchEvent({ pda: eventPda });
+    assert.equal(event.resaleClosesAt, EVENT_START);
+    assert.equal(TicketMarketClient.resaleStatus(event).resaleOpen, true);
+
+    // Close resale an hour ago by moving the cutoff back from the start
+    await assert.rejects(client.updateEvent({ pda: eventPda, resaleCutoff: -1 }), InvalidEventError);
+    const resaleCutoff = Math.floor(Date.parse(EVENT_START) / 1000) - Math.floor(Date.now() / 1000) + 3600;
+    await client.updateEvent({ pda: eventPda, resaleCutoff });
+    event = await client.fetchEvent({ pda: eventPda });
+    assert.equal(event.resaleCutoff, resaleCutoff);
+    assert.equal(event.startTime, EVENT_START);
+    assert.deepEqual(TicketMarketClient.resaleStatus(event), { resaleClosesAt: event.resaleClosesAt, secondsUntilCutoff: 0, resaleOpen: false });
+
+    const buyOptions = { mint, buyer: buyer.publicKey, organizer: organizer.publicKey };
+    await assert.rejects(buyerClient.prepareBuyTicket(buyOptions), ResaleClosedError);
+    const { builder: buy } = await buyerClient.prepareBuyTicket({ ...buyOptions, preflight: false });
+    await assert.rejects(buyerClient.send(buy), error => {
+      assert.ok(error instanceof ResaleClosedError, `expected ResaleClosedError, got ${error.name}: ${error.message}`);
+      assert.equal(error.code, 6009);
+      return true;
+    });
+
+    const listOptions = { mint, organizer: organizer.publicKey, price: '0.1' };
+    await assert.rejects(holderClient.listTicket(listOptions), ResaleClosedError);
+    const { builder: list } = await holderClient.prepareListTicket({ ...listOptions, preflight: false });
+    await assert.rejects(holderClient.send(list), ResaleClosedError);
+
+    // Still listed from before the cutoff, but the price is frozen
+    await assert.rejects(holderClient.updateListingPrice(listOptions), ResaleClosedError);
+    const { builder: reprice } = await holderClient.prepareUpdateListingPrice({ ...listOptions, preflight: false });
+    await assert.rejects(holderClient.send(reprice), ResaleClosedError);
+
+    await holderClient.delistTicket({ mint, organizer: organizer.publicKey });
+    const ticket = await client.fetchTicket({ mint });
+    assert.equal(ticket.isListed, false);
+    assert.equal(ticket.owner, holder.publicKey.toBase58());
+  });
+});
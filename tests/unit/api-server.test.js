@@ -0,0 +1,246 @@
+// tests/unit/api-server.test.js
+// The HTTP API (api_server.js) on a free port against a stubbed connection:
+// routing, request validation and the status each kind of error is
+// answered with
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Keypair, SystemProgram, Transaction } from '@solana/web3.js';
+import { startApiServer } from '../../api_server.js';
+import { DEFAULT_PROGRAM_ID, RpcUnavailableError } from '../../client/ticket_market_client.js';
+
+const MINT = Keypair.generate().publicKey.toBase58();
+const OWNER = Keypair.generate().publicKey.toBase58();
+const ORGANIZER = Keypair.generate().publicKey.toBase58();
+const BLOCKHASH = Keypair.generate().publicKey.toBase58();
+
+// Connection stub: `methods` override these defaults (nothing on chain, sends
+// confirmed at once); every call is recorded by name
+function stubConnection(methods = {}) {
+  const calls = [];
+  const handlers = {
+    getAccountInfo: async () => null,
+    getProgramAccounts: async () => [],
+    getMultipleAccountsInfo: async keys => keys.map(() => null),
+    sendRawTransaction: async () => 'sent',
+    confirmTransaction: async () => ({ value: { err: null } }),
+    getSignatureStatuses: async () => ({ value: [{ slot: 1, confirmations: null, err: null, confirmationStatus: 'confirmed' }] }),
+    ...methods,
+  };
+  const connection = { calls, rpcEndpoint: 'stub' };
+  for (const [name, handler] of Object.entries(handlers)) {
+    connection[name] = (...args) => {
+      calls.push(name);
+      return handler(...args);
+    };
+  }
+  return connection;
+}
+
+// Logger that keeps what the server logs at error level
+function recordingLogger() {
+  const errors = [];
+  const noop = () => {};
+  return { errors, debug: noop, info: noop, progress: noop, warn: noop, error: msg => errors.push(msg) };
+}
+
+// A transfer signed by `payer`, base64 as a wallet hands it back
+function signedTransaction(payer) {
+  const transaction = new Transaction({ feePayer: payer.publicKey, blockhash: BLOCKHASH, lastValidBlockHeight: 1150 })
+    .add(SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 }));
+  transaction.sign(payer);
+  return transaction.serialize().toString('base64');
+}
+
+describe('API server', () => {
+  let servers = [];
+  const start = async ({ methods, ...options } = {}) => {
+    const connection = stubConnection(methods);
+    const api = await startApiServer({ port: 0, connection, programId: DEFAULT_PROGRAM_ID, ...options });
+    servers.push(api);
+    return { api, connection };
+  };
+  afterEach(async () => {
+    await Promise.all(servers.map(server => server.close()));
+    servers = [];
+  });
+
+  const request = async (api, path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${api.url}${path}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, body: response.status === 204 ? null : await response.json() };
+  };
+
+  it('answers /health and 404s unknown routes', async () => {
+    const { api } = await start();
+
+    const health = await request(api, '/health');
+    assert.equal(health.status, 200);
+    assert.deepEqual(health.body, { ok: true, programId: DEFAULT_PROGRAM_ID.toBase58() });
+    assert.equal(health.headers.get('access-control-allow-origin'), '*');
+
+    const missing = await request(api, '/nowhere', { method: 'POST' });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body, { error: 'POST /nowhere not found' });
+  });
+
+  it('answers CORS preflight requests', async () => {
+    const { api } = await start();
+    const response = await request(api, '/tickets/x/buy', { method: 'OPTIONS' });
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get('access-control-allow-methods'), 'GET, POST, OPTIONS');
+  });
+
+  it('validates query parameters', async () => {
+    const { api, connection } = await start();
+
+    const owner = await request(api, '/tickets?owner=nope');
+    assert.equal(owner.status, 400);
+    assert.deepEqual(owner.body, { error: 'owner "nope" is not a valid public key' });
+    assert.equal((await request(api, '/tickets?listed=yes')).body.error, 'listed must be "true" or "false", got "yes"');
+    assert.equal((await request(api, '/listings?limit=0')).status, 400);
+    assert.equal((await request(api, '/tickets?limit=201')).body.error, 'limit must be an integer between 1 and 200');
+    assert.equal((await request(api, `/tickets/${MINT}`)).body.error, 'organizer is required (no default organizer configured)');
+    // Rejected before anything reaches the RPC endpoint
+    assert.deepEqual(connection.calls, []);
+  });
+
+  it('404s tickets and events that do not exist', async () => {
+    const { api } = await start({ organizer: Keypair.generate().publicKey });
+
+    const ticket = await request(api, `/tickets/${MINT}`);
+    assert.equal(ticket.status, 404);
+    assert.equal(ticket.body.error, `No ticket found for mint ${MINT}`);
+    assert.equal((await request(api, `/events/${ORGANIZER}`)).status, 404);
+  });
+
+  it('lists tickets from program accounts', async () => {
+    const { api, connection } = await start();
+
+    const response = await request(api, `/listings?organizer=${ORGANIZER}&limit=10`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.tickets, []);
+    assert.deepEqual(connection.calls, ['getProgramAccounts']);
+  });
+
+  it('validates request bodies', async () => {
+    const { api } = await start();
+    const action = (name, body) => request(api, `/tickets/${MINT}/${name}`, { method: 'POST', body });
+
+    assert.deepEqual((await action('list', '{"owner":')).body, { error: 'Request body is not valid JSON' });
+    assert.deepEqual((await action('list', { owner: OWNER })).body, { error: 'price is required (decimal SOL string)' });
+    assert.equal((await action('price', { owner: OWNER, price: '' })).status, 400);
+    assert.deepEqual((await action('buy', { organizer: ORGANIZER })).body, { error: 'buyer is required' });
+    assert.equal((await action('delist', { owner: 'nope', organizer: ORGANIZER })).status, 400);
+
+    const submit = await request(api, '/transactions', { method: 'POST', body: {} });
+    assert.equal(submit.status, 400);
+    assert.deepEqual(submit.body, { error: 'transaction is required (base64)' });
+  });
+
+  it('answers an oversized body with 413 before closing the connection', async () => {
+    const { api } = await start();
+    const body = JSON.stringify({ owner: OWNER, price: '1', padding: 'x'.repeat(128 * 1024) });
+
+    const { response, json } = await new Promise((resolve, reject) => {
+      const req = http.request(`${api.url}/tickets/${MINT}/list`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ response: res, json: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+      });
+      // The server stops reading, so the rest of the upload may be cut off
+      req.on('error', error => (error.code === 'ECONNRESET' || error.code === 'EPIPE' ? null : reject(error)));
+      req.end(body);
+    });
+
+    assert.equal(response.statusCode, 413);
+    assert.equal(response.headers.connection, 'close');
+    assert.deepEqual(json, { error: 'Request body too large' });
+  });
+
+  it('submits signed transactions and reports missing signatures', async () => {
+    const payer = Keypair.generate();
+    const { api, connection } = await start();
+    const transaction = signedTransaction(payer);
+
+    const sent = await request(api, '/transactions', { method: 'POST', body: { transaction, lastValidBlockHeight: 1150 } });
+    assert.equal(sent.status, 200);
+    assert.deepEqual(sent.body, { signature: 'sent' });
+    assert.deepEqual(connection.calls, ['sendRawTransaction', 'getSignatureStatuses']);
+
+    const unsigned = new Transaction({ feePayer: payer.publicKey, blockhash: BLOCKHASH, lastValidBlockHeight: 1150 })
+      .add(SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: payer.publicKey, lamports: 1 }))
+      .serialize({ requireAllSignatures: false })
+      .toString('base64');
+    const missing = await request(api, '/transactions', { method: 'POST', body: { transaction: unsigned } });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /missing signatures from: /);
+  });
+
+  it('maps program errors to their type and status', async () => {
+    // A preflight rejection as web3.js reports it: the message and the logs
+    const rejectWith = (code, name) => async () => {
+      const error = new Error(`Transaction simulation failed: Error processing Instruction 0: custom program error: 0x${code.toString(16)}`);
+      error.logs = [
+        `Program ${DEFAULT_PROGRAM_ID.toBase58()} invoke [1]`,
+        `Program log: AnchorError occurred. Error Code: ${name}. Error Number: ${code}. Error Message: ${name}.`,
+        `Program ${DEFAULT_PROGRAM_ID.toBase58()} failed: custom program error: 0x${code.toString(16)}`,
+      ];
+      throw error;
+    };
+    const cases = [
+      [6003, 'TicketNotListed', 409, 'TicketNotListedError'],
+      [6010, 'PriceAboveMax', 409, 'PriceAboveMaxError'],
+      [6012, 'CollectionMismatch', 409, 'CollectionMismatchError'],
+      [6000, 'ResaleNotAllowed', 400, 'ResaleNotAllowedError'],
+    ];
+
+    for (const [code, name, status, type] of cases) {
+      const { api } = await start({ methods: { sendRawTransaction: rejectWith(code, name) } });
+      const response = await request(api, '/transactions', {
+        method: 'POST',
+        body: { transaction: signedTransaction(Keypair.generate()) },
+      });
+      assert.equal(response.status, status, `${name}: ${JSON.stringify(response.body)}`);
+      assert.equal(response.body.type, type);
+    }
+  });
+
+  it('answers 503 when every RPC endpoint is down', async () => {
+    const down = async () => {
+      throw new RpcUnavailableError('All RPC endpoints failed:\n  - http://rpc.invalid: HTTP 500', {
+        failures: ['http://rpc.invalid: HTTP 500'],
+      });
+    };
+    const { api } = await start({ methods: { getAccountInfo: down }, organizer: Keypair.generate().publicKey });
+
+    const response = await request(api, `/tickets/${MINT}`);
+    assert.equal(response.status, 503);
+    assert.equal(response.body.type, 'RpcUnavailableError');
+  });
+
+  it('answers 500 for unexpected failures and logs them', async () => {
+    const logger = recordingLogger();
+    const { api } = await start({
+      logger,
+      methods: {
+        getProgramAccounts: async () => {
+          throw new Error('failed to get accounts owned by program: node is behind');
+        },
+      },
+    });
+
+    const response = await request(api, `/tickets?organizer=${ORGANIZER}`);
+    assert.equal(response.status, 500);
+    assert.match(response.body.error, /node is behind/);
+    assert.equal(response.body.type, undefined);
+    assert.equal(logger.errors.length, 1);
+    assert.match(logger.errors[0], /^❌ GET \/tickets: /);
+  });
+});
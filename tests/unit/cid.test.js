@@ -0,0 +1,24 @@
+// tests/unit/cid.test.js
+// CIDv1 values as `ipfs add --cid-version=1` reports them
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCid } from '../../utils/cid.js';
+
+const CHUNK_SIZE = 262144;
+
+describe('computeCid', () => {
+  it('matches ipfs for single-block content (raw leaf)', () => {
+    assert.equal(computeCid(''), 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+    assert.equal(computeCid('hello world'), 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+    assert.equal(computeCid(Buffer.from('hello world')), computeCid('hello world'));
+  });
+
+  it('builds a dag-pb root for content over one chunk', () => {
+    const exact = computeCid(Buffer.alloc(CHUNK_SIZE, 1));
+    const over = computeCid(Buffer.alloc(CHUNK_SIZE + 1, 1));
+    assert.match(exact, /^bafkrei/);
+    assert.match(over, /^bafybei/);
+    assert.notEqual(computeCid(Buffer.alloc(CHUNK_SIZE + 1, 2)), over);
+    assert.equal(computeCid(Buffer.alloc(CHUNK_SIZE + 1, 1)), over);
+  });
+});
@@ -0,0 +1,95 @@
+// tests/unit/client.test.js
+// TicketMarketClient (client/ticket_market_client.js) against a stubbed
+// connection: finding a ticket's PDA when the caller does not know its organizer
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as anchor from '@project-serum/anchor';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { TicketMarketClient, DEFAULT_PROGRAM_ID, IDL } from '../../client/ticket_market_client.js';
+import { toBN } from '../../utils/price.js';
+
+const mint = Keypair.generate().publicKey;
+const organizer = Keypair.generate().publicKey;
+const seller = Keypair.generate().publicKey;
+const buyer = Keypair.generate();
+
+// Ticket account data as the program stores it
+async function ticketAccount() {
+  const coder = new anchor.BorshAccountsCoder(IDL);
+  const data = await coder.encode('Ticket', {
+    owner: seller,
+    price: toBN(100_000_000n),
+    resaleAllowed: true,
+    maxMarkup: 20,
+    originalPrice: toBN(100_000_000n),
+    isListed: true,
+    mint,
+    organizer,
+    royaltyBps: 500,
+    event: Keypair.generate().publicKey,
+  });
+  return { data, owner: DEFAULT_PROGRAM_ID, lamports: 1_000_000, executable: false, rentEpoch: 0 };
+}
+
+// Connection stub holding `accounts` (PDA base58 -> account info); calls
+// are recorded by name
+function stubConnection(accounts = {}) {
+  const calls = [];
+  const lookup = key => accounts[key.toBase58()] ?? null;
+  return {
+    calls,
+    rpcEndpoint: 'stub',
+    async getProgramAccounts(programId, { filters }) {
+      calls.push('getProgramAccounts');
+      assert.ok(programId.equals(DEFAULT_PROGRAM_ID));
+      // Discriminator plus the mint, nothing about the organizer
+      assert.equal(filters.length, 2);
+      assert.equal(filters[1].memcmp.bytes, mint.toBase58());
+      return Object.keys(accounts).map(pubkey => ({ pubkey: new PublicKey(pubkey), account: accounts[pubkey] }));
+    },
+    async getMultipleAccountsInfo(keys) {
+      calls.push('getMultipleAccountsInfo');
+      return keys.map(lookup);
+    },
+    async getAccountInfo(key) {
+      calls.push('getAccountInfo');
+      return lookup(key);
+    },
+    async getAccountInfoAndContext(key) {
+      calls.push('getAccountInfo');
+      return { context: { slot: 1 }, value: lookup(key) };
+    },
+  };
+}
+
+describe('TicketMarketClient buy without an organizer', () => {
+  it('finds the ticket by its mint', async () => {
+    const pda = TicketMarketClient.derivePda(organizer, mint);
+    const connection = stubConnection({ [pda.toBase58()]: await ticketAccount() });
+    const client = new TicketMarketClient({ connection, signer: buyer });
+
+    const { ticketPda, seller: from, priceLamports } = await client.prepareBuyTicket({ mint, buyer: buyer.publicKey, preflight: false });
+
+    assert.equal(ticketPda.toBase58(), pda.toBase58());
+    assert.equal(from.toBase58(), seller.toBase58());
+    assert.equal(priceLamports, 100_000_000n);
+    assert.equal(connection.calls[0], 'getProgramAccounts');
+  });
+
+  it('reports a mint without a ticket', async () => {
+    const client = new TicketMarketClient({ connection: stubConnection(), signer: buyer });
+
+    await assert.rejects(
+      client.prepareBuyTicket({ mint, buyer: buyer.publicKey, preflight: false }),
+      { message: `No ticket account found for mint ${mint.toBase58()}` }
+    );
+  });
+
+  it('uses the organizer when one is given', async () => {
+    const connection = stubConnection();
+    const client = new TicketMarketClient({ connection, signer: buyer });
+
+    assert.equal((await client.resolveTicketPda({ mint, organizer })).toBase58(), TicketMarketClient.derivePda(organizer, mint).toBase58());
+    assert.deepEqual(connection.calls, []);
+  });
+});
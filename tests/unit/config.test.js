@@ -0,0 +1,88 @@
+// tests/unit/config.test.js
+// Profile resolution order and CLI flag parsing
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair } from '@solana/web3.js';
+import { loadProfiles, validateProfile, resolveProfile, parseCliArgs } from '../../utils/config.js';
+
+const PROGRAM_ID = 'GRb8e96kJJvofUenMx6QM7mRu9mwKCdzY6KC4PGTD3KL';
+
+describe('resolveProfile', () => {
+  let dir;
+  let profilesPath;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    profilesPath = path.join(dir, 'profiles.json');
+    fs.writeFileSync(profilesPath, JSON.stringify({
+      localnet: { rpcUrl: 'http://127.0.0.1:8899', programId: PROGRAM_ID, keypairPath: '~/id.json', priorityFee: 0 },
+      devnet: { rpcUrl: 'https://api.devnet.solana.com', fallbackRpcUrls: ['https://backup.example'], programId: PROGRAM_ID, keypairPath: '/keys/id.json' },
+    }));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('falls back to devnet and applies env vars without --profile', () => {
+    const profile = resolveProfile({ profilesPath }, { RPC_URL: 'https://env.example', PRIORITY_FEE: '5' });
+    assert.equal(profile.name, 'devnet');
+    assert.equal(profile.rpcUrl, 'https://env.example');
+    assert.deepEqual(profile.rpcUrls, ['https://env.example', 'https://backup.example']);
+    assert.equal(profile.priorityFee, 5);
+    assert.equal(profile.programId.toBase58(), PROGRAM_ID);
+    assert.equal(profile.isLocal, false);
+  });
+
+  it('ignores env vars with --profile but still applies flags', () => {
+    const profile = resolveProfile(
+      { profilesPath, profile: 'localhost', keypair: '/flag/id.json' },
+      { RPC_URL: 'https://env.example' }
+    );
+    assert.equal(profile.name, 'localnet');
+    assert.equal(profile.rpcUrl, 'http://127.0.0.1:8899');
+    assert.equal(profile.keypairPath, '/flag/id.json');
+    assert.equal(profile.isLocal, true);
+  });
+
+  it('expands ~ in keypair paths and picks TICKET_PROFILE', () => {
+    const profile = resolveProfile({ profilesPath }, { TICKET_PROFILE: 'localnet' });
+    assert.equal(profile.keypairPath, path.join(os.homedir(), 'id.json'));
+  });
+
+  it('rejects unknown profiles and missing files', () => {
+    assert.throws(() => resolveProfile({ profilesPath, profile: 'testnet' }, {}), /Unknown profile "testnet"/);
+    assert.throws(() => loadProfiles(path.join(dir, 'missing.json')), /Profiles file not found/);
+  });
+});
+
+describe('validateProfile', () => {
+  it('parses public keys', () => {
+    const collection = Keypair.generate().publicKey.toBase58();
+    const profile = validateProfile('x', { rpcUrl: 'http://localhost:8899', programId: PROGRAM_ID, keypairPath: 'id.json', collection });
+    assert.equal(profile.collection.toBase58(), collection);
+    assert.equal(profile.organizer, null);
+    assert.equal(profile.priorityFee, 'auto');
+  });
+
+  it('reports every problem at once', () => {
+    assert.throws(
+      () => validateProfile('bad', { rpcUrl: 'ws://x', fallbackRpcUrls: 'https://ok, ftp://no', programId: 'nope', priorityFee: -1 }),
+      error => {
+        for (const problem of ['rpcUrl "ws://x"', 'fallback RPC URL "ftp://no"', 'programId "nope"', 'keypairPath is not set', 'priorityFee "-1"']) {
+          assert.ok(error.message.includes(problem), `missing: ${problem}`);
+        }
+        return true;
+      }
+    );
+  });
+});
+
+describe('parseCliArgs', () => {
+  it('splits positionals and camelCases flags', () => {
+    assert.deepEqual(parseCliArgs(['batch', 'seats.csv', '--rpc-url', 'http://x', '--dry-run', '--max-price=0.2', '--note=a=b']), {
+      positional: ['batch', 'seats.csv'],
+      flags: { rpcUrl: 'http://x', dryRun: true, maxPrice: '0.2', note: 'a=b' },
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// tests/unit/errors.test.js
+// Mapping program codes, transaction errors and thrown send errors to typed errors
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TicketMarketError,
+  ExceedsMaxMarkupError,
+  EventSoldOutError,
+  ResaleClosedError,
+  PriceAboveMaxError,
+  InvalidTicketMintError,
+  CollectionMismatchError,
+  InsufficientBalanceError,
+  RpcUnavailableError,
+  programErrorFromCode,
+  decodeTransactionError,
+  toTicketMarketError,
+} from '../../utils/errors.js';
+
+describe('programErrorFromCode', () => {
+  it('returns the typed error for each TicketError code', () => {
+    const error = programErrorFromCode(6002, { logs: ['log'] });
+    assert.ok(error instanceof ExceedsMaxMarkupError);
+    assert.ok(error instanceof TicketMarketError);
+    assert.equal(error.name, 'ExceedsMaxMarkupError');
+    assert.equal(error.code, 6002);
+    assert.equal(error.message, 'Price exceeds allowed markup');
+    assert.deepEqual(error.logs, ['log']);
+    assert.ok(programErrorFromCode(6009) instanceof ResaleClosedError);
+    assert.ok(programErrorFromCode(6010) instanceof PriceAboveMaxError);
+    assert.ok(programErrorFromCode(6011) instanceof InvalidTicketMintError);
+    assert.ok(programErrorFromCode(6012) instanceof CollectionMismatchError);
+  });
+
+  it('returns null for codes the program does not define', () => {
+    assert.equal(programErrorFromCode(0), null);
+    assert.equal(programErrorFromCode(2003), null);
+  });
+});
+
+describe('decodeTransactionError', () => {
+  it('decodes custom instruction errors', () => {
+    const error = decodeTransactionError({ InstructionError: [0, { Custom: 6006 }] }, []);
+    assert.ok(error instanceof EventSoldOutError);
+  });
+
+  it('decodes insufficient lamports from the system program log', () => {
+    const logs = ['Transfer: insufficient lamports 5000, need 100000000'];
+    const error = decodeTransactionError({ InstructionError: [0, { Custom: 1 }] }, logs);
+    assert.ok(error instanceof InsufficientBalanceError);
+    assert.equal(error.balanceLamports, 5000n);
+    assert.equal(error.requiredLamports, 100_000_000n);
+  });
+
+  it('decodes fee payer failures and ignores unknown errors', () => {
+    assert.ok(decodeTransactionError('InsufficientFundsForFee') instanceof InsufficientBalanceError);
+    assert.equal(decodeTransactionError({ InstructionError: [0, 'InvalidAccountData'] }, []), null);
+  });
+});
+
+describe('toTicketMarketError', () => {
+  it('maps AnchorError-shaped errors', () => {
+    const anchorError = { error: { errorCode: { number: 6006 }, errorMessage: 'Event is sold out' }, logs: ['x'] };
+    const error = toTicketMarketError(anchorError);
+    assert.ok(error instanceof EventSoldOutError);
+    assert.equal(error.cause, anchorError);
+  });
+
+  it('maps the send pipeline simulation error', () => {
+    const sendError = Object.assign(new Error('Simulation failed'), { programError: { code: 6009, message: 'closed' }, logs: [] });
+    assert.ok(toTicketMarketError(sendError) instanceof ResaleClosedError);
+  });
+
+  it('recovers the RPC pool failure from a rethrown message', () => {
+    const error = toTicketMarketError(new Error(
+      'failed to get balance: RpcUnavailableError: All RPC endpoints failed:\n  - http://a: timeout\n  - http://b: 503'
+    ));
+    assert.ok(error instanceof RpcUnavailableError);
+    assert.deepEqual(error.failures, ['http://a: timeout', 'http://b: 503']);
+  });
+
+  it('passes through typed and unrecognised errors', () => {
+    const typed = new EventSoldOutError();
+    const plain = new Error('boom');
+    assert.equal(toTicketMarketError(typed), typed);
+    assert.equal(toTicketMarketError(plain), plain);
+    assert.equal(toTicketMarketError(null), null);
+  });
+});
@@ -0,0 +1,68 @@
+// tests/unit/journal.test.js
+// Mint journal stages, persistence and failure records
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MINT_STAGES,
+  stageReached,
+  isEntryComplete,
+  openJournal,
+  createJournalId,
+  getJournalEntry,
+  recordStage,
+  recordFailure,
+  listIncompleteEntries,
+} from '../../utils/journal.js';
+
+describe('mint journal', () => {
+  let dir;
+  let journalPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    journalPath = path.join(dir, 'mint_journal.json');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('orders stages', () => {
+    assert.equal(stageReached({ stage: 'nft_minted' }, 'metadata_uploaded'), true);
+    assert.equal(stageReached({ stage: 'nft_minted' }, 'pda_created'), false);
+    assert.equal(stageReached(null, 'started'), false);
+    assert.equal(isEntryComplete({ stage: MINT_STAGES.at(-1) }), true);
+  });
+
+  it('records stages with history and persists them', () => {
+    const journal = openJournal(journalPath);
+    const id = createJournalId();
+    recordStage(journal, id, 'started', { seat: 'A1' });
+    const entry = recordStage(journal, id, 'image_uploaded', { imageUri: 'ipfs://x' });
+
+    assert.equal(entry.stage, 'image_uploaded');
+    assert.equal(entry.seat, 'A1');
+    assert.deepEqual(entry.history.map(step => step.stage), ['started', 'image_uploaded']);
+
+    const reopened = openJournal(journalPath);
+    assert.deepEqual(getJournalEntry(reopened, id), entry);
+    assert.equal(getJournalEntry(reopened, 'missing'), null);
+    assert.equal(fs.existsSync(`${journalPath}.tmp`), false);
+  });
+
+  it('records failures and lists incomplete entries', () => {
+    const journal = openJournal(journalPath);
+    recordStage(journal, 'done', 'pda_created');
+    recordStage(journal, 'stuck', 'nft_minted');
+
+    assert.equal(recordFailure(journal, 'stuck', new Error('boom')).lastError, 'boom');
+    assert.equal(recordFailure(journal, 'missing', new Error('boom')), null);
+    assert.deepEqual(listIncompleteEntries(openJournal(journalPath)).map(entry => entry.id), ['stuck']);
+  });
+
+  it('rejects unknown stages and unreadable journals', () => {
+    assert.throws(() => recordStage(openJournal(journalPath), 'x', 'teleported'), /Unknown mint stage/);
+    fs.writeFileSync(journalPath, '{not json');
+    assert.throws(() => openJournal(journalPath), /Failed to read mint journal/);
+  });
+});
@@ -0,0 +1,86 @@
+// tests/unit/manifest.test.js
+// CSV parsing and seat manifest validation
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCsv, normalizeSeatRow, loadSeatManifest } from '../../utils/manifest.js';
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes, CRLF and blank lines', () => {
+    const text = 'seat,tier,description\r\nA1,VIP,"Front row, center"\r\n\r\nA2,General,"Say ""hi"""\nA3,General,';
+    assert.deepEqual(parseCsv(text), [
+      { seat: 'A1', tier: 'VIP', description: 'Front row, center' },
+      { seat: 'A2', tier: 'General', description: 'Say "hi"' },
+      { seat: 'A3', tier: 'General', description: '' },
+    ]);
+  });
+
+  it('returns no rows for an empty file', () => {
+    assert.deepEqual(parseCsv('\n\n'), []);
+  });
+});
+
+describe('normalizeSeatRow', () => {
+  it('applies defaults and normalizes the price', () => {
+    const ticket = normalizeSeatRow({ seat: 'A1', price: '0.10' }, 0, '/manifests');
+    assert.equal(ticket.seat, 'A1');
+    assert.equal(ticket.tier, 'General');
+    assert.equal(ticket.price, '0.1');
+    assert.equal(ticket.resaleAllowed, true);
+    assert.equal(ticket.maxMarkup, 20);
+    assert.equal(ticket.image, path.resolve('./assets/ticket.png'));
+  });
+
+  it('resolves images against the manifest directory and parses booleans', () => {
+    const ticket = normalizeSeatRow({ seat: 'B2', price: 1, image: 'art/b.png', resaleAllowed: 'no', maxMarkup: '0' }, 1, '/manifests');
+    assert.equal(ticket.image, path.resolve('/manifests', 'art/b.png'));
+    assert.equal(ticket.resaleAllowed, false);
+    assert.equal(ticket.maxMarkup, 0);
+  });
+
+  it('rejects rows it cannot mint', () => {
+    assert.throws(() => normalizeSeatRow({ price: '0.1' }, 0), /row 1: missing seat/);
+    assert.throws(() => normalizeSeatRow({ seat: 'A1', price: '0' }, 0), /invalid price/);
+    assert.throws(() => normalizeSeatRow({ seat: 'A1', price: 'free' }, 0), /invalid price/);
+    assert.throws(() => normalizeSeatRow({ seat: 'A1', price: '0.1', maxMarkup: '256' }, 0), /maxMarkup/);
+    assert.throws(() => normalizeSeatRow({ seat: 'A1', price: '0.1', resaleAllowed: 'maybe' }, 0), /Invalid boolean/);
+  });
+});
+
+describe('loadSeatManifest', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  it('loads a CSV manifest', () => {
+    const { event, tickets } = loadSeatManifest(write('seats.csv', 'seat,price\nA1,0.1\nA2,0.2\n'));
+    assert.deepEqual(event, {});
+    assert.deepEqual(tickets.map(ticket => [ticket.seat, ticket.price]), [['A1', '0.1'], ['A2', '0.2']]);
+  });
+
+  it('loads a JSON manifest with an event block', () => {
+    const { event, tickets } = loadSeatManifest(write('seats.json', JSON.stringify({
+      event: { name: 'Gala', capacity: 10 },
+      tickets: [{ seat: 'A1', price: '0.1' }],
+    })));
+    assert.deepEqual(event, { name: 'Gala', capacity: 10 });
+    assert.equal(tickets.length, 1);
+  });
+
+  it('rejects missing, empty, malformed and duplicate-seat manifests', () => {
+    assert.throws(() => loadSeatManifest(path.join(dir, 'missing.csv')), /not found/);
+    assert.throws(() => loadSeatManifest(write('empty.json', '[]')), /contains no tickets/);
+    assert.throws(() => loadSeatManifest(write('broken.json', '{')), /Failed to parse manifest/);
+    assert.throws(() => loadSeatManifest(write('dupes.csv', 'seat,price\nA1,0.1\nA1,0.2\n')), /Duplicate seat in manifest: A1/);
+  });
+});
@@ -0,0 +1,90 @@
+// tests/unit/price.test.js
+// Lamport-exact SOL parsing/formatting and the fee math mirrored from lib.rs
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_LAMPORTS,
+  parseSol,
+  formatSol,
+  toBN,
+  fromBN,
+  maxResalePrice,
+  royaltySplit,
+  markupBasisPoints,
+  bigintReplacer,
+} from '../../utils/price.js';
+
+describe('parseSol', () => {
+  it('parses decimal strings and numbers to exact lamports', () => {
+    assert.equal(parseSol('0.1'), 100_000_000n);
+    assert.equal(parseSol(0.1), 100_000_000n);
+    assert.equal(parseSol('1'), 1_000_000_000n);
+    assert.equal(parseSol('.5'), 500_000_000n);
+    assert.equal(parseSol('2.'), 2_000_000_000n);
+    assert.equal(parseSol(' 0.000000001 '), 1n);
+    assert.equal(parseSol('0.1000000000'), 100_000_000n);
+  });
+
+  it('rejects negatives, garbage and sub-lamport precision', () => {
+    for (const value of ['-1', 'abc', '', '.', '1e3', '0.0000000001', null, undefined, NaN, Infinity]) {
+      assert.throws(() => parseSol(value), /SOL amount/, `expected ${value} to be rejected`);
+    }
+  });
+
+  it('accepts up to u64::MAX lamports and rejects anything above', () => {
+    assert.equal(parseSol('18446744073.709551615'), MAX_LAMPORTS);
+    assert.throws(() => parseSol('18446744073.709551616'), /exceeds the maximum of 18446744073.709551615 SOL/);
+    assert.throws(() => parseSol('18446744073.709553'), /exceeds the maximum/);
+    assert.throws(() => parseSol(1e12), /exceeds the maximum/);
+  });
+});
+
+describe('formatSol', () => {
+  it('formats lamports without trailing zeros', () => {
+    assert.equal(formatSol(100_000_000n), '0.1');
+    assert.equal(formatSol(1_000_000_000n), '1');
+    assert.equal(formatSol(1n), '0.000000001');
+    assert.equal(formatSol(0n), '0');
+    assert.equal(formatSol(-1_500_000_000n), '-1.5');
+  });
+
+  it('round-trips with parseSol', () => {
+    for (const text of ['0.1', '12.345678901', '0.000000001', '18446744073']) {
+      assert.equal(formatSol(parseSol(text)), text);
+    }
+  });
+});
+
+describe('BN conversion', () => {
+  it('keeps u64 values exact', () => {
+    const max = 18_446_744_073_709_551_615n;
+    assert.equal(fromBN(toBN(max)), max);
+    assert.equal(toBN(42n).toString(), '42');
+  });
+});
+
+describe('resale math', () => {
+  it('caps the resale price like list_ticket, rounding the markup down', () => {
+    assert.equal(maxResalePrice(100_000_000n, 20), 120_000_000n);
+    assert.equal(maxResalePrice(99n, 10), 108n);
+    assert.equal(maxResalePrice(1_000n, 0), 1_000n);
+  });
+
+  it('splits a sale into royalty and seller proceeds like buy_ticket', () => {
+    assert.deepEqual(royaltySplit(120_000_000n, 500), { royaltyLamports: 6_000_000n, sellerProceedsLamports: 114_000_000n });
+    assert.deepEqual(royaltySplit(199n, 100), { royaltyLamports: 1n, sellerProceedsLamports: 198n });
+    assert.deepEqual(royaltySplit(5n, 0), { royaltyLamports: 0n, sellerProceedsLamports: 5n });
+  });
+
+  it('reports the markup in basis points', () => {
+    assert.equal(markupBasisPoints(120n, 100n), 2000);
+    assert.equal(markupBasisPoints(90n, 100n), -1000);
+    assert.equal(markupBasisPoints(5n, 0n), 0);
+  });
+});
+
+describe('bigintReplacer', () => {
+  it('serializes bigints as strings', () => {
+    assert.equal(JSON.stringify({ price: 1n, name: 'x' }, bigintReplacer), '{"price":"1","name":"x"}');
+  });
+});
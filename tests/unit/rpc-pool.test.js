@@ -0,0 +1,134 @@
+// tests/unit/rpc-pool.test.js
+// RPC pool failover, 429 backoff and health scoring against local mock
+// endpoints (utils/mock-rpc-server.js)
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRpcPool } from '../../utils/rpc-pool.js';
+import { startMockRpcServer } from '../../utils/mock-rpc-server.js';
+import { RpcUnavailableError } from '../../utils/errors.js';
+
+const GET_SLOT = {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getSlot' }),
+};
+
+const statsFor = (pool, server) => pool.stats().find(endpoint => endpoint.url === server.url);
+
+describe('createRpcPool', () => {
+  let servers = [];
+  const start = async options => {
+    const server = await startMockRpcServer(options);
+    servers.push(server);
+    return server;
+  };
+  afterEach(async () => {
+    await Promise.all(servers.map(server => server.close()));
+    servers = [];
+  });
+
+  it('fails over from an endpoint that errors and scores it down', async () => {
+    const failing = await start({ failRequests: 100 });
+    const healthy = await start({ slot: 42 });
+    const pool = createRpcPool([failing.url, healthy.url]);
+    const connection = pool.connection();
+
+    assert.equal(await connection.getSlot(), 42);
+    const failed = statsFor(pool, failing);
+    assert.equal(failed.failures, 1);
+    assert.ok(failed.errorRate > 0);
+    assert.ok(failed.score > statsFor(pool, healthy).score);
+
+    // The next request goes straight to the healthy endpoint
+    assert.equal(await connection.getSlot(), 42);
+    assert.equal(failing.state.requests.length, 1);
+    assert.equal(healthy.state.requests.length, 2);
+  });
+
+  it('benches a rate-limited endpoint for its Retry-After', async () => {
+    let clock = 1_000_000;
+    const limited = await start({ rateLimit: 1, retryAfter: 60, slot: 1 });
+    const backup = await start({ slot: 2 });
+    const pool = createRpcPool([limited.url, backup.url], { now: () => clock });
+    const connection = pool.connection();
+
+    assert.equal(await connection.getSlot(), 2);
+    assert.equal(statsFor(pool, limited).rateLimited, 1);
+    assert.equal(statsFor(pool, limited).benched, true);
+    assert.equal(statsFor(pool, limited).failures, 0);
+
+    assert.equal(await connection.getSlot(), 2);
+    assert.equal(limited.state.requests.length, 1);
+
+    // Off the bench once Retry-After has passed, and next in line when the
+    // (better scored) backup fails
+    clock += 60_000;
+    assert.equal(statsFor(pool, limited).benched, false);
+    backup.state.failRequests = 1;
+    assert.equal(await connection.getSlot(), 1);
+  });
+
+  it('backs off exponentially while every endpoint is rate limited', async () => {
+    const limited = await start({ rateLimit: 2, slot: 7 });
+    const pool = createRpcPool([limited.url], { backoffMs: 40, maxAttempts: 3 });
+
+    const started = Date.now();
+    const response = await pool.fetch(limited.url, GET_SLOT);
+    assert.equal((await response.json()).result, 7);
+    // 40ms after the first 429, 80ms after the second
+    assert.ok(Date.now() - started >= 115, `retried after ${Date.now() - started}ms`);
+    assert.equal(statsFor(pool, limited).rateLimited, 2);
+  });
+
+  it('caps the backoff at maxBackoffMs', async () => {
+    const limited = await start({ rateLimit: 1, retryAfter: 3600, slot: 7 });
+    const pool = createRpcPool([limited.url], { backoffMs: 10, maxBackoffMs: 50 });
+
+    const started = Date.now();
+    await pool.fetch(limited.url, GET_SLOT);
+    assert.ok(Date.now() - started < 2_000);
+  });
+
+  it('throws RpcUnavailableError listing every attempt when all endpoints fail', async () => {
+    const first = await start({ failRequests: 100 });
+    const second = await start({ failRequests: 100, failStatus: 503 });
+    const pool = createRpcPool([first.url, second.url], { backoffMs: 1 });
+
+    await assert.rejects(pool.fetch(first.url, GET_SLOT), error => {
+      assert.ok(error instanceof RpcUnavailableError);
+      assert.equal(error.failures.length, 4);
+      assert.ok(error.failures.includes(`${first.url}: HTTP 500`));
+      assert.ok(error.failures.includes(`${second.url}: HTTP 503`));
+      return true;
+    });
+  });
+
+  it('prefers the faster endpoint', async () => {
+    const slow = await start({ latencyMs: 300 });
+    const fast = await start();
+    const pool = createRpcPool([slow.url, fast.url]);
+
+    for (let i = 0; i < 3; i++) await pool.fetch(slow.url, GET_SLOT);
+    assert.equal(slow.state.requests.length, 1);
+    assert.equal(fast.state.requests.length, 2);
+    assert.ok(statsFor(pool, fast).score < statsFor(pool, slow).score);
+  });
+
+  it('forgets old failures', async () => {
+    let clock = 1_000_000;
+    const flaky = await start({ failRequests: 1 });
+    const pool = createRpcPool([flaky.url], { now: () => clock, backoffMs: 1 });
+
+    await pool.fetch(flaky.url, GET_SLOT);
+    const afterRecovery = statsFor(pool, flaky).errorRate;
+    assert.ok(afterRecovery > 0);
+
+    // One error half-life later
+    clock += 60_000;
+    assert.ok(Math.abs(statsFor(pool, flaky).errorRate - afterRecovery / 2) < 0.001);
+  });
+
+  it('rejects an empty endpoint list', () => {
+    assert.throws(() => createRpcPool([null, '']), /at least one endpoint/);
+  });
+});
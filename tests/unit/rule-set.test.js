@@ -0,0 +1,50 @@
+// tests/unit/rule-set.test.js
+// Writing the marketplace-only rule set (utils/rule-set.js) goes through the
+// send pipeline: compute budget, payer signature and the returned signatures
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComputeBudgetProgram, Keypair, Transaction } from '@solana/web3.js';
+import { keypairIdentity } from '@metaplex-foundation/umi';
+import { createUmi } from '@metaplex-foundation/umi-bundle-defaults';
+import { fromWeb3JsKeypair } from '@metaplex-foundation/umi-web3js-adapters';
+import { mplTokenAuthRules, MPL_TOKEN_AUTH_RULES_PROGRAM_ID } from '@metaplex-foundation/mpl-token-auth-rules';
+import { writeTicketRuleSet, findTicketRuleSet } from '../../utils/rule-set.js';
+import { DEFAULT_PROGRAM_ID } from '../../client/ticket_market_client.js';
+
+// Just enough of a connection for utils/send.js; sends are recorded
+function stubConnection() {
+  const sent = [];
+  return {
+    sent,
+    getRecentPrioritizationFees: async () => [],
+    simulateTransaction: async () => ({ value: { unitsConsumed: 50_000, err: null, logs: [] } }),
+    getLatestBlockhash: async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 100 }),
+    getBlockHeight: async () => 90,
+    async sendRawTransaction(raw) {
+      sent.push(Transaction.from(raw));
+      return `sig-${sent.length}`;
+    },
+    getSignatureStatuses: async () => ({ value: [{ slot: 1, confirmations: null, err: null, confirmationStatus: 'confirmed' }] }),
+  };
+}
+
+describe('writeTicketRuleSet', () => {
+  it('sends the rule set through the send pipeline', async () => {
+    const payer = Keypair.generate();
+    // Never contacted: building the instructions needs no RPC calls
+    const umi = createUmi('http://127.0.0.1:1').use(mplTokenAuthRules()).use(keypairIdentity(fromWeb3JsKeypair(payer)));
+    const connection = stubConnection();
+
+    const written = await writeTicketRuleSet(umi, { connection, payer, programId: DEFAULT_PROGRAM_ID, priorityFee: 1000 });
+
+    assert.deepEqual(written.signatures, ['sig-1']);
+    assert.equal(written.address, findTicketRuleSet(umi));
+    assert.equal(connection.sent.length, 1);
+    const [transaction] = connection.sent;
+    assert.ok(transaction.feePayer.equals(payer.publicKey));
+    assert.ok(transaction.verifySignatures());
+    const programs = transaction.instructions.map(instruction => instruction.programId.toBase58());
+    assert.deepEqual(programs.slice(0, 2), [ComputeBudgetProgram.programId.toBase58(), ComputeBudgetProgram.programId.toBase58()]);
+    assert.ok(programs.slice(2).every(program => program === MPL_TOKEN_AUTH_RULES_PROGRAM_ID));
+  });
+});
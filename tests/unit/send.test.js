@@ -0,0 +1,167 @@
+// tests/unit/send.test.js
+// The send pipeline (utils/send.js) against a stubbed connection: priority
+// fee capping, rebroadcasting, failed statuses and re-signing once a
+// blockhash expires
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { ComputeBudgetInstruction, Keypair, SystemProgram, Transaction } from '@solana/web3.js';
+import {
+  DEFAULT_MAX_PRIORITY_FEE,
+  resolvePriorityFee,
+  confirmWithRebroadcast,
+  sendTransaction,
+} from '../../utils/send.js';
+import { InsufficientBalanceError, TicketNotListedError } from '../../utils/errors.js';
+
+const { errors } = createRequire(import.meta.url)('../../client/ticket_market.json');
+
+const payer = Keypair.generate();
+const transfer = SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 });
+
+// Connection stub: each getLatestBlockhash hands out the next of `blockhashes`
+// (valid until `lastValidBlockHeight`); `statuses(signature)` answers
+// getSignatureStatuses. Sends are recorded and get signatures sig-1, sig-2, ...
+function stubConnection({ blockhashes = [], blockHeight = 100, statuses = () => null, fees = [], unitsConsumed = 10_000 } = {}) {
+  const sent = [];
+  const issued = [];
+  return {
+    sent,
+    issued,
+    async getRecentPrioritizationFees() {
+      if (fees instanceof Error) throw fees;
+      return fees.map(prioritizationFee => ({ slot: 1, prioritizationFee }));
+    },
+    async simulateTransaction() {
+      return { value: { unitsConsumed, err: null, logs: [] } };
+    },
+    async getLatestBlockhash() {
+      const next = blockhashes[issued.length];
+      issued.push(next);
+      return next;
+    },
+    async getBlockHeight() {
+      return blockHeight;
+    },
+    async sendRawTransaction(raw) {
+      sent.push(Transaction.from(raw));
+      return `sig-${sent.length}`;
+    },
+    async getSignatureStatuses([signature]) {
+      return { value: [statuses(signature)] };
+    },
+  };
+}
+
+const confirmed = { slot: 1, confirmations: null, err: null, confirmationStatus: 'confirmed' };
+const blockhash = lastValidBlockHeight => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight });
+
+// Logger that keeps its warnings
+function recordingLogger() {
+  const warnings = [];
+  const noop = () => {};
+  return { warnings, debug: noop, info: noop, progress: noop, error: noop, warn: msg => warnings.push(msg) };
+}
+
+describe('resolvePriorityFee', () => {
+  it('caps a fixed fee at maxPriorityFee', async () => {
+    const connection = stubConnection();
+    assert.equal(await resolvePriorityFee(connection, [transfer], { priorityFee: 5000 }), 5000);
+    assert.equal(await resolvePriorityFee(connection, [transfer], { priorityFee: '5000', maxPriorityFee: 2000 }), 2000);
+    assert.equal(await resolvePriorityFee(connection, [transfer], { priorityFee: 1e9 }), DEFAULT_MAX_PRIORITY_FEE);
+  });
+
+  it('takes the 75th percentile of recent fees, capped', async () => {
+    const fees = [100, 400, 200, 300, 10_000, 0, 50, 150];
+    assert.equal(await resolvePriorityFee(stubConnection({ fees }), [transfer]), 300);
+    assert.equal(await resolvePriorityFee(stubConnection({ fees }), [transfer], { maxPriorityFee: 250 }), 250);
+  });
+
+  it('falls back to no priority fee without recent fees', async () => {
+    assert.equal(await resolvePriorityFee(stubConnection({ fees: [] }), [transfer]), 0);
+    assert.equal(await resolvePriorityFee(stubConnection({ fees: new Error('Method not found') }), [transfer]), 0);
+  });
+});
+
+describe('confirmWithRebroadcast', () => {
+  it('rebroadcasts until the transaction reaches the commitment', async () => {
+    let polls = 0;
+    const connection = stubConnection({
+      statuses: () => {
+        polls++;
+        if (polls < 3) return null;
+        return polls === 3 ? { ...confirmed, confirmationStatus: 'processed' } : confirmed;
+      },
+    });
+    const raw = new Transaction({ feePayer: payer.publicKey, ...blockhash(200) }).add(transfer);
+    raw.sign(payer);
+
+    assert.equal(await confirmWithRebroadcast(connection, raw.serialize(), 'sig', 200, { intervalMs: 1 }), true);
+    assert.equal(connection.sent.length, 3);
+  });
+
+  it('gives up once the blockhash has expired', async () => {
+    const connection = stubConnection({ blockHeight: 201 });
+    assert.equal(await confirmWithRebroadcast(connection, Buffer.alloc(0), 'sig', 200, { intervalMs: 1 }), false);
+    assert.equal(connection.sent.length, 0);
+  });
+
+  it('decodes a failed status into the program error', async () => {
+    const failed = err => stubConnection({ statuses: () => ({ ...confirmed, err }) });
+
+    await assert.rejects(
+      confirmWithRebroadcast(failed({ InstructionError: [0, { Custom: 6003 }] }), Buffer.alloc(0), 'sig', 200, { errors }),
+      error => {
+        assert.ok(error instanceof TicketNotListedError);
+        assert.equal(error.code, 6003);
+        return true;
+      },
+    );
+    await assert.rejects(
+      confirmWithRebroadcast(failed('InsufficientFundsForFee'), Buffer.alloc(0), 'sig', 200),
+      InsufficientBalanceError,
+    );
+    await assert.rejects(
+      confirmWithRebroadcast(failed({ InstructionError: [0, 'InvalidAccountData'] }), Buffer.alloc(0), 'sig', 200),
+      /^Error: Transaction sig failed: {"InstructionError":\[0,"InvalidAccountData"\]}$/,
+    );
+  });
+});
+
+describe('sendTransaction', () => {
+  it('re-signs with a fresh blockhash when the first one expires', async () => {
+    const first = blockhash(50);
+    const second = blockhash(150);
+    const connection = stubConnection({
+      blockhashes: [first, second],
+      statuses: signature => (signature === 'sig-2' ? confirmed : null),
+      fees: [7000],
+    });
+    const logger = recordingLogger();
+
+    const signature = await sendTransaction(connection, [transfer], { payer, priorityFee: 'auto', maxPriorityFee: 5000, logger });
+    assert.equal(signature, 'sig-2');
+    assert.deepEqual(connection.sent.map(transaction => transaction.recentBlockhash), [first.blockhash, second.blockhash]);
+    for (const transaction of connection.sent) {
+      assert.ok(transaction.verifySignatures());
+      assert.equal(transaction.feePayer.toBase58(), payer.publicKey.toBase58());
+    }
+    assert.deepEqual(logger.warnings, ['  ⏳ Blockhash expired before sig-1 confirmed, re-signing (1/3)']);
+
+    // Simulated units plus headroom, and the capped priority fee
+    const [limit, price] = connection.sent[1].instructions;
+    assert.equal(ComputeBudgetInstruction.decodeSetComputeUnitLimit(limit).units, 12_000);
+    assert.equal(ComputeBudgetInstruction.decodeSetComputeUnitPrice(price).microLamports, 5000n);
+  });
+
+  it('gives up after maxResigns fresh blockhashes', async () => {
+    const connection = stubConnection({ blockhashes: [blockhash(50), blockhash(60), blockhash(70)] });
+
+    await assert.rejects(
+      sendTransaction(connection, [transfer], { payer, priorityFee: 0, maxResigns: 2 }),
+      /Transaction was not confirmed after 3 blockhashes/,
+    );
+    assert.equal(connection.sent.length, 3);
+    assert.equal(new Set(connection.sent.map(transaction => transaction.recentBlockhash)).size, 3);
+  });
+});
@@ -0,0 +1,36 @@
+// tests/unit/simulate.test.js
+// Program error decoding for simulations and failed transactions
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { decodeProgramError } from '../../utils/simulate.js';
+
+const { errors } = createRequire(import.meta.url)('../../client/ticket_market.json');
+
+describe('decodeProgramError', () => {
+  it('names custom errors from the IDL', () => {
+    assert.deepEqual(decodeProgramError({ InstructionError: [1, { Custom: 6002 }] }, [], errors), {
+      code: 6002,
+      name: 'ExceedsMaxMarkup',
+      message: errors.find(error => error.code === 6002).msg,
+    });
+  });
+
+  it('falls back to the Anchor error log line', () => {
+    const logs = [
+      'Program log: Instruction: ListTicket',
+      'Program log: AnchorError thrown in programs/ticket_market/src/lib.rs:1. Error Code: TicketNotListed. Error Number: 6003. Error Message: Ticket is not listed for sale.',
+    ];
+    assert.deepEqual(decodeProgramError({ InstructionError: [0, { Custom: 6003 }] }, logs), {
+      code: 6003,
+      name: 'TicketNotListed',
+      message: 'Ticket is not listed for sale',
+    });
+  });
+
+  it('keeps unknown custom codes and ignores non-program errors', () => {
+    assert.deepEqual(decodeProgramError({ InstructionError: [0, { Custom: 3012 }] }, null, errors), { code: 3012, name: null, message: null });
+    assert.equal(decodeProgramError({ InstructionError: [0, 'InvalidAccountData'] }, []), null);
+    assert.equal(decodeProgramError(null, []), null);
+  });
+});
@@ -0,0 +1,145 @@
+// tests/unit/storage.test.js
+// Storage backends: the Pinata backend's retries and errors against the mock
+// Pinata server (utils/mock-pinata-server.js), and the CIDs every backend
+// hands out
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  createPinataStorage,
+  createLocalStorage,
+  createDryRunStorage,
+  createStorageFromEnv,
+} from '../../utils/storage.js';
+import { startMockPinataServer } from '../../utils/mock-pinata-server.js';
+import { computeCid } from '../../utils/cid.js';
+import { StorageUploadError } from '../../utils/errors.js';
+
+const TICKET_IMAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'assets', 'ticket.png');
+const JWT = 'test-jwt';
+const METADATA = { name: 'Test Ticket', attributes: [{ trait_type: 'Seat', value: 'A1' }] };
+
+const cidOf = uri => uri.split('/').pop();
+
+// Logger that keeps the warnings the backends report
+function recordingLogger() {
+  const warnings = [];
+  const noop = () => {};
+  return { warnings, debug: noop, info: noop, progress: noop, error: noop, warn: msg => warnings.push(msg) };
+}
+
+describe('Pinata storage', () => {
+  let dir;
+  let pinata;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pinata-'));
+  });
+  afterEach(() => pinata?.close());
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const storageFor = (server, options = {}) => createPinataStorage({
+    jwt: JWT,
+    gateway: server.gateway,
+    uploadUrl: server.uploadUrl,
+    retryDelayMs: 0,
+    ...options,
+  });
+
+  it('uploads files and JSON under the CID of their content', async () => {
+    pinata = await startMockPinataServer({ dir, jwt: JWT });
+    const storage = storageFor(pinata);
+
+    const imageUri = await storage.uploadFile(TICKET_IMAGE, 'ticket.png');
+    assert.equal(imageUri, `${pinata.gateway}/ipfs/${computeCid(fs.readFileSync(TICKET_IMAGE))}`);
+
+    const metadataUri = await storage.uploadJSON(METADATA);
+    assert.equal(cidOf(metadataUri), computeCid(JSON.stringify(METADATA)));
+    assert.deepEqual(await storage.readJSON(metadataUri), METADATA);
+    assert.deepEqual(await storage.readJSON(`ipfs://${cidOf(metadataUri)}`), METADATA);
+    assert.equal(pinata.state.uploads.length, 2);
+  });
+
+  it('retries failed uploads', async () => {
+    pinata = await startMockPinataServer({ dir, jwt: JWT, failUploads: 2 });
+    const logger = recordingLogger();
+    const storage = storageFor(pinata, { logger });
+
+    const uri = await storage.uploadJSON(METADATA);
+    assert.equal(cidOf(uri), computeCid(JSON.stringify(METADATA)));
+    assert.equal(pinata.state.failUploads, 0);
+    assert.equal(pinata.state.uploads.length, 1);
+    assert.deepEqual(logger.warnings, [
+      '  ⚠️ Metadata upload failed, retrying... (2 attempts left)',
+      '  ⚠️ Metadata upload failed, retrying... (1 attempts left)',
+    ]);
+  });
+
+  it('throws StorageUploadError once the retries run out', async () => {
+    pinata = await startMockPinataServer({ dir, jwt: JWT, failUploads: 5, failStatus: 503 });
+    const storage = storageFor(pinata, { retries: 2 });
+
+    await assert.rejects(storage.uploadFile(TICKET_IMAGE), error => {
+      assert.ok(error instanceof StorageUploadError);
+      assert.equal(error.backend, 'pinata');
+      assert.match(error.message, /^Pinata file upload failed: .*Injected failure/);
+      assert.equal(error.cause.response.status, 503);
+      return true;
+    });
+    assert.equal(pinata.state.failUploads, 3);
+    assert.equal(pinata.state.uploads.length, 0);
+  });
+
+  it('reports rejected credentials', async () => {
+    pinata = await startMockPinataServer({ dir, jwt: JWT });
+
+    await assert.rejects(storageFor(pinata, { jwt: 'wrong', retries: 1 }).uploadJSON(METADATA), error => {
+      assert.ok(error instanceof StorageUploadError);
+      assert.match(error.message, /INVALID_CREDENTIALS/);
+      return true;
+    });
+    await assert.rejects(storageFor(pinata, { jwt: null }).uploadJSON(METADATA), /PINATA_JWT not set/);
+    assert.equal(pinata.state.uploads.length, 0);
+  });
+});
+
+describe('local and dry-run storage', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('hands out the same CIDs as Pinata, without uploading for a dry run', async () => {
+    const local = createLocalStorage({ dir: path.join(dir, 'store') });
+    const dryRun = createDryRunStorage();
+    const expected = `ipfs://${computeCid(JSON.stringify(METADATA))}`;
+
+    assert.equal(await dryRun.uploadJSON(METADATA), expected);
+    assert.equal(fs.existsSync(local.dir), false);
+    assert.equal(await local.uploadJSON(METADATA), expected);
+    assert.deepEqual(await local.readJSON(expected), METADATA);
+    assert.equal(await dryRun.uploadFile(TICKET_IMAGE), await local.uploadFile(TICKET_IMAGE));
+  });
+
+  it('wraps local write failures in StorageUploadError', async () => {
+    const blocker = path.join(dir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+
+    await assert.rejects(createLocalStorage({ dir: blocker }).uploadJSON(METADATA), error => {
+      assert.ok(error instanceof StorageUploadError);
+      assert.equal(error.backend, 'local');
+      assert.match(error.message, /^Local metadata store failed/);
+      return true;
+    });
+  });
+
+  it('selects the backend from STORAGE_BACKEND', () => {
+    assert.equal(createStorageFromEnv({}).name, 'pinata');
+    assert.equal(createStorageFromEnv({ STORAGE_BACKEND: 'LOCAL', LOCAL_STORAGE_DIR: dir }).dir, dir);
+    assert.equal(createStorageFromEnv({ STORAGE_BACKEND: 'local' }, { dryRun: true }).name, 'dry-run');
+    assert.throws(() => createStorageFromEnv({ STORAGE_BACKEND: 's3' }), /Unknown STORAGE_BACKEND "s3"/);
+  });
+});
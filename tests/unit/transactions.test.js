@@ -0,0 +1,56 @@
+// tests/unit/transactions.test.js
+// Serialized transactions for the external-signer flow
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, SystemProgram, Transaction, VersionedTransaction } from '@solana/web3.js';
+import {
+  toVersionedTransaction,
+  requiredSigners,
+  missingSigners,
+  encodeTransaction,
+} from '../../utils/transactions.js';
+
+const BLOCKHASH = '11111111111111111111111111111111';
+
+// Transfer paid by feePayer from `from`, so both must sign
+function buildTransfer(feePayer, from) {
+  const transaction = new Transaction({ feePayer: feePayer.publicKey, recentBlockhash: BLOCKHASH });
+  transaction.add(SystemProgram.transfer({ fromPubkey: from.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 }));
+  return transaction;
+}
+
+describe('transactions', () => {
+  it('lists required signers fee payer first and tracks missing signatures', () => {
+    const feePayer = Keypair.generate();
+    const from = Keypair.generate();
+    const transaction = buildTransfer(feePayer, from);
+    const signers = [feePayer.publicKey.toBase58(), from.publicKey.toBase58()];
+
+    assert.deepEqual(requiredSigners(transaction), signers);
+    assert.deepEqual(missingSigners(transaction), signers);
+
+    transaction.partialSign(feePayer);
+    assert.deepEqual(missingSigners(transaction), [from.publicKey.toBase58()]);
+  });
+
+  it('round-trips through the base64 wire format', () => {
+    const feePayer = Keypair.generate();
+    const from = Keypair.generate();
+    const transaction = buildTransfer(feePayer, from);
+    transaction.partialSign(from);
+
+    const encoded = encodeTransaction(transaction);
+    assert.equal(encoded.version, 'legacy');
+    assert.deepEqual(encoded.missingSigners, [feePayer.publicKey.toBase58()]);
+
+    const decoded = toVersionedTransaction(encoded.transaction);
+    assert.ok(decoded instanceof VersionedTransaction);
+    assert.deepEqual(requiredSigners(decoded), encoded.signers);
+    assert.deepEqual(toVersionedTransaction(Buffer.from(encoded.transaction, 'base64')).signatures, decoded.signatures);
+    assert.equal(toVersionedTransaction(decoded), decoded);
+  });
+
+  it('rejects values that are not transactions', () => {
+    assert.throws(() => toVersionedTransaction({}), /Expected a Transaction/);
+  });
+});
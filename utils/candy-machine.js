@@ -0,0 +1,210 @@
+// utils/candy-machine.js
+// Candy Machine drops for primary ticket sales. The organizer loads one
+// config line (name + metadata URI) per seat; fans mint straight from the
+// machine and its Candy Guard charges them, so no sale needs the organizer's
+// signature. Ticket PDAs are registered afterwards with register_ticket.
+import {
+  dateTime,
+  isSome,
+  lamports,
+  none,
+  percentAmount,
+  publicKey as umiPublicKey,
+  some,
+  unwrapOption,
+} from '@metaplex-foundation/umi';
+import {
+  addConfigLines,
+  create,
+  fetchCandyGuard,
+  fetchCandyMachine,
+  findAllowListProofPda,
+  getMerkleProof,
+  getMerkleRoot,
+  mintV2,
+  route,
+} from '@metaplex-foundation/mpl-candy-machine';
+import { TokenStandard } from '@metaplex-foundation/mpl-token-metadata';
+
+// Token Metadata limits for on-chain names and URIs, in bytes
+export const MAX_NAME_BYTES = 32;
+const MAX_URI_BYTES = 200;
+// Config line bytes per addConfigLines transaction, leaving room for the
+// signature, accounts and compute budget instructions
+const CONFIG_LINE_BYTES_PER_TX = 800;
+// Every drop uses one mintLimit counter
+export const MINT_LIMIT_ID = 1;
+
+function toUmiKey(value) {
+  return umiPublicKey(value.toString());
+}
+
+// Guard set for a drop. priceLamports (bigint) goes to `destination`, the
+// organizer. startDate/endDate are dates or ISO strings, mintLimit a count
+// per wallet and allowList an array of wallet addresses; each is optional.
+export function ticketDropGuards({ destination, priceLamports, startDate = null, endDate = null, mintLimit = null, allowList = null }) {
+  return {
+    solPayment: some({ lamports: lamports(priceLamports), destination: toUmiKey(destination) }),
+    startDate: startDate ? some({ date: dateTime(startDate) }) : none(),
+    endDate: endDate ? some({ date: dateTime(endDate) }) : none(),
+    mintLimit: mintLimit ? some({ id: MINT_LIMIT_ID, limit: mintLimit }) : none(),
+    allowList: allowList?.length ? some({ merkleRoot: getMerkleRoot(allowList.map(String)) }) : none(),
+  };
+}
+
+function commonPrefix(values) {
+  let prefix = values[0] ?? '';
+  for (const value of values) {
+    while (!value.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  }
+  return prefix;
+}
+
+// Config line settings for `items` ({ name, uri }). A prefix shared by every
+// name or URI (e.g. "ipfs://") is stored once on the machine; at least one
+// character is kept per line.
+export function configLineSettings(items) {
+  for (const { name, uri } of items) {
+    if (Buffer.byteLength(name) > MAX_NAME_BYTES) throw new Error(`Ticket name "${name}" is over ${MAX_NAME_BYTES} bytes`);
+    if (Buffer.byteLength(uri) > MAX_URI_BYTES) throw new Error(`Metadata URI ${uri} is over ${MAX_URI_BYTES} bytes`);
+  }
+
+  const shortest = field => Math.min(...items.map(item => item[field].length));
+  const prefixName = commonPrefix(items.map(item => item.name)).slice(0, shortest('name') - 1);
+  const prefixUri = commonPrefix(items.map(item => item.uri)).slice(0, shortest('uri') - 1);
+  const longest = (field, prefix) => Math.max(...items.map(item => Buffer.byteLength(item[field].slice(prefix.length))));
+
+  return {
+    prefixName,
+    nameLength: longest('name', prefixName),
+    prefixUri,
+    uriLength: longest('uri', prefixUri),
+    isSequential: false,
+  };
+}
+
+// create() builder for a Candy Machine selling `items` into the event
+// `collection`, with the Umi identity as machine and collection authority.
+// With a `ruleSet` every ticket is minted as a programmable NFT.
+export function createDropBuilder(umi, { candyMachine, collection, items, settings, guards, sellerFeeBasisPoints = 0, ruleSet = null }) {
+  return create(umi, {
+    candyMachine,
+    collectionMint: toUmiKey(collection),
+    collectionUpdateAuthority: umi.identity,
+    itemsAvailable: items.length,
+    symbol: 'TICKET',
+    sellerFeeBasisPoints: percentAmount(sellerFeeBasisPoints / 100, 2),
+    isMutable: true,
+    creators: [{ address: umi.identity.publicKey, verified: true, percentageShare: 100 }],
+    configLineSettings: some(settings),
+    tokenStandard: ruleSet ? TokenStandard.ProgrammableNonFungible : TokenStandard.NonFungible,
+    ...(ruleSet ? { ruleSet: toUmiKey(ruleSet) } : {}),
+    guards,
+  });
+}
+
+// addConfigLines builders for items[from..], each small enough for one
+// transaction. Lines are stored without the settings' prefixes.
+export function configLineBuilders(umi, candyMachine, items, settings, from = 0) {
+  const builders = [];
+  let batch = [];
+  let batchBytes = 0;
+  let index = from;
+
+  const flush = () => {
+    if (batch.length === 0) return;
+    builders.push({ index, count: batch.length, builder: addConfigLines(umi, { candyMachine: toUmiKey(candyMachine), index, configLines: batch }) });
+    index += batch.length;
+    batch = [];
+    batchBytes = 0;
+  };
+
+  for (const item of items.slice(from)) {
+    const line = { name: item.name.slice(settings.prefixName.length), uri: item.uri.slice(settings.prefixUri.length) };
+    const bytes = 8 + Buffer.byteLength(line.name) + Buffer.byteLength(line.uri);
+    if (batchBytes + bytes > CONFIG_LINE_BYTES_PER_TX) flush();
+    batch.push(line);
+    batchBytes += bytes;
+  }
+  flush();
+  return builders;
+}
+
+// Machine and guard state of a drop: items, price, sale window and limits
+export async function fetchTicketDrop(umi, candyMachine) {
+  const machine = await fetchCandyMachine(umi, toUmiKey(candyMachine));
+  const { guards } = await fetchCandyGuard(umi, machine.mintAuthority);
+  const solPayment = unwrapOption(guards.solPayment);
+  const startDate = unwrapOption(guards.startDate);
+  const endDate = unwrapOption(guards.endDate);
+  const mintLimit = unwrapOption(guards.mintLimit);
+  const allowList = unwrapOption(guards.allowList);
+
+  return {
+    candyMachine: machine.publicKey.toString(),
+    candyGuard: machine.mintAuthority.toString(),
+    authority: machine.authority.toString(),
+    collection: machine.collectionMint.toString(),
+    programmable: machine.tokenStandard === TokenStandard.ProgrammableNonFungible,
+    itemsAvailable: Number(machine.data.itemsAvailable),
+    itemsLoaded: machine.itemsLoaded,
+    itemsRedeemed: Number(machine.itemsRedeemed),
+    priceLamports: solPayment ? solPayment.lamports.basisPoints : null,
+    destination: solPayment ? solPayment.destination.toString() : null,
+    startDate: startDate ? new Date(Number(startDate.date) * 1000).toISOString() : null,
+    endDate: endDate ? new Date(Number(endDate.date) * 1000).toISOString() : null,
+    mintLimit: mintLimit ? mintLimit.limit : null,
+    allowListRoot: allowList ? Buffer.from(allowList.merkleRoot).toString('hex') : null,
+    machine,
+    guards,
+  };
+}
+
+// Builders a fan signs, in order, to buy one ticket as the Umi identity:
+// the allow-list proof when the drop has one and this wallet has not proven
+// itself yet, then the mint. `allowList` is the drop's full wallet list,
+// needed to build the proof.
+export async function dropMintBuilders(umi, drop, { nftMint, allowList = null }) {
+  const { machine, guards } = drop;
+  const mintArgs = {};
+  const builders = [];
+
+  if (isSome(guards.solPayment)) mintArgs.solPayment = some({ destination: guards.solPayment.value.destination });
+  if (isSome(guards.mintLimit)) mintArgs.mintLimit = some({ id: guards.mintLimit.value.id });
+  if (isSome(guards.allowList)) {
+    const wallet = umi.identity.publicKey.toString();
+    if (!allowList?.map(String).includes(wallet)) {
+      throw new Error(`${wallet} is not on the drop's allow list`);
+    }
+    const { merkleRoot } = guards.allowList.value;
+    mintArgs.allowList = some({ merkleRoot });
+
+    const proof = findAllowListProofPda(umi, {
+      merkleRoot,
+      user: umi.identity.publicKey,
+      candyGuard: machine.mintAuthority,
+      candyMachine: machine.publicKey,
+    });
+    if (!(await umi.rpc.accountExists(umiPublicKey(proof)))) {
+      builders.push(route(umi, {
+        candyMachine: machine.publicKey,
+        candyGuard: machine.mintAuthority,
+        guard: 'allowList',
+        routeArgs: { path: 'proof', merkleRoot, merkleProof: getMerkleProof(allowList.map(String), wallet) },
+      }));
+    }
+  }
+
+  const ruleSet = unwrapOption(machine.ruleSet);
+  builders.push(mintV2(umi, {
+    candyMachine: machine.publicKey,
+    candyGuard: machine.mintAuthority,
+    nftMint,
+    collectionMint: machine.collectionMint,
+    collectionUpdateAuthority: machine.authority,
+    tokenStandard: machine.tokenStandard,
+    ...(ruleSet ? { authorizationRules: ruleSet } : {}),
+    mintArgs,
+  }));
+  return builders;
+}
@@ -0,0 +1,111 @@
+// utils/cid.js
+// IPFS CIDv1 computation matching `ipfs add --cid-version=1` defaults
+// (256 KiB fixed-size chunks, raw leaves, balanced DAG with 174 links per node),
+// so locally stored content gets the same CID Pinata would report.
+import crypto from 'crypto';
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function varint(value) {
+  const bytes = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+function base32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+// Protobuf helpers (wire types 0 = varint, 2 = length-delimited)
+function pbVarintField(field, value) {
+  return Buffer.concat([varint(field << 3), varint(value)]);
+}
+
+function pbBytesField(field, bytes) {
+  return Buffer.concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+}
+
+function cidBytes(codec, content) {
+  const digest = crypto.createHash('sha256').update(content).digest();
+  return Buffer.concat([varint(1), varint(codec), varint(SHA2_256), varint(digest.length), digest]);
+}
+
+// UnixFS file node: { Type: File, filesize, blocksizes[] }
+function unixfsFileData(fileSize, blockSizes) {
+  return Buffer.concat([
+    pbVarintField(1, 2),
+    pbVarintField(3, fileSize),
+    ...blockSizes.map(size => pbVarintField(4, size)),
+  ]);
+}
+
+// dag-pb node: Links (field 2) are serialized before Data (field 1)
+function dagPbNode(children) {
+  const links = children.map(child => pbBytesField(2, Buffer.concat([
+    pbBytesField(1, child.cid),
+    pbBytesField(2, Buffer.alloc(0)),
+    pbVarintField(3, child.tsize),
+  ])));
+  const data = unixfsFileData(
+    children.reduce((sum, child) => sum + child.fileSize, 0),
+    children.map(child => child.fileSize)
+  );
+  return Buffer.concat([...links, pbBytesField(1, data)]);
+}
+
+export function computeCid(content) {
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+  if (bytes.length <= CHUNK_SIZE) {
+    return 'b' + base32(cidBytes(CODEC_RAW, bytes));
+  }
+
+  let level = [];
+  for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
+    const chunk = bytes.subarray(offset, offset + CHUNK_SIZE);
+    level.push({ cid: cidBytes(CODEC_RAW, chunk), tsize: chunk.length, fileSize: chunk.length });
+  }
+
+  while (level.length > 1) {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      const children = level.slice(i, i + MAX_LINKS);
+      const node = dagPbNode(children);
+      parents.push({
+        cid: cidBytes(CODEC_DAG_PB, node),
+        tsize: node.length + children.reduce((sum, child) => sum + child.tsize, 0),
+        fileSize: children.reduce((sum, child) => sum + child.fileSize, 0),
+      });
+    }
+    level = parents;
+  }
+
+  return 'b' + base32(level[0].cid);
+}
@@ -0,0 +1,185 @@
+// utils/config.js
+// Named cluster profiles (localnet / devnet / mainnet) from config/profiles.json.
+//
+// Resolution order, highest first:
+//   1. CLI flags (--rpc-url, --fallback-rpc-urls, --program-id, --keypair,
+//      --organizer, --rule-set, --collection, --priority-fee, --max-priority-fee)
+//   2. env vars (RPC_URL, RPC_FALLBACK_URLS, PROGRAM_ID, KEYPAIR_PATH,
+//      ORGANIZER, RULE_SET, COLLECTION, PRIORITY_FEE, MAX_PRIORITY_FEE), only
+//      when no --profile flag was given, so existing .env setups keep working
+//   3. the profile itself (--profile, else TICKET_PROFILE, else CLUSTER, else devnet)
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PublicKey } from '@solana/web3.js';
+import { DEFAULT_MAX_PRIORITY_FEE } from './send.js';
+
+export const DEFAULT_PROFILE = 'devnet';
+
+// Cluster names as the Solana CLI spells them
+const PROFILE_ALIASES = { 'mainnet-beta': 'mainnet', localhost: 'localnet' };
+export const PROFILES_PATH = process.env.TICKET_PROFILES_PATH
+  || fileURLToPath(new URL('../config/profiles.json', import.meta.url));
+
+export function loadProfiles(filePath = PROFILES_PATH) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Profiles file not found: ${filePath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse profiles file ${filePath}: ${error.message}`);
+  }
+}
+
+function expandHome(filePath) {
+  if (!filePath) return filePath;
+  if (filePath === '~' || filePath.startsWith('~/')) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return filePath;
+}
+
+// "auto" or a non-negative integer (microLamports per compute unit)
+function parseMicroLamports(value, field, problems, { allowAuto = false } = {}) {
+  if (allowAuto && value === 'auto') return 'auto';
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    problems.push(`${field} "${value}" must be ${allowAuto ? '"auto" or ' : ''}a non-negative integer (microLamports per CU)`);
+    return null;
+  }
+  return number;
+}
+
+function parsePublicKey(value, field, problems) {
+  if (!value) return null;
+  try {
+    return new PublicKey(value);
+  } catch {
+    problems.push(`${field} "${value}" is not a valid public key`);
+    return null;
+  }
+}
+
+// Check a merged profile and return it with parsed public keys
+export function validateProfile(name, profile) {
+  const problems = [];
+
+  if (!profile.rpcUrl) {
+    problems.push('rpcUrl is not set');
+  } else if (!/^https?:\/\//.test(profile.rpcUrl)) {
+    problems.push(`rpcUrl "${profile.rpcUrl}" must start with http:// or https://`);
+  }
+
+  // Extra endpoints for the RPC pool: an array, or a comma-separated string from env/flags
+  const fallbackRpcUrls = typeof profile.fallbackRpcUrls === 'string'
+    ? profile.fallbackRpcUrls.split(',').map(url => url.trim()).filter(Boolean)
+    : profile.fallbackRpcUrls || [];
+  for (const url of fallbackRpcUrls) {
+    if (!/^https?:\/\//.test(url)) problems.push(`fallback RPC URL "${url}" must start with http:// or https://`);
+  }
+
+  if (!profile.programId) problems.push('programId is not set');
+  const programId = parsePublicKey(profile.programId, 'programId', problems);
+  const organizer = parsePublicKey(profile.organizer, 'organizer', problems);
+  // Token auth rule set for programmable ticket NFTs (utils/rule-set.js)
+  const ruleSet = parsePublicKey(profile.ruleSet, 'ruleSet', problems);
+  // Event collection NFT that tickets are minted into and checked against
+  const collection = parsePublicKey(profile.collection, 'collection', problems);
+
+  if (!profile.keypairPath) problems.push('keypairPath is not set');
+
+  const priorityFee = parseMicroLamports(profile.priorityFee ?? 'auto', 'priorityFee', problems, { allowAuto: true });
+  const maxPriorityFee = parseMicroLamports(profile.maxPriorityFee ?? DEFAULT_MAX_PRIORITY_FEE, 'maxPriorityFee', problems);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid profile "${name}":\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return {
+    name,
+    rpcUrl: profile.rpcUrl,
+    rpcUrls: [...new Set([profile.rpcUrl, ...fallbackRpcUrls])],
+    programId,
+    keypairPath: expandHome(profile.keypairPath),
+    organizer,
+    ruleSet,
+    collection,
+    priorityFee,
+    maxPriorityFee,
+    isLocal: /127\.0\.0\.1|localhost/.test(profile.rpcUrl),
+  };
+}
+
+export function resolveProfile(options = {}, env = process.env) {
+  const profiles = loadProfiles(options.profilesPath);
+  const explicit = !!options.profile;
+  const requested = options.profile || env.TICKET_PROFILE || env.CLUSTER || DEFAULT_PROFILE;
+  const name = PROFILE_ALIASES[requested] || requested;
+
+  if (!profiles[name]) {
+    throw new Error(`Unknown profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  const fromEnv = explicit ? {} : {
+    rpcUrl: env.RPC_URL,
+    fallbackRpcUrls: env.RPC_FALLBACK_URLS,
+    programId: env.PROGRAM_ID,
+    keypairPath: env.KEYPAIR_PATH,
+    organizer: env.ORGANIZER,
+    ruleSet: env.RULE_SET,
+    collection: env.COLLECTION,
+    priorityFee: env.PRIORITY_FEE,
+    maxPriorityFee: env.MAX_PRIORITY_FEE,
+  };
+
+  const fromFlags = {
+    rpcUrl: options.rpcUrl,
+    fallbackRpcUrls: options.fallbackRpcUrls,
+    programId: options.programId,
+    keypairPath: options.keypair,
+    organizer: options.organizer,
+    ruleSet: options.ruleSet,
+    collection: options.collection,
+    priorityFee: options.priorityFee,
+    maxPriorityFee: options.maxPriorityFee,
+  };
+
+  const merged = { ...profiles[name] };
+  for (const source of [fromEnv, fromFlags]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (value !== undefined && value !== null && value !== '') merged[key] = value;
+    }
+  }
+
+  return validateProfile(name, merged);
+}
+
+// Parse `--flag value`, `--flag=value` and bare `--flag` (true) into camelCase keys
+export function parseCliArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    let [key, value] = arg.slice(2).split(/=(.*)/s);
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        value = next;
+        i++;
+      } else {
+        value = true;
+      }
+    }
+    flags[key.replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = value;
+  }
+
+  return { positional, flags };
+}
@@ -0,0 +1,304 @@
+// utils/doctor.js
+// Detects drift between the program ID / IDL the JS client uses and what is
+// declared in Anchor.toml, lib.rs, a local IDL file or the deployed program.
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import * as anchor from '@project-serum/anchor';
+
+const REPO_ROOT = fileURLToPath(new URL('..', import.meta.url));
+export const ANCHOR_TOML_PATH = `${REPO_ROOT}Anchor.toml`;
+export const LIB_RS_PATH = `${REPO_ROOT}programs/ticket_market/src/lib.rs`;
+
+const RUST_TO_IDL_TYPES = {
+  Pubkey: 'publicKey',
+  u8: 'u8', u16: 'u16', u32: 'u32', u64: 'u64', u128: 'u128',
+  i8: 'i8', i16: 'i16', i32: 'i32', i64: 'i64', i128: 'i128',
+  bool: 'bool',
+  String: 'string',
+};
+
+function camelCase(name) {
+  return name.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+function snakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function normalizeType(type) {
+  if (type === 'pubkey') return 'publicKey';
+  return typeof type === 'string' ? type : JSON.stringify(type);
+}
+
+export function discriminator(namespace, name) {
+  return Array.from(crypto.createHash('sha256').update(`${namespace}:${name}`).digest().subarray(0, 8));
+}
+
+// Reduce legacy (<0.30) and new (>=0.30) IDL formats to one comparable shape
+export function normalizeIdl(idl) {
+  const isNewFormat = !!idl.address || Array.isArray(idl.types) && idl.accounts?.some(a => a.discriminator);
+  const typeDefs = Object.fromEntries((idl.types || []).map(t => [t.name, t]));
+
+  const accounts = (idl.accounts || []).map(account => {
+    const def = account.type ? account : typeDefs[account.name];
+    return {
+      name: account.name,
+      discriminator: account.discriminator || discriminator('account', account.name),
+      fields: (def?.type?.fields || []).map(f => ({ name: camelCase(f.name), type: normalizeType(f.type) })),
+    };
+  });
+
+  const instructions = (idl.instructions || []).map(ix => ({
+    name: camelCase(ix.name),
+    discriminator: ix.discriminator || discriminator('global', snakeCase(ix.name)),
+    args: (ix.args || []).map(a => ({ name: camelCase(a.name), type: normalizeType(a.type) })),
+    accounts: (ix.accounts || []).map(a => ({
+      name: camelCase(a.name),
+      writable: !!(a.writable ?? a.isMut),
+      signer: !!(a.signer ?? a.isSigner),
+    })),
+  }));
+
+  return {
+    format: isNewFormat ? 'anchor >= 0.30' : 'legacy',
+    address: idl.address || idl.metadata?.address || null,
+    accounts,
+    instructions,
+    errors: (idl.errors || []).map(e => ({ code: e.code, name: e.name })),
+  };
+}
+
+// --- Source parsers ---
+
+export function readDeclaredId(libRsPath = LIB_RS_PATH) {
+  const source = fs.readFileSync(libRsPath, 'utf8');
+  return source.match(/declare_id!\(\s*"([^"]+)"\s*\)/)?.[1] || null;
+}
+
+export function readAnchorTomlProgramId(cluster, programName = 'ticket_market', tomlPath = ANCHOR_TOML_PATH) {
+  const source = fs.readFileSync(tomlPath, 'utf8');
+  const section = source.split(/^\[/m).find(block => block.startsWith(`programs.${cluster}]`));
+  if (!section) return null;
+  return section.match(new RegExp(`^${programName}\\s*=\\s*"([^"]+)"`, 'm'))?.[1] || null;
+}
+
+function stripRustComments(source) {
+  return source.replace(/\/\/[^\n]*/g, '').replace(/\/\*[\s\S]*?\*\//g, '');
+}
+
+// Fields of `#[account] pub struct <name>` in declaration order
+export function readRustAccountFields(accountName, libRsPath = LIB_RS_PATH) {
+  const source = stripRustComments(fs.readFileSync(libRsPath, 'utf8'));
+  const body = source.match(new RegExp(`#\\[account\\]\\s*pub struct ${accountName}\\s*\\{([^}]*)\\}`))?.[1];
+  if (!body) return null;
+
+  return body.split(',').map(line => line.trim()).filter(Boolean).map(line => {
+    const [, name, type] = line.match(/pub\s+(\w+)\s*:\s*(\w+)/) || [];
+    return { name: camelCase(name), type: RUST_TO_IDL_TYPES[type] || type };
+  });
+}
+
+// Instruction handlers in the #[program] module with their non-context args
+export function readRustInstructions(libRsPath = LIB_RS_PATH) {
+  const source = stripRustComments(fs.readFileSync(libRsPath, 'utf8'));
+  const instructions = [];
+  const fnPattern = /pub fn (\w+)\s*\(\s*ctx\s*:\s*Context<\w+>\s*,?([^)]*)\)/g;
+
+  for (const [, name, rawArgs] of source.matchAll(fnPattern)) {
+    const args = rawArgs.split(',').map(arg => arg.trim()).filter(Boolean).map(arg => {
+      const [argName, argType] = arg.split(':').map(part => part.trim());
+      return { name: camelCase(argName), type: RUST_TO_IDL_TYPES[argType] || argType };
+    });
+    instructions.push({ name: camelCase(name), args });
+  }
+  return instructions;
+}
+
+// --- Comparisons ---
+
+function describeFields(fields) {
+  return fields.map(f => `${f.name}: ${f.type}`).join(', ');
+}
+
+function compareFieldLists(expected, actual) {
+  return describeFields(expected) === describeFields(actual);
+}
+
+export function compareIdls(expected, actual, label) {
+  const results = [];
+
+  for (const account of expected.accounts) {
+    const other = actual.accounts.find(a => a.name === account.name);
+    if (!other) {
+      results.push({ check: `${label}: account ${account.name}`, status: 'fail', detail: 'missing' });
+      continue;
+    }
+
+    const sameDisc = account.discriminator.join(',') === other.discriminator.join(',');
+    results.push({
+      check: `${label}: account ${account.name} discriminator`,
+      status: sameDisc ? 'ok' : 'fail',
+      detail: sameDisc ? `[${account.discriminator}]` : `client [${account.discriminator}] vs [${other.discriminator}]`,
+    });
+
+    if (other.fields.length === 0) {
+      results.push({ check: `${label}: account ${account.name} layout`, status: 'warn', detail: 'no field layout in reference IDL' });
+    } else {
+      const sameLayout = compareFieldLists(account.fields, other.fields);
+      results.push({
+        check: `${label}: account ${account.name} layout`,
+        status: sameLayout ? 'ok' : 'fail',
+        detail: sameLayout ? describeFields(account.fields) : `client {${describeFields(account.fields)}} vs {${describeFields(other.fields)}}`,
+      });
+    }
+  }
+
+  for (const ix of expected.instructions) {
+    const other = actual.instructions.find(i => i.name === ix.name);
+    if (!other) {
+      results.push({ check: `${label}: instruction ${ix.name}`, status: 'fail', detail: 'missing' });
+      continue;
+    }
+
+    const problems = [];
+    if (ix.discriminator.join(',') !== other.discriminator.join(',')) problems.push('discriminator differs');
+    if (!compareFieldLists(ix.args, other.args)) {
+      problems.push(`args client (${describeFields(ix.args)}) vs (${describeFields(other.args)})`);
+    }
+    const describeAccounts = list => list.map(a => `${a.name}${a.writable ? ' mut' : ''}${a.signer ? ' signer' : ''}`).join(', ');
+    if (describeAccounts(ix.accounts) !== describeAccounts(other.accounts)) {
+      problems.push(`accounts client (${describeAccounts(ix.accounts)}) vs (${describeAccounts(other.accounts)})`);
+    }
+
+    results.push({
+      check: `${label}: instruction ${ix.name}`,
+      status: problems.length ? 'fail' : 'ok',
+      detail: problems.join('; ') || 'matches',
+    });
+  }
+
+  for (const ix of actual.instructions) {
+    if (!expected.instructions.some(i => i.name === ix.name)) {
+      results.push({ check: `${label}: instruction ${ix.name}`, status: 'warn', detail: 'not known to the JS client' });
+    }
+  }
+
+  const describeErrors = list => list.map(e => `${e.code}:${e.name}`).join(', ');
+  const sameErrors = describeErrors(expected.errors) === describeErrors(actual.errors);
+  results.push({
+    check: `${label}: error codes`,
+    status: sameErrors ? 'ok' : 'fail',
+    detail: sameErrors ? describeErrors(expected.errors) : `client (${describeErrors(expected.errors)}) vs (${describeErrors(actual.errors)})`,
+  });
+
+  return results;
+}
+
+// Run every check. `connection` is optional; without it on-chain checks are skipped.
+export async function runDoctor({ clientIdl, config, connection = null, idlPath = null }) {
+  const results = [];
+  const client = normalizeIdl(clientIdl);
+  const configured = config.programId.toBase58();
+
+  // 1. Program ID agreement
+  const ids = [
+    ['client IDL metadata.address', client.address],
+    ['lib.rs declare_id!', readDeclaredId()],
+  ];
+  // Profile names match Anchor.toml's [programs.<cluster>] sections
+  const cluster = config.name;
+  const tomlId = readAnchorTomlProgramId(cluster);
+  if (tomlId) {
+    ids.push([`Anchor.toml [programs.${cluster}]`, tomlId]);
+  } else {
+    results.push({ check: 'Anchor.toml program ID', status: 'warn', detail: `no [programs.${cluster}] entry` });
+  }
+
+  for (const [source, id] of ids) {
+    results.push({
+      check: `Program ID: ${source}`,
+      status: id === configured ? 'ok' : 'fail',
+      detail: id === configured ? id : `${id || 'missing'} != configured ${configured} (profile ${config.name})`,
+    });
+  }
+
+  // 2. lib.rs layout against the client IDL
+  for (const clientAccount of client.accounts) {
+    const rustFields = readRustAccountFields(clientAccount.name);
+    if (!rustFields) {
+      results.push({ check: `lib.rs: account ${clientAccount.name} layout`, status: 'fail', detail: 'missing from lib.rs' });
+      continue;
+    }
+    const same = compareFieldLists(clientAccount.fields, rustFields);
+    results.push({
+      check: `lib.rs: account ${clientAccount.name} layout`,
+      status: same ? 'ok' : 'fail',
+      detail: same ? describeFields(rustFields) : `client {${describeFields(clientAccount.fields)}} vs lib.rs {${describeFields(rustFields)}}`,
+    });
+  }
+
+  for (const rustIx of readRustInstructions()) {
+    const clientIx = client.instructions.find(i => i.name === rustIx.name);
+    if (!clientIx) {
+      results.push({ check: `lib.rs: instruction ${rustIx.name}`, status: 'fail', detail: 'missing from client IDL' });
+      continue;
+    }
+    const same = compareFieldLists(clientIx.args, rustIx.args);
+    results.push({
+      check: `lib.rs: instruction ${rustIx.name} args`,
+      status: same ? 'ok' : 'fail',
+      detail: same ? (describeFields(rustIx.args) || 'no args') : `client (${describeFields(clientIx.args)}) vs lib.rs (${describeFields(rustIx.args)})`,
+    });
+  }
+
+  // 3. Deployed program
+  let referenceIdl = null;
+  let referenceLabel = null;
+
+  if (connection) {
+    const programInfo = await connection.getAccountInfo(config.programId);
+    results.push({
+      check: 'Deployed program',
+      status: programInfo?.executable ? 'ok' : 'fail',
+      detail: programInfo ? (programInfo.executable ? 'executable account found' : 'account is not executable') : `no account at ${configured}`,
+    });
+
+    if (!idlPath) {
+      try {
+        referenceIdl = await anchor.Program.fetchIdl(config.programId, { connection });
+        referenceLabel = 'on-chain IDL';
+      } catch (error) {
+        results.push({ check: 'On-chain IDL', status: 'warn', detail: `could not decode: ${error.message}` });
+      }
+      if (!referenceIdl) {
+        results.push({ check: 'On-chain IDL', status: 'warn', detail: 'no IDL account published (use --idl <file> to compare a local build)' });
+      }
+    }
+  }
+
+  // 4. Reference IDL (local file or on-chain) against the client IDL
+  if (idlPath) {
+    referenceIdl = JSON.parse(fs.readFileSync(idlPath, 'utf8'));
+    referenceLabel = idlPath;
+  }
+
+  if (referenceIdl) {
+    const reference = normalizeIdl(referenceIdl);
+    if (reference.address) {
+      results.push({
+        check: `${referenceLabel}: address`,
+        status: reference.address === configured ? 'ok' : 'fail',
+        detail: reference.address === configured ? reference.address : `${reference.address} != configured ${configured}`,
+      });
+    }
+    results.push(...compareIdls(client, reference, referenceLabel));
+  }
+
+  return results;
+}
+
+export function hasFailures(results) {
+  return results.some(result => result.status === 'fail');
+}
+
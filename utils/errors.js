@@ -0,0 +1,249 @@
+// utils/errors.js
+// One error class per way a ticket operation can fail. The program's
+// TicketError codes and the client-side preflight checks throw the same
+// classes, so callers can `instanceof` a failure whichever side caught it.
+import { decodeProgramError } from './simulate.js';
+
+export class TicketMarketError extends Error {
+  // code: on-chain error number (6000+) for program errors, else null
+  // logs: transaction logs when the error came from a simulation or send
+  constructor(message, { code = null, logs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = code;
+    this.logs = logs;
+  }
+}
+
+// --- ticket_market TicketError variants ---
+
+export class ResaleNotAllowedError extends TicketMarketError {
+  static code = 6000;
+  constructor(message = 'Resale is not allowed for this ticket', options = {}) {
+    super(message, { code: ResaleNotAllowedError.code, ...options });
+  }
+}
+
+export class NotTicketOwnerError extends TicketMarketError {
+  static code = 6001;
+  constructor(message = 'Only the ticket owner can perform this action', { owner = null, ...options } = {}) {
+    super(message, { code: NotTicketOwnerError.code, ...options });
+    this.owner = owner;
+  }
+}
+
+export class ExceedsMaxMarkupError extends TicketMarketError {
+  static code = 6002;
+  constructor(message = 'Price exceeds allowed markup', { priceLamports = null, maxPriceLamports = null, ...options } = {}) {
+    super(message, { code: ExceedsMaxMarkupError.code, ...options });
+    this.priceLamports = priceLamports;
+    this.maxPriceLamports = maxPriceLamports;
+  }
+}
+
+export class TicketNotListedError extends TicketMarketError {
+  static code = 6003;
+  constructor(message = 'Ticket is not listed for sale', options = {}) {
+    super(message, { code: TicketNotListedError.code, ...options });
+  }
+}
+
+// The seller's token account no longer holds the NFT with the listing PDA
+// as delegate (revoked, moved, or listed before delegated listings)
+export class ListingNotApprovedError extends TicketMarketError {
+  static code = 6004;
+  constructor(message = 'Ticket NFT is not approved for sale by its holder', options = {}) {
+    super(message, { code: ListingNotApprovedError.code, ...options });
+  }
+}
+
+export class InvalidRoyaltyError extends TicketMarketError {
+  static code = 6005;
+  constructor(message = 'Royalty cannot exceed 10000 basis points', options = {}) {
+    super(message, { code: InvalidRoyaltyError.code, ...options });
+  }
+}
+
+export class EventSoldOutError extends TicketMarketError {
+  static code = 6006;
+  constructor(message = 'Event is sold out', { capacity = null, ...options } = {}) {
+    super(message, { code: EventSoldOutError.code, ...options });
+    this.capacity = capacity;
+  }
+}
+
+// Name empty or over 32 bytes, capacity zero or below the tickets already
+// created, or an event that belongs to another organizer
+export class InvalidEventError extends TicketMarketError {
+  static code = 6007;
+  constructor(message = 'Invalid event', options = {}) {
+    super(message, { code: InvalidEventError.code, ...options });
+  }
+}
+
+// register_ticket was given a token account that does not hold the NFT
+export class InvalidTicketHolderError extends TicketMarketError {
+  static code = 6008;
+  constructor(message = 'The token account does not hold the ticket NFT', options = {}) {
+    super(message, { code: InvalidTicketHolderError.code, ...options });
+  }
+}
+
+// Listing, repricing or buying after the event's resale cutoff
+// (resale_cutoff seconds before it starts); closesAt is the cutoff as a Date
+export class ResaleClosedError extends TicketMarketError {
+  static code = 6009;
+  constructor(message = 'Resale has closed for this event', { closesAt = null, ...options } = {}) {
+    super(message, { code: ResaleClosedError.code, ...options });
+    this.closesAt = closesAt;
+  }
+}
+
+// The listing costs more than the buyer's max price, e.g. the seller
+// repriced after the buyer looked
+export class PriceAboveMaxError extends TicketMarketError {
+  static code = 6010;
+  constructor(message = "The listing price is above the buyer's maximum price", { priceLamports = null, maxPriceLamports = null, ...options } = {}) {
+    super(message, { code: PriceAboveMaxError.code, ...options });
+    this.priceLamports = priceLamports;
+    this.maxPriceLamports = maxPriceLamports;
+  }
+}
+
+// register_ticket was given a mint that is not an NFT (0 decimals, supply 1)
+export class InvalidTicketMintError extends TicketMarketError {
+  static code = 6011;
+  constructor(message = 'The ticket mint is not an NFT (0 decimals, supply 1)', options = {}) {
+    super(message, { code: InvalidTicketMintError.code, ...options });
+  }
+}
+
+// The ticket's NFT is not a verified member of the event's collection, e.g.
+// a look-alike minted outside the event. Checked by the client before buying
+// and by register_ticket on chain, which also requires the organizer to be
+// the collection's update authority.
+export class CollectionMismatchError extends TicketMarketError {
+  static code = 6012;
+  constructor(message = 'Ticket NFT is not a verified member of the event collection', { mint = null, expected = null, actual = null, ...options } = {}) {
+    super(message, { code: CollectionMismatchError.code, ...options });
+    this.mint = mint;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// --- Client / infrastructure failures ---
+
+export class InsufficientBalanceError extends TicketMarketError {
+  constructor(message = 'Insufficient balance', { address = null, balanceLamports = null, requiredLamports = null, ...options } = {}) {
+    super(message, options);
+    this.address = address;
+    this.balanceLamports = balanceLamports;
+    this.requiredLamports = requiredLamports;
+  }
+}
+
+export class StorageUploadError extends TicketMarketError {
+  constructor(message, { backend = null, ...options } = {}) {
+    super(message, options);
+    this.backend = backend;
+  }
+}
+
+// failures: one "<url>: <reason>" line per endpoint attempt
+export class RpcUnavailableError extends TicketMarketError {
+  constructor(message, { failures = [], ...options } = {}) {
+    super(message, options);
+    this.failures = failures;
+  }
+}
+
+const PROGRAM_ERRORS = [
+  ResaleNotAllowedError,
+  NotTicketOwnerError,
+  ExceedsMaxMarkupError,
+  TicketNotListedError,
+  ListingNotApprovedError,
+  InvalidRoyaltyError,
+  EventSoldOutError,
+  InvalidEventError,
+  InvalidTicketHolderError,
+  ResaleClosedError,
+  PriceAboveMaxError,
+  InvalidTicketMintError,
+  CollectionMismatchError,
+];
+
+// System program transfer / fee payer failures, seen in logs or as the tx error
+const INSUFFICIENT_LAMPORTS_LOG = /insufficient lamports (\d+), need (\d+)/;
+const INSUFFICIENT_FUNDS_ERRORS = ['InsufficientFundsForFee', 'InsufficientFundsForRent', 'AccountNotFound'];
+
+// Typed error for an on-chain TicketError code, or null for other codes
+export function programErrorFromCode(code, { message, logs = null, cause } = {}) {
+  const ErrorClass = PROGRAM_ERRORS.find(candidate => candidate.code === code);
+  if (!ErrorClass) return null;
+  return new ErrorClass(message || undefined, { logs, cause });
+}
+
+function insufficientFunds(err, logs, cause) {
+  if (typeof err === 'string' && INSUFFICIENT_FUNDS_ERRORS.includes(err)) {
+    return new InsufficientBalanceError(`Insufficient balance: ${err}`, { logs, cause });
+  }
+  for (const line of logs || []) {
+    const match = line.match(INSUFFICIENT_LAMPORTS_LOG);
+    if (match) {
+      return new InsufficientBalanceError(`Insufficient balance: has ${match[1]} lamports, needs ${match[2]}`, {
+        balanceLamports: BigInt(match[1]),
+        requiredLamports: BigInt(match[2]),
+        logs,
+        cause,
+      });
+    }
+  }
+  return null;
+}
+
+// Typed error for a transaction error (`err` from a simulation or signature
+// status) and its logs, or null when neither identifies a known failure
+export function decodeTransactionError(err, logs = null, errors = [], cause) {
+  const programError = decodeProgramError(err, logs, errors);
+  if (programError) {
+    const typed = programErrorFromCode(programError.code, { message: programError.message, logs, cause });
+    if (typed) return typed;
+  }
+  return insufficientFunds(err, logs, cause);
+}
+
+// Map whatever a send or RPC call threw (AnchorError, SendTransactionError,
+// the send pipeline's simulation error) to a TicketMarketError where
+// possible; anything unrecognised is returned unchanged
+export function toTicketMarketError(error, errors = []) {
+  if (!error || error instanceof TicketMarketError) return error;
+
+  // Some web3.js calls rethrow `new Error("failed to ...: " + error)`, keeping
+  // only the pool's message
+  const rpcMessage = error.message?.match(/RpcUnavailableError: (All RPC endpoints failed:[\s\S]*)$/);
+  if (rpcMessage) {
+    const failures = rpcMessage[1].split('\n  - ').slice(1);
+    return new RpcUnavailableError(rpcMessage[1], { failures, cause: error });
+  }
+
+  // AnchorError: { error: { errorCode: { number } }, logs }
+  const anchorCode = error.error?.errorCode?.number;
+  if (anchorCode !== undefined) {
+    const typed = programErrorFromCode(anchorCode, { message: error.error.errorMessage, logs: error.logs, cause: error });
+    if (typed) return typed;
+  }
+
+  if (error.programError) {
+    const typed = programErrorFromCode(error.programError.code, {
+      message: error.programError.message,
+      logs: error.logs,
+      cause: error,
+    });
+    if (typed) return typed;
+  }
+
+  // SendTransactionError only carries logs; thrown status errors carry `err`
+  return decodeTransactionError(error.err ?? null, error.logs, errors, error) || error;
+}
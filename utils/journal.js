@@ -0,0 +1,84 @@
+// utils/journal.js
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Ordered stages a ticket passes through while minting
+export const MINT_STAGES = [
+  'started',
+  'image_uploaded',
+  'metadata_uploaded',
+  'nft_pending',
+  'nft_minted',
+  'pda_created',
+];
+
+export function stageReached(entry, stage) {
+  return !!entry && MINT_STAGES.indexOf(entry.stage) >= MINT_STAGES.indexOf(stage);
+}
+
+export function isEntryComplete(entry) {
+  return entry?.stage === 'pda_created';
+}
+
+export function openJournal(filePath) {
+  let entries = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8')).entries || {};
+    } catch (error) {
+      throw new Error(`Failed to read mint journal ${filePath}: ${error.message}`);
+    }
+  }
+
+  return { path: filePath, entries };
+}
+
+// Write via a temp file + rename so a crash mid-write never truncates the journal
+function saveJournal(journal) {
+  const tmpPath = `${journal.path}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ entries: journal.entries }, null, 2));
+  fs.renameSync(tmpPath, journal.path);
+}
+
+export function createJournalId() {
+  return crypto.randomUUID();
+}
+
+export function getJournalEntry(journal, id) {
+  return journal.entries[id] || null;
+}
+
+export function recordStage(journal, id, stage, data = {}) {
+  if (!MINT_STAGES.includes(stage)) {
+    throw new Error(`Unknown mint stage: ${stage}`);
+  }
+
+  const now = new Date().toISOString();
+  const existing = journal.entries[id] || { id, createdAt: now, history: [] };
+
+  journal.entries[id] = {
+    ...existing,
+    ...data,
+    stage,
+    updatedAt: now,
+    history: [...existing.history, { stage, at: now }],
+  };
+
+  saveJournal(journal);
+  return journal.entries[id];
+}
+
+export function recordFailure(journal, id, error) {
+  const entry = journal.entries[id];
+  if (!entry) return null;
+
+  entry.lastError = error?.message || String(error);
+  entry.updatedAt = new Date().toISOString();
+  saveJournal(journal);
+  return entry;
+}
+
+export function listIncompleteEntries(journal) {
+  return Object.values(journal.entries).filter(entry => !isEntryComplete(entry));
+}
@@ -0,0 +1,108 @@
+// utils/logger.js
+// Leveled logger shared by the minting library, SDK, storage backends and
+// CLIs. Library code defaults to silentLogger; CLIs create one from flags.
+//
+//   const log = createLogger({ level: 'info', format: 'json' });
+//   log.info('📍 Ticket PDA: ...', { pda });
+//   log.progress('nft_minted', '✅ NFT created', { mint, signature });
+//
+// Records are { time, level, msg, ...fields }. Progress events also carry a
+// `stage`, so a UI can pass `sink` and render those instead of the text.
+// pretty: the message as-is (stdout, warn/error on stderr)
+// json:   one JSON object per line on stdout, message without emoji/indent
+import { bigintReplacer } from './price.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+export const LOG_FORMATS = ['pretty', 'json'];
+
+// Leading indentation, emoji and decoration used by the pretty CLI output
+const DECORATION = /^[\s=\p{Extended_Pictographic}\u{FE0F}\u{20E3}0-9]*?(?=[\p{L}(])/u;
+
+function plainMessage(msg) {
+  const line = String(msg).split('\n').map(part => part.trim()).find(part => /[\p{L}\d]/u.test(part)) || '';
+  return line.replace(DECORATION, '').trim();
+}
+
+// Errors and web3 keys serialize to something readable
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code != null ? { code: value.code } : {}) };
+  }
+  if (value && typeof value.toBase58 === 'function') return value.toBase58();
+  return value;
+}
+
+function serializeFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serializeValue(value)]));
+}
+
+export function createLogger({
+  level = 'info',
+  format = 'pretty',
+  sink = null,
+  fields = {},
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected ${LOG_FORMATS.join(' or ')})`);
+  }
+  const threshold = LOG_LEVELS[level];
+
+  function write(recordLevel, msg, recordFields) {
+    if (LOG_LEVELS[recordLevel] < threshold) return;
+    const record = { time: new Date().toISOString(), level: recordLevel, msg, ...fields, ...recordFields };
+
+    if (sink) return sink(record);
+    if (format === 'json') {
+      // Separator and blank lines only mean something in pretty output
+      const text = plainMessage(msg);
+      if (!text && Object.keys(recordFields).length === 0) return;
+      const line = JSON.stringify({ ...serializeFields(record), msg: text }, bigintReplacer);
+      stdout.write(`${line}\n`);
+      return;
+    }
+    const stream = LOG_LEVELS[recordLevel] >= LOG_LEVELS.warn ? stderr : stdout;
+    stream.write(`${msg}\n`);
+  }
+
+  return {
+    level,
+    debug: (msg, recordFields = {}) => write('debug', msg, recordFields),
+    info: (msg, recordFields = {}) => write('info', msg, recordFields),
+    warn: (msg, recordFields = {}) => write('warn', msg, recordFields),
+    error: (msg, recordFields = {}) => write('error', msg, recordFields),
+    // Milestone of a multi-step operation: stage plus mint/pda/signature/...
+    progress: (stage, msg, recordFields = {}) => write('info', msg, { stage, ...recordFields }),
+    child: childFields => createLogger({ level, format, sink, fields: { ...fields, ...childFields }, stdout, stderr }),
+  };
+}
+
+export const silentLogger = createLogger({ level: 'silent' });
+
+// Logger that forwards to whatever `getTarget()` returns at call time, so a
+// module can hand it to long-lived objects and still swap loggers later
+export function forwardingLogger(getTarget) {
+  return {
+    get level() {
+      return getTarget().level;
+    },
+    debug: (...args) => getTarget().debug(...args),
+    info: (...args) => getTarget().info(...args),
+    warn: (...args) => getTarget().warn(...args),
+    error: (...args) => getTarget().error(...args),
+    progress: (...args) => getTarget().progress(...args),
+    child: childFields => forwardingLogger(() => getTarget().child(childFields)),
+  };
+}
+
+// CLI logger: --log-level / LOG_LEVEL and --log-format / LOG_FORMAT
+export function createLoggerFromFlags(flags = {}, env = process.env) {
+  return createLogger({
+    level: flags.logLevel || env.LOG_LEVEL || 'info',
+    format: flags.logFormat || env.LOG_FORMAT || 'pretty',
+  });
+}
@@ -0,0 +1,159 @@
+// utils/manifest.js
+import fs from 'fs';
+import path from 'path';
+import { parseSol, formatSol } from './price.js';
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Minimal RFC 4180 style CSV parser (quoted fields, escaped quotes, CRLF)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, idx) => {
+      record[header] = (values[idx] ?? '').trim();
+    });
+    return record;
+  });
+}
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  throw new Error(`Invalid boolean value: ${value}`);
+}
+
+// Validate a single manifest row and apply defaults
+export function normalizeSeatRow(row, index, baseDir = '.') {
+  const label = `Manifest row ${index + 1}`;
+
+  if (!row.seat) {
+    throw new Error(`${label}: missing seat`);
+  }
+
+  // Keep prices as exact decimal SOL strings; never round-trip through floats
+  let price;
+  try {
+    const lamports = parseSol(typeof row.price === 'number' ? row.price : String(row.price ?? ''));
+    if (lamports <= 0n) throw new Error('price must be positive');
+    price = formatSol(lamports);
+  } catch (error) {
+    throw new Error(`${label} (${row.seat}): invalid price "${row.price}" (${error.message})`);
+  }
+
+  const maxMarkup = row.maxMarkup === undefined || row.maxMarkup === '' ? 20 : Number(row.maxMarkup);
+  if (!Number.isInteger(maxMarkup) || maxMarkup < 0 || maxMarkup > 255) {
+    throw new Error(`${label} (${row.seat}): maxMarkup must be an integer between 0 and 255`);
+  }
+
+  let resaleAllowed;
+  try {
+    resaleAllowed = parseBoolean(row.resaleAllowed, true);
+  } catch (error) {
+    throw new Error(`${label} (${row.seat}): ${error.message}`);
+  }
+
+  const image = row.image ? path.resolve(baseDir, row.image) : path.resolve('./assets/ticket.png');
+
+  return {
+    seat: String(row.seat),
+    tier: row.tier ? String(row.tier) : 'General',
+    price,
+    resaleAllowed,
+    maxMarkup,
+    image,
+    name: row.name || undefined,
+    description: row.description || undefined,
+  };
+}
+
+// Load a CSV or JSON seat manifest.
+// JSON may be either an array of rows or { event: {...}, tickets: [...] }.
+export function loadSeatManifest(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Manifest file not found: ${filePath}`);
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const baseDir = path.dirname(path.resolve(filePath));
+  let event = {};
+  let rows;
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    rows = parseCsv(raw);
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Failed to parse manifest ${filePath}: ${error.message}`);
+    }
+    if (Array.isArray(parsed)) {
+      rows = parsed;
+    } else {
+      event = parsed.event || {};
+      rows = parsed.tickets || [];
+    }
+  }
+
+  if (rows.length === 0) {
+    throw new Error(`Manifest ${filePath} contains no tickets`);
+  }
+
+  const tickets = rows.map((row, index) => normalizeSeatRow(row, index, baseDir));
+
+  const seen = new Set();
+  for (const ticket of tickets) {
+    if (seen.has(ticket.seat)) {
+      throw new Error(`Duplicate seat in manifest: ${ticket.seat}`);
+    }
+    seen.add(ticket.seat);
+  }
+
+  return { event, tickets };
+}
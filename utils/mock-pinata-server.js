@@ -0,0 +1,151 @@
+// utils/mock-pinata-server.js
+// Local stand-in for Pinata: accepts POST /v3/files like uploads.pinata.cloud
+// and serves GET /ipfs/:cid like a gateway, backed by the local content store.
+//
+// Point the Pinata backend at it with:
+//   PINATA_UPLOAD_URL=http://127.0.0.1:8787/v3/files
+//   PINATA_GATEWAY=http://127.0.0.1:8787
+import http from 'http';
+import crypto from 'crypto';
+import { writeToLocalStore, readFromLocalStore } from './storage.js';
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// jwt: when set, uploads must send "Authorization: Bearer <jwt>"
+// failUploads: number of upcoming uploads to reject with failStatus (for retry tests)
+export function startMockPinataServer({
+  port = 0,
+  host = '127.0.0.1',
+  dir = '.storage',
+  jwt = null,
+  failUploads = 0,
+  failStatus = 500,
+} = {}) {
+  const state = { failUploads, uploads: [] };
+  const mimeTypes = new Map();
+
+  async function handleUpload(req, res) {
+    // Rejections answer without reading the upload; discard it so the
+    // keep-alive connection stays usable
+    res.on('finish', () => req.resume());
+
+    if (jwt && req.headers.authorization !== `Bearer ${jwt}`) {
+      return sendJson(res, 401, { error: { reason: 'INVALID_CREDENTIALS', details: 'Invalid or missing API key' } });
+    }
+
+    if (state.failUploads > 0) {
+      state.failUploads--;
+      return sendJson(res, failStatus, { error: { reason: 'INTERNAL_ERROR', details: 'Injected failure' } });
+    }
+
+    const body = await readBody(req);
+    let form;
+    try {
+      form = await new Request('http://localhost/', {
+        method: 'POST',
+        headers: { 'content-type': req.headers['content-type'] || '' },
+        body,
+      }).formData();
+    } catch (error) {
+      return sendJson(res, 400, { error: { reason: 'INVALID_REQUEST', details: `Malformed multipart body: ${error.message}` } });
+    }
+
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+      return sendJson(res, 400, { error: { reason: 'INVALID_REQUEST', details: 'Missing file field' } });
+    }
+
+    const content = Buffer.from(await file.arrayBuffer());
+    const cid = writeToLocalStore(dir, content);
+    const mimeType = file.type || 'application/octet-stream';
+    mimeTypes.set(cid, mimeType);
+
+    const record = {
+      id: crypto.randomUUID(),
+      name: form.get('name') || file.name || cid,
+      cid,
+      size: content.length,
+      number_of_files: 1,
+      mime_type: mimeType,
+      group_id: null,
+      keyvalues: form.get('keyvalues') ? JSON.parse(form.get('keyvalues')) : {},
+      network: form.get('network') || 'public',
+      is_duplicate: state.uploads.some(upload => upload.cid === cid),
+      created_at: new Date().toISOString(),
+    };
+    state.uploads.push(record);
+
+    return sendJson(res, 200, { data: record });
+  }
+
+  function handleGateway(req, res, cid) {
+    const content = readFromLocalStore(dir, cid);
+    if (!content) {
+      return sendJson(res, 404, { error: { reason: 'NOT_FOUND', details: `No content for ${cid}` } });
+    }
+    res.writeHead(200, { 'Content-Type': mimeTypes.get(cid) || 'application/octet-stream' });
+    res.end(content);
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'POST' && url.pathname === '/v3/files') {
+      handleUpload(req, res).catch(error => sendJson(res, 500, { error: { reason: 'INTERNAL_ERROR', details: error.message } }));
+      return;
+    }
+
+    const gatewayMatch = url.pathname.match(/^\/ipfs\/([^/]+)$/);
+    if (req.method === 'GET' && gatewayMatch) {
+      handleGateway(req, res, gatewayMatch[1]);
+      return;
+    }
+
+    sendJson(res, 404, { error: { reason: 'NOT_FOUND', details: `${req.method} ${url.pathname}` } });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      const baseUrl = `http://${host}:${boundPort}`;
+      resolve({
+        url: baseUrl,
+        uploadUrl: `${baseUrl}/v3/files`,
+        gateway: baseUrl,
+        state,
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        }),
+      });
+    });
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = parseInt(process.env.MOCK_PINATA_PORT || '8787', 10);
+  const dir = process.env.LOCAL_STORAGE_DIR || '.storage';
+
+  startMockPinataServer({ port, dir, jwt: process.env.MOCK_PINATA_JWT || null }).then(server => {
+    console.log("🧪 Mock Pinata server running");
+    console.log(`  📤 PINATA_UPLOAD_URL=${server.uploadUrl}`);
+    console.log(`  🌐 PINATA_GATEWAY=${server.gateway}`);
+    console.log(`  🗂️ Storing content in ${dir}`);
+  }).catch(error => {
+    console.error("❌ Failed to start mock Pinata server:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,144 @@
+// utils/mock-rpc-server.js
+// Minimal JSON-RPC endpoint for exercising the RPC pool's failover: answers a
+// few read methods and can be told to fail, rate-limit or slow down.
+//
+//   const rpc = await startMockRpcServer({ rateLimit: 2 });
+//   const pool = createRpcPool([rpc.url, other.url]);
+//   rpc.state.failRequests = 5; // next 5 requests get HTTP 500
+import http from 'http';
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Canned responses for common read methods; `methods` overrides or extends
+// these with (params, state) => result
+function defaultMethods(state) {
+  const context = () => ({ slot: state.slot });
+  return {
+    getHealth: () => 'ok',
+    getVersion: () => ({ 'solana-core': 'mock', 'feature-set': 0 }),
+    getSlot: () => state.slot,
+    getBlockHeight: () => state.slot,
+    getBalance: () => ({ context: context(), value: state.balance }),
+    getLatestBlockhash: () => ({
+      context: context(),
+      value: { blockhash: state.blockhash, lastValidBlockHeight: state.slot + 150 },
+    }),
+    getAccountInfo: () => ({ context: context(), value: null }),
+    getRecentPrioritizationFees: () => [],
+  };
+}
+
+// failRequests: next N requests get failStatus
+// rateLimit: next N requests get 429 (with Retry-After: retryAfter seconds if set)
+// latencyMs: delay before every response
+export function startMockRpcServer({
+  port = 0,
+  host = '127.0.0.1',
+  slot = 1000,
+  balance = 1_000_000_000,
+  failRequests = 0,
+  failStatus = 500,
+  rateLimit = 0,
+  retryAfter = null,
+  latencyMs = 0,
+  methods = {},
+} = {}) {
+  const state = {
+    slot,
+    balance,
+    blockhash: '11111111111111111111111111111111',
+    failRequests,
+    failStatus,
+    rateLimit,
+    retryAfter,
+    latencyMs,
+    requests: [],
+  };
+  const handlers = { ...defaultMethods(state), ...methods };
+
+  async function handle(req, res) {
+    const raw = await readBody(req);
+    if (state.latencyMs > 0) await new Promise(resolve => setTimeout(resolve, state.latencyMs));
+
+    if (state.rateLimit > 0) {
+      state.rateLimit--;
+      state.requests.push({ status: 429 });
+      const headers = state.retryAfter !== null ? { 'Retry-After': String(state.retryAfter) } : {};
+      return sendJson(res, 429, { error: 'Too Many Requests' }, headers);
+    }
+    if (state.failRequests > 0) {
+      state.failRequests--;
+      state.requests.push({ status: state.failStatus });
+      return sendJson(res, state.failStatus, { error: 'Injected failure' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch {
+      return sendJson(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+
+    // web3.js batches some calls as arrays
+    const calls = Array.isArray(payload) ? payload : [payload];
+    const results = calls.map(({ id, method, params }) => {
+      state.requests.push({ status: 200, method });
+      const handler = handlers[method];
+      if (!handler) {
+        return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+      }
+      return { jsonrpc: '2.0', id, result: handler(params, state) };
+    });
+
+    return sendJson(res, 200, Array.isArray(payload) ? results : results[0]);
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'JSON-RPC requires POST' });
+    }
+    handle(req, res).catch(error => sendJson(res, 500, { error: error.message }));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://${host}:${boundPort}`,
+        state,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = parseInt(process.env.MOCK_RPC_PORT || '8898', 10);
+
+  startMockRpcServer({
+    port,
+    failRequests: parseInt(process.env.MOCK_RPC_FAIL || '0', 10),
+    rateLimit: parseInt(process.env.MOCK_RPC_RATE_LIMIT || '0', 10),
+    latencyMs: parseInt(process.env.MOCK_RPC_LATENCY_MS || '0', 10),
+  }).then(server => {
+    console.log("🧪 Mock RPC server running");
+    console.log(`  🔗 ${server.url}`);
+    console.log(`  💡 Add it to RPC_FALLBACK_URLS or a profile's fallbackRpcUrls to exercise failover`);
+  }).catch(error => {
+    console.error("❌ Failed to start mock RPC server:", error.message);
+    process.exit(1);
+  });
+}
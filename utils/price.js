@@ -0,0 +1,92 @@
+// utils/price.js
+// Lamport-exact price handling. Prices travel as bigint lamports; SOL amounts
+// are only ever decimal strings at the edges (CLI input, display, metadata).
+import * as anchor from '@project-serum/anchor';
+const { BN } = anchor.default;
+
+export const LAMPORTS_PER_SOL = 1_000_000_000n;
+const SOL_DECIMALS = 9;
+// Prices are u64 on-chain
+export const MAX_LAMPORTS = 18_446_744_073_709_551_615n;
+
+// "0.1" | 0.1 -> 100000000n. Rejects negatives, sub-lamport precision and
+// amounts that do not fit in a u64.
+export function parseSol(value) {
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Invalid SOL amount: ${value}`);
+    text = value.toFixed(SOL_DECIMALS);
+    if (Number(text) !== value) {
+      throw new Error(`SOL amount ${value} has more precision than 1 lamport`);
+    }
+  } else if (typeof value === 'string') {
+    text = value.trim();
+  } else {
+    throw new Error(`Invalid SOL amount: ${value}`);
+  }
+
+  const match = text.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || (match[1] === '' && !match[2])) {
+    throw new Error(`Invalid SOL amount: "${value}"`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > SOL_DECIMALS && /[1-9]/.test(fraction.slice(SOL_DECIMALS))) {
+    throw new Error(`SOL amount ${value} has more precision than 1 lamport`);
+  }
+
+  const lamports = BigInt(whole || '0') * LAMPORTS_PER_SOL
+    + BigInt(fraction.slice(0, SOL_DECIMALS).padEnd(SOL_DECIMALS, '0'));
+  if (lamports > MAX_LAMPORTS) {
+    throw new Error(`SOL amount ${value} exceeds the maximum of ${formatSol(MAX_LAMPORTS)} SOL (${MAX_LAMPORTS} lamports)`);
+  }
+  return lamports;
+}
+
+// 100000000n -> "0.1"
+export function formatSol(lamports) {
+  const value = BigInt(lamports);
+  const sign = value < 0n ? '-' : '';
+  const abs = value < 0n ? -value : value;
+  const whole = abs / LAMPORTS_PER_SOL;
+  const fraction = (abs % LAMPORTS_PER_SOL).toString().padStart(SOL_DECIMALS, '0').replace(/0+$/, '');
+  return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+export function toBN(lamports) {
+  return new BN(BigInt(lamports).toString());
+}
+
+export function fromBN(bn) {
+  return BigInt(bn.toString());
+}
+
+// Mirrors list_ticket in lib.rs exactly:
+//   original_price + (original_price * max_markup as u64 / 100)
+export function maxResalePrice(originalPrice, maxMarkup) {
+  const original = BigInt(originalPrice);
+  return original + (original * BigInt(maxMarkup)) / 100n;
+}
+
+export const MAX_ROYALTY_BPS = 10000;
+
+// Mirrors buy_ticket in lib.rs: the organizer's royalty is
+//   price * royalty_bps / 10000 (rounded down)
+// and the seller receives the rest
+export function royaltySplit(price, royaltyBps) {
+  const lamports = BigInt(price);
+  const royaltyLamports = (lamports * BigInt(royaltyBps)) / BigInt(MAX_ROYALTY_BPS);
+  return { royaltyLamports, sellerProceedsLamports: lamports - royaltyLamports };
+}
+
+// Markup of price over original in basis points (for display only)
+export function markupBasisPoints(price, originalPrice) {
+  const original = BigInt(originalPrice);
+  if (original === 0n) return 0;
+  return Number(((BigInt(price) - original) * 10000n) / original);
+}
+
+// JSON.stringify replacer so ticket info with bigint fields can be printed/served
+export function bigintReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
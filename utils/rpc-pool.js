@@ -0,0 +1,171 @@
+// utils/rpc-pool.js
+// Health-scored pool of RPC endpoints behind a single fetch function, so one
+// web3.js Connection (and the Umi instance built on it) fails over per
+// request instead of sticking to whichever endpoint answered first.
+//
+// Each endpoint keeps a latency average and an error rate. Requests go to the
+// lowest score (latency weighted by errors); a failure, timeout or 5xx moves
+// on to the next endpoint, and a 429 benches that endpoint for its
+// Retry-After (or an exponential backoff) before it is tried again.
+import { Connection } from '@solana/web3.js';
+import { RpcUnavailableError } from './errors.js';
+
+const LATENCY_WEIGHT = 0.3; // EWMA weight of the newest sample
+const ERROR_WEIGHT = 0.3;
+const ERROR_HALF_LIFE_MS = 60_000; // old failures stop counting against an endpoint
+const ERROR_PENALTY = 4; // a fully failing endpoint scores 5x its latency
+const INITIAL_LATENCY_MS = 200;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function retryAfterMs(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function createRpcPool(urls, {
+  timeoutMs = 30_000,
+  maxAttempts = null,
+  backoffMs = 500,
+  maxBackoffMs = 8_000,
+  fetchImpl = globalThis.fetch,
+  now = Date.now,
+} = {}) {
+  const unique = [...new Set(urls.filter(Boolean))];
+  if (unique.length === 0) throw new Error('RPC pool needs at least one endpoint');
+
+  const endpoints = unique.map(url => ({
+    url,
+    latencyMs: INITIAL_LATENCY_MS,
+    errorRate: 0,
+    lastFailureAt: 0,
+    benchedUntil: 0,
+    consecutiveRateLimits: 0,
+    requests: 0,
+    failures: 0,
+    rateLimited: 0,
+  }));
+  const attemptsPerRequest = maxAttempts || endpoints.length * 2;
+
+  function currentErrorRate(endpoint) {
+    if (!endpoint.errorRate) return 0;
+    const age = now() - endpoint.lastFailureAt;
+    return endpoint.errorRate * 0.5 ** (age / ERROR_HALF_LIFE_MS);
+  }
+
+  function score(endpoint) {
+    return endpoint.latencyMs * (1 + ERROR_PENALTY * currentErrorRate(endpoint));
+  }
+
+  function recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs += LATENCY_WEIGHT * (latencyMs - endpoint.latencyMs);
+    endpoint.errorRate = currentErrorRate(endpoint) * (1 - ERROR_WEIGHT);
+    endpoint.consecutiveRateLimits = 0;
+  }
+
+  function recordFailure(endpoint) {
+    endpoint.failures++;
+    endpoint.errorRate = currentErrorRate(endpoint) * (1 - ERROR_WEIGHT) + ERROR_WEIGHT;
+    endpoint.lastFailureAt = now();
+  }
+
+  function recordRateLimit(endpoint, response) {
+    endpoint.rateLimited++;
+    endpoint.consecutiveRateLimits++;
+    const backoff = Math.min(maxBackoffMs, backoffMs * 2 ** (endpoint.consecutiveRateLimits - 1));
+    endpoint.benchedUntil = now() + (retryAfterMs(response) ?? backoff);
+  }
+
+  // Best endpoint not yet tried for this request; benched ones only if
+  // nothing else is left
+  function pick(tried) {
+    const candidates = endpoints.filter(endpoint => !tried.has(endpoint));
+    if (candidates.length === 0) return null;
+    const ready = candidates.filter(endpoint => endpoint.benchedUntil <= now());
+    const pool = ready.length > 0 ? ready : candidates;
+    return pool.reduce((best, endpoint) => (score(endpoint) < score(best) ? endpoint : best));
+  }
+
+  // fetch(input, init) for web3.js ConnectionConfig.fetch; `input` (the
+  // Connection's own endpoint) is ignored in favour of the chosen endpoint
+  async function poolFetch(input, init = {}) {
+    const tried = new Set();
+    const errors = [];
+
+    for (let attempt = 0; attempt < attemptsPerRequest; attempt++) {
+      let endpoint = pick(tried);
+      if (!endpoint) {
+        // Every endpoint failed once: wait for the soonest one off the bench
+        tried.clear();
+        endpoint = pick(tried);
+        const wait = Math.max(backoffMs, endpoint.benchedUntil - now());
+        await sleep(Math.min(wait, maxBackoffMs));
+      }
+      tried.add(endpoint);
+      endpoint.requests++;
+
+      const started = now();
+      let response;
+      try {
+        response = await fetchImpl(endpoint.url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+      } catch (error) {
+        recordFailure(endpoint);
+        errors.push(`${endpoint.url}: ${error.message}`);
+        continue;
+      }
+
+      if (response.status === 429 || response.status >= 500) {
+        await response.body?.cancel().catch(() => {});
+      }
+      if (response.status === 429) {
+        recordRateLimit(endpoint, response);
+        errors.push(`${endpoint.url}: 429 Too Many Requests`);
+        continue;
+      }
+      if (response.status >= 500) {
+        recordFailure(endpoint);
+        errors.push(`${endpoint.url}: HTTP ${response.status}`);
+        continue;
+      }
+
+      recordSuccess(endpoint, now() - started);
+      return response;
+    }
+
+    throw new RpcUnavailableError(`All RPC endpoints failed:\n  - ${errors.join('\n  - ')}`, { failures: errors });
+  }
+
+  return {
+    urls: unique,
+    fetch: poolFetch,
+
+    // Connection whose every request goes through the pool. web3.js's own
+    // 429 retry is disabled so backoff happens here, across endpoints.
+    connection(commitment = 'confirmed', config = {}) {
+      return new Connection(unique[0], {
+        commitment,
+        confirmTransactionInitialTimeout: 120000,
+        ...config,
+        fetch: poolFetch,
+        disableRetryOnRateLimit: true,
+      });
+    },
+
+    stats() {
+      return endpoints.map(endpoint => ({
+        url: endpoint.url,
+        score: Math.round(score(endpoint)),
+        latencyMs: Math.round(endpoint.latencyMs),
+        errorRate: Number(currentErrorRate(endpoint).toFixed(3)),
+        benched: endpoint.benchedUntil > now(),
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        rateLimited: endpoint.rateLimited,
+      }));
+    },
+  };
+}
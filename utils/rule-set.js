@@ -0,0 +1,70 @@
+// utils/rule-set.js
+// Token Auth Rules rule set for programmable ticket NFTs. A pNFT can only be
+// sale-delegated to, and transferred by, an account owned by ticket_market
+// (the ticket PDA), so every resale goes through the program's markup cap
+// and royalty instead of a wallet-to-wallet transfer or another marketplace.
+import { publicKey as umiPublicKey } from '@metaplex-foundation/umi';
+import { toWeb3JsInstruction } from '@metaplex-foundation/umi-web3js-adapters';
+import {
+  createOrUpdateWithBufferV1,
+  findRuleSetPda,
+  getLatestRuleSetRevision,
+  notV2,
+  passV2,
+  programOwnedListV2,
+} from '@metaplex-foundation/mpl-token-auth-rules';
+import { sendTransaction } from './send.js';
+
+export const DEFAULT_RULE_SET_NAME = 'ticket-market';
+
+// Rule sets are looked up by "<Operation>:<Scenario>" first, then by the bare
+// operation, so the bare entries deny every scenario not listed here
+const DENY = notV2(passV2());
+
+export function ticketRuleSetRevision({ owner, programId, name = DEFAULT_RULE_SET_NAME }) {
+  const marketplace = [umiPublicKey(programId.toString())];
+  return {
+    libVersion: 2,
+    name,
+    owner: umiPublicKey(owner.toString()),
+    operations: {
+      'Delegate:Sale': programOwnedListV2('Delegate', marketplace),
+      'Transfer:SaleDelegate': programOwnedListV2('Authority', marketplace),
+      Delegate: DENY,
+      Transfer: DENY,
+    },
+  };
+}
+
+// Rule set PDA for `owner` (base58 string, umi or web3.js public key) and `name`
+export function findTicketRuleSet(umi, { owner = umi.identity.publicKey, name = DEFAULT_RULE_SET_NAME } = {}) {
+  const [ruleSet] = findRuleSetPda(umi, { owner: umiPublicKey(owner.toString()), name });
+  return ruleSet;
+}
+
+// Latest revision stored in the rule set account, or null if it does not exist
+export async function fetchTicketRuleSet(umi, options = {}) {
+  const address = findTicketRuleSet(umi, options);
+  const account = await umi.rpc.getAccount(address);
+  if (!account.exists) return { address, revision: null };
+  return { address, revision: getLatestRuleSetRevision(account.data) };
+}
+
+// Write the ticket_market rules as a new revision of `name`, owned and paid
+// for by `umi.identity` (`payer`, its web3.js keypair). Creates the account on
+// first use. The revision is staged in a buffer account first; each resulting
+// transaction goes through utils/send.js in order, with the remaining options
+// (priorityFee, computeUnitLimit, logger, ...) passed on.
+export async function writeTicketRuleSet(umi, { connection, payer, programId, name = DEFAULT_RULE_SET_NAME, ...sendOptions }) {
+  const ruleSetRevision = ticketRuleSetRevision({ owner: umi.identity.publicKey, programId, name });
+  const { builders } = createOrUpdateWithBufferV1(umi, { ruleSetName: name, ruleSetRevision });
+  const signatures = [];
+  for (const builder of builders) {
+    signatures.push(await sendTransaction(connection, builder.getInstructions().map(toWeb3JsInstruction), { ...sendOptions, payer }));
+  }
+  return {
+    address: findTicketRuleSet(umi, { name }),
+    revision: ruleSetRevision,
+    signatures,
+  };
+}
@@ -0,0 +1,247 @@
+// utils/send.js
+// Shared send pipeline for every Anchor and Umi write:
+//   1. priority fee: fixed microLamports per CU, or "auto" from recent fees
+//      paid for the same writable accounts (capped by maxPriorityFee)
+//   2. compute-unit limit from a simulation, plus headroom
+//   3. send, then rebroadcast until confirmed or the blockhash expires
+//   4. on expiry, re-sign with a fresh blockhash and go again
+import { ComputeBudgetProgram, PublicKey, Transaction } from '@solana/web3.js';
+import { toVersionedTransaction, missingSigners } from './transactions.js';
+import { decodeProgramError } from './simulate.js';
+import { decodeTransactionError, toTicketMarketError } from './errors.js';
+import { silentLogger } from './logger.js';
+
+export const MAX_COMPUTE_UNITS = 1_400_000;
+export const DEFAULT_MAX_PRIORITY_FEE = 1_000_000; // microLamports per CU
+
+const COMPUTE_UNIT_MARGIN = 1.2;
+const PRIORITY_FEE_PERCENTILE = 0.75;
+const REBROADCAST_INTERVAL_MS = 2000;
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function writableAccounts(instructions) {
+  const keys = new Map();
+  for (const instruction of instructions) {
+    for (const key of instruction.keys) {
+      if (key.isWritable) keys.set(key.pubkey.toBase58(), key.pubkey);
+    }
+  }
+  return [...keys.values()];
+}
+
+// microLamports per compute unit
+export async function resolvePriorityFee(connection, instructions, { priorityFee = 'auto', maxPriorityFee = DEFAULT_MAX_PRIORITY_FEE } = {}) {
+  if (priorityFee !== 'auto') return Math.min(Number(priorityFee), maxPriorityFee);
+
+  let recent;
+  try {
+    recent = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: writableAccounts(instructions),
+    });
+  } catch {
+    return 0; // RPC without the method: send without a priority fee
+  }
+  if (!recent || recent.length === 0) return 0;
+
+  const fees = recent.map(entry => entry.prioritizationFee).sort((a, b) => a - b);
+  const fee = fees[Math.max(0, Math.ceil(fees.length * PRIORITY_FEE_PERCENTILE) - 1)];
+  return Math.min(fee, maxPriorityFee);
+}
+
+function priceInstructions(microLamports) {
+  return microLamports > 0 ? [ComputeBudgetProgram.setComputeUnitPrice({ microLamports })] : [];
+}
+
+// Simulate at the maximum limit: { units, err, logs }
+export async function estimateComputeUnits(connection, instructions, payer, { microLamports = 0, commitment = 'confirmed' } = {}) {
+  const transaction = new Transaction({
+    feePayer: payer,
+    recentBlockhash: PublicKey.default.toBase58(), // replaced by the simulation
+  }).add(
+    ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+    ...priceInstructions(microLamports),
+    ...instructions,
+  );
+
+  const { value } = await connection.simulateTransaction(toVersionedTransaction(transaction), {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment,
+  });
+
+  return { units: value.unitsConsumed ?? null, err: value.err, logs: value.logs || [] };
+}
+
+// Compute budget instructions to prepend. With failOnSimulationError false
+// (build / dry-run mode) a failing simulation falls back to the maximum limit
+// so the real error is reported when the transaction is simulated or sent.
+export async function computeBudgetInstructions(connection, instructions, payer, {
+  priorityFee = 'auto',
+  maxPriorityFee = DEFAULT_MAX_PRIORITY_FEE,
+  computeUnitLimit = null,
+  commitment = 'confirmed',
+  errors = [],
+  failOnSimulationError = true,
+} = {}) {
+  const microLamports = await resolvePriorityFee(connection, instructions, { priorityFee, maxPriorityFee });
+
+  let units = computeUnitLimit;
+  if (!units) {
+    const estimate = await estimateComputeUnits(connection, instructions, payer, { microLamports, commitment });
+    if (estimate.err && failOnSimulationError) {
+      const typed = decodeTransactionError(estimate.err, estimate.logs, errors);
+      if (typed) throw typed;
+
+      // Some other program's error (e.g. Token Metadata): keep what we know
+      const programError = decodeProgramError(estimate.err, estimate.logs, errors);
+      const error = new Error(`Transaction simulation failed: ${programError?.name || JSON.stringify(estimate.err)}${programError?.message ? ` - ${programError.message}` : ''}`);
+      error.logs = estimate.logs;
+      error.programError = programError;
+      throw error;
+    }
+    units = estimate.err || !estimate.units
+      ? MAX_COMPUTE_UNITS
+      : Math.min(MAX_COMPUTE_UNITS, Math.ceil(estimate.units * COMPUTE_UNIT_MARGIN));
+  }
+
+  return [
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    ...priceInstructions(microLamports),
+  ];
+}
+
+function reachedCommitment(status, commitment) {
+  return COMMITMENT_LEVELS.indexOf(status) >= COMMITMENT_LEVELS.indexOf(commitment);
+}
+
+async function signatureOutcome(connection, signature, commitment, errors) {
+  const { value: [status] } = await connection.getSignatureStatuses([signature]);
+  if (status?.err) {
+    throw decodeTransactionError(status.err, null, errors)
+      || new Error(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`);
+  }
+  return !!status && reachedCommitment(status.confirmationStatus, commitment);
+}
+
+// Rebroadcast raw bytes until confirmed (true) or the blockhash expires (false).
+// A failed transaction throws, typed via `errors` (IDL error list) when known.
+export async function confirmWithRebroadcast(connection, rawTransaction, signature, lastValidBlockHeight, {
+  commitment = 'confirmed',
+  intervalMs = REBROADCAST_INTERVAL_MS,
+  errors = [],
+} = {}) {
+  for (;;) {
+    if (await signatureOutcome(connection, signature, commitment, errors)) return true;
+
+    const blockHeight = await connection.getBlockHeight(commitment);
+    if (blockHeight > lastValidBlockHeight) {
+      // It can no longer land, but may have just done so
+      return signatureOutcome(connection, signature, commitment, errors);
+    }
+
+    await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+    await sleep(intervalMs);
+  }
+}
+
+// payer: Keypair or Anchor-style wallet (signTransaction); signers: extra Keypairs
+async function signTransaction(transaction, payer, signers) {
+  if (signers.length > 0) transaction.partialSign(...signers);
+  if (payer.secretKey) {
+    transaction.partialSign(payer);
+    return transaction;
+  }
+  return payer.signTransaction(transaction);
+}
+
+// Unsigned (apart from `signers`) transaction with the compute budget applied,
+// for build mode / external wallets
+export async function buildTransaction(connection, instructions, { payer, signers = [], ...budgetOptions }) {
+  const commitment = budgetOptions.commitment || 'confirmed';
+  const budget = await computeBudgetInstructions(connection, instructions, payer, {
+    ...budgetOptions,
+    failOnSimulationError: false,
+  });
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(commitment);
+  const transaction = new Transaction({ feePayer: payer, blockhash, lastValidBlockHeight })
+    .add(...budget, ...instructions);
+  if (signers.length > 0) transaction.partialSign(...signers);
+
+  return { transaction, blockhash, lastValidBlockHeight };
+}
+
+// Preflight rejections from sendRawTransaction, typed where the logs say why
+async function sendRaw(connection, raw, commitment, errors) {
+  try {
+    return await connection.sendRawTransaction(raw, { preflightCommitment: commitment, maxRetries: 0 });
+  } catch (error) {
+    throw toTicketMarketError(error, errors);
+  }
+}
+
+// Sign, send and confirm `instructions`, re-signing with a fresh blockhash
+// (up to maxResigns times) whenever one expires before confirmation
+export async function sendTransaction(connection, instructions, {
+  payer,
+  signers = [],
+  commitment = 'confirmed',
+  maxResigns = 3,
+  errors = [],
+  logger = silentLogger,
+  ...budgetOptions
+}) {
+  const budget = await computeBudgetInstructions(connection, instructions, payer.publicKey, { commitment, errors, ...budgetOptions });
+
+  for (let attempt = 0; attempt <= maxResigns; attempt++) {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(commitment);
+    const transaction = new Transaction({ feePayer: payer.publicKey, blockhash, lastValidBlockHeight })
+      .add(...budget, ...instructions);
+
+    const signed = await signTransaction(transaction, payer, signers);
+    const raw = signed.serialize();
+    const signature = await sendRaw(connection, raw, commitment, errors);
+
+    if (await confirmWithRebroadcast(connection, raw, signature, lastValidBlockHeight, { commitment, errors })) {
+      return signature;
+    }
+    if (attempt < maxResigns) {
+      logger.warn(`  ⏳ Blockhash expired before ${signature} confirmed, re-signing (${attempt + 1}/${maxResigns})`, {
+        stage: 'resign',
+        signature,
+      });
+    }
+  }
+
+  throw new Error(`Transaction was not confirmed after ${maxResigns + 1} blockhashes`);
+}
+
+// Send an externally signed transaction. It cannot be re-signed here, so
+// with lastValidBlockHeight it is rebroadcast until confirmed or expired.
+export async function submitSigned(connection, transaction, { commitment = 'confirmed', lastValidBlockHeight = null, errors = [] } = {}) {
+  const versioned = toVersionedTransaction(transaction);
+
+  const missing = missingSigners(versioned);
+  if (missing.length > 0) {
+    throw new Error(`Transaction is missing signatures from: ${missing.join(', ')}`);
+  }
+
+  const raw = versioned.serialize();
+  const signature = await sendRaw(connection, raw, commitment, errors);
+
+  if (!lastValidBlockHeight) {
+    const confirmation = await connection.confirmTransaction(signature, commitment);
+    if (confirmation.value.err) {
+      throw decodeTransactionError(confirmation.value.err, null, errors)
+        || new Error(`Transaction ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+    return signature;
+  }
+
+  if (!await confirmWithRebroadcast(connection, raw, signature, lastValidBlockHeight, { commitment, errors })) {
+    throw new Error(`Transaction ${signature} expired before confirmation; rebuild and sign it again`);
+  }
+  return signature;
+}
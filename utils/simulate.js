@@ -0,0 +1,67 @@
+// utils/simulate.js
+// Dry-run support: simulate a built transaction and report what it would do
+// (logs, compute units, fee, rent for accounts it creates, program error)
+// without sending anything.
+import { toVersionedTransaction } from './transactions.js';
+
+// "Program log: AnchorError ... Error Code: ExceedsMaxMarkup. Error Number: 6002. Error Message: ..."
+const ANCHOR_ERROR_LOG = /Error Code: (\w+)\. Error Number: (\d+)\. Error Message: (.*?)\.?$/;
+
+// Map a simulation/transaction error to a named program error using the IDL
+// `errors` list, falling back to Anchor's error log line
+export function decodeProgramError(err, logs = [], errors = []) {
+  const custom = err?.InstructionError?.[1]?.Custom;
+  if (custom !== undefined) {
+    const known = errors.find(error => error.code === custom);
+    if (known) return { code: known.code, name: known.name, message: known.msg };
+  }
+
+  for (const line of logs || []) {
+    const match = line.match(ANCHOR_ERROR_LOG);
+    if (match) return { code: Number(match[2]), name: match[1], message: match[3] };
+  }
+
+  return custom !== undefined ? { code: custom, name: null, message: null } : null;
+}
+
+// Never signs or sends: signatures are not verified and the blockhash is
+// replaced, so unsigned build-mode transactions can be simulated as-is
+export async function simulateTransaction(connection, transaction, { errors = [], commitment = 'confirmed' } = {}) {
+  const versioned = toVersionedTransaction(transaction);
+  const { message } = versioned;
+
+  const writable = message.staticAccountKeys.filter((_, idx) => message.isAccountWritable(idx));
+  const before = await connection.getMultipleAccountsInfo(writable, commitment);
+
+  const { value } = await connection.simulateTransaction(versioned, {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment,
+    accounts: { encoding: 'base64', addresses: writable.map(key => key.toBase58()) },
+  });
+
+  // Accounts that do not exist yet but hold lamports afterwards were created
+  // by this transaction; their balance is the rent deposit
+  const rent = [];
+  (value.accounts || []).forEach((account, idx) => {
+    if (before[idx] || !account || account.lamports === 0) return;
+    rent.push({
+      address: writable[idx].toBase58(),
+      lamports: BigInt(account.lamports),
+      space: Buffer.from(account.data[0], 'base64').length,
+    });
+  });
+
+  const fee = await connection.getFeeForMessage(message, commitment);
+
+  return {
+    success: !value.err,
+    error: value.err,
+    programError: value.err ? decodeProgramError(value.err, value.logs, errors) : null,
+    logs: value.logs || [],
+    unitsConsumed: value.unitsConsumed ?? null,
+    feeLamports: fee.value === null ? null : BigInt(fee.value),
+    rent,
+    rentLamports: rent.reduce((sum, account) => sum + account.lamports, 0n),
+  };
+}
@@ -0,0 +1,222 @@
+// utils/storage.js
+// Metadata/image storage backends used by uploadToIPFS / uploadJSONToIPFS.
+// A backend is any object with:
+//   name
+//   uploadFile(filePath, fileName, network) -> Promise<uri>
+//   uploadJSON(metadata, fileName, network) -> Promise<uri>
+//   readJSON(uri) -> Promise<metadata>
+// Backends report progress through an optional `logger` (utils/logger.js).
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import FormData from 'form-data';
+import { computeCid } from './cid.js';
+import { StorageUploadError } from './errors.js';
+import { silentLogger } from './logger.js';
+
+export const PINATA_UPLOAD_URL = 'https://uploads.pinata.cloud/v3/files';
+
+// Accept either a bare gateway host ("example.mypinata.cloud") or a full base URL
+export function gatewayUrl(gateway, cid) {
+  const base = /^https?:\/\//.test(gateway) ? gateway.replace(/\/+$/, '') : `https://${gateway}`;
+  return `${base}/ipfs/${cid}`;
+}
+
+// Read JSON back over HTTP; ipfs://<cid> URIs go through `gateway`
+async function fetchJSON(uri, gateway = null) {
+  const url = uri.startsWith('ipfs://') && gateway ? gatewayUrl(gateway, uri.slice('ipfs://'.length)) : uri;
+  if (!/^https?:\/\//.test(url)) throw new Error(`Cannot read ${uri}: no gateway configured for it`);
+  const res = await axios.get(url, { timeout: 60000 });
+  return typeof res.data === 'string' ? JSON.parse(res.data) : res.data;
+}
+
+// --- Pinata (or anything speaking Pinata's v3 upload API) ---
+export function createPinataStorage({
+  jwt,
+  gateway,
+  uploadUrl = PINATA_UPLOAD_URL,
+  retries = 3,
+  retryDelayMs = 3000,
+  logger = silentLogger,
+} = {}) {
+  async function post(buildForm, label) {
+    if (!jwt) throw new StorageUploadError("PINATA_JWT not set in environment.", { backend: 'pinata' });
+
+    let attemptsLeft = retries;
+    while (attemptsLeft > 0) {
+      try {
+        // form-data streams can only be consumed once, so rebuild per attempt
+        const formData = buildForm();
+        const res = await axios.post(uploadUrl, formData, {
+          headers: {
+            ...formData.getHeaders(),
+            Authorization: `Bearer ${jwt}`,
+          },
+          maxBodyLength: Infinity,
+          timeout: 60000,
+        });
+
+        const cid = res?.data?.data?.cid;
+        if (!cid) throw new Error(`Pinata response missing CID: ${JSON.stringify(res?.data)}`);
+
+        const url = gatewayUrl(gateway, cid);
+        logger.progress(`${label}_uploaded`, `  ✅ Pinata ${label} upload successful: ${url}`, { uri: url });
+        return url;
+      } catch (err) {
+        attemptsLeft--;
+        logger.warn(`  ⚠️ ${label === 'file' ? 'Upload' : 'Metadata upload'} failed, retrying... (${attemptsLeft} attempts left)`);
+
+        if (attemptsLeft === 0) {
+          const msg = err?.response?.data ? JSON.stringify(err.response.data) : err.message || err;
+          throw new StorageUploadError(`Pinata ${label} upload failed: ${msg}`, { backend: 'pinata', cause: err });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+      }
+    }
+  }
+
+  return {
+    name: 'pinata',
+
+    async uploadFile(filePath, fileName = 'ticket.png', network = 'public') {
+      logger.info(`🌐 Uploading file to Pinata: ${filePath}`);
+      return post(() => {
+        const formData = new FormData();
+        formData.append("file", fs.createReadStream(filePath));
+        formData.append("network", network);
+        formData.append("name", fileName);
+        formData.append(
+          "keyvalues",
+          JSON.stringify({ purpose: "ticket", uploadedBy: "myApp" })
+        );
+        return formData;
+      }, 'file');
+    },
+
+    async uploadJSON(metadata, fileName = 'metadata.json', network = 'public') {
+      logger.info("📄 Uploading JSON metadata to Pinata...");
+      const blob = Buffer.from(JSON.stringify(metadata));
+      return post(() => {
+        const formData = new FormData();
+        formData.append("file", blob, { filename: fileName, contentType: "application/json" });
+        formData.append("network", network);
+        return formData;
+      }, 'metadata');
+    },
+
+    async readJSON(uri) {
+      return fetchJSON(uri, gateway);
+    },
+  };
+}
+
+// --- Local content-addressed directory ---
+// Content is stored as <dir>/<cid>; URIs use the gateway if given, else ipfs://<cid>.
+export function writeToLocalStore(dir, content) {
+  const cid = computeCid(content);
+  const target = path.join(dir, cid);
+
+  fs.mkdirSync(dir, { recursive: true });
+  if (!fs.existsSync(target)) {
+    fs.writeFileSync(target, content);
+  }
+  return cid;
+}
+
+export function readFromLocalStore(dir, cid) {
+  // CIDs are base32 only; anything else is not a key in this store
+  if (!/^b[a-z2-7]+$/.test(cid)) return null;
+  const target = path.join(dir, cid);
+  return fs.existsSync(target) ? fs.readFileSync(target) : null;
+}
+
+export function createLocalStorage({ dir = '.storage', gateway = null, logger = silentLogger } = {}) {
+  const toUri = cid => (gateway ? gatewayUrl(gateway, cid) : `ipfs://${cid}`);
+
+  function store(content, label) {
+    try {
+      return writeToLocalStore(dir, content);
+    } catch (error) {
+      throw new StorageUploadError(`Local ${label} store failed: ${error.message}`, { backend: 'local', cause: error });
+    }
+  }
+
+  return {
+    name: 'local',
+    dir,
+
+    async uploadFile(filePath) {
+      logger.info(`🗂️ Storing file locally: ${filePath}`);
+      const cid = store(fs.readFileSync(filePath), 'file');
+      const uri = toUri(cid);
+      logger.progress('file_uploaded', `  ✅ Local file store successful: ${uri}`, { uri });
+      return uri;
+    },
+
+    async uploadJSON(metadata) {
+      logger.info("🗂️ Storing JSON metadata locally...");
+      const cid = store(Buffer.from(JSON.stringify(metadata)), 'metadata');
+      const uri = toUri(cid);
+      logger.progress('metadata_uploaded', `  ✅ Local metadata store successful: ${uri}`, { uri });
+      return uri;
+    },
+
+    // Straight from the store when the URI's CID is in it
+    async readJSON(uri) {
+      const stored = readFromLocalStore(dir, uri.split('/').pop());
+      return stored ? JSON.parse(stored.toString('utf8')) : fetchJSON(uri, gateway);
+    },
+  };
+}
+
+// --- Dry run: the URI each upload would get, without storing anything ---
+export function createDryRunStorage({ gateway = null } = {}) {
+  const toUri = cid => (gateway ? gatewayUrl(gateway, cid) : `ipfs://${cid}`);
+
+  return {
+    name: 'dry-run',
+
+    async uploadFile(filePath) {
+      return toUri(computeCid(fs.readFileSync(filePath)));
+    },
+
+    async uploadJSON(metadata) {
+      return toUri(computeCid(Buffer.from(JSON.stringify(metadata))));
+    },
+
+    async readJSON(uri) {
+      return fetchJSON(uri, gateway);
+    },
+  };
+}
+
+// Build the backend selected by STORAGE_BACKEND (pinata | local).
+// dryRun: same gateway/URI shape as that backend, but nothing is uploaded.
+export function createStorageFromEnv(env = process.env, { dryRun = false, logger = silentLogger } = {}) {
+  const backend = (env.STORAGE_BACKEND || 'pinata').toLowerCase();
+
+  if (dryRun) {
+    return createDryRunStorage({
+      gateway: backend === 'local' ? env.LOCAL_STORAGE_GATEWAY || null : env.PINATA_GATEWAY,
+    });
+  }
+
+  switch (backend) {
+    case 'pinata':
+      return createPinataStorage({
+        jwt: env.PINATA_JWT,
+        gateway: env.PINATA_GATEWAY,
+        uploadUrl: env.PINATA_UPLOAD_URL || PINATA_UPLOAD_URL,
+        logger,
+      });
+    case 'local':
+      return createLocalStorage({
+        dir: env.LOCAL_STORAGE_DIR || '.storage',
+        gateway: env.LOCAL_STORAGE_GATEWAY || null,
+        logger,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "pinata" or "local")`);
+  }
+}
@@ -0,0 +1,53 @@
+// utils/transactions.js
+// Wire format for the external-signer flow: write paths can return a
+// serialized (possibly partially-signed) transaction plus the wallets that
+// still have to sign, and submitSigned (utils/send.js) sends it once they have.
+// Legacy web3.js transactions and Umi/versioned ones share one path.
+import { Transaction, VersionedTransaction } from '@solana/web3.js';
+
+const EMPTY_SIGNATURE = new Uint8Array(64);
+
+function isEmptySignature(signature) {
+  return !signature || Buffer.from(signature).equals(Buffer.from(EMPTY_SIGNATURE));
+}
+
+// Transaction | VersionedTransaction | bytes | base64 string -> VersionedTransaction
+export function toVersionedTransaction(transaction) {
+  if (transaction instanceof VersionedTransaction) return transaction;
+  if (transaction instanceof Transaction) {
+    return VersionedTransaction.deserialize(
+      transaction.serialize({ requireAllSignatures: false, verifySignatures: false })
+    );
+  }
+  if (typeof transaction === 'string') {
+    return VersionedTransaction.deserialize(Buffer.from(transaction, 'base64'));
+  }
+  if (transaction instanceof Uint8Array) {
+    return VersionedTransaction.deserialize(transaction);
+  }
+  throw new Error('Expected a Transaction, VersionedTransaction, byte array or base64 string');
+}
+
+// Every signer the message requires, fee payer first
+export function requiredSigners(transaction) {
+  const { message } = toVersionedTransaction(transaction);
+  return message.staticAccountKeys
+    .slice(0, message.header.numRequiredSignatures)
+    .map(key => key.toBase58());
+}
+
+// Required signers whose signature slot is still empty
+export function missingSigners(transaction) {
+  const versioned = toVersionedTransaction(transaction);
+  return requiredSigners(versioned).filter((_, idx) => isEmptySignature(versioned.signatures[idx]));
+}
+
+export function encodeTransaction(transaction) {
+  const versioned = toVersionedTransaction(transaction);
+  return {
+    transaction: Buffer.from(versioned.serialize()).toString('base64'),
+    version: versioned.version,
+    signers: requiredSigners(versioned),
+    missingSigners: missingSigners(versioned),
+  };
+}